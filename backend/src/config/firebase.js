@@ -1,51 +1,64 @@
 const admin = require('firebase-admin');
 const logger = require('../utils/logger');
 
+const isConfigured = Boolean(
+  process.env.FIREBASE_SERVICE_ACCOUNT_PATH || process.env.FIREBASE_PROJECT_ID
+);
+
 // Initialize Firebase Admin SDK
-try {
-  // In production, use service account key file
-  // For development, use environment variables
-  if (process.env.FIREBASE_SERVICE_ACCOUNT_PATH) {
-    const serviceAccount = require(process.env.FIREBASE_SERVICE_ACCOUNT_PATH);
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: process.env.FIREBASE_DATABASE_URL,
-      storageBucket: process.env.FIREBASE_STORAGE_BUCKET
-    });
-  } else if (process.env.FIREBASE_PROJECT_ID) {
-    // Initialize with individual environment variables
-    admin.initializeApp({
-      credential: admin.credential.cert({
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-        clientEmail: process.env.FIREBASE_CLIENT_EMAIL
-      }),
-      databaseURL: process.env.FIREBASE_DATABASE_URL,
-      storageBucket: process.env.FIREBASE_STORAGE_BUCKET
-    });
-  } else {
-    throw new Error('Firebase configuration not found in environment variables');
-  }
+if (isConfigured) {
+  try {
+    // In production, use service account key file
+    // For development, use environment variables
+    if (process.env.FIREBASE_SERVICE_ACCOUNT_PATH) {
+      const serviceAccount = require(process.env.FIREBASE_SERVICE_ACCOUNT_PATH);
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        databaseURL: process.env.FIREBASE_DATABASE_URL,
+        storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+      });
+    } else {
+      // Initialize with individual environment variables
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL
+        }),
+        databaseURL: process.env.FIREBASE_DATABASE_URL,
+        storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+      });
+    }
 
-  logger.info('Firebase Admin SDK initialized successfully');
-} catch (error) {
-  logger.error('Failed to initialize Firebase Admin SDK:', error);
+    logger.info('Firebase Admin SDK initialized successfully');
+  } catch (error) {
+    logger.error('Failed to initialize Firebase Admin SDK:', error);
+    process.exit(1);
+  }
+} else if (process.env.NODE_ENV === 'production') {
+  logger.error('Firebase configuration not found in environment variables');
   process.exit(1);
+} else {
+  // Local development: in-memory persistence and dev auth tokens
+  logger.warn('Firebase is not configured; running with local development services');
 }
 
 // Export Firebase services
-const db = admin.firestore();
-const auth = admin.auth();
-const storage = admin.storage();
-const messaging = admin.messaging();
+const db = isConfigured ? admin.firestore() : null;
+const auth = isConfigured ? admin.auth() : require('./localAuth');
+const storage = isConfigured ? admin.storage() : null;
+const messaging = isConfigured ? admin.messaging() : null;
 
 // Firestore settings
-db.settings({
-  ignoreUndefinedProperties: true
-});
+if (db) {
+  db.settings({
+    ignoreUndefinedProperties: true
+  });
+}
 
 module.exports = {
   admin,
+  isConfigured,
   db,
   auth,
   storage,
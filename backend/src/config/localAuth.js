@@ -0,0 +1,43 @@
+/**
+ * Local Auth
+ * Stand-in for Firebase Auth when no Firebase project is configured.
+ * Tokens are "dev:<uid>" strings: createCustomToken issues them and
+ * verifyIdToken accepts them, so the token returned by /api/auth/verify-otp
+ * can be sent straight back as the Bearer token. Never used in production.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const TOKEN_PREFIX = 'dev:';
+
+// Phone number -> user record
+const usersByPhone = new Map();
+
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+module.exports = {
+  async verifyIdToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX) || token.length === TOKEN_PREFIX.length) {
+      throw authError('auth/argument-error', 'Local auth expects a dev:<uid> token');
+    }
+    return { uid: token.slice(TOKEN_PREFIX.length) };
+  },
+
+  async createCustomToken(uid) {
+    return `${TOKEN_PREFIX}${uid}`;
+  },
+
+  async getUserByPhoneNumber(phoneNumber) {
+    const userRecord = usersByPhone.get(phoneNumber);
+    if (!userRecord) {
+      throw authError('auth/user-not-found', `No user with phone number ${phoneNumber}`);
+    }
+    return userRecord;
+  },
+
+  async createUser({ phoneNumber, displayName = null, email = null, disabled = false }) {
+    const userRecord = { uid: uuidv4(), phoneNumber, displayName, email, disabled };
+    usersByPhone.set(phoneNumber, userRecord);
+    return userRecord;
+  }
+};
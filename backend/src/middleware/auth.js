@@ -1,6 +1,30 @@
-const { auth, db } = require('../config/firebase');
+const { auth } = require('../config/firebase');
+const { users, drivers } = require('../repositories');
 const logger = require('../utils/logger');
 
+/**
+ * Verify a Firebase ID token and load the user's profile
+ * Resolves to { uid, ...profile }, or null when the profile does not exist;
+ * rejects with the Firebase Auth error when the token is invalid
+ */
+const verifyToken = async (token) => {
+  // Verify the token with Firebase Auth
+  const decodedToken = await auth.verifyIdToken(token);
+
+  // Get user profile
+  const user = await users.findById(decodedToken.uid);
+
+  if (!user) {
+    return null;
+  }
+
+  const { id, ...userData } = user;
+  return {
+    uid: decodedToken.uid,
+    ...userData
+  };
+};
+
 /**
  * Middleware to verify Firebase authentication token
  * Adds user object to request if authenticated
@@ -19,14 +43,9 @@ const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.split('Bearer ')[1];
+    const user = await verifyToken(token);
 
-    // Verify the token with Firebase Auth
-    const decodedToken = await auth.verifyIdToken(token);
-
-    // Get user document from Firestore
-    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
-
-    if (!userDoc.exists) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         error: 'User not found',
@@ -35,10 +54,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Attach user data to request
-    req.user = {
-      uid: decodedToken.uid,
-      ...userDoc.data()
-    };
+    req.user = user;
 
     next();
   } catch (error) {
@@ -114,17 +130,15 @@ const requireDriver = (req, res, next) => {
  */
 const requireVerifiedDriver = async (req, res, next) => {
   try {
-    const driverDoc = await db.collection('drivers').doc(req.user.uid).get();
+    const driverData = await drivers.findById(req.user.uid);
 
-    if (!driverDoc.exists) {
+    if (!driverData) {
       return res.status(404).json({
         success: false,
         error: 'Driver profile not found'
       });
     }
 
-    const driverData = driverDoc.data();
-
     if (!driverData.verified) {
       return res.status(403).json({
         success: false,
@@ -155,6 +169,7 @@ const requireVerifiedDriver = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyToken,
   authenticate,
   requireAdmin,
   requireDriver,
@@ -1,10 +1,32 @@
 const logger = require('../utils/logger');
+const multer = require('multer');
+const { HttpError } = require('../utils/errors');
 
 /**
  * Global error handling middleware
  * Catches all errors and returns consistent error response
  */
 const errorHandler = (err, req, res, next) => {
+  // Expected errors already carry the response to send
+  if (err instanceof HttpError) {
+    logger.warn(`${req.method} ${req.path} failed: ${err.message}`);
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.error,
+      message: err.message
+    });
+  }
+
+  // Rejected uploads, e.g. files over the size limit
+  if (err instanceof multer.MulterError) {
+    logger.warn(`${req.method} ${req.path} upload rejected: ${err.message}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid upload',
+      message: err.message
+    });
+  }
+
   // Log the error
   logger.error('Error occurred:', {
     error: err.message,
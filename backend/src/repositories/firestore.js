@@ -0,0 +1,107 @@
+/**
+ * Firestore Repository Backend
+ * Thin adapter that maps repository calls onto Firestore collections.
+ * Passing { tx } routes reads and writes through a Firestore transaction.
+ */
+
+const { db, FieldValue, Timestamp } = require('../config/firebase');
+
+const toRecord = (doc) => (doc.exists ? { id: doc.id, ...doc.data() } : null);
+
+function createRepository(collection) {
+  const collectionRef = () => db.collection(collection);
+
+  const buildQuery = ({ where = [], orderBy, limit, offset } = {}) => {
+    let query = collectionRef();
+
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+
+    if (orderBy) {
+      const orders = Array.isArray(orderBy[0]) ? orderBy : [orderBy];
+      orders.forEach(([field, direction = 'asc']) => {
+        query = query.orderBy(field, direction);
+      });
+    }
+
+    if (limit) query = query.limit(limit);
+    if (offset) query = query.offset(offset);
+
+    return query;
+  };
+
+  return {
+    collection,
+
+    newId() {
+      return collectionRef().doc().id;
+    },
+
+    async findById(id, { tx } = {}) {
+      const ref = collectionRef().doc(id);
+      return toRecord(tx ? await tx.get(ref) : await ref.get());
+    },
+
+    async find(query = {}, { tx } = {}) {
+      const firestoreQuery = buildQuery(query);
+      const snapshot = tx ? await tx.get(firestoreQuery) : await firestoreQuery.get();
+      return snapshot.docs.map(toRecord);
+    },
+
+    async findOne(query = {}, options = {}) {
+      const [record] = await this.find({ ...query, limit: 1 }, options);
+      return record || null;
+    },
+
+    async count(query = {}) {
+      const snapshot = await buildQuery({ where: query.where }).count().get();
+      return snapshot.data().count;
+    },
+
+    async create(data, { tx, id } = {}) {
+      const ref = id ? collectionRef().doc(id) : collectionRef().doc();
+      if (tx) {
+        tx.set(ref, data);
+      } else {
+        await ref.set(data);
+      }
+      return ref.id;
+    },
+
+    async set(id, data, { tx, merge = false } = {}) {
+      const ref = collectionRef().doc(id);
+      if (tx) {
+        tx.set(ref, data, { merge });
+      } else {
+        await ref.set(data, { merge });
+      }
+    },
+
+    async update(id, data, { tx } = {}) {
+      const ref = collectionRef().doc(id);
+      if (tx) {
+        tx.update(ref, data);
+      } else {
+        await ref.update(data);
+      }
+    },
+
+    async delete(id, { tx } = {}) {
+      const ref = collectionRef().doc(id);
+      if (tx) {
+        tx.delete(ref);
+      } else {
+        await ref.delete();
+      }
+    }
+  };
+}
+
+module.exports = {
+  name: 'firestore',
+  Timestamp,
+  FieldValue,
+  createRepository,
+  runTransaction: (updateFunction) => db.runTransaction(updateFunction)
+};
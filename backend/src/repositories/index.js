@@ -0,0 +1,89 @@
+/**
+ * Repositories
+ * Data access for every collection the API uses. The backend is chosen once
+ * at startup with PERSISTENCE=firestore|memory; by default Firestore is used
+ * when Firebase is configured and the in-memory store otherwise.
+ *
+ * Every repository exposes:
+ *   findById(id, { tx })             -> { id, ...data } | null
+ *   find({ where, orderBy, limit, offset }, { tx }) -> [{ id, ...data }]
+ *     where:   [[field, op, value], ...] (dotted fields allowed)
+ *   findOne(query, { tx })           -> first match | null
+ *   count({ where })                 -> number
+ *   create(data, { tx, id })         -> new document id
+ *   set(id, data, { tx, merge }), update(id, data, { tx }), delete(id, { tx })
+ *   newId()                          -> id to use with create/set later
+ *
+ * runTransaction(async (tx) => ...) groups reads and writes atomically.
+ * As with Firestore, do every read in a transaction before its first write.
+ */
+
+const firebase = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const COLLECTIONS = {
+  users: 'users',
+  drivers: 'drivers',
+  rides: 'rides',
+  deliveries: 'deliveries',
+  payments: 'payments',
+  cancellations: 'cancellations',
+  logs: 'logs',
+  verifications: 'verifications',
+  otpVerifications: 'otp_verifications',
+  dispatchOffers: 'dispatch_offers',
+  fareQuotes: 'fare_quotes',
+  sosAlerts: 'sos_alerts',
+  devices: 'devices',
+  tripLocations: 'trip_locations',
+  wallets: 'wallets',
+  ledgerEntries: 'ledger_entries',
+  settlements: 'settlements',
+  payouts: 'payouts',
+  payoutBatches: 'payout_batches',
+  cancellationPolicies: 'cancellation_policies',
+  ratings: 'ratings',
+  handoffCodes: 'handoff_codes',
+  trackingLinks: 'tracking_links',
+  scheduledJobs: 'scheduled_jobs'
+};
+
+const backendName = process.env.PERSISTENCE || (firebase.isConfigured ? 'firestore' : 'memory');
+
+if (!['firestore', 'memory'].includes(backendName)) {
+  throw new Error(`Unknown PERSISTENCE backend: ${backendName}`);
+}
+if (backendName === 'firestore' && !firebase.isConfigured) {
+  throw new Error('PERSISTENCE=firestore requires Firebase configuration');
+}
+
+const backend = backendName === 'firestore' ? require('./firestore') : require('./memory');
+
+if (backend.name === 'memory') {
+  logger.warn('Using in-memory persistence; data is lost when the server stops');
+}
+
+const repositories = {};
+Object.entries(COLLECTIONS).forEach(([key, collection]) => {
+  repositories[key] = backend.createRepository(collection);
+});
+
+/**
+ * Repository for a collection by its Firestore name, e.g. 'rides'
+ */
+const forCollection = (collection) => {
+  const key = Object.keys(COLLECTIONS).find(name => COLLECTIONS[name] === collection);
+  if (!key) {
+    throw new Error(`No repository for collection: ${collection}`);
+  }
+  return repositories[key];
+};
+
+module.exports = {
+  ...repositories,
+  backend: backend.name,
+  FieldValue: backend.FieldValue,
+  Timestamp: backend.Timestamp,
+  runTransaction: backend.runTransaction,
+  forCollection
+};
@@ -0,0 +1,417 @@
+/**
+ * In-Memory Repository Backend
+ * Keeps every collection in process memory so the API runs without a
+ * Firebase project. Mirrors the Firestore behaviour the routes rely on:
+ * Timestamps, field value sentinels, dotted update paths, where/in/range
+ * filters, orderBy, limit, offset and serialized transactions.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Firestore-compatible timestamp
+ */
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, Math.round((millis - seconds * 1000) * 1e6));
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+
+  valueOf() {
+    return this.toMillis();
+  }
+}
+
+/**
+ * Placeholder resolved against the stored value when a write is applied
+ */
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+  delete: () => new FieldValueSentinel('delete')
+};
+
+// Collection name -> Map(id -> data)
+const store = new Map();
+
+const collectionStore = (name) => {
+  if (!store.has(name)) {
+    store.set(name, new Map());
+  }
+  return store.get(name);
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Deep copy so callers can never mutate stored documents
+ */
+function clone(value) {
+  if (value instanceof Timestamp) {
+    return new Timestamp(value._seconds, value._nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+const valuesEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Resolve a written value: Dates become Timestamps, sentinels are applied
+ */
+function resolveValue(value, current) {
+  if (value instanceof FieldValueSentinel) {
+    switch (value.kind) {
+      case 'serverTimestamp':
+        return Timestamp.now();
+      case 'increment':
+        return (typeof current === 'number' ? current : 0) + value.operand;
+      case 'arrayUnion': {
+        const result = Array.isArray(current) ? clone(current) : [];
+        value.operand.forEach(element => {
+          if (!result.some(existing => valuesEqual(existing, element))) {
+            result.push(resolveValue(element));
+          }
+        });
+        return result;
+      }
+      case 'arrayRemove':
+        return (Array.isArray(current) ? current : [])
+          .filter(existing => !value.operand.some(element => valuesEqual(existing, element)));
+      default:
+        return undefined;
+    }
+  }
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (value instanceof Timestamp) {
+    return clone(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item));
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item instanceof FieldValueSentinel && item.kind === 'delete') return;
+      if (item === undefined) return;
+      result[key] = resolveValue(item, current ? current[key] : undefined);
+    });
+    return result;
+  }
+  return value;
+}
+
+const getField = (data, path) =>
+  path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+function setField(data, path, value) {
+  const keys = path.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  const last = keys[keys.length - 1];
+  if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+    delete target[last];
+  } else if (value !== undefined) {
+    target[last] = resolveValue(value, target[last]);
+  }
+}
+
+function mergeInto(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+      delete target[key];
+    } else if (value !== undefined) {
+      target[key] = resolveValue(value, target[key]);
+    }
+  });
+}
+
+// Comparable form of a value: timestamps and dates compare by time
+function normalize(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matches(data, [field, op, expected]) {
+  const actual = getField(data, field);
+  if (actual === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case '==':
+      return valuesEqual(actual, expected);
+    case '!=':
+      return !valuesEqual(actual, expected);
+    case '<':
+      return compare(actual, expected) < 0;
+    case '<=':
+      return compare(actual, expected) <= 0;
+    case '>':
+      return compare(actual, expected) > 0;
+    case '>=':
+      return compare(actual, expected) >= 0;
+    case 'in':
+      return expected.some(value => valuesEqual(actual, value));
+    case 'not-in':
+      return !expected.some(value => valuesEqual(actual, value));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(value => valuesEqual(value, expected));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(value => expected.some(item => valuesEqual(value, item)));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+const normalizeOrderBy = (orderBy) => {
+  if (!orderBy) return [];
+  return Array.isArray(orderBy[0]) ? orderBy : [orderBy];
+};
+
+/**
+ * Run a query against a collection, returning [id, data] pairs
+ */
+function runQuery(collection, { where = [], orderBy, limit, offset } = {}) {
+  let results = [...collectionStore(collection).entries()]
+    .filter(([, data]) => where.every(condition => matches(data, condition)));
+
+  const orders = normalizeOrderBy(orderBy);
+  if (orders.length > 0) {
+    // Like Firestore, ordering on a field excludes documents without it
+    results = results.filter(([, data]) => orders.every(([field]) => getField(data, field) !== undefined));
+    results.sort(([, a], [, b]) => {
+      for (const [field, direction = 'asc'] of orders) {
+        const result = compare(getField(a, field), getField(b, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  const start = offset || 0;
+  return results.slice(start, limit ? start + limit : undefined);
+}
+
+const toRecord = (id, data) => ({ id, ...clone(data) });
+
+class NotFoundError extends Error {
+  constructor(collection, id) {
+    super(`No document to update: ${collection}/${id}`);
+    this.code = 'not-found';
+  }
+}
+
+/**
+ * Apply a single write to the store
+ */
+function applyWrite({ type, collection, id, data, merge }) {
+  const documents = collectionStore(collection);
+
+  switch (type) {
+    case 'set': {
+      if (merge && documents.has(id)) {
+        const existing = documents.get(id);
+        mergeInto(existing, data);
+      } else {
+        documents.set(id, resolveValue(data, {}));
+      }
+      break;
+    }
+    case 'update': {
+      if (!documents.has(id)) {
+        throw new NotFoundError(collection, id);
+      }
+      const existing = documents.get(id);
+      Object.entries(data).forEach(([path, value]) => setField(existing, path, value));
+      break;
+    }
+    case 'delete':
+      documents.delete(id);
+      break;
+    default:
+      throw new Error(`Unknown write type: ${type}`);
+  }
+}
+
+/**
+ * Buffers writes until the transaction function resolves
+ */
+class MemoryTransaction {
+  constructor() {
+    this.writes = [];
+  }
+
+  queue(write) {
+    this.writes.push(write);
+  }
+
+  commit() {
+    // Check updates up front so a failing transaction writes nothing
+    const created = new Set();
+    this.writes.forEach(({ type, collection, id }) => {
+      const key = `${collection}/${id}`;
+      if (type === 'set') created.add(key);
+      if (type === 'delete') created.delete(key);
+      if (type === 'update' && !created.has(key) && !collectionStore(collection).has(id)) {
+        throw new NotFoundError(collection, id);
+      }
+    });
+
+    this.writes.forEach(applyWrite);
+  }
+}
+
+// Transactions run one at a time, so reads inside one cannot go stale
+let transactionQueue = Promise.resolve();
+
+async function runTransaction(updateFunction) {
+  const previous = transactionQueue;
+  let release;
+  transactionQueue = new Promise(resolve => { release = resolve; });
+
+  await previous;
+  try {
+    const transaction = new MemoryTransaction();
+    const result = await updateFunction(transaction);
+    transaction.commit();
+    return result;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Repository for one collection
+ */
+function createRepository(collection) {
+  const write = (operation, tx) => {
+    if (tx) {
+      tx.queue(operation);
+    } else {
+      applyWrite(operation);
+    }
+  };
+
+  return {
+    collection,
+
+    newId() {
+      return uuidv4().replace(/-/g, '').slice(0, 20);
+    },
+
+    async findById(id) {
+      const data = collectionStore(collection).get(id);
+      return data ? toRecord(id, data) : null;
+    },
+
+    async find(query = {}) {
+      return runQuery(collection, query).map(([id, data]) => toRecord(id, data));
+    },
+
+    async findOne(query = {}, options = {}) {
+      const [record] = await this.find({ ...query, limit: 1 }, options);
+      return record || null;
+    },
+
+    async count(query = {}) {
+      return runQuery(collection, { where: query.where }).length;
+    },
+
+    async create(data, { tx, id } = {}) {
+      const documentId = id || this.newId();
+      write({ type: 'set', collection, id: documentId, data }, tx);
+      return documentId;
+    },
+
+    async set(id, data, { tx, merge = false } = {}) {
+      write({ type: 'set', collection, id, data, merge }, tx);
+    },
+
+    async update(id, data, { tx } = {}) {
+      write({ type: 'update', collection, id, data }, tx);
+    },
+
+    async delete(id, { tx } = {}) {
+      write({ type: 'delete', collection, id }, tx);
+    }
+  };
+}
+
+module.exports = {
+  name: 'memory',
+  Timestamp,
+  FieldValue,
+  createRepository,
+  runTransaction,
+  // Drop every stored document
+  reset: () => store.clear()
+};
@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db, FieldValue } = require('../config/firebase');
+const repositories = require('../repositories');
+const { users, drivers, rides, deliveries, verifications, logs, cancellations, payoutBatches, payouts, FieldValue } = repositories;
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const dispatch = require('../services/dispatch');
+const notifications = require('../services/notifications');
+const settlement = require('../services/settlement');
+const cancellationFees = require('../services/cancellationFees');
+const cancellationPolicy = require('../services/cancellationPolicy');
+const handoffCodes = require('../services/handoffCodes');
+const { STATUSES, TRIP_TYPES } = require('../services/tripStateMachine');
 
 // Middleware to check if user is admin
 const requireAdmin = async (req, res, next) => {
@@ -26,21 +34,18 @@ const requireAdmin = async (req, res, next) => {
  */
 router.get('/drivers/pending', authenticate, requireAdmin, async (req, res, next) => {
   try {
-    const driversQuery = await db.collection('drivers')
-      .where('verificationStatus', '==', 'pending')
-      .orderBy('createdAt', 'desc')
-      .get();
+    const pendingDriverList = await drivers.find({
+      where: [['verificationStatus', '==', 'pending']],
+      orderBy: ['createdAt', 'desc']
+    });
 
     const pendingDrivers = [];
-    for (const doc of driversQuery.docs) {
-      const driverData = doc.data();
-
+    for (const driverData of pendingDriverList) {
       // Get user information
-      const userDoc = await db.collection('users').doc(driverData.userId).get();
-      const userData = userDoc.exists ? userDoc.data() : {};
+      const userData = (await users.findById(driverData.userId)) || {};
 
       pendingDrivers.push({
-        id: doc.id,
+        id: driverData.id,
         userId: driverData.userId,
         name: userData.name || 'Unknown',
         phoneNumber: userData.phoneNumber || 'Unknown',
@@ -88,18 +93,15 @@ router.put('/drivers/:id/verify', authenticate, requireAdmin, async (req, res, n
       });
     }
 
-    const driverRef = db.collection('drivers').doc(id);
-    const driverDoc = await driverRef.get();
+    const driverData = await drivers.findById(id);
 
-    if (!driverDoc.exists) {
+    if (!driverData) {
       return res.status(404).json({
         success: false,
         error: 'Driver not found'
       });
     }
 
-    const driverData = driverDoc.data();
-
     if (driverData.verificationStatus !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -109,7 +111,7 @@ router.put('/drivers/:id/verify', authenticate, requireAdmin, async (req, res, n
     }
 
     // Update driver verification status
-    await driverRef.update({
+    await drivers.update(id, {
       verificationStatus: status === 'approved' ? 'verified' : 'rejected',
       rejectionReason: rejectionReason || null,
       verifiedAt: status === 'approved' ? FieldValue.serverTimestamp() : null,
@@ -117,16 +119,16 @@ router.put('/drivers/:id/verify', authenticate, requireAdmin, async (req, res, n
     });
 
     // Find and update verification record
-    const verificationQuery = await db.collection('verifications')
-      .where('driverId', '==', id)
-      .where('status', '==', 'pending')
-      .orderBy('submittedAt', 'desc')
-      .limit(1)
-      .get();
-
-    if (!verificationQuery.empty) {
-      const verificationDoc = verificationQuery.docs[0];
-      await verificationDoc.ref.update({
+    const verification = await verifications.findOne({
+      where: [
+        ['driverId', '==', id],
+        ['status', '==', 'pending']
+      ],
+      orderBy: ['submittedAt', 'desc']
+    });
+
+    if (verification) {
+      await verifications.update(verification.id, {
         status: status,
         reviewedAt: FieldValue.serverTimestamp(),
         reviewedBy: req.user.uid,
@@ -135,7 +137,7 @@ router.put('/drivers/:id/verify', authenticate, requireAdmin, async (req, res, n
     }
 
     // Log the verification action
-    await db.collection('logs').add({
+    await logs.create({
       action: 'driver_verification',
       driverId: id,
       status: status,
@@ -147,6 +149,10 @@ router.put('/drivers/:id/verify', authenticate, requireAdmin, async (req, res, n
     const action = status === 'approved' ? 'approved' : 'rejected';
     logger.info(`Driver ${id} verification ${action} by admin ${req.user.uid}`);
 
+    notifications.notifyUser(id, `driver_verification_${status}`, { reason: rejectionReason }).catch(error => {
+      logger.error(`Error notifying driver ${id} of verification:`, error);
+    });
+
     res.status(200).json({
       success: true,
       message: `Driver verification ${action} successfully`
@@ -168,31 +174,31 @@ router.get('/drivers', authenticate, requireAdmin, async (req, res, next) => {
     const limitNumber = parseInt(limit);
     const offset = (pageNumber - 1) * limitNumber;
 
-    let driversQuery = db.collection('drivers').orderBy('createdAt', 'desc');
+    const where = [];
 
     // Filter by status if provided
     if (status && ['pending', 'verified', 'rejected', 'suspended'].includes(status)) {
-      driversQuery = driversQuery.where('verificationStatus', '==', status);
+      where.push(['verificationStatus', '==', status]);
     }
 
     // Get total count for pagination
-    const countSnapshot = await driversQuery.get();
-    const totalCount = countSnapshot.size;
+    const totalCount = await drivers.count({ where });
 
     // Apply pagination
-    driversQuery = driversQuery.limit(limitNumber).offset(offset);
-    const driversSnapshot = await driversQuery.get();
-
-    const drivers = [];
-    for (const doc of driversSnapshot.docs) {
-      const driverData = doc.data();
+    const driverPage = await drivers.find({
+      where,
+      orderBy: ['createdAt', 'desc'],
+      limit: limitNumber,
+      offset
+    });
 
+    const driverList = [];
+    for (const driverData of driverPage) {
       // Get user information
-      const userDoc = await db.collection('users').doc(driverData.userId).get();
-      const userData = userDoc.exists ? userDoc.data() : {};
+      const userData = (await users.findById(driverData.userId)) || {};
 
-      drivers.push({
-        id: doc.id,
+      driverList.push({
+        id: driverData.id,
         userId: driverData.userId,
         name: userData.name || 'Unknown',
         phoneNumber: userData.phoneNumber || 'Unknown',
@@ -212,7 +218,7 @@ router.get('/drivers', authenticate, requireAdmin, async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      drivers,
+      drivers: driverList,
       pagination: {
         page: pageNumber,
         limit: limitNumber,
@@ -237,26 +243,28 @@ router.get('/users', authenticate, requireAdmin, async (req, res, next) => {
     const limitNumber = parseInt(limit);
     const offset = (pageNumber - 1) * limitNumber;
 
-    let usersQuery = db.collection('users').orderBy('createdAt', 'desc');
+    const where = [];
 
     // Filter by role if provided
     if (role && ['user', 'driver', 'admin'].includes(role)) {
-      usersQuery = usersQuery.where('role', '==', role);
+      where.push(['role', '==', role]);
     }
 
     // Get total count for pagination
-    const countSnapshot = await usersQuery.get();
-    const totalCount = countSnapshot.size;
+    const totalCount = await users.count({ where });
 
     // Apply pagination
-    usersQuery = usersQuery.limit(limitNumber).offset(offset);
-    const usersSnapshot = await usersQuery.get();
-
-    const users = [];
-    usersSnapshot.forEach(doc => {
-      const userData = doc.data();
-      users.push({
-        id: doc.id,
+    const userPage = await users.find({
+      where,
+      orderBy: ['createdAt', 'desc'],
+      limit: limitNumber,
+      offset
+    });
+
+    const userList = [];
+    userPage.forEach(userData => {
+      userList.push({
+        id: userData.id,
         phoneNumber: userData.phoneNumber,
         name: userData.name || null,
         email: userData.email || null,
@@ -271,7 +279,7 @@ router.get('/users', authenticate, requireAdmin, async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      users,
+      users: userList,
       pagination: {
         page: pageNumber,
         limit: limitNumber,
@@ -296,45 +304,44 @@ router.get('/rides', authenticate, requireAdmin, async (req, res, next) => {
     const limitNumber = parseInt(limit);
     const offset = (pageNumber - 1) * limitNumber;
 
-    let ridesQuery = db.collection('rides').orderBy('createdAt', 'desc');
+    const where = [];
 
     // Filter by status if provided
-    if (status && ['requested', 'confirmed', 'driver_assigned', 'arriving', 'in_progress', 'completed', 'cancelled'].includes(status)) {
-      ridesQuery = ridesQuery.where('status', '==', status);
+    if (status && STATUSES.ride.includes(status)) {
+      where.push(['status', '==', status]);
     }
 
     // Get total count for pagination
-    const countSnapshot = await ridesQuery.get();
-    const totalCount = countSnapshot.size;
+    const totalCount = await rides.count({ where });
 
     // Apply pagination
-    ridesQuery = ridesQuery.limit(limitNumber).offset(offset);
-    const ridesSnapshot = await ridesQuery.get();
-
-    const rides = [];
-    for (const doc of ridesSnapshot.docs) {
-      const rideData = doc.data();
+    const ridePage = await rides.find({
+      where,
+      orderBy: ['createdAt', 'desc'],
+      limit: limitNumber,
+      offset
+    });
 
+    const rideList = [];
+    for (const rideData of ridePage) {
       // Get user and driver information
-      const userDoc = await db.collection('users').doc(rideData.userId).get();
-      const userData = userDoc.exists ? userDoc.data() : {};
+      const userData = (await users.findById(rideData.userId)) || {};
 
       let driverData = null;
       if (rideData.driverId) {
-        const driverDoc = await db.collection('drivers').doc(rideData.driverId).get();
-        const driverUserDoc = driverDoc.exists ?
-          await db.collection('users').doc(driverDoc.data().userId).get() : null;
+        const driver = await drivers.findById(rideData.driverId);
+        const driverUser = driver ? await users.findById(driver.userId) : null;
 
-        if (driverDoc.exists) {
+        if (driver) {
           driverData = {
-            ...driverDoc.data(),
-            name: driverUserDoc?.exists ? driverUserDoc.data().name : 'Unknown'
+            ...driver,
+            name: driverUser ? driverUser.name : 'Unknown'
           };
         }
       }
 
-      rides.push({
-        id: doc.id,
+      rideList.push({
+        id: rideData.id,
         user: {
           id: rideData.userId,
           name: userData.name || 'Unknown',
@@ -359,7 +366,7 @@ router.get('/rides', authenticate, requireAdmin, async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      rides,
+      rides: rideList,
       pagination: {
         page: pageNumber,
         limit: limitNumber,
@@ -384,45 +391,44 @@ router.get('/deliveries', authenticate, requireAdmin, async (req, res, next) =>
     const limitNumber = parseInt(limit);
     const offset = (pageNumber - 1) * limitNumber;
 
-    let deliveriesQuery = db.collection('deliveries').orderBy('createdAt', 'desc');
+    const where = [];
 
     // Filter by status if provided
-    if (status && ['requested', 'confirmed', 'driver_assigned', 'picked_up', 'in_transit', 'completed', 'cancelled'].includes(status)) {
-      deliveriesQuery = deliveriesQuery.where('status', '==', status);
+    if (status && STATUSES.delivery.includes(status)) {
+      where.push(['status', '==', status]);
     }
 
     // Get total count for pagination
-    const countSnapshot = await deliveriesQuery.get();
-    const totalCount = countSnapshot.size;
+    const totalCount = await deliveries.count({ where });
 
     // Apply pagination
-    deliveriesQuery = deliveriesQuery.limit(limitNumber).offset(offset);
-    const deliveriesSnapshot = await deliveriesQuery.get();
-
-    const deliveries = [];
-    for (const doc of deliveriesSnapshot.docs) {
-      const deliveryData = doc.data();
+    const deliveryPage = await deliveries.find({
+      where,
+      orderBy: ['createdAt', 'desc'],
+      limit: limitNumber,
+      offset
+    });
 
+    const deliveryList = [];
+    for (const deliveryData of deliveryPage) {
       // Get sender and driver information
-      const senderDoc = await db.collection('users').doc(deliveryData.senderId).get();
-      const senderData = senderDoc.exists ? senderDoc.data() : {};
+      const senderData = (await users.findById(deliveryData.senderId)) || {};
 
       let driverData = null;
       if (deliveryData.driverId) {
-        const driverDoc = await db.collection('drivers').doc(deliveryData.driverId).get();
-        const driverUserDoc = driverDoc.exists ?
-          await db.collection('users').doc(driverDoc.data().userId).get() : null;
+        const driver = await drivers.findById(deliveryData.driverId);
+        const driverUser = driver ? await users.findById(driver.userId) : null;
 
-        if (driverDoc.exists) {
+        if (driver) {
           driverData = {
-            ...driverDoc.data(),
-            name: driverUserDoc?.exists ? driverUserDoc.data().name : 'Unknown'
+            ...driver,
+            name: driverUser ? driverUser.name : 'Unknown'
           };
         }
       }
 
-      deliveries.push({
-        id: doc.id,
+      deliveryList.push({
+        id: deliveryData.id,
         sender: {
           id: deliveryData.senderId,
           name: senderData.name || 'Unknown',
@@ -441,7 +447,7 @@ router.get('/deliveries', authenticate, requireAdmin, async (req, res, next) =>
         packageType: deliveryData.packageType,
         fare: deliveryData.fare,
         status: deliveryData.status,
-        proofPhotoUrl: deliveryData.proofPhotoUrl || null,
+        hasProof: Boolean(deliveryData.proof),
         createdAt: deliveryData.createdAt,
         acceptedAt: deliveryData.acceptedAt || null,
         pickedUpAt: deliveryData.pickedUpAt || null,
@@ -453,7 +459,7 @@ router.get('/deliveries', authenticate, requireAdmin, async (req, res, next) =>
 
     res.status(200).json({
       success: true,
-      deliveries,
+      deliveries: deliveryList,
       pagination: {
         page: pageNumber,
         limit: limitNumber,
@@ -467,6 +473,37 @@ router.get('/deliveries', authenticate, requireAdmin, async (req, res, next) =>
   }
 });
 
+/**
+ * GET /api/admin/:tripType/:id/dispatch
+ * Dispatch summary and offer history for a ride or delivery
+ */
+router.get('/:tripType(rides|deliveries)/:id/dispatch', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { tripType, id } = req.params;
+
+    const tripData = await repositories.forCollection(tripType).findById(id);
+
+    if (!tripData) {
+      return res.status(404).json({
+        success: false,
+        error: tripType === 'rides' ? 'Ride not found' : 'Delivery not found'
+      });
+    }
+
+    const offers = await dispatch.getOfferHistory(tripType === 'rides' ? 'ride' : 'delivery', id);
+
+    res.status(200).json({
+      success: true,
+      status: tripData.status,
+      dispatch: tripData.dispatch || null,
+      offers
+    });
+  } catch (error) {
+    logger.error('Error getting dispatch history:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/admin/analytics
  * System analytics and metrics
@@ -501,53 +538,61 @@ router.get('/analytics', authenticate, requireAdmin, async (req, res, next) => {
     }
 
     // Get user statistics
-    const totalUsers = await db.collection('users').get();
-    const activeDriversQuery = await db.collection('drivers')
-      .where('verificationStatus', '==', 'verified')
-      .get();
-    const pendingDriversQuery = await db.collection('drivers')
-      .where('verificationStatus', '==', 'pending')
-      .get();
+    const totalUsers = await users.count();
+    const activeDrivers = await drivers.count({
+      where: [['verificationStatus', '==', 'verified']]
+    });
+    const pendingDrivers = await drivers.count({
+      where: [['verificationStatus', '==', 'pending']]
+    });
 
     // Get ride statistics for the period
-    const ridesQuery = await db.collection('rides')
-      .where('createdAt', '>=', startDate)
-      .get();
+    const periodRides = await rides.find({
+      where: [['createdAt', '>=', startDate]]
+    });
 
-    const completedRidesQuery = await db.collection('rides')
-      .where('status', '==', 'completed')
-      .where('completedAt', '>=', startDate)
-      .get();
+    const completedRides = await rides.find({
+      where: [
+        ['status', '==', 'completed'],
+        ['completedAt', '>=', startDate]
+      ]
+    });
 
     // Get delivery statistics for the period
-    const deliveriesQuery = await db.collection('deliveries')
-      .where('createdAt', '>=', startDate)
-      .get();
+    const periodDeliveries = await deliveries.find({
+      where: [['createdAt', '>=', startDate]]
+    });
 
-    const completedDeliveriesQuery = await db.collection('deliveries')
-      .where('status', '==', 'completed')
-      .where('completedAt', '>=', startDate)
-      .get();
+    const completedDeliveries = await deliveries.find({
+      where: [
+        ['status', '==', 'completed'],
+        ['completedAt', '>=', startDate]
+      ]
+    });
 
     // Calculate revenue
     let totalRevenue = 0;
-    completedRidesQuery.forEach(doc => {
-      totalRevenue += doc.data().fare || 0;
+    completedRides.forEach(rideData => {
+      totalRevenue += rideData.fare || 0;
     });
-    completedDeliveriesQuery.forEach(doc => {
-      totalRevenue += doc.data().fare || 0;
+    completedDeliveries.forEach(deliveryData => {
+      totalRevenue += deliveryData.fare || 0;
     });
 
     // Get cancellation statistics
-    const cancelledRidesQuery = await db.collection('rides')
-      .where('status', '==', 'cancelled')
-      .where('cancelledAt', '>=', startDate)
-      .get();
+    const cancelledRides = await rides.count({
+      where: [
+        ['status', '==', 'cancelled'],
+        ['cancelledAt', '>=', startDate]
+      ]
+    });
 
-    const cancelledDeliveriesQuery = await db.collection('deliveries')
-      .where('status', '==', 'cancelled')
-      .where('cancelledAt', '>=', startDate)
-      .get();
+    const cancelledDeliveries = await deliveries.count({
+      where: [
+        ['status', '==', 'cancelled'],
+        ['cancelledAt', '>=', startDate]
+      ]
+    });
 
     // Calculate daily breakdown
     const dailyStats = {};
@@ -565,8 +610,7 @@ router.get('/analytics', authenticate, requireAdmin, async (req, res, next) => {
     }
 
     // Add daily ride data
-    ridesQuery.forEach(doc => {
-      const rideData = doc.data();
+    periodRides.forEach(rideData => {
       const createdDate = rideData.createdAt.toDate().toISOString().split('T')[0];
       if (dailyStats[createdDate]) {
         dailyStats[createdDate].rides += 1;
@@ -579,8 +623,7 @@ router.get('/analytics', authenticate, requireAdmin, async (req, res, next) => {
     });
 
     // Add daily delivery data
-    deliveriesQuery.forEach(doc => {
-      const deliveryData = doc.data();
+    periodDeliveries.forEach(deliveryData => {
       const createdDate = deliveryData.createdAt.toDate().toISOString().split('T')[0];
       if (dailyStats[createdDate]) {
         dailyStats[createdDate].deliveries += 1;
@@ -595,21 +638,21 @@ router.get('/analytics', authenticate, requireAdmin, async (req, res, next) => {
     const analytics = {
       period,
       users: {
-        total: totalUsers.size,
+        total: totalUsers,
         drivers: {
-          active: activeDriversQuery.size,
-          pending: pendingDriversQuery.size
+          active: activeDrivers,
+          pending: pendingDrivers
         }
       },
       rides: {
-        total: ridesQuery.size,
-        completed: completedRidesQuery.size,
-        cancelled: cancelledRidesQuery.size
+        total: periodRides.length,
+        completed: completedRides.length,
+        cancelled: cancelledRides
       },
       deliveries: {
-        total: deliveriesQuery.size,
-        completed: completedDeliveriesQuery.size,
-        cancelled: cancelledDeliveriesQuery.size
+        total: periodDeliveries.length,
+        completed: completedDeliveries.length,
+        cancelled: cancelledDeliveries
       },
       revenue: Math.round(totalRevenue * 100) / 100,
       dailyStats
@@ -642,10 +685,9 @@ router.put('/drivers/:id/suspend', authenticate, requireAdmin, async (req, res,
       });
     }
 
-    const driverRef = db.collection('drivers').doc(id);
-    const driverDoc = await driverRef.get();
+    const driverData = await drivers.findById(id);
 
-    if (!driverDoc.exists) {
+    if (!driverData) {
       return res.status(404).json({
         success: false,
         error: 'Driver not found'
@@ -668,10 +710,10 @@ router.put('/drivers/:id/suspend', authenticate, requireAdmin, async (req, res,
       updateData.suspendedAt = null;
     }
 
-    await driverRef.update(updateData);
+    await drivers.update(id, updateData);
 
     // Log the suspension action
-    await db.collection('logs').add({
+    await logs.create({
       action: 'driver_suspension',
       driverId: id,
       suspended,
@@ -693,4 +735,369 @@ router.put('/drivers/:id/suspend', authenticate, requireAdmin, async (req, res,
   }
 });
 
+/**
+ * GET /api/admin/cancellations/disputes
+ * Disputed cancellation fees, oldest first (query: status, default open)
+ */
+router.get('/cancellations/disputes', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const offset = (pageNumber - 1) * limitNumber;
+
+    if (!['open', 'upheld', 'waived'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: 'Status must be one of: open, upheld, waived'
+      });
+    }
+
+    const where = [['disputeStatus', '==', status]];
+
+    const totalCount = await cancellations.count({ where });
+    const disputes = await cancellations.find({
+      where,
+      orderBy: ['createdAt', 'asc'],
+      limit: limitNumber,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      disputes,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limitNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting cancellation disputes:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/cancellations/:id/:decision(waive|uphold)
+ * Waive a cancellation fee (refunding it and taking back any driver
+ * compensation it paid for) or uphold a disputed one
+ */
+router.put('/cancellations/:id/:decision(waive|uphold)', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { id, decision } = req.params;
+
+    const cancellation = await repositories.runTransaction(async (tx) => {
+      const resolved = await cancellationFees.resolveFee(id, decision, {
+        tx,
+        adminId: req.user.uid,
+        note: req.body.note || null
+      });
+
+      // The driver's compensation came out of the fee, so it goes with it
+      if (decision === 'waive') {
+        await settlement.reverseCancellationCompensation(tx, resolved, TRIP_TYPES[resolved.tripType]);
+      }
+
+      return resolved;
+    });
+
+    const outcome = decision === 'waive' ? 'waived' : 'upheld';
+    logger.info(`Cancellation fee ${id} ${outcome} by admin ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Cancellation fee ${outcome}`,
+      cancellation
+    });
+  } catch (error) {
+    logger.error('Error resolving cancellation fee:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/deliveries/:id/handoff/:stage(pickup|dropoff)/override
+ * Let the driver complete a pickup or drop-off without the code, e.g. when
+ * the code was lost or too many wrong codes locked the handoff
+ */
+router.put('/deliveries/:id/handoff/:stage(pickup|dropoff)/override', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { id, stage } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason required',
+        message: 'Give a reason for overriding the handoff code'
+      });
+    }
+
+    const handoff = await handoffCodes.overrideHandoff(id, stage, {
+      adminId: req.user.uid,
+      reason
+    });
+
+    logger.info(`Delivery ${id} ${stage} code overridden by admin ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Handoff code overridden. The driver can continue without it.',
+      handoff
+    });
+  } catch (error) {
+    logger.error('Error overriding delivery handoff:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cancellation-policies
+ * Cancellation policies in force for rides and deliveries
+ */
+router.get('/cancellation-policies', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const [ride, delivery] = await Promise.all([
+      cancellationPolicy.getPolicy('ride'),
+      cancellationPolicy.getPolicy('delivery')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      policies: { ride, delivery }
+    });
+  } catch (error) {
+    logger.error('Error getting cancellation policies:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/cancellation-policies/:tripType
+ * Replace the cancellation policy for rides or deliveries
+ * Body: { lateGraceMinutes, rules: [...] }
+ */
+router.put('/cancellation-policies/:tripType(ride|delivery)', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { tripType } = req.params;
+
+    const policyError = cancellationPolicy.validatePolicy(tripType, req.body);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid policy',
+        message: policyError
+      });
+    }
+
+    const policy = await cancellationPolicy.savePolicy(tripType, req.body, req.user.uid);
+
+    await logs.create({
+      action: 'cancellation_policy_updated',
+      tripType,
+      policy: { lateGraceMinutes: policy.lateGraceMinutes, rules: policy.rules },
+      adminId: req.user.uid,
+      timestamp: FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Cancellation policy for ${tripType} updated by admin ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated',
+      policy
+    });
+  } catch (error) {
+    logger.error('Error updating cancellation policy:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cancellation-policies/:tripType
+ * Go back to the default cancellation policy for rides or deliveries
+ */
+router.delete('/cancellation-policies/:tripType(ride|delivery)', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { tripType } = req.params;
+
+    const policy = await cancellationPolicy.resetPolicy(tripType);
+
+    await logs.create({
+      action: 'cancellation_policy_reset',
+      tripType,
+      adminId: req.user.uid,
+      timestamp: FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Cancellation policy for ${tripType} reset by admin ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy reset to default',
+      policy
+    });
+  } catch (error) {
+    logger.error('Error resetting cancellation policy:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/drivers/:id/statement
+ * A driver's settlements, payouts and balance (query: from, to)
+ */
+router.get('/drivers/:id/statement', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const range = settlement.parseStatementRange(req.query);
+    const statement = await settlement.getStatement(req.params.id, range);
+
+    res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    logger.error('Error getting driver statement:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/payouts/batches
+ * Generate the payout batch for the week before the one containing weekOf
+ * (default: last week)
+ */
+router.post('/payouts/batches', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const weekOf = req.body.weekOf ? new Date(req.body.weekOf) : new Date();
+
+    if (isNaN(weekOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'weekOf must be a date, e.g. 2024-01-31'
+      });
+    }
+
+    const batch = await settlement.generatePayoutBatch({ weekOf, createdBy: req.user.uid });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch created with ${batch.payoutCount} payouts`,
+      batch
+    });
+  } catch (error) {
+    logger.error('Error generating payout batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/payouts/batches
+ * List payout batches, newest first
+ */
+router.get('/payouts/batches', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const offset = (pageNumber - 1) * limitNumber;
+
+    const where = [];
+    if (status && ['pending_approval', 'approved', 'paid'].includes(status)) {
+      where.push(['status', '==', status]);
+    }
+
+    const totalCount = await payoutBatches.count({ where });
+    const batches = await payoutBatches.find({
+      where,
+      orderBy: ['periodStart', 'desc'],
+      limit: limitNumber,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      batches,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limitNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting payout batches:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/payouts/batches/:id
+ * A payout batch with its payouts
+ */
+router.get('/payouts/batches/:id', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const batch = await payoutBatches.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout batch not found'
+      });
+    }
+
+    const batchPayouts = await payouts.find({ where: [['batchId', '==', batch.id]] });
+
+    res.status(200).json({
+      success: true,
+      batch: { ...batch, payouts: batchPayouts }
+    });
+  } catch (error) {
+    logger.error('Error getting payout batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/payouts/batches/:id/approve
+ * Approve a payout batch for payment
+ */
+router.put('/payouts/batches/:id/approve', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const batch = await settlement.approveBatch(req.params.id, req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch approved',
+      batch
+    });
+  } catch (error) {
+    logger.error('Error approving payout batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/payouts/batches/:id/paid
+ * Mark an approved payout batch as paid (body: reference of the bank transfer)
+ */
+router.put('/payouts/batches/:id/paid', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const batch = await settlement.markBatchPaid(req.params.id, req.user.uid, req.body.reference || null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch marked as paid',
+      batch
+    });
+  } catch (error) {
+    logger.error('Error marking payout batch paid:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
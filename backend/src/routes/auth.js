@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db, FieldValue } = require('../config/firebase');
+const { auth } = require('../config/firebase');
+const { users, otpVerifications, FieldValue } = require('../repositories');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const notifications = require('../services/notifications');
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
 
 /**
  * POST /api/auth/send-otp
@@ -38,7 +42,7 @@ router.post('/send-otp', authLimiter, async (req, res, next) => {
     logger.info(`OTP sent to ${phoneNumber}: ${otp}`);
 
     // Store OTP in database with expiry (5 minutes)
-    await db.collection('otp_verifications').add({
+    await otpVerifications.create({
       phoneNumber,
       otp,
       createdAt: FieldValue.serverTimestamp(),
@@ -74,14 +78,15 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
     }
 
     // Find OTP verification record
-    const otpQuery = await db.collection('otp_verifications')
-      .where('phoneNumber', '==', phoneNumber)
-      .where('verified', '==', false)
-      .orderBy('createdAt', 'desc')
-      .limit(1)
-      .get();
-
-    if (otpQuery.empty) {
+    const otpData = await otpVerifications.findOne({
+      where: [
+        ['phoneNumber', '==', phoneNumber],
+        ['verified', '==', false]
+      ],
+      orderBy: ['createdAt', 'desc']
+    });
+
+    if (!otpData) {
       return res.status(400).json({
         success: false,
         error: 'No OTP found',
@@ -89,9 +94,6 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
       });
     }
 
-    const otpDoc = otpQuery.docs[0];
-    const otpData = otpDoc.data();
-
     // Check if OTP expired
     if (otpData.expiresAt.toDate() < new Date()) {
       return res.status(400).json({
@@ -113,7 +115,7 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
     // Verify OTP
     if (otpData.otp !== otp) {
       // Increment attempts
-      await otpDoc.ref.update({
+      await otpVerifications.update(otpData.id, {
         attempts: FieldValue.increment(1)
       });
 
@@ -125,7 +127,7 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
     }
 
     // Mark OTP as verified
-    await otpDoc.ref.update({
+    await otpVerifications.update(otpData.id, {
       verified: true,
       verifiedAt: FieldValue.serverTimestamp()
     });
@@ -143,7 +145,7 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
         });
 
         // Create user document in Firestore
-        await db.collection('users').doc(userRecord.uid).set({
+        await users.set(userRecord.uid, {
           uid: userRecord.uid,
           phoneNumber,
           role: 'user', // Default role
@@ -163,8 +165,7 @@ router.post('/verify-otp', authLimiter, async (req, res, next) => {
     const customToken = await auth.createCustomToken(userRecord.uid);
 
     // Get user document
-    const userDoc = await db.collection('users').doc(userRecord.uid).get();
-    const userData = userDoc.data();
+    const userData = await users.findById(userRecord.uid);
 
     res.status(200).json({
       success: true,
@@ -213,15 +214,15 @@ router.put('/profile', authenticate, async (req, res, next) => {
     if (language) updates.language = language;
     updates.updatedAt = FieldValue.serverTimestamp();
 
-    await db.collection('users').doc(req.user.uid).update(updates);
+    await users.update(req.user.uid, updates);
 
     // Get updated user data
-    const updatedDoc = await db.collection('users').doc(req.user.uid).get();
+    const { id, ...updatedUser } = await users.findById(req.user.uid);
 
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      user: updatedDoc.data()
+      user: updatedUser
     });
   } catch (error) {
     next(error);
@@ -243,7 +244,7 @@ router.post('/verify-age', authenticate, async (req, res, next) => {
       });
     }
 
-    await db.collection('users').doc(req.user.uid).update({
+    await users.update(req.user.uid, {
       ageVerified: true,
       ageVerifiedAt: FieldValue.serverTimestamp()
     });
@@ -257,4 +258,74 @@ router.post('/verify-age', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/devices
+ * Register a device token for push notifications
+ */
+router.post('/devices', authenticate, async (req, res, next) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Device token required'
+      });
+    }
+
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid platform',
+        message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`
+      });
+    }
+
+    await notifications.registerDevice(req.user.uid, token, platform);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered successfully'
+    });
+  } catch (error) {
+    logger.error('Error registering device:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/devices
+ * Stop sending push notifications to a device token
+ */
+router.delete('/devices', authenticate, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Device token required'
+      });
+    }
+
+    const removed = await notifications.unregisterDevice(req.user.uid, token);
+
+    if (!removed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'This device is registered to another account'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    logger.error('Error unregistering device:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
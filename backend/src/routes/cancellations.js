@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { cancellations, users } = require('../repositories');
+const { authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const cancellationFees = require('../services/cancellationFees');
+
+/**
+ * GET /api/cancellations
+ * Trips the user cancelled or had cancelled, with fees and disputes, and
+ * the fees still owed
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const [cancellationList, userData] = await Promise.all([
+      cancellations.find({
+        where: [['payerId', '==', req.user.uid]],
+        orderBy: ['createdAt', 'desc']
+      }),
+      users.findById(req.user.uid)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      payableBalance: userData?.payableBalance || 0,
+      cancellations: cancellationList.map(cancellation => ({
+        ...cancellation,
+        createdAt: cancellation.createdAt?.toDate()
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting cancellations:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cancellations/:id/dispute
+ * Dispute a cancellation fee
+ */
+router.post('/:id/dispute', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason required',
+        message: 'Tell us why you are disputing this fee'
+      });
+    }
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason too long',
+        message: 'Reason must be 500 characters or fewer'
+      });
+    }
+
+    const cancellation = await cancellationFees.disputeFee(id, req.user.uid, reason);
+
+    logger.info(`Cancellation fee ${id} disputed by ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute submitted. We will review it and let you know.',
+      cancellation
+    });
+  } catch (error) {
+    logger.error('Error disputing cancellation fee:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db, FieldValue, storage } = require('../config/firebase');
+const repositories = require('../repositories');
+const { deliveries, drivers, FieldValue } = repositories;
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { encodeGeohash, findNearby } = require('../utils/geo');
+const dispatch = require('../services/dispatch');
+const tripStateMachine = require('../services/tripStateMachine');
+const fareQuotes = require('../services/fareQuotes');
+const tripRoutes = require('../services/tripRoutes');
+const payments = require('../services/payments');
+const cancellationPolicy = require('../services/cancellationPolicy');
+const ratings = require('../services/ratings');
+const scheduledTrips = require('../services/scheduledTrips');
+const handoffCodes = require('../services/handoffCodes');
+const deliveryProof = require('../services/deliveryProof');
+const trackingLinks = require('../services/trackingLinks');
+const multer = require('multer');
+const {
+  PACKAGE_TYPE_SURCHARGES,
+  PACKAGE_SIZE_BANDS,
+  MAX_DECLARED_VALUE,
+  estimateDeliveryFare
+} = require('../services/pricing');
+
+// Proof files are held in memory until they are checked and stored
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: deliveryProof.PROOF_CONFIG.maxFileSize
+  }
+});
+
+// Check the delivery and driver before accepting any proof files
+const checkProofUpload = async (req, res, next) => {
+  try {
+    await deliveryProof.assertCanUpload(req.params.id, req.user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * POST /api/deliveries/create
@@ -10,14 +48,23 @@ const logger = require('../utils/logger');
  */
 router.post('/create', authenticate, async (req, res, next) => {
   try {
-    const { pickup, destination, packageType, fare, recipientName, recipientPhone, notes } = req.body;
+    const {
+      pickup,
+      destination,
+      packageType,
+      quoteId,
+      recipientName,
+      recipientPhone,
+      notes,
+      paymentMethod = payments.DEFAULT_PAYMENT_METHOD
+    } = req.body;
 
     // Validate required fields
-    if (!pickup || !destination || !packageType || !fare || !recipientName || !recipientPhone) {
+    if (!pickup || !destination || !packageType || !quoteId || !recipientName || !recipientPhone) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'pickup, destination, packageType, fare, recipientName, and recipientPhone are required'
+        message: 'pickup, destination, packageType, quoteId, recipientName, and recipientPhone are required'
       });
     }
 
@@ -40,15 +87,36 @@ router.post('/create', authenticate, async (req, res, next) => {
       });
     }
 
-    // Validate fare
-    if (typeof fare !== 'number' || fare <= 0) {
+    // Validate payment method
+    const paymentMethodError = payments.validatePaymentMethod(paymentMethod);
+    if (paymentMethodError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid fare',
-        message: 'Fare must be a positive number'
+        error: 'Invalid payment method',
+        message: paymentMethodError
       });
     }
 
+    // Verify the server-issued fare quote; the fare comes from it
+    let quote;
+    try {
+      quote = fareQuotes.verifyQuote(quoteId, 'delivery');
+      fareQuotes.assertQuoteMatchesTrip(quote, pickup, destination);
+
+      if (quote.packageType && quote.packageType !== packageType) {
+        throw new fareQuotes.QuoteError('mismatch', 'Package type differs from the quoted delivery. Please request a new estimate');
+      }
+    } catch (error) {
+      if (error instanceof fareQuotes.QuoteError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Invalid fare quote',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
     // Validate phone number format (Indian numbers)
     const phoneRegex = /^\+91[6-9]\d{9}$/;
     if (!phoneRegex.test(recipientPhone)) {
@@ -59,13 +127,23 @@ router.post('/create', authenticate, async (req, res, next) => {
       });
     }
 
+    await payments.assertCanPay(paymentMethod, req.user.uid, quote.fare);
+
+    // A pickup time books the delivery for later instead of dispatching it now
+    const scheduledFor = scheduledTrips.parseScheduledFor(req.body.scheduledFor);
+    if (scheduledFor) {
+      await scheduledTrips.assertCanSchedule('delivery', req.user.uid);
+    }
+
     // Check if user has any active deliveries
-    const activeDeliveriesQuery = await db.collection('deliveries')
-      .where('senderId', '==', req.user.uid)
-      .where('status', 'in', ['requested', 'confirmed', 'driver_assigned', 'picked_up', 'in_transit'])
-      .get();
+    const activeDelivery = !scheduledFor && await deliveries.findOne({
+      where: [
+        ['senderId', '==', req.user.uid],
+        ['status', 'in', tripStateMachine.ACTIVE_STATUSES.delivery]
+      ]
+    });
 
-    if (!activeDeliveriesQuery.empty) {
+    if (activeDelivery) {
       return res.status(400).json({
         success: false,
         error: 'Active delivery exists',
@@ -80,6 +158,7 @@ router.post('/create', authenticate, async (req, res, next) => {
         address: pickup.address || `${pickup.latitude}, ${pickup.longitude}`,
         latitude: pickup.latitude,
         longitude: pickup.longitude,
+        geohash: encodeGeohash(pickup.latitude, pickup.longitude),
         placeId: pickup.placeId || null,
         contactName: pickup.contactName || req.user.name || 'Sender',
         contactPhone: pickup.contactPhone || req.user.phoneNumber
@@ -93,25 +172,67 @@ router.post('/create', authenticate, async (req, res, next) => {
         contactPhone: recipientPhone
       },
       packageType,
-      fare,
+      sizeBand: quote.sizeBand,
+      declaredValue: quote.declaredValue,
+      insurance: quote.insurance,
+      fare: quote.fare,
+      fareBreakdown: quote.breakdown,
+      quoteId: quote.id,
+      estimatedDistance: quote.distance,
+      estimatedDuration: quote.duration,
+      paymentMethod,
       notes: notes || '',
-      status: 'requested',
+      status: scheduledFor ? tripStateMachine.SCHEDULED_STATUS : 'requested',
+      scheduledFor,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
     };
 
-    const deliveryRef = await db.collection('deliveries').add(deliveryData);
-    const deliveryDoc = await deliveryRef.get();
+    // Redeem the quote and create the delivery atomically so a quote books once
+    const deliveryId = deliveries.newId();
+    let pickupCode;
+    try {
+      await repositories.runTransaction(async (tx) => {
+        await fareQuotes.redeemQuote(tx, quote, {
+          userId: req.user.uid,
+          deliveryId
+        });
+        await deliveries.create(deliveryData, { tx, id: deliveryId });
+        pickupCode = await handoffCodes.createCodes(tx, deliveryId, req.user.uid);
+        if (scheduledFor) {
+          await scheduledTrips.scheduleTripJobs(tx, 'delivery', deliveryId, scheduledFor);
+        }
+      });
+    } catch (error) {
+      if (error instanceof fareQuotes.QuoteError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Invalid fare quote',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const delivery = await deliveries.findById(deliveryId);
+
+    if (scheduledFor) {
+      logger.info(`Delivery scheduled: ${deliveryId} by user ${req.user.uid} for ${scheduledFor.toISOString()}`);
+    } else {
+      logger.info(`Delivery created: ${deliveryId} by user ${req.user.uid}`);
 
-    logger.info(`Delivery created: ${deliveryRef.id} by user ${req.user.uid}`);
+      // Start offering the delivery to nearby drivers in the background
+      dispatch.startDispatch('delivery', deliveryId).catch(error => {
+        logger.error(`Error dispatching delivery ${deliveryId}:`, error);
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Delivery created successfully',
-      delivery: {
-        id: deliveryRef.id,
-        ...deliveryDoc.data()
-      }
+      message: scheduledFor ? 'Delivery scheduled successfully' : 'Delivery created successfully',
+      delivery,
+      // The sender gives this to the driver when handing over the package
+      pickupCode
     });
   } catch (error) {
     logger.error('Error creating delivery:', error);
@@ -156,31 +277,21 @@ router.get('/nearby', authenticate, async (req, res, next) => {
       });
     }
 
-    // Find nearby delivery requests (simplified geospatial query)
-    const deliveryRequestsQuery = await db.collection('deliveries')
-      .where('status', '==', 'requested')
-      .get();
-
-    const nearbyDeliveries = [];
-    deliveryRequestsQuery.forEach(doc => {
-      const deliveryData = doc.data();
-      const distance = calculateDistance(
-        lat, lng,
-        deliveryData.pickup.latitude,
-        deliveryData.pickup.longitude
-      );
-
-      if (distance <= searchRadius) {
-        nearbyDeliveries.push({
-          id: doc.id,
-          ...deliveryData,
-          distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
-        });
-      }
+    // Find delivery requests in the geohash cells covering the radius
+    const nearby = await findNearby(deliveries, {
+      geohashField: 'pickup.geohash',
+      where: [['status', '==', 'requested']],
+      latitude: lat,
+      longitude: lng,
+      radiusKm: searchRadius,
+      locate: deliveryData => deliveryData.pickup
     });
 
-    // Sort by distance
-    nearbyDeliveries.sort((a, b) => a.distance - b.distance);
+    // Already sorted by distance
+    const nearbyDeliveries = nearby.map(({ record: deliveryData, distance }) => ({
+      ...deliveryData,
+      distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
+    }));
 
     res.status(200).json({
       success: true,
@@ -200,16 +311,83 @@ router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const deliveryDoc = await db.collection('deliveries').doc(id).get();
+    const deliveryData = await deliveries.findById(id);
 
-    if (!deliveryDoc.exists) {
+    if (!deliveryData) {
       return res.status(404).json({
         success: false,
         error: 'Delivery not found'
       });
     }
 
-    const deliveryData = deliveryDoc.data();
+    // Check if user has access to this delivery
+    const hasAccess = deliveryData.senderId === req.user.uid ||
+                     deliveryData.driverId === req.user.uid ||
+                     req.user.role === 'admin';
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to view this delivery'
+      });
+    }
+
+    let responseData = { ...deliveryData };
+
+    // If the delivery has an assigned driver, include their details and location
+    if (deliveryData.driverId) {
+      try {
+        const driverData = await drivers.findById(deliveryData.driverId);
+        if (driverData) {
+          responseData.driver = {
+            id: driverData.id,
+            name: driverData.name,
+            phoneNumber: driverData.phoneNumber,
+            vehicleInfo: driverData.vehicleInfo,
+            rating: driverData.rating,
+            totalDeliveries: driverData.totalDeliveries,
+            currentLocation: driverData.currentLocation
+          };
+        }
+      } catch (driverError) {
+        logger.error('Error fetching driver data:', driverError);
+        // Continue without driver data if fetch fails
+      }
+    }
+
+    // Only the sender sees the pickup code
+    const pickupCode = deliveryData.senderId === req.user.uid
+      ? await handoffCodes.getPickupCode(id)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      delivery: responseData,
+      pickupCode
+    });
+  } catch (error) {
+    logger.error('Error getting delivery details:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/deliveries/:id/route
+ * Path taken by the driver, with distance and duration once the package was picked up
+ */
+router.get('/:id/route', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deliveryData = await deliveries.findById(id);
+
+    if (!deliveryData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
 
     // Check if user has access to this delivery
     const hasAccess = deliveryData.senderId === req.user.uid ||
@@ -224,15 +402,18 @@ router.get('/:id', authenticate, async (req, res, next) => {
       });
     }
 
+    const route = await tripRoutes.getRoute('delivery', id, deliveryData);
+
     res.status(200).json({
       success: true,
-      delivery: {
-        id: deliveryDoc.id,
-        ...deliveryData
+      route: {
+        deliveryId: id,
+        status: deliveryData.status,
+        ...route
       }
     });
   } catch (error) {
-    logger.error('Error getting delivery details:', error);
+    logger.error('Error getting delivery route:', error);
     next(error);
   }
 });
@@ -255,8 +436,8 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
     }
 
     // Check driver verification status
-    const driverDoc = await db.collection('drivers').doc(req.user.uid).get();
-    if (!driverDoc.exists || driverDoc.data().verificationStatus !== 'verified') {
+    const driverData = await drivers.findById(req.user.uid);
+    if (!driverData || driverData.verificationStatus !== 'verified') {
       return res.status(403).json({
         success: false,
         error: 'Driver not verified',
@@ -264,44 +445,19 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
       });
     }
 
-    const deliveryRef = db.collection('deliveries').doc(id);
-    const deliveryDoc = await deliveryRef.get();
-
-    if (!deliveryDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Delivery not found'
-      });
-    }
-
-    const deliveryData = deliveryDoc.data();
-
-    // Check if delivery is available for acceptance
-    if (deliveryData.status !== 'requested') {
-      return res.status(400).json({
-        success: false,
-        error: 'Delivery not available',
-        message: `Delivery is ${deliveryData.status} and cannot be accepted`
-      });
-    }
-
-    // Accept the delivery
-    await deliveryRef.update({
-      driverId: req.user.uid,
-      status: 'confirmed',
-      acceptedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
-    });
-
-    // Update driver status
-    await db.collection('drivers').doc(req.user.uid).update({
-      currentDeliveryId: id,
-      isAvailable: false,
-      updatedAt: FieldValue.serverTimestamp()
+    const { trip } = await tripStateMachine.transition('delivery', id, 'accept', {
+      user: req.user,
+      updates: (deliveryData) => ({
+        driverId: req.user.uid,
+        ...cancellationPolicy.acceptanceFields(deliveryData, driverData)
+      })
     });
 
     logger.info(`Delivery ${id} accepted by driver ${req.user.uid}`);
 
+    // Let the recipient follow the package from here on
+    trackingLinks.sendTrackingLink(id, trip);
+
     res.status(200).json({
       success: true,
       message: 'Delivery accepted successfully'
@@ -313,52 +469,47 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
 });
 
 /**
- * PUT /api/deliveries/:id/pickup
- * Driver confirms package pickup
+ * PUT /api/deliveries/:id/arriving
+ * Driver is arriving at the pickup location
  */
-router.put('/:id/pickup', authenticate, async (req, res, next) => {
+router.put('/:id/arriving', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const deliveryRef = db.collection('deliveries').doc(id);
-    const deliveryDoc = await deliveryRef.get();
-
-    if (!deliveryDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Delivery not found'
-      });
-    }
+    await tripStateMachine.transition('delivery', id, 'arrive', { user: req.user });
 
-    const deliveryData = deliveryDoc.data();
+    res.status(200).json({
+      success: true,
+      message: 'Delivery marked as arriving'
+    });
+  } catch (error) {
+    logger.error('Error marking delivery as arriving:', error);
+    next(error);
+  }
+});
 
-    // Check if user is the assigned driver
-    if (deliveryData.driverId !== req.user.uid) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'Only the assigned driver can confirm pickup'
-      });
-    }
+/**
+ * PUT /api/deliveries/:id/pickup
+ * Driver confirms package pickup with the sender's pickup code
+ */
+router.put('/:id/pickup', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { code } = req.body;
 
-    // Check if delivery can be picked up
-    if (deliveryData.status !== 'confirmed') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot confirm pickup',
-        message: `Delivery is ${deliveryData.status} and pickup cannot be confirmed`
-      });
-    }
+    // Counts a wrong code against the limit; a right one is recorded with the pickup
+    await handoffCodes.checkCode(id, 'pickup', req.user, code);
 
-    // Confirm pickup
-    await deliveryRef.update({
-      status: 'picked_up',
-      pickedUpAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
+    const { trip } = await tripStateMachine.transition('delivery', id, 'pickup', {
+      user: req.user,
+      handoffCode: code
     });
 
     logger.info(`Delivery ${id} picked up by driver ${req.user.uid}`);
 
+    // The recipient needs the drop-off code once the package is on its way
+    handoffCodes.sendDropoffCode(id, trip);
+
     res.status(200).json({
       success: true,
       message: 'Package pickup confirmed successfully'
@@ -370,67 +521,44 @@ router.put('/:id/pickup', authenticate, async (req, res, next) => {
 });
 
 /**
- * PUT /api/deliveries/:id/complete
- * Driver completes the delivery
+ * PUT /api/deliveries/:id/in-transit
+ * Driver is on the way to the drop-off location
  */
-router.put('/:id/complete', authenticate, async (req, res, next) => {
+router.put('/:id/in-transit', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { proofPhotoUrl } = req.body;
 
-    const deliveryRef = db.collection('deliveries').doc(id);
-    const deliveryDoc = await deliveryRef.get();
+    await tripStateMachine.transition('delivery', id, 'transit', { user: req.user });
 
-    if (!deliveryDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Delivery not found'
-      });
-    }
-
-    const deliveryData = deliveryDoc.data();
-
-    // Check if user is the assigned driver
-    if (deliveryData.driverId !== req.user.uid) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'Only the assigned driver can complete this delivery'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Delivery marked as in transit'
+    });
+  } catch (error) {
+    logger.error('Error marking delivery in transit:', error);
+    next(error);
+  }
+});
 
-    // Check if delivery can be completed
-    if (deliveryData.status !== 'picked_up' && deliveryData.status !== 'in_transit') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot complete delivery',
-        message: `Delivery is ${deliveryData.status} and cannot be completed`
-      });
-    }
+/**
+ * PUT /api/deliveries/:id/complete
+ * Driver completes the delivery with the recipient's drop-off code
+ */
+router.put('/:id/complete', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { code } = req.body;
 
-    // Complete the delivery
-    await deliveryRef.update({
-      status: 'completed',
-      completedAt: FieldValue.serverTimestamp(),
-      proofPhotoUrl: proofPhotoUrl || null,
-      updatedAt: FieldValue.serverTimestamp()
-    });
+    // Counts a wrong code against the limit; a right one is recorded with the completion
+    await handoffCodes.checkCode(id, 'dropoff', req.user, code);
 
-    // Update driver status
-    await db.collection('drivers').doc(req.user.uid).update({
-      currentDeliveryId: null,
-      isAvailable: true,
-      updatedAt: FieldValue.serverTimestamp()
-    });
+    // Record the route actually taken along with the completion
+    const routeUpdates = await tripRoutes.buildCompletionUpdates('delivery', id);
 
-    // Create payment record
-    await db.collection('payments').add({
-      deliveryId: id,
-      senderId: deliveryData.senderId,
-      driverId: deliveryData.driverId,
-      amount: deliveryData.fare,
-      status: 'pending',
-      createdAt: FieldValue.serverTimestamp()
+    await tripStateMachine.transition('delivery', id, 'complete', {
+      user: req.user,
+      updates: routeUpdates,
+      handoffCode: code
     });
 
     logger.info(`Delivery ${id} completed by driver ${req.user.uid}`);
@@ -447,192 +575,192 @@ router.put('/:id/complete', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/deliveries/:id/proof
- * Upload delivery proof photo
+ * Upload proof of delivery: up to three photos (proofPhoto) and the
+ * recipient's signature (signature) as multipart/form-data, until the
+ * delivery is completed
  */
-router.post('/:id/proof', authenticate, async (req, res, next) => {
+router.post('/:id/proof', authenticate, checkProofUpload, proofUpload.fields(deliveryProof.PROOF_FIELDS), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Check if file is provided (multipart/form-data)
-    if (!req.files || !req.files.proofPhoto) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-        message: 'Please upload a proof photo'
-      });
-    }
+    const proof = await deliveryProof.uploadProof(id, req.user, req.files);
 
-    const deliveryDoc = await db.collection('deliveries').doc(id).get();
+    logger.info(`Proof uploaded for delivery ${id} by driver ${req.user.uid}: ${proof.photos.length} photo(s)${proof.signature ? ' and signature' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Proof uploaded successfully',
+      proof
+    });
+  } catch (error) {
+    logger.error('Error uploading delivery proof:', error);
+    next(error);
+  }
+});
 
-    if (!deliveryDoc.exists) {
+/**
+ * GET /api/deliveries/:id/proof
+ * Short-lived links to the delivery proof for the sender, driver or admins
+ */
+router.get('/:id/proof', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const proof = await deliveryProof.getProofLinks(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      proof
+    });
+  } catch (error) {
+    logger.error('Error getting delivery proof:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deliveries/:id/tracking-link
+ * Text the recipient a new tracking link, for the sender or admins, and
+ * return it so the sender can pass it on themselves
+ */
+router.post('/:id/tracking-link', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deliveryData = await deliveries.findById(id);
+
+    if (!deliveryData) {
       return res.status(404).json({
         success: false,
         error: 'Delivery not found'
       });
     }
 
-    const deliveryData = deliveryDoc.data();
-
-    // Check if user is the assigned driver
-    if (deliveryData.driverId !== req.user.uid) {
+    if (deliveryData.senderId !== req.user.uid && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
-        message: 'Only the assigned driver can upload proof photos'
+        message: 'Only the sender can share the tracking link'
       });
     }
 
-    const file = req.files.proofPhoto;
-
-    // Validate file type
-    if (!file.mimetype.startsWith('image/')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file type',
-        message: 'Only image files are allowed'
-      });
-    }
-
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      return res.status(400).json({
+    if (tripStateMachine.TERMINAL_STATUSES.includes(deliveryData.status)) {
+      return res.status(409).json({
         success: false,
-        error: 'File too large',
-        message: 'Maximum file size is 5MB'
+        error: 'Delivery ended',
+        message: 'Tracking links can only be shared while the delivery is under way'
       });
     }
 
-    // Upload to Firebase Storage
-    const fileName = `delivery_proofs/${req.user.uid}/${Date.now()}_${file.name}`;
-    const fileRef = storage.bucket().file(fileName);
-
-    await fileRef.save(file.data, {
-      metadata: {
-        contentType: file.mimetype
-      }
-    });
-
-    // Make file publicly readable
-    await fileRef.makePublic();
+    const url = await trackingLinks.shareTrackingLink(id, deliveryData);
 
-    const photoUrl = `https://storage.googleapis.com/${storage.bucket().name}/${fileName}`;
-
-    // Update delivery with proof photo URL
-    await db.collection('deliveries').doc(id).update({
-      proofPhotoUrl: photoUrl,
-      updatedAt: FieldValue.serverTimestamp()
-    });
-
-    logger.info(`Proof photo uploaded for delivery ${id} by driver ${req.user.uid}`);
+    logger.info(`Tracking link for delivery ${id} shared by ${req.user.uid}`);
 
     res.status(200).json({
       success: true,
-      message: 'Proof photo uploaded successfully',
-      proofPhotoUrl: photoUrl
+      message: 'Tracking link sent to the recipient',
+      url
     });
   } catch (error) {
-    logger.error('Error uploading delivery proof:', error);
+    logger.error('Error sharing tracking link:', error);
     next(error);
   }
 });
 
 /**
- * PUT /api/deliveries/:id/cancel
- * Cancel a delivery
+ * GET /api/deliveries/:id/cancellation-preview
+ * What cancelling the delivery now would cost the caller, before they confirm
  */
-router.put('/:id/cancel', authenticate, async (req, res, next) => {
+router.get('/:id/cancellation-preview', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
 
-    const deliveryRef = db.collection('deliveries').doc(id);
-    const deliveryDoc = await deliveryRef.get();
+    const deliveryData = await deliveries.findById(id);
 
-    if (!deliveryDoc.exists) {
+    if (!deliveryData) {
       return res.status(404).json({
         success: false,
         error: 'Delivery not found'
       });
     }
 
-    const deliveryData = deliveryDoc.data();
+    // Same checks as cancelling, without changing anything
+    const cancelledBy = tripStateMachine.authorize('delivery', 'cancel', deliveryData, { user: req.user });
+    const charges = await cancellationPolicy.evaluate('delivery', deliveryData, cancelledBy);
 
-    // Check if user has permission to cancel this delivery
-    const isSender = deliveryData.senderId === req.user.uid;
-    const isDriver = deliveryData.driverId === req.user.uid;
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isSender && !isDriver && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'You do not have permission to cancel this delivery'
-      });
-    }
-
-    // Check if delivery can be cancelled
-    if (['completed', 'cancelled'].includes(deliveryData.status)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot cancel delivery',
-        message: `Delivery is ${deliveryData.status} and cannot be cancelled`
-      });
-    }
+    res.status(200).json({
+      success: true,
+      cancellationFee: charges.cancellationFee,
+      driverPenalty: charges.driverPenalty,
+      reason: charges.cancellationPolicy.description
+    });
+  } catch (error) {
+    logger.error('Error previewing delivery cancellation:', error);
+    next(error);
+  }
+});
 
-    // Determine cancellation fee
-    let cancellationFee = 0;
-    const cancelledBy = isSender ? 'sender' : isDriver ? 'driver' : 'admin';
+/**
+ * PUT /api/deliveries/:id/cancel
+ * Cancel a delivery
+ */
+router.put('/:id/cancel', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
 
-    // If driver was assigned and delivery is cancelled after 2 minutes, apply fee
-    if (deliveryData.driverId && deliveryData.acceptedAt) {
-      const acceptanceTime = deliveryData.acceptedAt.toDate();
-      const currentTime = new Date();
-      const timeDiff = (currentTime - acceptanceTime) / (1000 * 60); // minutes
+    const { trip } = await tripStateMachine.transition('delivery', id, 'cancel', {
+      user: req.user,
+      // Fees, driver penalties and compensation come from the cancellation policy
+      updates: async (deliveryData, cancelledBy) => ({
+        cancelledBy,
+        cancellationReason: reason || 'No reason provided',
+        ...await cancellationPolicy.evaluate('delivery', deliveryData, cancelledBy)
+      })
+    });
 
-      if (timeDiff > 2 && cancelledBy === 'sender') {
-        cancellationFee = deliveryData.fare * 0.1; // 10% cancellation fee
-      }
-    }
+    logger.info(`Delivery ${id} cancelled by ${trip.cancelledBy}`);
 
-    // Cancel the delivery
-    await deliveryRef.update({
-      status: 'cancelled',
-      cancelledBy,
-      cancellationReason: reason || 'No reason provided',
-      cancellationFee,
-      cancelledAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
+    res.status(200).json({
+      success: true,
+      message: 'Delivery cancelled successfully',
+      cancellationId: trip.cancellationId,
+      cancellationFee: trip.cancellationFee > 0 ? Math.round(trip.cancellationFee * 100) / 100 : 0,
+      // 'wallet' when debited from the wallet, 'payable' when added to the amount owed
+      cancellationFeeChargedVia: trip.cancellationFeeChargedVia,
+      driverPenalty: trip.driverPenalty || 0
     });
+  } catch (error) {
+    logger.error('Error cancelling delivery:', error);
+    next(error);
+  }
+});
 
-    // Update driver status if driver was assigned
-    if (deliveryData.driverId) {
-      await db.collection('drivers').doc(deliveryData.driverId).update({
-        currentDeliveryId: null,
-        isAvailable: true,
-        updatedAt: FieldValue.serverTimestamp()
-      });
-    }
+/**
+ * POST /api/deliveries/:id/rating
+ * Rate a completed delivery: the sender rates the driver and the driver
+ * rates the sender. Body: { rating (1-5), tags?, comment? }
+ */
+router.post('/:id/rating', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, tags, comment } = req.body;
 
-    // Create cancellation record
-    await db.collection('cancellations').add({
-      deliveryId: id,
-      senderId: deliveryData.senderId,
-      driverId: deliveryData.driverId || null,
-      cancelledBy,
-      reason: reason || 'No reason provided',
-      cancellationFee,
-      createdAt: FieldValue.serverTimestamp()
+    const result = await ratings.submitRating('delivery', id, req.user, {
+      rating: Number(rating),
+      tags: tags || [],
+      comment: comment || null
     });
 
-    logger.info(`Delivery ${id} cancelled by ${cancelledBy}`);
+    logger.info(`Delivery ${id} rated ${result.rating} for the ${result.ratee} by ${req.user.uid}`);
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Delivery cancelled successfully',
-      cancellationFee: cancellationFee > 0 ? Math.round(cancellationFee * 100) / 100 : 0
+      message: 'Thanks for your rating',
+      rating: result
     });
   } catch (error) {
-    logger.error('Error cancelling delivery:', error);
+    logger.error('Error rating delivery:', error);
     next(error);
   }
 });
@@ -645,22 +773,20 @@ router.get('/my-history', authenticate, async (req, res, next) => {
   try {
     const userId = req.user.uid;
 
-    const deliveriesRef = db.collection('deliveries');
-    const snapshot = await deliveriesRef
-      .where('senderId', '==', userId)
-      .where('status', 'in', ['completed', 'cancelled'])
-      .orderBy('createdAt', 'desc')
-      .get();
-
-    const deliveries = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate()
-    }));
+    const pastDeliveries = await deliveries.find({
+      where: [
+        ['senderId', '==', userId],
+        ['status', 'in', ['completed', 'cancelled', 'expired']]
+      ],
+      orderBy: ['createdAt', 'desc']
+    });
 
     res.status(200).json({
       success: true,
-      deliveries
+      deliveries: pastDeliveries.map(delivery => ({
+        ...delivery,
+        createdAt: delivery.createdAt?.toDate()
+      }))
     });
   } catch (error) {
     logger.error('Error fetching delivery history:', error);
@@ -672,18 +798,93 @@ router.get('/my-history', authenticate, async (req, res, next) => {
 });
 
 /**
- * Helper function to calculate distance between two coordinates
+ * POST /api/deliveries/estimate
+ * Get a delivery fare estimate for a package
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
+router.post('/estimate', async (req, res, next) => {
+  try {
+    const { pickup, destination, packageType, sizeBand = 'small', declaredValue = 0, insurance = false } = req.body;
+
+    // Validate coordinates
+    if (!pickup || !destination ||
+        !pickup.latitude || !pickup.longitude ||
+        !destination.latitude || !destination.longitude) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coordinates',
+        message: 'Both pickup and destination must have valid latitude and longitude'
+      });
+    }
+
+    // Validate package type
+    if (!Object.prototype.hasOwnProperty.call(PACKAGE_TYPE_SURCHARGES, packageType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid package type',
+        message: `Package type must be one of: ${Object.keys(PACKAGE_TYPE_SURCHARGES).join(', ')}`
+      });
+    }
+
+    // Validate size band
+    if (!Object.prototype.hasOwnProperty.call(PACKAGE_SIZE_BANDS, sizeBand)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid size band',
+        message: `Size band must be one of: ${Object.keys(PACKAGE_SIZE_BANDS).join(', ')}`
+      });
+    }
+
+    // Validate declared value
+    const value = Number(declaredValue);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_DECLARED_VALUE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid declared value',
+        message: `Declared value must be between 0 and ${MAX_DECLARED_VALUE}`
+      });
+    }
+
+    if (insurance && value === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Declared value required',
+        message: 'Declare the package value to add insurance'
+      });
+    }
+
+    const packageDetails = {
+      packageType,
+      sizeBand,
+      declaredValue: value,
+      insurance: Boolean(insurance)
+    };
+    const estimate = estimateDeliveryFare(pickup, destination, packageDetails);
+
+    // Sign the estimate so the booking can only use the fare quoted here
+    const { quoteId, expiresAt } = fareQuotes.issueQuote({
+      kind: 'delivery',
+      ...packageDetails,
+      fare: estimate.fare,
+      breakdown: estimate.breakdown,
+      distance: estimate.distance,
+      duration: estimate.duration,
+      pickup: { latitude: pickup.latitude, longitude: pickup.longitude },
+      destination: { latitude: destination.latitude, longitude: destination.longitude }
+    });
+
+    res.status(200).json({
+      success: true,
+      estimate: {
+        ...estimate,
+        ...packageDetails,
+        quoteId,
+        quoteExpiresAt: expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error calculating delivery estimate:', error);
+    next(error);
+  }
+});
 
 module.exports = router;
\ No newline at end of file
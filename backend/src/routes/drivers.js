@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db, FieldValue, storage } = require('../config/firebase');
+const { storage } = require('../config/firebase');
+const repositories = require('../repositories');
+const { users, drivers, rides, deliveries, verifications, FieldValue } = repositories;
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { encodeGeohash, findNearby } = require('../utils/geo');
+const dispatch = require('../services/dispatch');
+const realtime = require('../services/realtime');
+const vehicleCatalog = require('../services/vehicleCatalog');
+const tripRoutes = require('../services/tripRoutes');
+const settlement = require('../services/settlement');
 const multer = require('multer');
 
 // Configure multer for file uploads
@@ -50,12 +58,11 @@ router.post('/register', authenticate, upload.fields([
     }
 
     // Validate vehicle type
-    const validVehicleTypes = ['bike', 'car', 'auto'];
-    if (!validVehicleTypes.includes(vehicleType)) {
+    if (!vehicleCatalog.isVehicleType(vehicleType)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid vehicle type',
-        message: 'Vehicle type must be one of: bike, car, auto'
+        message: `Vehicle type must be one of: ${Object.keys(vehicleCatalog.VEHICLE_TYPES).join(', ')}`
       });
     }
 
@@ -70,6 +77,14 @@ router.post('/register', authenticate, upload.fields([
       });
     }
 
+    if (!storage) {
+      return res.status(503).json({
+        success: false,
+        error: 'File storage unavailable',
+        message: 'Document uploads need Firebase Storage to be configured'
+      });
+    }
+
     // Validate required documents
     const requiredDocuments = ['driverLicense', 'vehicleRegistration', 'vehicleInsurance'];
     const uploadedDocuments = {};
@@ -137,8 +152,8 @@ router.post('/register', authenticate, upload.fields([
     }
 
     // Check if driver already exists
-    const existingDriverDoc = await db.collection('drivers').doc(req.user.uid).get();
-    if (existingDriverDoc.exists) {
+    const existingDriver = await drivers.findById(req.user.uid);
+    if (existingDriver) {
       return res.status(400).json({
         success: false,
         error: 'Already registered',
@@ -169,24 +184,26 @@ router.post('/register', authenticate, upload.fields([
       currentRideId: null,
       currentDeliveryId: null,
       rating: 0,
+      ratingCount: 0,
       totalRides: 0,
       totalDeliveries: 0,
       totalEarnings: 0,
+      payoutBalance: 0,
       currentLocation: null,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
     };
 
-    await db.collection('drivers').doc(req.user.uid).set(driverData);
+    await drivers.set(req.user.uid, driverData);
 
     // Update user role to driver
-    await db.collection('users').doc(req.user.uid).update({
+    await users.update(req.user.uid, {
       role: 'driver',
       updatedAt: FieldValue.serverTimestamp()
     });
 
     // Create verification record for admin review
-    await db.collection('verifications').add({
+    await verifications.create({
       driverId: req.user.uid,
       status: 'pending',
       documents: uploadedDocuments,
@@ -238,45 +255,44 @@ router.get('/nearby', authenticate, async (req, res, next) => {
     }
 
     // Build query for nearby drivers
-    let driversQuery = db.collection('drivers')
-      .where('isOnline', '==', true)
-      .where('isAvailable', '==', true)
-      .where('verificationStatus', '==', 'verified');
+    const where = [
+      ['isOnline', '==', true],
+      ['isAvailable', '==', true],
+      ['verificationStatus', '==', 'verified']
+    ];
 
     // Filter by vehicle type if specified
     if (vehicleType) {
-      driversQuery = driversQuery.where('vehicleInfo.type', '==', vehicleType);
-    }
-
-    const driversSnapshot = await driversQuery.get();
-
-    const nearbyDrivers = [];
-    driversSnapshot.forEach(doc => {
-      const driverData = doc.data();
-
-      if (driverData.currentLocation) {
-        const distance = calculateDistance(
-          lat, lng,
-          driverData.currentLocation.latitude,
-          driverData.currentLocation.longitude
-        );
-
-        if (distance <= searchRadius) {
-          nearbyDrivers.push({
-            id: doc.id,
-            name: doc.data().name || 'Driver',
-            vehicleInfo: driverData.vehicleInfo,
-            rating: driverData.rating || 0,
-            totalRides: driverData.totalRides || 0,
-            distance: Math.round(distance * 100) / 100,
-            profilePhotoUrl: driverData.documents?.profilePhotoUrl || null
-          });
-        }
+      if (!vehicleCatalog.isVehicleType(vehicleType)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid vehicle type',
+          message: `Vehicle type must be one of: ${Object.keys(vehicleCatalog.VEHICLE_TYPES).join(', ')}`
+        });
       }
+      where.push(['vehicleInfo.type', '==', vehicleType]);
+    }
+
+    // Query only the geohash cells covering the search radius
+    const nearby = await findNearby(drivers, {
+      geohashField: 'currentLocation.geohash',
+      where,
+      latitude: lat,
+      longitude: lng,
+      radiusKm: searchRadius,
+      locate: driverData => driverData.currentLocation
     });
 
-    // Sort by distance
-    nearbyDrivers.sort((a, b) => a.distance - b.distance);
+    // Already sorted by distance
+    const nearbyDrivers = nearby.map(({ record: driverData, distance }) => ({
+      id: driverData.id,
+      name: driverData.name || 'Driver',
+      vehicleInfo: driverData.vehicleInfo,
+      rating: driverData.rating || 0,
+      totalRides: driverData.totalRides || 0,
+      distance: Math.round(distance * 100) / 100,
+      profilePhotoUrl: driverData.documents?.profilePhotoUrl || null
+    }));
 
     res.status(200).json({
       success: true,
@@ -294,7 +310,7 @@ router.get('/nearby', authenticate, async (req, res, next) => {
  */
 router.put('/location', authenticate, async (req, res, next) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, speed, accuracy, heading } = req.body;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -325,16 +341,31 @@ router.put('/location', authenticate, async (req, res, next) => {
     }
 
     // Update driver location
-    await db.collection('drivers').doc(req.user.uid).update({
+    await drivers.update(req.user.uid, {
       currentLocation: {
         latitude: lat,
         longitude: lng,
+        geohash: encodeGeohash(lat, lng),
         timestamp: FieldValue.serverTimestamp()
       },
       locationUpdatedAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
     });
 
+    const optionalNumber = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+    const fix = {
+      latitude: lat,
+      longitude: lng,
+      speed: optionalNumber(speed),
+      accuracy: optionalNumber(accuracy),
+      heading: optionalNumber(heading)
+    };
+
+    // Add the point to the active trip's route, if any
+    await tripRoutes.recordLocation(req.user.uid, fix);
+
+    realtime.broadcastDriverLocation(req.user.uid, fix);
+
     res.status(200).json({
       success: true,
       message: 'Location updated successfully'
@@ -371,8 +402,8 @@ router.put('/availability', authenticate, async (req, res, next) => {
     }
 
     // Check driver verification status
-    const driverDoc = await db.collection('drivers').doc(req.user.uid).get();
-    if (!driverDoc.exists || driverDoc.data().verificationStatus !== 'verified') {
+    const driverData = await drivers.findById(req.user.uid);
+    if (!driverData || driverData.verificationStatus !== 'verified') {
       return res.status(403).json({
         success: false,
         error: 'Driver not verified',
@@ -380,8 +411,6 @@ router.put('/availability', authenticate, async (req, res, next) => {
       });
     }
 
-    const driverData = driverDoc.data();
-
     // If driver has active ride/delivery, they cannot go offline
     if (!isOnline && (driverData.currentRideId || driverData.currentDeliveryId)) {
       return res.status(400).json({
@@ -392,7 +421,7 @@ router.put('/availability', authenticate, async (req, res, next) => {
     }
 
     // Update availability
-    await db.collection('drivers').doc(req.user.uid).update({
+    await drivers.update(req.user.uid, {
       isOnline,
       updatedAt: FieldValue.serverTimestamp()
     });
@@ -411,6 +440,153 @@ router.put('/availability', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/drivers/offers
+ * Get ride and delivery offers currently waiting on this driver
+ */
+router.get('/offers', authenticate, async (req, res, next) => {
+  try {
+    // Check if user is a driver
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only drivers can view offers'
+      });
+    }
+
+    const offers = await dispatch.getPendingOffers(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    logger.error('Error getting driver offers:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/drivers/requests
+ * Open ride and delivery requests near the driver that their vehicle can serve
+ * Uses the driver's last known location unless latitude/longitude are given
+ */
+router.get('/requests', authenticate, async (req, res, next) => {
+  try {
+    const { radius = 5 } = req.query;
+
+    // Check if user is a driver
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only drivers can view ride and delivery requests'
+      });
+    }
+
+    const driverData = await drivers.findById(req.user.uid);
+    if (!driverData || driverData.verificationStatus !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        error: 'Driver not verified',
+        message: 'Only verified drivers can view ride and delivery requests'
+      });
+    }
+
+    const latitude = req.query.latitude ?? driverData.currentLocation?.latitude;
+    const longitude = req.query.longitude ?? driverData.currentLocation?.longitude;
+
+    if (latitude === undefined || longitude === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Location required',
+        message: 'Latitude and longitude are required until your location has been shared'
+      });
+    }
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    const searchRadius = parseFloat(radius);
+
+    // Validate coordinates
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coordinates'
+      });
+    }
+
+    if (isNaN(searchRadius) || searchRadius <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid radius',
+        message: 'Radius must be a positive number of kilometres'
+      });
+    }
+
+    const requests = await dispatch.getOpenRequests(
+      driverData,
+      { latitude: lat, longitude: lng },
+      searchRadius
+    );
+
+    res.status(200).json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    logger.error('Error getting driver requests:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/drivers/offers/:id/decline
+ * Decline a ride or delivery offer
+ */
+router.put('/offers/:id/decline', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is a driver
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only drivers can decline offers'
+      });
+    }
+
+    const outcome = await dispatch.declineOffer(id, req.user.uid);
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offer not found'
+      });
+    }
+
+    if (outcome !== 'declined') {
+      return res.status(400).json({
+        success: false,
+        error: 'Offer not pending',
+        message: `Offer is ${outcome} and cannot be declined`
+      });
+    }
+
+    logger.info(`Offer ${id} declined by driver ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    logger.error('Error declining offer:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/drivers/earnings
  * Get driver earnings summary
@@ -455,37 +631,43 @@ router.get('/earnings', authenticate, async (req, res, next) => {
     }
 
     // Get completed rides
-    const ridesQuery = await db.collection('rides')
-      .where('driverId', '==', driverId)
-      .where('status', '==', 'completed')
-      .where('completedAt', '>=', startDate)
-      .get();
+    const completedWhere = [
+      ['driverId', '==', driverId],
+      ['status', '==', 'completed'],
+      ['completedAt', '>=', startDate]
+    ];
+    const completedRideList = await rides.find({ where: completedWhere });
 
     // Get completed deliveries
-    const deliveriesQuery = await db.collection('deliveries')
-      .where('driverId', '==', driverId)
-      .where('status', '==', 'completed')
-      .where('completedAt', '>=', startDate)
-      .get();
+    const completedDeliveryList = await deliveries.find({ where: completedWhere });
 
     let totalEarnings = 0;
     let rideEarnings = 0;
     let deliveryEarnings = 0;
-    const completedRides = ridesQuery.size;
-    const completedDeliveries = deliveriesQuery.size;
+    let grossFares = 0;
+    let commission = 0;
+    let taxes = 0;
+    const completedRides = completedRideList.length;
+    const completedDeliveries = completedDeliveryList.length;
+
+    // Earnings are the driver's share, after commission and taxes
+    const addTrip = (tripData) => {
+      const split = settlement.splitFare(tripData);
+      totalEarnings += split.driverShare;
+      grossFares += split.fare;
+      commission += split.commission;
+      taxes += split.taxes;
+      return split.driverShare;
+    };
 
     // Calculate ride earnings
-    ridesQuery.forEach(doc => {
-      const rideData = doc.data();
-      totalEarnings += rideData.fare || 0;
-      rideEarnings += rideData.fare || 0;
+    completedRideList.forEach(rideData => {
+      rideEarnings += addTrip(rideData);
     });
 
     // Calculate delivery earnings
-    deliveriesQuery.forEach(doc => {
-      const deliveryData = doc.data();
-      totalEarnings += deliveryData.fare || 0;
-      deliveryEarnings += deliveryData.fare || 0;
+    completedDeliveryList.forEach(deliveryData => {
+      deliveryEarnings += addTrip(deliveryData);
     });
 
     // Get daily breakdown for the period
@@ -499,29 +681,34 @@ router.get('/earnings', authenticate, async (req, res, next) => {
     }
 
     // Add ride earnings to daily breakdown
-    ridesQuery.forEach(doc => {
-      const rideData = doc.data();
+    completedRideList.forEach(rideData => {
       const completedDate = rideData.completedAt.toDate().toISOString().split('T')[0];
       if (dailyEarnings[completedDate] !== undefined) {
-        dailyEarnings[completedDate] += rideData.fare || 0;
+        dailyEarnings[completedDate] += settlement.splitFare(rideData).driverShare;
       }
     });
 
     // Add delivery earnings to daily breakdown
-    deliveriesQuery.forEach(doc => {
-      const deliveryData = doc.data();
+    completedDeliveryList.forEach(deliveryData => {
       const completedDate = deliveryData.completedAt.toDate().toISOString().split('T')[0];
       if (dailyEarnings[completedDate] !== undefined) {
-        dailyEarnings[completedDate] += deliveryData.fare || 0;
+        dailyEarnings[completedDate] += settlement.splitFare(deliveryData).driverShare;
       }
     });
 
+    Object.keys(dailyEarnings).forEach(date => {
+      dailyEarnings[date] = Math.round(dailyEarnings[date] * 100) / 100;
+    });
+
     res.status(200).json({
       success: true,
       period,
       totalEarnings: Math.round(totalEarnings * 100) / 100,
       rideEarnings: Math.round(rideEarnings * 100) / 100,
       deliveryEarnings: Math.round(deliveryEarnings * 100) / 100,
+      grossFares: Math.round(grossFares * 100) / 100,
+      commission: Math.round(commission * 100) / 100,
+      taxes: Math.round(taxes * 100) / 100,
       completedRides,
       completedDeliveries,
       totalTrips: completedRides + completedDeliveries,
@@ -533,6 +720,33 @@ router.get('/earnings', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/drivers/statement
+ * Settlements and payouts with the balance still owed (query: from, to)
+ */
+router.get('/statement', authenticate, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only drivers can view their statement'
+      });
+    }
+
+    const range = settlement.parseStatementRange(req.query);
+    const statement = await settlement.getStatement(req.user.uid, range);
+
+    res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    logger.error('Error getting driver statement:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/drivers/profile
  * Get driver profile details
@@ -548,9 +762,9 @@ router.get('/profile', authenticate, async (req, res, next) => {
       });
     }
 
-    const driverDoc = await db.collection('drivers').doc(req.user.uid).get();
+    const driverData = await drivers.findById(req.user.uid);
 
-    if (!driverDoc.exists) {
+    if (!driverData) {
       return res.status(404).json({
         success: false,
         error: 'Driver profile not found',
@@ -558,12 +772,10 @@ router.get('/profile', authenticate, async (req, res, next) => {
       });
     }
 
-    const driverData = driverDoc.data();
-
     res.status(200).json({
       success: true,
       driver: {
-        id: driverDoc.id,
+        id: driverData.id,
         userId: driverData.userId,
         vehicleInfo: driverData.vehicleInfo,
         verificationStatus: driverData.verificationStatus,
@@ -573,6 +785,7 @@ router.get('/profile', authenticate, async (req, res, next) => {
         totalRides: driverData.totalRides || 0,
         totalDeliveries: driverData.totalDeliveries || 0,
         totalEarnings: driverData.totalEarnings || 0,
+        payoutBalance: driverData.payoutBalance || 0,
         documents: {
           profilePhotoUrl: driverData.documents?.profilePhotoUrl || null
           // Other documents are only visible to the driver and admins
@@ -587,19 +800,4 @@ router.get('/profile', authenticate, async (req, res, next) => {
   }
 });
 
-/**
- * Helper function to calculate distance between two coordinates
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
 module.exports = router;
\ No newline at end of file
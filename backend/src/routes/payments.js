@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { payments: paymentRecords } = require('../repositories');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const payments = require('../services/payments');
+
+/**
+ * POST /api/payments/webhook/:gateway
+ * Charge outcome reported by a payment gateway; verified by its signature
+ */
+router.post('/webhook/:gateway', async (req, res, next) => {
+  try {
+    const payment = await payments.handleWebhook(req.params.gateway, req.headers, req.rawBody || '');
+
+    res.status(200).json({
+      success: true,
+      status: payment.status
+    });
+  } catch (error) {
+    logger.error('Error handling payment webhook:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Get a payment; visible to the payer, the driver and admins
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const payment = await paymentRecords.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const hasAccess = payment.userId === req.user.uid ||
+                     payment.senderId === req.user.uid ||
+                     payment.driverId === req.user.uid ||
+                     req.user.role === 'admin';
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to view this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      payment
+    });
+  } catch (error) {
+    logger.error('Error getting payment:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments/:id/confirm
+ * Driver confirms the cash for a trip was received
+ */
+router.post('/:id/confirm', authenticate, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only drivers can confirm cash payments'
+      });
+    }
+
+    const payment = await payments.confirmCashPayment(req.params.id, req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash payment confirmed',
+      payment
+    });
+  } catch (error) {
+    logger.error('Error confirming payment:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments/:id/refund
+ * Refund a captured payment (admin only)
+ */
+router.post('/:id/refund', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const payment = await payments.refundPayment(req.params.id, {
+      refundedBy: req.user.uid,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment refunded',
+      payment
+    });
+  } catch (error) {
+    logger.error('Error refunding payment:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments/:id/simulate
+ * Mock gateway only, never in production: report a charge outcome now
+ * instead of waiting for the scheduled callback.
+ * Body: { outcome: 'success' | 'failure' }
+ */
+router.post('/:id/simulate', authenticate, async (req, res, next) => {
+  try {
+    const { outcome = 'success' } = req.body;
+
+    if (process.env.NODE_ENV === 'production' || payments.getGateway()?.name !== 'mock') {
+      return res.status(404).json({
+        success: false,
+        error: 'Not available',
+        message: 'Payments can only be simulated with the mock gateway'
+      });
+    }
+
+    if (!['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid outcome',
+        message: 'Outcome must be success or failure'
+      });
+    }
+
+    const payment = await paymentRecords.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const isPayer = payment.userId === req.user.uid || payment.senderId === req.user.uid;
+    if (!isPayer && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to simulate this payment'
+      });
+    }
+
+    if (!payment.gatewayReference) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not charged',
+        message: 'This payment has not been sent to the gateway'
+      });
+    }
+
+    const updated = await payments.simulateWebhook(payment.gatewayReference, outcome);
+
+    res.status(200).json({
+      success: true,
+      payment: updated
+    });
+  } catch (error) {
+    logger.error('Error simulating payment:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
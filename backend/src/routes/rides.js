@@ -1,8 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { auth, db, FieldValue } = require('../config/firebase');
+const repositories = require('../repositories');
+const { rides, drivers, FieldValue } = repositories;
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { encodeGeohash, findNearby } = require('../utils/geo');
+const dispatch = require('../services/dispatch');
+const tripStateMachine = require('../services/tripStateMachine');
+const { estimateRideFares, calculateFinalRideFare } = require('../services/pricing');
+const fareQuotes = require('../services/fareQuotes');
+const vehicleCatalog = require('../services/vehicleCatalog');
+const tripRoutes = require('../services/tripRoutes');
+const payments = require('../services/payments');
+const cancellationPolicy = require('../services/cancellationPolicy');
+const ratings = require('../services/ratings');
+const scheduledTrips = require('../services/scheduledTrips');
+
+/**
+ * Fare fields written when a ride completes: the final fare replaces the
+ * quoted one, which is kept alongside it
+ */
+function finalFareUpdates(ride, routeUpdates) {
+  // Without a usable GPS trail, fall back to the quoted distance
+  const tracked = (routeUpdates.route?.pointCount || 0) >= 2;
+
+  const final = calculateFinalRideFare(ride, {
+    distance: tracked ? routeUpdates.actualDistance : ride.estimatedDistance,
+    startedAt: ride.startedAt?.toDate(),
+    arrivingAt: ride.arrivingAt?.toDate(),
+    completedAt: new Date()
+  });
+
+  if (!final) {
+    return {};
+  }
+
+  return {
+    quotedFare: ride.fare,
+    quotedFareBreakdown: ride.fareBreakdown || null,
+    fare: final.fare,
+    fareBreakdown: final.breakdown,
+    waitingMinutes: final.waitingMinutes,
+    fareDistanceSource: tracked ? 'gps' : 'estimate'
+  };
+}
 
 /**
  * POST /api/rides/create
@@ -10,14 +51,14 @@ const logger = require('../utils/logger');
  */
 router.post('/create', authenticate, async (req, res, next) => {
   try {
-    const { pickup, destination, vehicleType, fare, notes } = req.body;
+    const { pickup, destination, quoteId, notes, paymentMethod = payments.DEFAULT_PAYMENT_METHOD } = req.body;
 
     // Validate required fields
-    if (!pickup || !destination || !vehicleType || !fare) {
+    if (!pickup || !destination || !quoteId) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'pickup, destination, vehicleType, and fare are required'
+        message: 'pickup, destination, and quoteId are required'
       });
     }
 
@@ -30,32 +71,58 @@ router.post('/create', authenticate, async (req, res, next) => {
       });
     }
 
-    // Validate vehicle type
-    const validVehicleTypes = ['economy', 'comfort', 'xl'];
-    if (!validVehicleTypes.includes(vehicleType)) {
+    // Validate payment method
+    const paymentMethodError = payments.validatePaymentMethod(paymentMethod);
+    if (paymentMethodError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid vehicle type',
-        message: 'Vehicle type must be one of: economy, comfort, xl'
+        error: 'Invalid payment method',
+        message: paymentMethodError
       });
     }
 
-    // Validate fare
-    if (typeof fare !== 'number' || fare <= 0) {
+    // Verify the server-issued fare quote; vehicle type and fare come from it
+    let quote;
+    try {
+      quote = fareQuotes.verifyQuote(quoteId, 'ride');
+      fareQuotes.assertQuoteMatchesTrip(quote, pickup, destination);
+    } catch (error) {
+      if (error instanceof fareQuotes.QuoteError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Invalid fare quote',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Quotes issued before a class was withdrawn cannot book it
+    if (!vehicleCatalog.isServiceClass(quote.vehicleType)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid fare',
-        message: 'Fare must be a positive number'
+        error: 'Invalid vehicle type',
+        message: `${quote.vehicleType} rides are no longer offered`
       });
     }
 
+    await payments.assertCanPay(paymentMethod, req.user.uid, quote.fare);
+
+    // A pickup time books the ride for later instead of dispatching it now
+    const scheduledFor = scheduledTrips.parseScheduledFor(req.body.scheduledFor);
+    if (scheduledFor) {
+      await scheduledTrips.assertCanSchedule('ride', req.user.uid);
+    }
+
     // Check if user has any active rides
-    const activeRidesQuery = await db.collection('rides')
-      .where('userId', '==', req.user.uid)
-      .where('status', 'in', ['requested', 'confirmed', 'driver_assigned', 'arriving', 'in_progress'])
-      .get();
+    const activeRide = !scheduledFor && await rides.findOne({
+      where: [
+        ['userId', '==', req.user.uid],
+        ['status', 'in', tripStateMachine.ACTIVE_STATUSES.ride]
+      ]
+    });
 
-    if (!activeRidesQuery.empty) {
+    if (activeRide) {
       return res.status(400).json({
         success: false,
         error: 'Active ride exists',
@@ -70,6 +137,7 @@ router.post('/create', authenticate, async (req, res, next) => {
         address: pickup.address || `${pickup.latitude}, ${pickup.longitude}`,
         latitude: pickup.latitude,
         longitude: pickup.longitude,
+        geohash: encodeGeohash(pickup.latitude, pickup.longitude),
         placeId: pickup.placeId || null
       },
       destination: {
@@ -78,26 +146,61 @@ router.post('/create', authenticate, async (req, res, next) => {
         longitude: destination.longitude,
         placeId: destination.placeId || null
       },
-      vehicleType,
-      fare,
+      vehicleType: quote.vehicleType,
+      fare: quote.fare,
+      fareBreakdown: quote.breakdown,
+      quoteId: quote.id,
+      estimatedDistance: quote.distance,
+      estimatedDuration: quote.duration,
+      paymentMethod,
       notes: notes || '',
-      status: 'requested',
+      status: scheduledFor ? tripStateMachine.SCHEDULED_STATUS : 'requested',
+      scheduledFor,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp()
     };
 
-    const rideRef = await db.collection('rides').add(rideData);
-    const rideDoc = await rideRef.get();
+    // Redeem the quote and create the ride atomically so a quote books once
+    const rideId = rides.newId();
+    try {
+      await repositories.runTransaction(async (tx) => {
+        await fareQuotes.redeemQuote(tx, quote, {
+          userId: req.user.uid,
+          rideId
+        });
+        await rides.create(rideData, { tx, id: rideId });
+        if (scheduledFor) {
+          await scheduledTrips.scheduleTripJobs(tx, 'ride', rideId, scheduledFor);
+        }
+      });
+    } catch (error) {
+      if (error instanceof fareQuotes.QuoteError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Invalid fare quote',
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
-    logger.info(`Ride created: ${rideRef.id} by user ${req.user.uid}`);
+    const ride = await rides.findById(rideId);
+
+    if (scheduledFor) {
+      logger.info(`Ride scheduled: ${rideId} by user ${req.user.uid} for ${scheduledFor.toISOString()}`);
+    } else {
+      logger.info(`Ride created: ${rideId} by user ${req.user.uid}`);
+
+      // Start offering the ride to nearby drivers in the background
+      dispatch.startDispatch('ride', rideId).catch(error => {
+        logger.error(`Error dispatching ride ${rideId}:`, error);
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Ride created successfully',
-      ride: {
-        id: rideRef.id,
-        ...rideDoc.data()
-      }
+      message: scheduledFor ? 'Ride scheduled successfully' : 'Ride created successfully',
+      ride
     });
   } catch (error) {
     logger.error('Error creating ride:', error);
@@ -111,7 +214,7 @@ router.post('/create', authenticate, async (req, res, next) => {
  */
 router.get('/nearby', authenticate, async (req, res, next) => {
   try {
-    const { latitude, longitude, radius = 5 } = req.query;
+    const { latitude, longitude, radius = 5, vehicleType } = req.query;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -133,35 +236,35 @@ router.get('/nearby', authenticate, async (req, res, next) => {
       });
     }
 
-    // Find nearby online drivers (simplified geospatial query)
-    // In production, use geohash or proper geospatial indexing
-    const nearbyDriversQuery = await db.collection('drivers')
-      .where('isOnline', '==', true)
-      .where('verificationStatus', '==', 'verified')
-      .get();
-
-    const nearbyDrivers = [];
-    nearbyDriversQuery.forEach(doc => {
-      const driverData = doc.data();
-      if (driverData.currentLocation) {
-        const distance = calculateDistance(
-          lat, lng,
-          driverData.currentLocation.latitude,
-          driverData.currentLocation.longitude
-        );
-
-        if (distance <= searchRadius) {
-          nearbyDrivers.push({
-            id: doc.id,
-            ...driverData,
-            distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
-          });
-        }
-      }
+    // Validate ride class if specified
+    if (vehicleType && !vehicleCatalog.isServiceClass(vehicleType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle type',
+        message: `Vehicle type must be one of: ${Object.keys(vehicleCatalog.SERVICE_CLASSES).join(', ')}`
+      });
+    }
+
+    // Find nearby online drivers in the geohash cells covering the radius
+    const nearby = await findNearby(drivers, {
+      geohashField: 'currentLocation.geohash',
+      where: [
+        ['isOnline', '==', true],
+        ['verificationStatus', '==', 'verified']
+      ],
+      latitude: lat,
+      longitude: lng,
+      radiusKm: searchRadius,
+      locate: driverData => driverData.currentLocation
     });
 
-    // Sort by distance
-    nearbyDrivers.sort((a, b) => a.distance - b.distance);
+    // Only drivers whose vehicle can serve the requested class, nearest first
+    const nearbyDrivers = nearby
+      .filter(({ record: driverData }) => !vehicleType || vehicleCatalog.canServeClass(vehicleType, driverData.vehicleInfo?.type))
+      .map(({ record: driverData, distance }) => ({
+        ...driverData,
+        distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
+      }));
 
     res.status(200).json({
       success: true,
@@ -181,17 +284,15 @@ router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const rideDoc = await db.collection('rides').doc(id).get();
+    const rideData = await rides.findById(id);
 
-    if (!rideDoc.exists) {
+    if (!rideData) {
       return res.status(404).json({
         success: false,
         error: 'Ride not found'
       });
     }
 
-    const rideData = rideDoc.data();
-
     // Check if user has access to this ride
     const hasAccess = rideData.userId === req.user.uid ||
                      rideData.driverId === req.user.uid ||
@@ -205,19 +306,15 @@ router.get('/:id', authenticate, async (req, res, next) => {
       });
     }
 
-    let responseData = {
-      id: rideDoc.id,
-      ...rideData
-    };
+    let responseData = { ...rideData };
 
     // If ride has assigned driver, fetch driver location and info
     if (rideData.driverId) {
       try {
-        const driverDoc = await db.collection('drivers').doc(rideData.driverId).get();
-        if (driverDoc.exists) {
-          const driverData = driverDoc.data();
+        const driverData = await drivers.findById(rideData.driverId);
+        if (driverData) {
           responseData.driver = {
-            id: driverDoc.id,
+            id: driverData.id,
             name: driverData.name,
             phoneNumber: driverData.phoneNumber,
             vehicleInfo: driverData.vehicleInfo,
@@ -242,6 +339,52 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/rides/:id/route
+ * Path taken by the driver, with distance and duration once the ride started
+ */
+router.get('/:id/route', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const rideData = await rides.findById(id);
+
+    if (!rideData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ride not found'
+      });
+    }
+
+    // Check if user has access to this ride
+    const hasAccess = rideData.userId === req.user.uid ||
+                     rideData.driverId === req.user.uid ||
+                     req.user.role === 'admin';
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to view this ride'
+      });
+    }
+
+    const route = await tripRoutes.getRoute('ride', id, rideData);
+
+    res.status(200).json({
+      success: true,
+      route: {
+        rideId: id,
+        status: rideData.status,
+        ...route
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting ride route:', error);
+    next(error);
+  }
+});
+
 /**
  * PUT /api/rides/:id/accept
  * Driver accepts a ride
@@ -260,8 +403,8 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
     }
 
     // Check driver verification status
-    const driverDoc = await db.collection('drivers').doc(req.user.uid).get();
-    if (!driverDoc.exists || driverDoc.data().verificationStatus !== 'verified') {
+    const driverData = await drivers.findById(req.user.uid);
+    if (!driverData || driverData.verificationStatus !== 'verified') {
       return res.status(403).json({
         success: false,
         error: 'Driver not verified',
@@ -269,40 +412,12 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
       });
     }
 
-    const rideRef = db.collection('rides').doc(id);
-    const rideDoc = await rideRef.get();
-
-    if (!rideDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ride not found'
-      });
-    }
-
-    const rideData = rideDoc.data();
-
-    // Check if ride is available for acceptance
-    if (rideData.status !== 'requested') {
-      return res.status(400).json({
-        success: false,
-        error: 'Ride not available',
-        message: `Ride is ${rideData.status} and cannot be accepted`
-      });
-    }
-
-    // Accept the ride
-    await rideRef.update({
-      driverId: req.user.uid,
-      status: 'confirmed',
-      acceptedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
-    });
-
-    // Update driver status
-    await db.collection('drivers').doc(req.user.uid).update({
-      currentRideId: id,
-      isAvailable: false,
-      updatedAt: FieldValue.serverTimestamp()
+    await tripStateMachine.transition('ride', id, 'accept', {
+      user: req.user,
+      updates: (rideData) => ({
+        driverId: req.user.uid,
+        ...cancellationPolicy.acceptanceFields(rideData, driverData)
+      })
     });
 
     logger.info(`Ride ${id} accepted by driver ${req.user.uid}`);
@@ -318,49 +433,34 @@ router.put('/:id/accept', authenticate, async (req, res, next) => {
 });
 
 /**
- * PUT /api/rides/:id/start
- * Driver starts the ride
+ * PUT /api/rides/:id/arriving
+ * Driver is arriving at the pickup location
  */
-router.put('/:id/start', authenticate, async (req, res, next) => {
+router.put('/:id/arriving', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const rideRef = db.collection('rides').doc(id);
-    const rideDoc = await rideRef.get();
+    await tripStateMachine.transition('ride', id, 'arrive', { user: req.user });
 
-    if (!rideDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ride not found'
-      });
-    }
-
-    const rideData = rideDoc.data();
-
-    // Check if user is the assigned driver
-    if (rideData.driverId !== req.user.uid) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'Only the assigned driver can start this ride'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Ride marked as arriving'
+    });
+  } catch (error) {
+    logger.error('Error marking ride as arriving:', error);
+    next(error);
+  }
+});
 
-    // Check if ride can be started
-    if (rideData.status !== 'confirmed' && rideData.status !== 'arriving') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot start ride',
-        message: `Ride is ${rideData.status} and cannot be started`
-      });
-    }
+/**
+ * PUT /api/rides/:id/start
+ * Driver starts the ride
+ */
+router.put('/:id/start', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-    // Start the ride
-    await rideRef.update({
-      status: 'in_progress',
-      startedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
-    });
+    await tripStateMachine.transition('ride', id, 'start', { user: req.user });
 
     logger.info(`Ride ${id} started by driver ${req.user.uid}`);
 
@@ -382,65 +482,22 @@ router.put('/:id/complete', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const rideRef = db.collection('rides').doc(id);
-    const rideDoc = await rideRef.get();
-
-    if (!rideDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ride not found'
-      });
-    }
+    // Record the route actually taken and charge for it
+    const routeUpdates = await tripRoutes.buildCompletionUpdates('ride', id);
 
-    const rideData = rideDoc.data();
-
-    // Check if user is the assigned driver
-    if (rideData.driverId !== req.user.uid) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'Only the assigned driver can complete this ride'
-      });
-    }
-
-    // Check if ride can be completed
-    if (rideData.status !== 'in_progress') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot complete ride',
-        message: `Ride is ${rideData.status} and cannot be completed`
-      });
-    }
-
-    // Complete the ride
-    await rideRef.update({
-      status: 'completed',
-      completedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
+    const { trip } = await tripStateMachine.transition('ride', id, 'complete', {
+      user: req.user,
+      updates: (ride) => ({ ...routeUpdates, ...finalFareUpdates(ride, routeUpdates) })
     });
 
-    // Update driver status
-    await db.collection('drivers').doc(req.user.uid).update({
-      currentRideId: null,
-      isAvailable: true,
-      updatedAt: FieldValue.serverTimestamp()
-    });
-
-    // Create payment record
-    await db.collection('payments').add({
-      rideId: id,
-      userId: rideData.userId,
-      driverId: rideData.driverId,
-      amount: rideData.fare,
-      status: 'pending',
-      createdAt: FieldValue.serverTimestamp()
-    });
-
-    logger.info(`Ride ${id} completed by driver ${req.user.uid}`);
+    logger.info(`Ride ${id} completed by driver ${req.user.uid}: fare ${trip.fare} (quoted ${trip.quotedFare})`);
 
     res.status(200).json({
       success: true,
-      message: 'Ride completed successfully'
+      message: 'Ride completed successfully',
+      fare: trip.fare,
+      fareBreakdown: trip.fareBreakdown,
+      quotedFare: trip.quotedFare
     });
   } catch (error) {
     logger.error('Error completing ride:', error);
@@ -457,94 +514,58 @@ router.put('/:id/cancel', authenticate, async (req, res, next) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const rideRef = db.collection('rides').doc(id);
-    const rideDoc = await rideRef.get();
-
-    if (!rideDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ride not found'
-      });
-    }
-
-    const rideData = rideDoc.data();
-
-    // Check if user has permission to cancel this ride
-    const isPassenger = rideData.userId === req.user.uid;
-    const isDriver = rideData.driverId === req.user.uid;
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isPassenger && !isDriver && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'You do not have permission to cancel this ride'
-      });
-    }
-
-    // Check if ride can be cancelled
-    if (['completed', 'cancelled'].includes(rideData.status)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot cancel ride',
-        message: `Ride is ${rideData.status} and cannot be cancelled`
-      });
-    }
-
-    // Determine cancellation fee
-    let cancellationFee = 0;
-    const cancelledBy = isPassenger ? 'passenger' : isDriver ? 'driver' : 'admin';
-
-    // If driver was assigned and ride is cancelled after 2 minutes, apply fee
-    if (rideData.driverId && rideData.acceptedAt) {
-      const acceptanceTime = rideData.acceptedAt.toDate();
-      const currentTime = new Date();
-      const timeDiff = (currentTime - acceptanceTime) / (1000 * 60); // minutes
+    const { trip } = await tripStateMachine.transition('ride', id, 'cancel', {
+      user: req.user,
+      // Fees, driver penalties and compensation come from the cancellation policy
+      updates: async (rideData, cancelledBy) => ({
+        cancelledBy,
+        cancellationReason: reason || 'No reason provided',
+        ...await cancellationPolicy.evaluate('ride', rideData, cancelledBy)
+      })
+    });
 
-      if (timeDiff > 2 && cancelledBy === 'passenger') {
-        cancellationFee = rideData.fare * 0.1; // 10% cancellation fee
-      }
-    }
+    logger.info(`Ride ${id} cancelled by ${trip.cancelledBy}`);
 
-    // Cancel the ride
-    await rideRef.update({
-      status: 'cancelled',
-      cancelledBy,
-      cancellationReason: reason || 'No reason provided',
-      cancellationFee,
-      cancelledAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
+    res.status(200).json({
+      success: true,
+      message: 'Ride cancelled successfully',
+      cancellationId: trip.cancellationId,
+      cancellationFee: trip.cancellationFee > 0 ? Math.round(trip.cancellationFee * 100) / 100 : 0,
+      // 'wallet' when debited from the wallet, 'payable' when added to the amount owed
+      cancellationFeeChargedVia: trip.cancellationFeeChargedVia,
+      driverPenalty: trip.driverPenalty || 0
     });
+  } catch (error) {
+    logger.error('Error cancelling ride:', error);
+    next(error);
+  }
+});
 
-    // Update driver status if driver was assigned
-    if (rideData.driverId) {
-      await db.collection('drivers').doc(rideData.driverId).update({
-        currentRideId: null,
-        isAvailable: true,
-        updatedAt: FieldValue.serverTimestamp()
-      });
-    }
+/**
+ * POST /api/rides/:id/rating
+ * Rate a completed ride: the passenger rates the driver and the driver
+ * rates the passenger. Body: { rating (1-5), tags?, comment? }
+ */
+router.post('/:id/rating', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, tags, comment } = req.body;
 
-    // Create cancellation record
-    await db.collection('cancellations').add({
-      rideId: id,
-      userId: rideData.userId,
-      driverId: rideData.driverId || null,
-      cancelledBy,
-      reason: reason || 'No reason provided',
-      cancellationFee,
-      createdAt: FieldValue.serverTimestamp()
+    const result = await ratings.submitRating('ride', id, req.user, {
+      rating: Number(rating),
+      tags: tags || [],
+      comment: comment || null
     });
 
-    logger.info(`Ride ${id} cancelled by ${cancelledBy}`);
+    logger.info(`Ride ${id} rated ${result.rating} for the ${result.ratee} by ${req.user.uid}`);
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Ride cancelled successfully',
-      cancellationFee: cancellationFee > 0 ? Math.round(cancellationFee * 100) / 100 : 0
+      message: 'Thanks for your rating',
+      rating: result
     });
   } catch (error) {
-    logger.error('Error cancelling ride:', error);
+    logger.error('Error rating ride:', error);
     next(error);
   }
 });
@@ -557,22 +578,20 @@ router.get('/my-history', authenticate, async (req, res, next) => {
   try {
     const userId = req.user.uid;
 
-    const ridesRef = db.collection('rides');
-    const snapshot = await ridesRef
-      .where('userId', '==', userId)
-      .where('status', 'in', ['completed', 'cancelled'])
-      .orderBy('createdAt', 'desc')
-      .get();
-
-    const rides = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate()
-    }));
+    const pastRides = await rides.find({
+      where: [
+        ['userId', '==', userId],
+        ['status', 'in', ['completed', 'cancelled', 'expired']]
+      ],
+      orderBy: ['createdAt', 'desc']
+    });
 
     res.status(200).json({
       success: true,
-      rides
+      rides: pastRides.map(ride => ({
+        ...ride,
+        createdAt: ride.createdAt?.toDate()
+      }))
     });
   } catch (error) {
     logger.error('Error fetching ride history:', error);
@@ -585,7 +604,7 @@ router.get('/my-history', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/rides/estimate
- * Calculate fare estimate securely on server
+ * Calculate fare estimate securely on server and issue signed quotes
  */
 router.post('/estimate', async (req, res, next) => {
   try {
@@ -603,80 +622,38 @@ router.post('/estimate', async (req, res, next) => {
     }
 
     // Validate vehicle type
-    const validVehicleTypes = ['economy', 'comfort', 'xl'];
-    if (!validVehicleTypes.includes(vehicleType)) {
+    if (!vehicleCatalog.isServiceClass(vehicleType)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid vehicle type',
-        message: 'Vehicle type must be one of: economy, comfort, xl'
+        message: `Vehicle type must be one of: ${Object.keys(vehicleCatalog.SERVICE_CLASSES).join(', ')}`
       });
     }
 
-    // Calculate distance using Haversine formula
-    const distance = calculateDistance(
-      pickup.latitude, pickup.longitude,
-      destination.latitude, destination.longitude
-    );
-
-    // Base fare calculation by vehicle type (in INR)
-    const baseFares = {
-      economy: { base: 50, perKm: 12, perMinute: 2 },
-      comfort: { base: 75, perKm: 15, perMinute: 3 },
-      xl: { base: 100, perKm: 18, perMinute: 4 }
-    };
-
-    const pricing = baseFares[vehicleType];
-    if (!pricing) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid vehicle type',
-        message: 'Pricing not available for this vehicle type'
+    const { distance, duration, estimates } = estimateRideFares(pickup, destination);
+
+    // Sign each estimate so the booking can only use the fare quoted here
+    Object.keys(estimates).forEach(type => {
+      const { quoteId, expiresAt } = fareQuotes.issueQuote({
+        kind: 'ride',
+        vehicleType: type,
+        fare: estimates[type].fare,
+        breakdown: estimates[type].breakdown,
+        distance,
+        duration,
+        pickup: { latitude: pickup.latitude, longitude: pickup.longitude },
+        destination: { latitude: destination.latitude, longitude: destination.longitude }
       });
-    }
 
-    // Estimate duration (simplified: average speed = 30 km/h in city)
-    const estimatedMinutes = Math.round((distance / 30) * 60);
-
-    // Calculate total fare
-    const distanceFare = distance * pricing.perKm;
-    const timeFare = estimatedMinutes * pricing.perMinute;
-    const totalFare = pricing.base + distanceFare + timeFare;
-
-    // Apply service fee (15%)
-    const serviceFee = totalFare * 0.15;
-    const finalFare = totalFare + serviceFee;
-
-    // Round to nearest integer
-    const roundedFare = Math.round(finalFare);
-
-    // Generate estimates for all vehicle types for comparison
-    const estimates = {};
-    Object.keys(baseFares).forEach(type => {
-      const typePricing = baseFares[type];
-      const typeDistanceFare = distance * typePricing.perKm;
-      const typeTimeFare = estimatedMinutes * typePricing.perMinute;
-      const typeTotal = typePricing.base + typeDistanceFare + typeTimeFare;
-      const typeService = typeTotal * 0.15;
-      const typeFinal = typeTotal + typeService;
-
-      estimates[type] = {
-        fare: Math.round(typeFinal),
-        distance: Math.round(distance * 100) / 100,
-        duration: estimatedMinutes,
-        breakdown: {
-          base: typePricing.base,
-          distance: Math.round(typeDistanceFare),
-          time: Math.round(typeTimeFare),
-          serviceFee: Math.round(typeService)
-        }
-      };
+      estimates[type].quoteId = quoteId;
+      estimates[type].quoteExpiresAt = expiresAt;
     });
 
     res.status(200).json({
       success: true,
       estimates,
-      distance: Math.round(distance * 100) / 100,
-      duration: estimatedMinutes
+      distance,
+      duration
     });
   } catch (error) {
     console.error('Error calculating fare estimate:', error);
@@ -687,19 +664,4 @@ router.post('/estimate', async (req, res, next) => {
   }
 });
 
-/**
- * Helper function to calculate distance between two coordinates
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const scheduledTrips = require('../services/scheduledTrips');
+
+/**
+ * GET /api/scheduled
+ * The user's upcoming scheduled rides and deliveries, soonest first
+ * Scheduled trips are booked through the normal create endpoints with a
+ * scheduledFor time and cancelled through the normal cancel endpoints
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const trips = await scheduledTrips.listScheduled(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      trips,
+      horizonDays: scheduledTrips.SCHEDULE_CONFIG.horizonDays,
+      minLeadMinutes: scheduledTrips.SCHEDULE_CONFIG.minLeadMinutes
+    });
+  } catch (error) {
+    logger.error('Error getting scheduled trips:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/scheduled/:tripType/:id
+ * Move a scheduled ride or delivery to a new pickup time or change its
+ * notes, until it is released to drivers
+ */
+router.put('/:tripType(ride|delivery)/:id', authenticate, async (req, res, next) => {
+  try {
+    const { tripType, id } = req.params;
+    const { scheduledFor, notes } = req.body;
+
+    const trip = await scheduledTrips.updateScheduledTrip(tripType, id, req.user, { scheduledFor, notes });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      [tripType]: {
+        ...trip,
+        scheduledFor: trip.scheduledFor.toDate()
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating scheduled trip:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
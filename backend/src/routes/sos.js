@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { users, drivers, sosAlerts, logs, FieldValue } = repositories;
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { TRIP_TYPES } = require('../services/tripStateMachine');
+const sos = require('../services/sos');
+const sms = require('../services/sms');
+
+const SOS_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * POST /api/sos/create
+ * Raise an SOS alert during a ride or delivery
+ */
+router.post('/create', authenticate, async (req, res, next) => {
+  try {
+    const { rideId, deliveryId, location, message } = req.body;
+
+    if (!rideId === !deliveryId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Trip required',
+        message: 'Provide either rideId or deliveryId'
+      });
+    }
+
+    const latitude = parseFloat(location?.latitude);
+    const longitude = parseFloat(location?.longitude);
+    if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'Location required',
+        message: 'A valid latitude and longitude are required'
+      });
+    }
+
+    const tripType = rideId ? 'ride' : 'delivery';
+    const type = TRIP_TYPES[tripType];
+    const tripId = rideId || deliveryId;
+
+    const trip = await repositories.forCollection(type.collection).findById(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: `${type.label} not found`
+      });
+    }
+
+    // Only the passenger/sender and the assigned driver can raise an alert
+    if (trip[type.ownerField] !== req.user.uid && trip.driverId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `You are not part of this ${type.label.toLowerCase()}`
+      });
+    }
+
+    // Snapshot the involved driver so the alert stays useful if they go offline
+    let driver = null;
+    if (trip.driverId) {
+      const driverData = await drivers.findById(trip.driverId);
+      const driverUser = await users.findById(trip.driverId);
+      driver = {
+        id: trip.driverId,
+        name: driverUser?.name || null,
+        phoneNumber: driverUser?.phoneNumber || null,
+        vehicleType: driverData?.vehicleInfo?.type || null,
+        licensePlate: driverData?.vehicleInfo?.licensePlate || null,
+        location: driverData?.currentLocation || null
+      };
+    }
+
+    const alertData = {
+      userId: req.user.uid,
+      userRole: req.user.role,
+      userName: req.user.name || null,
+      userPhone: req.user.phoneNumber || null,
+      tripType,
+      [type.idField]: tripId,
+      tripStatus: trip.status,
+      driverId: trip.driverId || null,
+      driver,
+      location: { latitude, longitude },
+      message: message || null,
+      status: 'open',
+      notifications: [],
+      notificationStatus: 'pending',
+      notes: [],
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    const alertId = await sosAlerts.create(alertData);
+
+    logger.warn(`SOS alert ${alertId} raised by ${req.user.uid} on ${tripType} ${tripId}`);
+
+    // Message emergency contacts in the background so the alert is never held up
+    sos.notifyEmergencyContacts(alertId, alertData, req.user).catch(error => {
+      logger.error(`Error notifying emergency contacts for SOS ${alertId}:`, error);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'SOS alert sent',
+      alert: {
+        id: alertId,
+        status: 'open',
+        contactsToNotify: sos.emergencyContactsOf(req.user).length,
+        // False when texts are only logged, e.g. in development
+        contactsTexted: sms.isDelivering()
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating SOS alert:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sos
+ * List SOS alerts (admin)
+ */
+router.get('/', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const offset = (pageNumber - 1) * limitNumber;
+
+    const where = [];
+
+    // Filter by status if provided
+    if (status && SOS_STATUSES.includes(status)) {
+      where.push(['status', '==', status]);
+    }
+
+    // Get total count for pagination
+    const totalCount = await sosAlerts.count({ where });
+
+    const alerts = await sosAlerts.find({
+      where,
+      orderBy: ['createdAt', 'desc'],
+      limit: limitNumber,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      alerts,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limitNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting SOS alerts:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sos/:id
+ * Get an SOS alert (admin or the user who raised it)
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const alert = await sosAlerts.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'SOS alert not found'
+      });
+    }
+
+    if (alert.userId !== req.user.uid && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to view this alert'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    logger.error('Error getting SOS alert:', error);
+    next(error);
+  }
+});
+
+/**
+ * Move an alert to a new status on behalf of an admin and audit it
+ */
+async function updateAlertStatus(req, res, { to, from, notes, timestampField, adminField }) {
+  const { id } = req.params;
+  const alert = await sosAlerts.findById(id);
+
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      error: 'SOS alert not found'
+    });
+  }
+
+  if (!from.includes(alert.status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status transition',
+      message: `SOS alert is ${alert.status} and cannot be ${to}`
+    });
+  }
+
+  const updates = {
+    status: to,
+    [timestampField]: FieldValue.serverTimestamp(),
+    [adminField]: req.user.uid,
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  if (notes) {
+    updates.notes = FieldValue.arrayUnion({
+      status: to,
+      note: notes,
+      adminId: req.user.uid,
+      createdAt: new Date()
+    });
+  }
+  if (to === 'resolved') {
+    updates.resolutionNotes = notes;
+  }
+
+  await sosAlerts.update(id, updates);
+
+  // Log the admin action
+  await logs.create({
+    action: `sos_${to}`,
+    sosAlertId: id,
+    notes: notes || null,
+    adminId: req.user.uid,
+    timestamp: FieldValue.serverTimestamp()
+  });
+
+  logger.info(`SOS alert ${id} ${to} by admin ${req.user.uid}`);
+
+  res.status(200).json({
+    success: true,
+    message: `SOS alert ${to}`,
+    alert: await sosAlerts.findById(id)
+  });
+}
+
+/**
+ * PUT /api/sos/:id/acknowledge
+ * Admin acknowledges an open alert
+ */
+router.put('/:id/acknowledge', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    await updateAlertStatus(req, res, {
+      to: 'acknowledged',
+      from: ['open'],
+      notes: req.body.notes,
+      timestampField: 'acknowledgedAt',
+      adminField: 'acknowledgedBy'
+    });
+  } catch (error) {
+    logger.error('Error acknowledging SOS alert:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sos/:id/resolve
+ * Admin resolves an alert with notes on the outcome
+ */
+router.put('/:id/resolve', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    if (!req.body.notes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resolution notes required',
+        message: 'Please describe how the alert was resolved'
+      });
+    }
+
+    await updateAlertStatus(req, res, {
+      to: 'resolved',
+      from: ['open', 'acknowledged'],
+      notes: req.body.notes,
+      timestampField: 'resolvedAt',
+      adminField: 'resolvedBy'
+    });
+  } catch (error) {
+    logger.error('Error resolving SOS alert:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { generalLimiter } = require('../middleware/rateLimiter');
+const logger = require('../utils/logger');
+const trackingLinks = require('../services/trackingLinks');
+const trackingPage = require('../utils/trackingPage');
+
+/**
+ * GET /api/track/:token
+ * Public tracking view for a delivery recipient, opened from the link they
+ * were texted. No sign-in; the token is the credential. Browsers get an
+ * HTML page, API clients the JSON view.
+ */
+router.get('/:token', generalLimiter, async (req, res, next) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const tracking = await trackingLinks.getTracking(req.params.token);
+
+    if (wantsHtml) {
+      return res.status(200).type('html').send(trackingPage.renderTracking(tracking));
+    }
+
+    res.status(200).json({
+      success: true,
+      tracking
+    });
+  } catch (error) {
+    logger.error('Error getting delivery tracking:', error);
+
+    if (!wantsHtml) {
+      return next(error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).type('html')
+        .send(trackingPage.renderError(error.error, error.message !== error.error ? error.message : null));
+    }
+
+    res.status(500).type('html')
+      .send(trackingPage.renderError('Tracking unavailable', 'Please try again in a few minutes'));
+  }
+});
+
+module.exports = router;
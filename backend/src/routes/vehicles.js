@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const vehicleCatalog = require('../services/vehicleCatalog');
+
+/**
+ * GET /api/vehicles
+ * Ride classes riders can book and vehicle types drivers can register
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      ...vehicleCatalog.getCatalog()
+    });
+  } catch (error) {
+    logger.error('Error getting vehicle catalog:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
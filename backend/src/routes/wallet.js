@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const repositories = require('../repositories');
+const { users, logs, FieldValue } = repositories;
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { HttpError } = require('../utils/errors');
+const wallet = require('../services/wallet');
+const payments = require('../services/payments');
+
+// Credits admins can grant by hand; waived cancellation fees are credited
+// through the cancellation dispute endpoints instead
+const MANUAL_CREDIT_TYPES = ['promotion'];
+
+/**
+ * GET /api/wallet
+ * Wallet balance with its transactions, newest first, and any cancellation
+ * fees owed that the wallet could not cover
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const limitNumber = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (pageNumber - 1) * limitNumber;
+
+    const [{ balance, currency }, { transactions, total }, userData] = await Promise.all([
+      wallet.getWallet(req.user.uid),
+      wallet.getTransactions(req.user.uid, { limit: limitNumber, offset }),
+      users.findById(req.user.uid)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      wallet: { balance, currency, payableBalance: userData?.payableBalance || 0 },
+      transactions: transactions.map(transaction => ({
+        ...transaction,
+        createdAt: transaction.createdAt?.toDate()
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting wallet:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/topup
+ * Add money to the wallet through the payment gateway
+ * The balance is credited once the gateway confirms the charge
+ */
+router.post('/topup', authenticate, async (req, res, next) => {
+  try {
+    const amount = Number(req.body.amount);
+
+    const payment = await payments.createTopup(req.user.uid, amount);
+
+    logger.info(`Wallet top-up ${payment.id} of ₹${amount} started by ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up started. Your wallet is credited once the payment is confirmed.',
+      payment
+    });
+  } catch (error) {
+    logger.error('Error starting wallet top-up:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/:userId/credit
+ * Credit a user's wallet for a promotion (admin only)
+ * The amount is held to the same limits as a top-up
+ */
+router.post('/:userId/credit', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { type = 'promotion', description, reference } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!MANUAL_CREDIT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credit type',
+        message: `Type must be one of: ${MANUAL_CREDIT_TYPES.join(', ')}`
+      });
+    }
+
+    const user = await users.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // The credit and its audit record are written together or not at all
+    const { transactionId, balance } = await repositories.runTransaction(async (tx) => {
+      const current = await wallet.getWallet(userId, { tx });
+      const creditError = wallet.validateCredit(current, amount);
+      if (creditError) {
+        throw new HttpError(400, 'Invalid amount', creditError);
+      }
+
+      const posted = await wallet.post(current, type, amount, {
+        tx,
+        reference: reference || null,
+        description
+      });
+
+      await logs.create({
+        action: 'wallet_credit',
+        userId,
+        type,
+        amount,
+        transactionId: posted.transactionId,
+        reference: reference || null,
+        adminId: req.user.uid,
+        timestamp: FieldValue.serverTimestamp()
+      }, { tx });
+
+      return posted;
+    });
+
+    logger.info(`Wallet of ${userId} credited ₹${amount} (${type}) by admin ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet credited',
+      transactionId,
+      wallet: { balance, currency: wallet.CURRENCY }
+    });
+  } catch (error) {
+    logger.error('Error crediting wallet:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
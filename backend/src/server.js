@@ -3,13 +3,19 @@ const express = require('express');
 const cors = require('cors');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const realtime = require('./services/realtime');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -36,6 +42,13 @@ app.use('/api/rides', require('./routes/rides'));
 app.use('/api/deliveries', require('./routes/deliveries'));
 app.use('/api/drivers', require('./routes/drivers'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/sos', require('./routes/sos'));
+app.use('/api/vehicles', require('./routes/vehicles'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/cancellations', require('./routes/cancellations'));
+app.use('/api/track', require('./routes/tracking'));
+app.use('/api/scheduled', require('./routes/scheduled'));
 
 // 404 handler
 app.use((req, res) => {
@@ -49,12 +62,23 @@ app.use((req, res) => {
 app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Quick Pickup Backend Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Firebase Project: ${process.env.FIREBASE_PROJECT_ID || 'not configured'}`);
+
+  // Continue dispatching trips that were waiting on drivers before a restart
+  require('./services/dispatch').resumeActiveDispatches().catch(error => {
+    logger.error('Error resuming dispatch:', error);
+  });
+
+  // Run scheduled jobs, including any that fell due while the server was down
+  require('./services/scheduler').start();
 });
 
+// Live trip updates over WebSocket
+realtime.attach(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
@@ -0,0 +1,182 @@
+/**
+ * Cancellation Fee Service
+ * Collects the fee recorded when a rider or sender cancels late, and lets
+ * them dispute it.
+ *
+ * The fee is debited from the payer's wallet when it covers it; otherwise
+ * it is added to the payableBalance on their user profile. A payer can
+ * dispute a charged fee once, with a reason; an admin then upholds it or
+ * waives it, which credits the wallet or clears the payable amount again.
+ * Admins can also waive a fee that was never disputed. Every step is
+ * written to the logs collection.
+ *
+ *   feeStatus:     charged -> waived
+ *   disputeStatus: open -> upheld | waived
+ */
+
+const repositories = require('../repositories');
+const { cancellations, users, logs, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+const wallet = require('./wallet');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const cancellationId = (tripType, tripId) => `${tripType}_${tripId}`;
+
+/**
+ * Charge a cancellation fee inside the cancelling transaction
+ * payerWallet must have been read earlier in the same transaction.
+ * Returns the fee fields to store on the cancellation
+ */
+async function chargeFee(tx, { id, payerId, amount, payerWallet }) {
+  const fee = roundAmount(amount);
+  let charge;
+
+  if (payerWallet.balance >= fee) {
+    const { transactionId } = await wallet.post(payerWallet, 'cancellation_fee', fee, {
+      tx,
+      reference: id
+    });
+    charge = { chargedVia: 'wallet', walletTransactionId: transactionId };
+  } else {
+    await users.update(payerId, {
+      payableBalance: FieldValue.increment(fee),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+    charge = { chargedVia: 'payable', walletTransactionId: null };
+  }
+
+  await logs.create({
+    action: 'cancellation_fee_charged',
+    cancellationId: id,
+    userId: payerId,
+    amount: fee,
+    chargedVia: charge.chargedVia,
+    timestamp: FieldValue.serverTimestamp()
+  }, { tx });
+
+  return {
+    cancellationFee: fee,
+    feeStatus: 'charged',
+    ...charge,
+    disputeStatus: null,
+    dispute: null
+  };
+}
+
+/**
+ * Payer disputes a charged fee
+ */
+async function disputeFee(id, payerId, reason) {
+  return repositories.runTransaction(async (tx) => {
+    const cancellation = await cancellations.findById(id, { tx });
+
+    if (!cancellation) {
+      throw new HttpError(404, 'Cancellation not found');
+    }
+    if (cancellation.payerId !== payerId) {
+      throw new HttpError(403, 'Access denied', 'You can only dispute your own cancellation fees');
+    }
+    if (cancellation.feeStatus !== 'charged') {
+      throw new HttpError(409, 'Nothing to dispute', 'No cancellation fee is being charged for this trip');
+    }
+    if (cancellation.disputeStatus) {
+      throw new HttpError(409, 'Already disputed', `This fee has already been disputed and is ${cancellation.disputeStatus}`);
+    }
+
+    const dispute = {
+      reason,
+      raisedAt: new Date(),
+      resolvedBy: null,
+      resolvedAt: null,
+      resolutionNote: null
+    };
+
+    await cancellations.update(id, { disputeStatus: 'open', dispute }, { tx });
+    await logs.create({
+      action: 'cancellation_fee_disputed',
+      cancellationId: id,
+      userId: payerId,
+      amount: cancellation.cancellationFee,
+      reason,
+      timestamp: FieldValue.serverTimestamp()
+    }, { tx });
+
+    return { ...cancellation, disputeStatus: 'open', dispute };
+  });
+}
+
+/**
+ * Admin resolves a fee: 'waive' refunds it, 'uphold' keeps it
+ * Upholding needs an open dispute; waiving works on any charged fee.
+ * With options.tx it runs in that transaction, so call it before the
+ * transaction's first write; otherwise it runs in its own.
+ */
+async function resolveFee(id, decision, { adminId, note = null, tx: callerTx } = {}) {
+  const run = async (tx) => {
+    const cancellation = await cancellations.findById(id, { tx });
+
+    if (!cancellation) {
+      throw new HttpError(404, 'Cancellation not found');
+    }
+    if (cancellation.feeStatus !== 'charged') {
+      throw new HttpError(409, 'Invalid fee status', `Cancellation fee is ${cancellation.feeStatus || 'not charged'}`);
+    }
+    if (decision === 'uphold' && cancellation.disputeStatus !== 'open') {
+      throw new HttpError(409, 'No open dispute', 'Only disputed fees can be upheld');
+    }
+
+    const updates = {};
+
+    if (decision === 'waive') {
+      if (cancellation.chargedVia === 'wallet') {
+        const { transactionId } = await wallet.postTransaction(cancellation.payerId, 'cancellation_waiver', cancellation.cancellationFee, {
+          tx,
+          reference: id
+        });
+        updates.waiverTransactionId = transactionId;
+      } else {
+        await users.update(cancellation.payerId, {
+          payableBalance: FieldValue.increment(-cancellation.cancellationFee),
+          updatedAt: FieldValue.serverTimestamp()
+        }, { tx });
+      }
+      updates.feeStatus = 'waived';
+      updates.waivedBy = adminId;
+      updates.waivedAt = FieldValue.serverTimestamp();
+    }
+
+    const status = decision === 'waive' ? 'waived' : 'upheld';
+    if (cancellation.dispute) {
+      updates.disputeStatus = status;
+      updates.dispute = {
+        ...cancellation.dispute,
+        resolvedBy: adminId,
+        resolvedAt: new Date(),
+        resolutionNote: note
+      };
+    }
+
+    await cancellations.update(id, updates, { tx });
+    await logs.create({
+      action: `cancellation_fee_${status}`,
+      cancellationId: id,
+      userId: cancellation.payerId,
+      amount: cancellation.cancellationFee,
+      note,
+      adminId,
+      timestamp: FieldValue.serverTimestamp()
+    }, { tx });
+
+    return { ...cancellation, ...updates };
+  };
+
+  return callerTx ? run(callerTx) : repositories.runTransaction(run);
+}
+
+module.exports = {
+  cancellationId,
+  chargeFee,
+  disputeFee,
+  resolveFee
+};
@@ -0,0 +1,310 @@
+/**
+ * Cancellation Policy
+ * Decides what a cancellation costs: the fee charged to a rider or sender
+ * who cancels, the penalty for a driver who cancels, and the compensation
+ * paid to a driver whose trip was wasted.
+ *
+ * Each trip type has a policy: an ordered list of rules, the first matching
+ * rule applies and no match means no charge. A rule matches on who cancelled
+ * and optionally on the trip status, the minutes since a driver accepted,
+ * how far the driver had travelled toward pickup and whether the driver was
+ * late against the pickup ETA given at acceptance.
+ *
+ * A driver's compensation comes out of the fee: its feeShare and perKm parts
+ * together never exceed the fee charged, and only its fixed part, which the
+ * platform funds, is paid on top. If the fee is later waived, the part that
+ * came out of the fee is taken back from the driver's settlement.
+ *
+ * Policies are stored in cancellation_policies (one document per trip type)
+ * so admins can change them at runtime; DEFAULT_POLICIES apply until then.
+ */
+
+const repositories = require('../repositories');
+const { cancellationPolicies, drivers, FieldValue } = repositories;
+const { calculateDistance } = require('../utils/geo');
+const { estimateTrip } = require('./pricing');
+
+const DEFAULT_POLICIES = {
+  ride: {
+    lateGraceMinutes: 5,
+    rules: [
+      {
+        id: 'passenger-free-window',
+        description: 'Riders can cancel free within 2 minutes of a driver accepting',
+        cancelledBy: ['passenger'],
+        when: { maxElapsedMinutes: 2 }
+      },
+      {
+        id: 'passenger-driver-late',
+        description: 'No fee when the driver is running late',
+        cancelledBy: ['passenger'],
+        when: { driverLate: true }
+      },
+      {
+        id: 'passenger-late-cancel',
+        description: '10% of the fare after the free window; most of it goes to the driver',
+        cancelledBy: ['passenger'],
+        fee: { rate: 0.1 },
+        driverCompensation: { feeShare: 0.8, perKm: 2 }
+      },
+      {
+        id: 'driver-late-cancel',
+        description: 'Drivers who cancel after 2 minutes pay a fixed penalty',
+        cancelledBy: ['driver'],
+        when: { minElapsedMinutes: 2 },
+        fee: { fixed: 25 }
+      }
+    ]
+  },
+  delivery: {
+    lateGraceMinutes: 10,
+    rules: [
+      {
+        id: 'sender-free-window',
+        description: 'Senders can cancel free within 2 minutes of a driver accepting',
+        cancelledBy: ['sender'],
+        when: { maxElapsedMinutes: 2 }
+      },
+      {
+        id: 'sender-driver-late',
+        description: 'No fee when the driver is running late',
+        cancelledBy: ['sender'],
+        when: { driverLate: true }
+      },
+      {
+        id: 'sender-late-cancel',
+        description: '10% of the fare after the free window; most of it goes to the driver',
+        cancelledBy: ['sender'],
+        fee: { rate: 0.1 },
+        driverCompensation: { feeShare: 0.8, perKm: 2 }
+      },
+      {
+        id: 'driver-late-cancel',
+        description: 'Drivers who cancel after 2 minutes pay a fixed penalty',
+        cancelledBy: ['driver'],
+        when: { minElapsedMinutes: 2 },
+        fee: { fixed: 25 }
+      }
+    ]
+  }
+};
+
+// Who can cancel each trip type, as named in the trip state machine
+const CANCELLERS = {
+  ride: ['passenger', 'driver', 'admin'],
+  delivery: ['sender', 'driver', 'admin']
+};
+
+const CONDITIONS = ['statuses', 'minElapsedMinutes', 'maxElapsedMinutes', 'minDriverDistanceKm', 'maxDriverDistanceKm', 'driverLate'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toDate = (timestamp) => (timestamp ? timestamp.toDate() : null);
+
+/**
+ * The policy in force for a trip type
+ */
+async function getPolicy(tripType) {
+  const stored = await cancellationPolicies.findById(tripType);
+  if (!stored) {
+    return { tripType, ...DEFAULT_POLICIES[tripType], isDefault: true };
+  }
+
+  const { id, ...policy } = stored;
+  return { tripType, ...policy, isDefault: false };
+}
+
+/**
+ * Check a policy sent by an admin
+ * Returns an error message, or null when it is valid
+ */
+function validatePolicy(tripType, policy) {
+  if (!policy || typeof policy !== 'object') {
+    return 'Policy must be an object';
+  }
+  if (typeof policy.lateGraceMinutes !== 'number' || policy.lateGraceMinutes < 0) {
+    return 'lateGraceMinutes must be a number of minutes';
+  }
+  if (!Array.isArray(policy.rules)) {
+    return 'rules must be an array';
+  }
+
+  const isAmount = (value) => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+  const ids = new Set();
+
+  for (const [index, rule] of policy.rules.entries()) {
+    const label = `Rule ${index + 1}`;
+
+    if (!rule.id || typeof rule.id !== 'string' || ids.has(rule.id)) {
+      return `${label} needs a unique id`;
+    }
+    ids.add(rule.id);
+
+    if (!Array.isArray(rule.cancelledBy) || rule.cancelledBy.length === 0 ||
+        !rule.cancelledBy.every(actor => CANCELLERS[tripType].includes(actor))) {
+      return `${label}: cancelledBy must list some of ${CANCELLERS[tripType].join(', ')}`;
+    }
+
+    const when = rule.when || {};
+    const unknown = Object.keys(when).find(condition => !CONDITIONS.includes(condition));
+    if (unknown) {
+      return `${label}: unknown condition ${unknown}`;
+    }
+    if (when.statuses !== undefined && !Array.isArray(when.statuses)) {
+      return `${label}: statuses must be an array`;
+    }
+    if (when.driverLate !== undefined && typeof when.driverLate !== 'boolean') {
+      return `${label}: driverLate must be true or false`;
+    }
+    if (!['minElapsedMinutes', 'maxElapsedMinutes', 'minDriverDistanceKm', 'maxDriverDistanceKm'].every(key => isAmount(when[key]))) {
+      return `${label}: time and distance limits must be positive numbers`;
+    }
+
+    const fee = rule.fee || {};
+    const compensation = rule.driverCompensation || {};
+    if (![fee.rate, fee.fixed, fee.min, fee.max].every(isAmount) ||
+        ![compensation.feeShare, compensation.perKm, compensation.fixed].every(isAmount)) {
+      return `${label}: fee and compensation amounts must be positive numbers`;
+    }
+    if (fee.rate > 1 || compensation.feeShare > 1) {
+      return `${label}: rates and shares must be between 0 and 1`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace the policy for a trip type
+ */
+async function savePolicy(tripType, { lateGraceMinutes, rules }, adminId) {
+  const policy = { lateGraceMinutes, rules };
+
+  await cancellationPolicies.set(tripType, {
+    ...policy,
+    updatedBy: adminId,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+
+  return { tripType, ...policy, isDefault: false };
+}
+
+/**
+ * Go back to the default policy for a trip type
+ */
+async function resetPolicy(tripType) {
+  await cancellationPolicies.delete(tripType);
+  return { tripType, ...DEFAULT_POLICIES[tripType], isDefault: true };
+}
+
+/**
+ * Where the driver was and when they were expected at pickup, recorded
+ * when they accept so a later cancellation can be judged against it
+ */
+function acceptanceFields(trip, driverData, now = new Date()) {
+  const location = driverData?.currentLocation;
+  if (!location || !trip.pickup) {
+    return {};
+  }
+
+  const { duration } = estimateTrip(location, trip.pickup);
+
+  return {
+    driverStartLocation: { latitude: location.latitude, longitude: location.longitude },
+    pickupEtaMinutes: duration,
+    pickupEtaAt: new Date(now.getTime() + duration * 60 * 1000)
+  };
+}
+
+/**
+ * How far the driver had closed in on pickup since accepting (km)
+ */
+function distanceTowardPickup(trip, location) {
+  const start = trip.driverStartLocation;
+  if (!start || !location || !trip.pickup) {
+    return 0;
+  }
+
+  const before = calculateDistance(start.latitude, start.longitude, trip.pickup.latitude, trip.pickup.longitude);
+  const after = calculateDistance(location.latitude, location.longitude, trip.pickup.latitude, trip.pickup.longitude);
+
+  return Math.max(0, roundAmount(before - after));
+}
+
+function ruleMatches(rule, cancelledBy, facts) {
+  const when = rule.when || {};
+
+  return rule.cancelledBy.includes(cancelledBy) &&
+    (!when.statuses || when.statuses.includes(facts.status)) &&
+    (when.minElapsedMinutes == null || facts.elapsedMinutes >= when.minElapsedMinutes) &&
+    (when.maxElapsedMinutes == null || facts.elapsedMinutes <= when.maxElapsedMinutes) &&
+    (when.minDriverDistanceKm == null || facts.driverDistanceKm >= when.minDriverDistanceKm) &&
+    (when.maxDriverDistanceKm == null || facts.driverDistanceKm <= when.maxDriverDistanceKm) &&
+    (when.driverLate == null || facts.driverLate === when.driverLate);
+}
+
+/**
+ * Work out the charges for cancelling a trip
+ * Returns the fields to store on the trip: cancellationFee (charged to the
+ * rider or sender), driverPenalty, driverCompensation and the part of it
+ * paid out of the fee (driverCompensationFromFee), and cancellationPolicy,
+ * recording the rule applied and the facts it was judged on
+ */
+async function evaluate(tripType, trip, cancelledBy, now = new Date()) {
+  const policy = await getPolicy(tripType);
+  const acceptedAt = toDate(trip.acceptedAt);
+  const pickupEtaAt = toDate(trip.pickupEtaAt);
+
+  let driverLocation = null;
+  if (trip.driverId) {
+    const driverData = await drivers.findById(trip.driverId);
+    driverLocation = driverData?.currentLocation || null;
+  }
+
+  const facts = {
+    status: trip.status,
+    elapsedMinutes: acceptedAt ? roundAmount((now - acceptedAt) / 60000) : 0,
+    driverDistanceKm: distanceTowardPickup(trip, driverLocation),
+    driverLate: Boolean(pickupEtaAt) &&
+      (toDate(trip.arrivingAt) || now) > new Date(pickupEtaAt.getTime() + policy.lateGraceMinutes * 60000)
+  };
+
+  const rule = policy.rules.find(candidate => ruleMatches(candidate, cancelledBy, facts));
+  const fee = rule?.fee || {};
+  const compensation = rule?.driverCompensation || {};
+
+  let amount = (trip.fare || 0) * (fee.rate || 0) + (fee.fixed || 0);
+  if (fee.min != null) amount = Math.max(amount, fee.min);
+  if (fee.max != null) amount = Math.min(amount, fee.max);
+  amount = roundAmount(amount);
+
+  const isDriver = cancelledBy === 'driver';
+  const compensated = !isDriver && Boolean(trip.driverId);
+  const fromFee = compensated
+    ? roundAmount(Math.min(amount,
+        amount * (compensation.feeShare || 0) + facts.driverDistanceKm * (compensation.perKm || 0)))
+    : 0;
+
+  return {
+    cancellationFee: isDriver ? 0 : amount,
+    driverPenalty: isDriver ? amount : 0,
+    driverCompensation: compensated ? roundAmount(fromFee + (compensation.fixed || 0)) : 0,
+    driverCompensationFromFee: fromFee,
+    cancellationPolicy: {
+      ruleId: rule?.id || null,
+      description: rule?.description || null,
+      ...facts
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  CANCELLERS,
+  getPolicy,
+  validatePolicy,
+  savePolicy,
+  resetPolicy,
+  acceptanceFields,
+  evaluate
+};
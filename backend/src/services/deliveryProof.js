@@ -0,0 +1,313 @@
+/**
+ * Delivery Proof
+ * Photos and the recipient's signature captured by the driver at drop-off.
+ * Uploads are checked to be real JPEG or PNG images and have their embedded
+ * metadata (EXIF, XMP, text chunks) removed, so phone GPS tags never leave
+ * the server; the location recorded with the proof is the driver's last
+ * position reported to the server instead. Files are stored privately and
+ * only handed out as short-lived signed URLs to the sender, the assigned
+ * driver and admins.
+ */
+
+const { storage } = require('../config/firebase');
+const repositories = require('../repositories');
+const { deliveries, drivers, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+const { calculateDistance } = require('../utils/geo');
+
+const PROOF_CONFIG = {
+  maxFileSize: 5 * 1024 * 1024,
+  maxPhotos: 3,
+  urlTtlMinutes: parseInt(process.env.PROOF_URL_TTL_MINUTES) || 15
+};
+
+// Multipart fields accepted by the upload route
+const PROOF_FIELDS = [
+  { name: 'proofPhoto', maxCount: PROOF_CONFIG.maxPhotos },
+  { name: 'signature', maxCount: 1 }
+];
+
+// Delivery statuses in which the driver can attach proof; once the
+// delivery is completed its proof is final
+const PROOF_STATUSES = ['picked_up', 'in_transit'];
+
+const IMAGE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', strip: stripJpegMetadata },
+  png: { contentType: 'image/png', extension: 'png', strip: stripPngMetadata }
+};
+
+// JPEG segments kept: JFIF (APP0), ICC colour profile (APP2) and Adobe
+// colour transform (APP14). Other APPn segments and comments are metadata.
+const JPEG_KEPT_APP_MARKERS = [0xE0, 0xE2, 0xEE];
+const JPEG_COMMENT = 0xFE;
+const JPEG_START_OF_SCAN = 0xDA;
+
+// PNG chunks that carry metadata rather than pixels
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const invalidImage = () => new HttpError(400, 'Invalid file', 'Proof files must be JPEG or PNG images');
+
+/**
+ * Work out the image type from the file contents, not the declared type
+ */
+function detectImageType(buffer) {
+  if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+  if (buffer.length > PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  return null;
+}
+
+function stripJpegMetadata(buffer) {
+  const kept = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xFF || offset + 1 >= buffer.length) {
+      throw invalidImage();
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Padding between segments
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+
+    // Everything from the start of scan on is image data
+    if (marker === JPEG_START_OF_SCAN) {
+      kept.push(buffer.subarray(offset));
+      break;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw invalidImage();
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw invalidImage();
+    }
+
+    const isMetadata = marker === JPEG_COMMENT ||
+      (marker >= 0xE1 && marker <= 0xEF && !JPEG_KEPT_APP_MARKERS.includes(marker));
+    if (!isMetadata) {
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(kept);
+}
+
+function stripPngMetadata(buffer) {
+  const kept = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      throw invalidImage();
+    }
+
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw invalidImage();
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+}
+
+/**
+ * Check an uploaded file is an image and remove its metadata
+ * Returns { buffer, contentType, extension }
+ */
+function sanitizeImage(file) {
+  const type = IMAGE_TYPES[detectImageType(file.buffer)];
+  if (!type) {
+    throw invalidImage();
+  }
+
+  return {
+    buffer: type.strip(file.buffer),
+    contentType: type.contentType,
+    extension: type.extension
+  };
+}
+
+function assertStorage() {
+  if (!storage) {
+    throw new HttpError(503, 'File storage unavailable', 'Proof uploads need Firebase Storage to be configured');
+  }
+}
+
+function checkCanUpload(delivery, user) {
+  if (!delivery) {
+    throw new HttpError(404, 'Delivery not found');
+  }
+  if (delivery.driverId !== user.uid) {
+    throw new HttpError(403, 'Access denied', 'Only the assigned driver can upload proof');
+  }
+  if (!PROOF_STATUSES.includes(delivery.status)) {
+    throw new HttpError(409, 'Proof not accepted',
+      'Proof can be added after pickup and until the delivery is completed');
+  }
+}
+
+/**
+ * Refuse an upload before its files are received, so only the assigned
+ * driver of a delivery under way can send them
+ */
+async function assertCanUpload(deliveryId, user) {
+  checkCanUpload(await deliveries.findById(deliveryId), user);
+}
+
+/**
+ * Store proof files uploaded by the assigned driver
+ * files: multer's req.files with proofPhoto and signature fields. Replaces
+ * any proof uploaded before the delivery was completed; earlier files stay
+ * in storage.
+ */
+async function uploadProof(deliveryId, user, files = {}) {
+  const photos = files.proofPhoto || [];
+  const signature = files.signature?.[0] || null;
+
+  if (photos.length === 0 && !signature) {
+    throw new HttpError(400, 'No file uploaded', 'Upload a proof photo or the recipient\'s signature');
+  }
+
+  const delivery = await deliveries.findById(deliveryId);
+  checkCanUpload(delivery, user);
+
+  // Check every file before storing any of them
+  const sanitizedPhotos = photos.map(sanitizeImage);
+  const sanitizedSignature = signature ? sanitizeImage(signature) : null;
+
+  assertStorage();
+
+  const uploadedAt = Date.now();
+  const save = async (image, name) => {
+    const path = `delivery_proofs/${user.uid}/${deliveryId}_${uploadedAt}_${name}.${image.extension}`;
+
+    await storage.bucket().file(path).save(image.buffer, {
+      resumable: false,
+      metadata: { contentType: image.contentType }
+    });
+
+    return { path, contentType: image.contentType, size: image.buffer.length };
+  };
+
+  const storedPhotos = await Promise.all(sanitizedPhotos.map((image, index) => save(image, `photo${index + 1}`)));
+  const storedSignature = sanitizedSignature ? await save(sanitizedSignature, 'signature') : null;
+
+  // Where the server last saw the driver, in place of the stripped GPS tags
+  const driverData = await drivers.findById(user.uid);
+  const location = driverData?.currentLocation;
+  const captureLocation = location ? {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    reportedAt: driverData.locationUpdatedAt?.toDate() || null,
+    distanceFromDropoffKm: Math.round(calculateDistance(
+      location.latitude, location.longitude,
+      delivery.destination.latitude, delivery.destination.longitude
+    ) * 100) / 100
+  } : null;
+
+  const proof = {
+    photos: storedPhotos,
+    signature: storedSignature,
+    captureLocation,
+    uploadedBy: user.uid,
+    uploadedAt: FieldValue.serverTimestamp()
+  };
+
+  // The delivery may have been completed while the files were stored
+  await repositories.runTransaction(async (tx) => {
+    checkCanUpload(await deliveries.findById(deliveryId, { tx }), user);
+
+    await deliveries.update(deliveryId, {
+      proof,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+  });
+
+  return { ...proof, uploadedAt: new Date(uploadedAt) };
+}
+
+/**
+ * Signed, short-lived links to the files of a stored proof
+ */
+async function signProof({ photos, signature, uploadedAt }) {
+  assertStorage();
+
+  const expiresAt = new Date(Date.now() + PROOF_CONFIG.urlTtlMinutes * 60 * 1000);
+  const sign = async ({ path, contentType }) => {
+    const [url] = await storage.bucket().file(path).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt
+    });
+    return { url, contentType };
+  };
+
+  return {
+    photos: await Promise.all(photos.map(sign)),
+    signature: signature ? await sign(signature) : null,
+    uploadedAt: uploadedAt?.toDate(),
+    expiresAt
+  };
+}
+
+/**
+ * Signed, short-lived links to a delivery's proof for its sender, driver
+ * or an admin
+ */
+async function getProofLinks(deliveryId, user) {
+  const delivery = await deliveries.findById(deliveryId);
+  if (!delivery) {
+    throw new HttpError(404, 'Delivery not found');
+  }
+
+  const hasAccess = delivery.senderId === user.uid ||
+    delivery.driverId === user.uid ||
+    user.role === 'admin';
+  if (!hasAccess) {
+    throw new HttpError(403, 'Access denied', 'You do not have permission to view this proof');
+  }
+
+  if (!delivery.proof) {
+    throw new HttpError(404, 'Proof not found', 'No proof has been uploaded for this delivery');
+  }
+
+  const { captureLocation } = delivery.proof;
+
+  return {
+    ...await signProof(delivery.proof),
+    captureLocation: captureLocation && {
+      ...captureLocation,
+      reportedAt: captureLocation.reportedAt?.toDate() || null
+    }
+  };
+}
+
+module.exports = {
+  PROOF_CONFIG,
+  PROOF_FIELDS,
+  sanitizeImage,
+  assertCanUpload,
+  uploadProof,
+  signProof,
+  getProofLinks
+};
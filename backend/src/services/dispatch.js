@@ -0,0 +1,457 @@
+/**
+ * Dispatch Engine
+ * Offers new ride and delivery requests to nearby drivers in waves,
+ * escalating the search radius until someone accepts or the trip expires.
+ * Every offer and its outcome is recorded in the dispatch_offers collection.
+ */
+
+const repositories = require('../repositories');
+const { drivers, dispatchOffers, FieldValue } = repositories;
+const logger = require('../utils/logger');
+const { calculateDistance, findNearby } = require('../utils/geo');
+const tripStateMachine = require('./tripStateMachine');
+const vehicleCatalog = require('./vehicleCatalog');
+
+const DISPATCH_CONFIG = {
+  offerTimeoutMs: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS) || 20000,
+  driversPerWave: parseInt(process.env.DISPATCH_DRIVERS_PER_WAVE) || 3,
+  searchRadiiKm: (process.env.DISPATCH_SEARCH_RADII_KM || '2,5,10').split(',').map(parseFloat),
+  maxWaves: parseInt(process.env.DISPATCH_MAX_WAVES) || 6
+};
+
+const TRIP_COLLECTIONS = {
+  ride: 'rides',
+  delivery: 'deliveries'
+};
+
+const tripRepository = (tripType) => repositories.forCollection(TRIP_COLLECTIONS[tripType]);
+
+// Pending wave timers keyed by `${tripType}:${tripId}`
+const waveTimers = new Map();
+
+const timerKey = (tripType, tripId) => `${tripType}:${tripId}`;
+
+/**
+ * Schedule the next wave for a trip, replacing any pending timer
+ */
+function scheduleWave(tripType, tripId, delayMs) {
+  clearWave(tripType, tripId);
+
+  const timer = setTimeout(() => {
+    waveTimers.delete(timerKey(tripType, tripId));
+    runWave(tripType, tripId).catch(error => {
+      logger.error(`Dispatch wave failed for ${tripType} ${tripId}:`, error);
+    });
+  }, Math.max(delayMs, 0));
+
+  // Do not keep the process alive just for pending offers
+  if (timer.unref) timer.unref();
+
+  waveTimers.set(timerKey(tripType, tripId), timer);
+}
+
+function clearWave(tripType, tripId) {
+  const key = timerKey(tripType, tripId);
+  if (waveTimers.has(key)) {
+    clearTimeout(waveTimers.get(key));
+    waveTimers.delete(key);
+  }
+}
+
+/**
+ * Find drivers that could be offered the trip, nearest first
+ */
+async function findCandidates(tripType, tripData, radiusKm) {
+  const alreadyOffered = new Set(tripData.dispatch?.offeredDriverIds || []);
+
+  const nearby = await findNearby(drivers, {
+    geohashField: 'currentLocation.geohash',
+    where: [
+      ['isOnline', '==', true],
+      ['isAvailable', '==', true],
+      ['verificationStatus', '==', 'verified']
+    ],
+    latitude: tripData.pickup.latitude,
+    longitude: tripData.pickup.longitude,
+    radiusKm,
+    locate: driverData => driverData.currentLocation
+  });
+
+  return nearby
+    .filter(({ record: driverData }) =>
+      !alreadyOffered.has(driverData.id) &&
+      !driverData.isSuspended &&
+      vehicleCatalog.canServeTrip(tripType, tripData, driverData))
+    .map(({ record: driverData, distance }) => ({ driverId: driverData.id, distance }));
+}
+
+// Offers for a trip still waiting on an answer
+const pendingOffersQuery = (tripType, tripId) => ({
+  where: [
+    ['tripType', '==', tripType],
+    ['tripId', '==', tripId],
+    ['status', '==', 'pending']
+  ]
+});
+
+/**
+ * Mark every pending offer for a trip with the given outcome
+ */
+async function closePendingOffers(tripType, tripId, status, exceptOfferId = null) {
+  const pendingOffers = (await dispatchOffers.find(pendingOffersQuery(tripType, tripId)))
+    .filter(offer => offer.id !== exceptOfferId);
+
+  if (pendingOffers.length === 0) {
+    return 0;
+  }
+
+  await repositories.runTransaction(async (tx) => {
+    for (const offer of pendingOffers) {
+      await dispatchOffers.update(offer.id, {
+        status,
+        respondedAt: FieldValue.serverTimestamp()
+      }, { tx });
+    }
+  });
+
+  return pendingOffers.length;
+}
+
+// Accepted, cancelled or otherwise moved on since the wave was planned
+const isStillSearching = (tripData) =>
+  tripData.status === 'requested' && tripData.dispatch?.status === 'searching';
+
+/**
+ * Give up on a trip nobody accepted, unless it moved on in the meantime
+ */
+async function expireTrip(tripType, tripId, reason) {
+  try {
+    await tripStateMachine.transition(tripType, tripId, 'expire', {
+      actor: 'system',
+      updates: {
+        'dispatch.status': 'unmatched',
+        'dispatch.reason': reason,
+        'dispatch.finishedAt': FieldValue.serverTimestamp()
+      }
+    });
+  } catch (error) {
+    // Accepted or cancelled while this wave was running
+    if (error.statusCode === 409) return;
+    throw error;
+  }
+
+  logger.info(`Dispatch gave up on ${tripType} ${tripId}: ${reason}`);
+}
+
+/**
+ * Run one dispatch wave: expire the previous wave's offers, then offer the
+ * trip to the next batch of nearest drivers, widening the radius as needed
+ */
+async function runWave(tripType, tripId) {
+  const tripData = await tripRepository(tripType).findById(tripId);
+
+  if (!tripData || !isStillSearching(tripData)) {
+    return;
+  }
+
+  await closePendingOffers(tripType, tripId, 'expired');
+
+  const wave = tripData.dispatch.wave || 0;
+  if (wave >= DISPATCH_CONFIG.maxWaves) {
+    await expireTrip(tripType, tripId, 'no_acceptance');
+    return;
+  }
+
+  // Escalate the radius until we find drivers that have not been offered yet
+  let radiusIndex = tripData.dispatch.radiusIndex || 0;
+  let candidates = [];
+  while (radiusIndex < DISPATCH_CONFIG.searchRadiiKm.length) {
+    candidates = await findCandidates(tripType, tripData, DISPATCH_CONFIG.searchRadiiKm[radiusIndex]);
+    if (candidates.length > 0) break;
+    radiusIndex++;
+  }
+
+  if (candidates.length === 0) {
+    const everOffered = (tripData.dispatch.offeredDriverIds || []).length > 0;
+    await expireTrip(tripType, tripId, everOffered ? 'no_acceptance' : 'no_drivers_in_range');
+    return;
+  }
+
+  const radiusKm = DISPATCH_CONFIG.searchRadiiKm[radiusIndex];
+  const waveCandidates = candidates.slice(0, DISPATCH_CONFIG.driversPerWave);
+  const expiresAt = new Date(Date.now() + DISPATCH_CONFIG.offerTimeoutMs);
+
+  // The driver search runs outside the transaction, so check the trip was not
+  // accepted or cancelled while it ran before offering it to anyone
+  const offered = await repositories.runTransaction(async (tx) => {
+    const current = await tripRepository(tripType).findById(tripId, { tx });
+    if (!current || !isStillSearching(current) || (current.dispatch.wave || 0) !== wave) {
+      return false;
+    }
+
+    for (const candidate of waveCandidates) {
+      await dispatchOffers.create({
+        tripType,
+        tripId,
+        driverId: candidate.driverId,
+        wave: wave + 1,
+        radiusKm,
+        distanceKm: Math.round(candidate.distance * 100) / 100,
+        status: 'pending',
+        offeredAt: FieldValue.serverTimestamp(),
+        expiresAt,
+        respondedAt: null
+      }, { tx });
+    }
+
+    await tripRepository(tripType).update(tripId, {
+      'dispatch.wave': wave + 1,
+      'dispatch.radiusIndex': radiusIndex,
+      'dispatch.radiusKm': radiusKm,
+      'dispatch.offeredDriverIds': FieldValue.arrayUnion(...waveCandidates.map(c => c.driverId)),
+      'dispatch.lastWaveAt': FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+    return true;
+  });
+
+  if (!offered) {
+    return;
+  }
+
+  logger.info(`Dispatch wave ${wave + 1} for ${tripType} ${tripId}: offered to ${waveCandidates.length} driver(s) within ${radiusKm} km`);
+
+  scheduleWave(tripType, tripId, DISPATCH_CONFIG.offerTimeoutMs);
+}
+
+/**
+ * Start dispatching a newly created trip
+ */
+async function startDispatch(tripType, tripId) {
+  await tripRepository(tripType).update(tripId, {
+    dispatch: {
+      status: 'searching',
+      wave: 0,
+      radiusIndex: 0,
+      radiusKm: DISPATCH_CONFIG.searchRadiiKm[0],
+      offeredDriverIds: [],
+      startedAt: FieldValue.serverTimestamp()
+    }
+  });
+
+  await runWave(tripType, tripId);
+}
+
+/**
+ * Record that a driver accepted the trip and close the remaining offers
+ */
+async function recordAcceptance(tripType, tripId, driverId) {
+  clearWave(tripType, tripId);
+
+  const pendingOffers = await dispatchOffers.find(pendingOffersQuery(tripType, tripId));
+
+  await repositories.runTransaction(async (tx) => {
+    for (const offer of pendingOffers) {
+      await dispatchOffers.update(offer.id, {
+        status: offer.driverId === driverId ? 'accepted' : 'taken',
+        respondedAt: FieldValue.serverTimestamp()
+      }, { tx });
+    }
+
+    await tripRepository(tripType).update(tripId, {
+      'dispatch.status': 'matched',
+      'dispatch.matchedDriverId': driverId,
+      'dispatch.finishedAt': FieldValue.serverTimestamp()
+    }, { tx });
+  });
+}
+
+/**
+ * Stop dispatching a trip, e.g. because it was cancelled
+ */
+async function stopDispatch(tripType, tripId, reason = 'cancelled') {
+  clearWave(tripType, tripId);
+
+  await closePendingOffers(tripType, tripId, 'cancelled');
+
+  const tripData = await tripRepository(tripType).findById(tripId);
+
+  if (tripData && tripData.dispatch?.status === 'searching') {
+    await tripRepository(tripType).update(tripId, {
+      'dispatch.status': 'stopped',
+      'dispatch.reason': reason,
+      'dispatch.finishedAt': FieldValue.serverTimestamp()
+    });
+  }
+}
+
+/**
+ * Driver declines an offer; move on immediately if nobody else is still deciding
+ */
+async function declineOffer(offerId, driverId) {
+  const offerData = await dispatchOffers.findById(offerId);
+
+  if (!offerData || offerData.driverId !== driverId) {
+    return null;
+  }
+
+  if (offerData.status !== 'pending') {
+    return offerData.status;
+  }
+
+  await dispatchOffers.update(offerId, {
+    status: 'declined',
+    respondedAt: FieldValue.serverTimestamp()
+  });
+
+  const stillPending = await dispatchOffers.findOne(pendingOffersQuery(offerData.tripType, offerData.tripId));
+
+  if (!stillPending) {
+    scheduleWave(offerData.tripType, offerData.tripId, 0);
+  }
+
+  return 'declined';
+}
+
+/**
+ * Pending offers currently shown to a driver
+ */
+async function getPendingOffers(driverId) {
+  const offers = await dispatchOffers.find({
+    where: [
+      ['driverId', '==', driverId],
+      ['status', '==', 'pending']
+    ]
+  });
+
+  const now = Date.now();
+  return offers.filter(offer => offer.expiresAt.toDate().getTime() > now);
+}
+
+/**
+ * Open trips near a driver that their vehicle can serve, nearest first
+ * Trips the driver has a live offer for carry that offer, so the app can
+ * show its countdown
+ */
+async function getOpenRequests(driverData, { latitude, longitude }, radiusKm) {
+  const offersByTrip = new Map(
+    (await getPendingOffers(driverData.id)).map(offer => [timerKey(offer.tripType, offer.tripId), offer])
+  );
+
+  const requests = [];
+  for (const tripType of Object.keys(TRIP_COLLECTIONS)) {
+    const nearby = await findNearby(tripRepository(tripType), {
+      geohashField: 'pickup.geohash',
+      where: [['status', '==', 'requested']],
+      latitude,
+      longitude,
+      radiusKm,
+      locate: tripData => tripData.pickup
+    });
+    const openTrips = nearby.map(({ record }) => record);
+
+    // Offered trips always show, even if the driver has since moved away
+    for (const offer of offersByTrip.values()) {
+      if (offer.tripType !== tripType || openTrips.some(trip => trip.id === offer.tripId)) {
+        continue;
+      }
+      const offeredTrip = await tripRepository(tripType).findById(offer.tripId);
+      if (offeredTrip && offeredTrip.status === 'requested') {
+        openTrips.push(offeredTrip);
+      }
+    }
+
+    openTrips.forEach(tripData => {
+      if (!vehicleCatalog.canServeTrip(tripType, tripData, driverData)) {
+        return;
+      }
+
+      const distance = calculateDistance(
+        latitude, longitude,
+        tripData.pickup.latitude, tripData.pickup.longitude
+      );
+      const offer = offersByTrip.get(timerKey(tripType, tripData.id));
+
+      requests.push({
+        tripType,
+        tripId: tripData.id,
+        pickup: tripData.pickup,
+        destination: tripData.destination,
+        vehicleType: tripData.vehicleType || null,
+        packageType: tripData.packageType || null,
+        sizeBand: tripData.sizeBand || null,
+        fare: tripData.fare,
+        estimatedDistance: tripData.estimatedDistance,
+        estimatedDuration: tripData.estimatedDuration,
+        distance: Math.round(distance * 100) / 100,
+        offer: offer ? { id: offer.id, expiresAt: offer.expiresAt.toDate().toISOString() } : null
+      });
+    });
+  }
+
+  // Live offers first, then by distance
+  requests.sort((a, b) => Boolean(b.offer) - Boolean(a.offer) || a.distance - b.distance);
+  return requests;
+}
+
+/**
+ * Full offer history for a trip, oldest first
+ */
+async function getOfferHistory(tripType, tripId) {
+  return dispatchOffers.find({
+    where: [
+      ['tripType', '==', tripType],
+      ['tripId', '==', tripId]
+    ],
+    orderBy: ['offeredAt', 'asc']
+  });
+}
+
+/**
+ * Pick up trips that were mid-dispatch when the server last stopped
+ */
+async function resumeActiveDispatches() {
+  for (const tripType of Object.keys(TRIP_COLLECTIONS)) {
+    const searchingTrips = await tripRepository(tripType).find({
+      where: [
+        ['status', '==', 'requested'],
+        ['dispatch.status', '==', 'searching']
+      ]
+    });
+
+    searchingTrips.forEach(trip => {
+      const lastWaveAt = trip.dispatch.lastWaveAt?.toDate();
+      const elapsed = lastWaveAt ? Date.now() - lastWaveAt.getTime() : DISPATCH_CONFIG.offerTimeoutMs;
+      scheduleWave(tripType, trip.id, DISPATCH_CONFIG.offerTimeoutMs - elapsed);
+    });
+
+    if (searchingTrips.length > 0) {
+      logger.info(`Resumed dispatch for ${searchingTrips.length} ${tripType}(s)`);
+    }
+  }
+}
+
+// Close out dispatch when a trip is accepted or cancelled
+tripStateMachine.tripEvents.on('transition', ({ tripType, tripId, event, trip }) => {
+  if (event === 'accept') {
+    recordAcceptance(tripType, tripId, trip.driverId).catch(error => {
+      logger.error(`Error recording dispatch acceptance for ${tripType} ${tripId}:`, error);
+    });
+  } else if (event === 'cancel') {
+    stopDispatch(tripType, tripId).catch(error => {
+      logger.error(`Error stopping dispatch for ${tripType} ${tripId}:`, error);
+    });
+  }
+});
+
+module.exports = {
+  DISPATCH_CONFIG,
+  startDispatch,
+  recordAcceptance,
+  stopDispatch,
+  declineOffer,
+  getPendingOffers,
+  getOpenRequests,
+  getOfferHistory,
+  resumeActiveDispatches
+};
@@ -0,0 +1,144 @@
+/**
+ * Fare Quotes
+ * Signs server-calculated fares so bookings can only use a fare the server
+ * issued. A quote ID is a base64url payload plus an HMAC signature; its
+ * one-time use is recorded in the fare_quotes collection.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { fareQuotes: redemptions, FieldValue } = require('../repositories');
+const logger = require('../utils/logger');
+const { calculateDistance } = require('../utils/geo');
+
+const QUOTE_TTL_MS = parseInt(process.env.FARE_QUOTE_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+
+// Booked coordinates may drift this far from the quoted ones (GPS jitter)
+const LOCATION_TOLERANCE_KM = 0.2;
+
+let quoteSecret = process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+if (!quoteSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('FARE_QUOTE_SECRET or JWT_SECRET must be set to sign fare quotes');
+  }
+  quoteSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('No fare quote secret configured; quotes will not survive a restart');
+}
+
+/**
+ * Error raised when a quote cannot be used for a booking
+ */
+class QuoteError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'QuoteError';
+    this.reason = reason;
+    this.statusCode = reason === 'reused' ? 409 : 400;
+  }
+}
+
+const sign = (encodedPayload) => crypto
+  .createHmac('sha256', quoteSecret)
+  .update(encodedPayload)
+  .digest('base64url');
+
+/**
+ * Issue a signed quote for a server-calculated fare
+ */
+function issueQuote(details) {
+  const issuedAt = Date.now();
+  const payload = {
+    id: uuidv4(),
+    ...details,
+    iat: issuedAt,
+    exp: issuedAt + QUOTE_TTL_MS
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    quoteId: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+}
+
+/**
+ * Verify a quote's signature, expiry and kind, returning its payload
+ */
+function verifyQuote(quoteId, kind) {
+  if (typeof quoteId !== 'string' || !quoteId.includes('.')) {
+    throw new QuoteError('invalid', 'Fare quote is malformed');
+  }
+
+  const [encodedPayload, signature] = quoteId.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature || '');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new QuoteError('invalid', 'Fare quote signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QuoteError('invalid', 'Fare quote is malformed');
+  }
+
+  if (payload.kind !== kind) {
+    throw new QuoteError('invalid', `This quote is not valid for a ${kind} booking`);
+  }
+
+  if (Date.now() > payload.exp) {
+    throw new QuoteError('expired', 'Fare quote has expired. Please request a new estimate');
+  }
+
+  return payload;
+}
+
+/**
+ * Check that the booked pickup and destination are the ones that were quoted
+ */
+function assertQuoteMatchesTrip(quote, pickup, destination) {
+  const pickupDrift = calculateDistance(
+    quote.pickup.latitude, quote.pickup.longitude,
+    pickup.latitude, pickup.longitude
+  );
+  const destinationDrift = calculateDistance(
+    quote.destination.latitude, quote.destination.longitude,
+    destination.latitude, destination.longitude
+  );
+
+  if (pickupDrift > LOCATION_TOLERANCE_KM || destinationDrift > LOCATION_TOLERANCE_KM) {
+    throw new QuoteError('mismatch', 'Pickup or destination differs from the quoted trip. Please request a new estimate');
+  }
+}
+
+/**
+ * Mark a quote as used inside a booking transaction
+ * Throws if the quote was already redeemed
+ */
+async function redeemQuote(tx, quote, booking) {
+  const redemption = await redemptions.findById(quote.id, { tx });
+
+  if (redemption) {
+    throw new QuoteError('reused', 'This fare quote has already been used');
+  }
+
+  await redemptions.set(quote.id, {
+    kind: quote.kind,
+    fare: quote.fare,
+    expiresAt: new Date(quote.exp),
+    ...booking,
+    redeemedAt: FieldValue.serverTimestamp()
+  }, { tx });
+}
+
+module.exports = {
+  QUOTE_TTL_MS,
+  QuoteError,
+  issueQuote,
+  verifyQuote,
+  assertQuoteMatchesTrip,
+  redeemQuote
+};
@@ -0,0 +1,235 @@
+/**
+ * Delivery Handoff Codes
+ * Every delivery gets two one-time codes when it is booked: a pickup code
+ * the sender gives the driver at collection and a drop-off code texted to
+ * the recipient, who gives it to the driver on arrival. The driver must
+ * enter the matching code to mark the package picked up or delivered, which
+ * records who handed the package over.
+ *
+ * Codes live in handoff_codes (one document per delivery), away from the
+ * delivery document the driver can read. Wrong codes count against a limit;
+ * once it is reached only an admin override, recorded in logs, lets the
+ * driver continue.
+ */
+
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { deliveries, handoffCodes, logs, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { sendSms } = require('./sms');
+
+const HANDOFF_CONFIG = {
+  codeLength: 4,
+  maxAttempts: parseInt(process.env.HANDOFF_MAX_ATTEMPTS) || 5
+};
+
+// Each stage, the delivery statuses its code can be entered in and the
+// delivery field recording how it was verified
+const STAGES = {
+  pickup: { label: 'pickup', statuses: ['confirmed', 'arriving'], tripField: 'pickupVerifiedVia' },
+  dropoff: { label: 'drop-off', statuses: ['picked_up', 'in_transit'], tripField: 'dropoffVerifiedVia' }
+};
+
+function generateCode() {
+  return crypto.randomInt(0, 10 ** HANDOFF_CONFIG.codeLength)
+    .toString()
+    .padStart(HANDOFF_CONFIG.codeLength, '0');
+}
+
+function codesMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual ?? ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Create the codes for a new delivery inside its booking transaction
+ * Returns the pickup code to show the sender
+ */
+async function createCodes(tx, deliveryId, senderId) {
+  const stage = () => ({ code: generateCode(), attempts: 0, verifiedAt: null, verifiedVia: null });
+  const codes = { deliveryId, senderId, pickup: stage(), dropoff: stage() };
+
+  await handoffCodes.create({ ...codes, createdAt: FieldValue.serverTimestamp() }, { tx, id: deliveryId });
+
+  return codes.pickup.code;
+}
+
+/**
+ * The pickup code, for the sender to show their driver
+ */
+async function getPickupCode(deliveryId) {
+  const codes = await handoffCodes.findById(deliveryId);
+  return codes?.pickup.code || null;
+}
+
+/**
+ * Text the drop-off code to the recipient
+ * Failures are logged, not thrown, so they never block the handoff
+ */
+async function sendDropoffCode(deliveryId, delivery) {
+  try {
+    const codes = await handoffCodes.findById(deliveryId);
+    if (!codes) return;
+
+    await sendSms(
+      delivery.destination.contactPhone,
+      `Quick Pickup: a package from ${delivery.pickup.contactName} is on its way to you. ` +
+      `Give the driver code ${codes.dropoff.code} when you receive it.`
+    );
+  } catch (error) {
+    logger.error(`Error sending drop-off code for delivery ${deliveryId}:`, error);
+  }
+}
+
+/**
+ * Check the code the assigned driver entered for a handoff stage before the
+ * status change is attempted
+ * Wrong codes are counted (in their own transaction, so the count sticks)
+ * before the error is thrown; a right code is only recorded by
+ * handoffEffect, together with the status change. Deliveries booked before
+ * handoff codes existed and stages an admin already let through need no code.
+ */
+async function checkCode(deliveryId, stage, user, code) {
+  const { label, statuses } = STAGES[stage];
+
+  const result = await repositories.runTransaction(async (tx) => {
+    const delivery = await deliveries.findById(deliveryId, { tx });
+    if (!delivery) {
+      throw new HttpError(404, 'Delivery not found');
+    }
+    if (delivery.driverId !== user.uid) {
+      throw new HttpError(403, 'Access denied', 'Only the assigned driver can complete a handoff');
+    }
+    if (!statuses.includes(delivery.status)) {
+      throw new HttpError(409, 'Invalid status transition',
+        `Delivery is ${delivery.status} and its ${label} code cannot be checked`);
+    }
+
+    const codes = await handoffCodes.findById(deliveryId, { tx });
+    if (!codes || codes[stage].verifiedAt) {
+      return {};
+    }
+
+    const state = codes[stage];
+    assertUnlocked(state, label);
+    if (!code) {
+      throw new HttpError(400, 'Code required', `Enter the ${label} code to continue`);
+    }
+
+    if (!codesMatch(state.code, code)) {
+      await handoffCodes.update(deliveryId, {
+        [`${stage}.attempts`]: FieldValue.increment(1),
+        updatedAt: FieldValue.serverTimestamp()
+      }, { tx });
+      return { attemptsLeft: HANDOFF_CONFIG.maxAttempts - state.attempts - 1 };
+    }
+
+    return {};
+  });
+
+  if (result.attemptsLeft !== undefined) {
+    logger.warn(`Wrong ${label} code for delivery ${deliveryId} from driver ${user.uid}`);
+    throw new HttpError(400, 'Invalid code', result.attemptsLeft > 0
+      ? `Wrong ${label} code. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`
+      : `Wrong ${label} code. Contact support to continue.`);
+  }
+}
+
+function assertUnlocked(state, label) {
+  if (state.attempts >= HANDOFF_CONFIG.maxAttempts) {
+    throw new HttpError(423, 'Handoff locked', `Too many wrong ${label} codes. Contact support to continue.`);
+  }
+}
+
+/**
+ * Trip state machine effect that records a handoff stage as verified in the
+ * same transaction as the status change, so a failed transition leaves the
+ * stage unverified. The code comes from the transition's options.handoffCode
+ * and is checked again here; the trip records how the stage was verified
+ * ('code', 'admin_override', or null for deliveries without codes) in
+ * pickupVerifiedVia or dropoffVerifiedVia.
+ */
+function handoffEffect(stage) {
+  const { label, tripField } = STAGES[stage];
+
+  const effect = async ({ tx, type, tripId, trip, handoff }) => {
+    let verifiedVia = handoff.codes ? handoff.codes[stage].verifiedVia : null;
+
+    if (handoff.codes && !handoff.codes[stage].verifiedAt) {
+      verifiedVia = 'code';
+      await handoffCodes.update(tripId, {
+        [`${stage}.verifiedAt`]: FieldValue.serverTimestamp(),
+        [`${stage}.verifiedVia`]: verifiedVia,
+        updatedAt: FieldValue.serverTimestamp()
+      }, { tx });
+    }
+
+    await repositories.forCollection(type.collection).update(tripId, { [tripField]: verifiedVia }, { tx });
+    trip[tripField] = verifiedVia;
+  };
+
+  effect.prepare = async (context) => {
+    const { tx, tripId, options } = context;
+    const codes = await handoffCodes.findById(tripId, { tx });
+
+    if (codes && !codes[stage].verifiedAt) {
+      assertUnlocked(codes[stage], label);
+      if (!codesMatch(codes[stage].code, options.handoffCode)) {
+        throw new HttpError(400, 'Invalid code', `Wrong ${label} code`);
+      }
+    }
+
+    context.handoff = { codes };
+  };
+
+  return effect;
+}
+
+/**
+ * Let the driver through a handoff stage without the code (admin only),
+ * for example when the recipient never got the text
+ */
+async function overrideHandoff(deliveryId, stage, { adminId, reason }) {
+  return repositories.runTransaction(async (tx) => {
+    const codes = await handoffCodes.findById(deliveryId, { tx });
+    if (!codes) {
+      throw new HttpError(404, 'Handoff codes not found', 'This delivery has no handoff codes');
+    }
+    if (codes[stage].verifiedAt) {
+      throw new HttpError(409, 'Already verified', `The ${STAGES[stage].label} handoff is already verified`);
+    }
+
+    await handoffCodes.update(deliveryId, {
+      [`${stage}.verifiedAt`]: FieldValue.serverTimestamp(),
+      [`${stage}.verifiedVia`]: 'admin_override',
+      [`${stage}.overriddenBy`]: adminId,
+      [`${stage}.overrideReason`]: reason,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    await logs.create({
+      action: 'delivery_handoff_override',
+      deliveryId,
+      stage,
+      attempts: codes[stage].attempts,
+      reason,
+      adminId,
+      timestamp: FieldValue.serverTimestamp()
+    }, { tx });
+
+    return { deliveryId, stage, verifiedVia: 'admin_override', attempts: codes[stage].attempts };
+  });
+}
+
+module.exports = {
+  HANDOFF_CONFIG,
+  STAGES,
+  createCodes,
+  getPickupCode,
+  sendDropoffCode,
+  checkCode,
+  handoffEffect,
+  overrideHandoff
+};
@@ -0,0 +1,238 @@
+/**
+ * Notification Service
+ * Sends localized push notifications to a user's registered devices.
+ * NOTIFICATION_TRANSPORT picks how they are delivered: 'fcm' sends through
+ * Firebase Cloud Messaging (the default when Firebase is configured), 'log'
+ * (the default otherwise) only writes them to the server log, and 'fake',
+ * which must be picked explicitly, records every message in
+ * transports.fake.sent so tests can assert on what was sent. Trip lifecycle
+ * pushes are sent from tripEvents.
+ */
+
+const crypto = require('crypto');
+const { messaging } = require('../config/firebase');
+const { users, devices, FieldValue } = require('../repositories');
+const logger = require('../utils/logger');
+const tripStateMachine = require('./tripStateMachine');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Message templates by language; {placeholders} are filled from params
+const TEMPLATES = {
+  en: {
+    ride_accepted: { title: 'Driver found', body: 'A driver has accepted your ride and is on the way.' },
+    ride_driver_arriving: { title: 'Driver arriving', body: 'Your driver is arriving at the pickup point.' },
+    ride_started: { title: 'Ride started', body: 'Your ride has started. Have a safe trip!' },
+    ride_completed: { title: 'Ride completed', body: 'You have reached your destination. Fare: ₹{fare}' },
+    ride_cancelled: { title: 'Ride cancelled', body: 'Your ride has been cancelled.' },
+    ride_scheduled_reminder: { title: 'Upcoming ride', body: 'Your scheduled ride picks you up at {time}. We will find you a driver shortly before.' },
+    ride_scheduled_cancelled: { title: 'Scheduled ride cancelled', body: 'We could not send a driver for your scheduled ride because your previous ride was still in progress.' },
+    delivery_accepted: { title: 'Driver found', body: 'A driver has accepted your delivery and is heading to the pickup point.' },
+    delivery_driver_arriving: { title: 'Driver arriving', body: 'Your driver is arriving to collect the package.' },
+    delivery_picked_up: { title: 'Package picked up', body: 'Your package has been picked up and is on its way.' },
+    delivery_completed: { title: 'Package delivered', body: 'Your package has been delivered. Fare: ₹{fare}' },
+    delivery_cancelled: { title: 'Delivery cancelled', body: 'Your delivery has been cancelled.' },
+    delivery_scheduled_reminder: { title: 'Upcoming delivery', body: 'Your scheduled delivery will be collected at {time}. Please have the package ready.' },
+    delivery_scheduled_cancelled: { title: 'Scheduled delivery cancelled', body: 'We could not send a driver for your scheduled delivery because your previous delivery was still in progress.' },
+    driver_verification_approved: { title: 'You are verified', body: 'Your driver account has been approved. You can now go online.' },
+    driver_verification_rejected: { title: 'Verification unsuccessful', body: 'Your driver registration was not approved: {reason}' }
+  },
+  bn: {
+    ride_accepted: { title: 'চালক পাওয়া গেছে', body: 'একজন চালক আপনার রাইড গ্রহণ করেছেন এবং আসছেন।' },
+    ride_driver_arriving: { title: 'চালক আসছেন', body: 'আপনার চালক পিকআপ স্থানে পৌঁছাচ্ছেন।' },
+    ride_started: { title: 'রাইড শুরু হয়েছে', body: 'আপনার রাইড শুরু হয়েছে। নিরাপদে যাত্রা করুন!' },
+    ride_completed: { title: 'রাইড সম্পন্ন', body: 'আপনি গন্তব্যে পৌঁছে গেছেন। ভাড়া: ₹{fare}' },
+    ride_cancelled: { title: 'রাইড বাতিল', body: 'আপনার রাইড বাতিল করা হয়েছে।' },
+    ride_scheduled_reminder: { title: 'আসন্ন রাইড', body: 'আপনার নির্ধারিত রাইড {time}-এ আপনাকে নিতে আসবে। তার কিছু আগে আমরা চালক খুঁজে দেব।' },
+    ride_scheduled_cancelled: { title: 'নির্ধারিত রাইড বাতিল', body: 'আপনার আগের রাইড তখনও চলছিল, তাই আপনার নির্ধারিত রাইডের জন্য চালক পাঠানো যায়নি।' },
+    delivery_accepted: { title: 'চালক পাওয়া গেছে', body: 'একজন চালক আপনার ডেলিভারি গ্রহণ করেছেন এবং পিকআপ স্থানে যাচ্ছেন।' },
+    delivery_driver_arriving: { title: 'চালক আসছেন', body: 'আপনার চালক প্যাকেজ নিতে পৌঁছাচ্ছেন।' },
+    delivery_picked_up: { title: 'প্যাকেজ নেওয়া হয়েছে', body: 'আপনার প্যাকেজ নেওয়া হয়েছে এবং পথে রয়েছে।' },
+    delivery_completed: { title: 'প্যাকেজ পৌঁছে গেছে', body: 'আপনার প্যাকেজ পৌঁছে দেওয়া হয়েছে। ভাড়া: ₹{fare}' },
+    delivery_cancelled: { title: 'ডেলিভারি বাতিল', body: 'আপনার ডেলিভারি বাতিল করা হয়েছে।' },
+    delivery_scheduled_reminder: { title: 'আসন্ন ডেলিভারি', body: 'আপনার নির্ধারিত ডেলিভারি {time}-এ সংগ্রহ করা হবে। অনুগ্রহ করে প্যাকেজ প্রস্তুত রাখুন।' },
+    delivery_scheduled_cancelled: { title: 'নির্ধারিত ডেলিভারি বাতিল', body: 'আপনার আগের ডেলিভারি তখনও চলছিল, তাই আপনার নির্ধারিত ডেলিভারির জন্য চালক পাঠানো যায়নি।' },
+    driver_verification_approved: { title: 'আপনি যাচাইকৃত', body: 'আপনার চালক অ্যাকাউন্ট অনুমোদিত হয়েছে। এখন আপনি অনলাইনে যেতে পারেন।' },
+    driver_verification_rejected: { title: 'যাচাই সফল হয়নি', body: 'আপনার চালক নিবন্ধন অনুমোদিত হয়নি: {reason}' }
+  }
+};
+
+// FCM errors that mean a token will never work again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const transports = {
+  fcm: {
+    name: 'fcm',
+    async send(tokens, { notification, data }) {
+      const response = await messaging.sendEachForMulticast({ tokens, notification, data });
+      return response.responses.map((result, index) => ({
+        token: tokens[index],
+        success: result.success,
+        errorCode: result.error?.code || null
+      }));
+    }
+  },
+
+  log: {
+    name: 'log',
+    async send(tokens, message) {
+      logger.info(`Push to ${tokens.length} device(s): ${message.notification.title} - ${message.notification.body}`);
+      return tokens.map(token => ({ token, success: true, errorCode: null }));
+    }
+  },
+
+  // Keeps every message until reset(), so only for tests
+  fake: {
+    name: 'fake',
+    sent: [],
+    async send(tokens, message) {
+      this.sent.push({ tokens, ...message });
+      return tokens.map(token => ({ token, success: true, errorCode: null }));
+    },
+    reset() {
+      this.sent.length = 0;
+    }
+  }
+};
+
+const transportName = process.env.NOTIFICATION_TRANSPORT || (messaging ? 'fcm' : 'log');
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown NOTIFICATION_TRANSPORT: ${transportName}`);
+}
+if (transportName === 'fcm' && !messaging) {
+  throw new Error('NOTIFICATION_TRANSPORT=fcm requires Firebase configuration');
+}
+
+let activeTransport = transports[transportName];
+
+/**
+ * Replace the transport pushes are sent through
+ */
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+// Device documents are keyed by a hash of the token so re-registering is idempotent
+const deviceId = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+async function registerDevice(userId, token, platform) {
+  await devices.set(deviceId(token), {
+    userId,
+    token,
+    platform,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Remove a device token, returning false if it belongs to someone else
+ */
+async function unregisterDevice(userId, token) {
+  const device = await devices.findById(deviceId(token));
+  if (!device) return true;
+  if (device.userId !== userId) return false;
+
+  await devices.delete(device.id);
+  return true;
+}
+
+/**
+ * Fill a template in the user's language, falling back to English
+ */
+function render(type, language, params = {}) {
+  const template = (TEMPLATES[language] || TEMPLATES[DEFAULT_LANGUAGE])[type] || TEMPLATES[DEFAULT_LANGUAGE][type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? params[key] : ''));
+  return { title: fill(template.title), body: fill(template.body) };
+}
+
+/**
+ * Push a notification to every device registered to a user
+ * data is attached to the message for the app; FCM requires string values
+ */
+async function notifyUser(userId, type, params = {}, data = {}) {
+  const registered = await devices.find({ where: [['userId', '==', userId]] });
+
+  if (registered.length === 0) {
+    logger.debug(`No devices registered for ${userId}; skipping ${type} notification`);
+    return [];
+  }
+
+  const user = await users.findById(userId);
+  const notification = render(type, user?.language || DEFAULT_LANGUAGE, params);
+  const payload = Object.fromEntries(
+    Object.entries({ type, ...data }).map(([key, value]) => [key, String(value)])
+  );
+
+  const results = await activeTransport.send(registered.map(device => device.token), {
+    notification,
+    data: payload
+  });
+
+  // Forget tokens FCM says are gone for good
+  const stale = results.filter(result => STALE_TOKEN_ERRORS.includes(result.errorCode));
+  await Promise.all(stale.map(result => devices.delete(deviceId(result.token))));
+
+  const delivered = results.filter(result => result.success).length;
+  logger.info(`Notification ${type} sent to ${delivered} of ${results.length} devices for ${userId}`);
+
+  return results;
+}
+
+// Trip events that notify the passenger or sender, by trip type
+const TRIP_NOTIFICATIONS = {
+  ride: {
+    accept: 'ride_accepted',
+    arrive: 'ride_driver_arriving',
+    start: 'ride_started',
+    complete: 'ride_completed',
+    cancel: 'ride_cancelled'
+  },
+  delivery: {
+    accept: 'delivery_accepted',
+    arrive: 'delivery_driver_arriving',
+    pickup: 'delivery_picked_up',
+    complete: 'delivery_completed',
+    cancel: 'delivery_cancelled'
+  }
+};
+
+tripStateMachine.tripEvents.on('transition', ({ tripType, tripId, event, trip, actor, from }) => {
+  // The system only cancels scheduled trips it could not release
+  const type = event === 'cancel' && actor === 'system' && from === tripStateMachine.SCHEDULED_STATUS
+    ? `${tripType}_scheduled_cancelled`
+    : TRIP_NOTIFICATIONS[tripType][event];
+  if (!type) return;
+
+  const { ownerField, ownerActor, idField } = tripStateMachine.TRIP_TYPES[tripType];
+  const data = { tripType, [idField]: tripId, status: trip.status };
+  const params = { fare: trip.fare };
+
+  // Tell everyone on the trip except whoever caused the change
+  const recipients = [];
+  if (actor !== ownerActor) recipients.push(trip[ownerField]);
+  if (event === 'cancel' && trip.driverId && actor !== 'driver') recipients.push(trip.driverId);
+
+  recipients.forEach(userId => {
+    notifyUser(userId, type, params, data).catch(error => {
+      logger.error(`Error sending ${type} notification for ${tripType} ${tripId}:`, error);
+    });
+  });
+});
+
+module.exports = {
+  TEMPLATES,
+  transports,
+  setTransport,
+  registerDevice,
+  unregisterDevice,
+  render,
+  notifyUser
+};
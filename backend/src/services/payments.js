@@ -0,0 +1,492 @@
+/**
+ * Payment Service
+ * Takes the payment created when a trip completes through its lifecycle:
+ *
+ *   pending -> authorized -> captured -> refunded
+ *   pending | authorized -> failed
+ *
+ * The rider picks the method at booking. Cash stays pending until the driver
+ * confirms they were paid; UPI is charged through the payment gateway, which
+ * reports the outcome through a webhook; wallet payments are debited when the
+ * trip completes (see the trip state machine). Wallet top-ups are payments
+ * too, charged through the gateway and credited to the wallet on capture.
+ * Refunds of wallet and cash payments go back to the rider's wallet.
+ *
+ * PAYMENT_GATEWAY picks the gateway at startup. Only 'mock' ships: it keeps
+ * charges in memory and calls back its own webhook after
+ * MOCK_PAYMENT_WEBHOOK_DELAY_MS with the outcome in MOCK_PAYMENT_OUTCOME
+ * (success or failure), so the whole flow runs offline. It approves charges
+ * nobody paid, so it is ignored in production. Without a gateway the server
+ * still starts, but UPI is refused at booking, top-ups are refused and any
+ * UPI charge fails; cash and wallet trips are unaffected. Other
+ * gateways can be installed with setGateway as long as they implement:
+ *   createCharge({ paymentId, amount, method }) -> { reference }
+ *   capture(reference, amount)                 -> { reference }
+ *   refund(reference, amount)                  -> { refundId }
+ *   parseWebhook(headers, rawBody)             -> { reference, type, reason }
+ *     type: 'authorized' | 'captured' | 'failed'; throws on a bad signature
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const repositories = require('../repositories');
+const { payments, FieldValue, Timestamp } = repositories;
+const logger = require('../utils/logger');
+const { HttpError } = require('../utils/errors');
+const tripStateMachine = require('./tripStateMachine');
+const wallet = require('./wallet');
+const settlement = require('./settlement');
+
+const PAYMENT_METHODS = {
+  cash: { label: 'Cash', available: true, viaGateway: false },
+  upi: { label: 'UPI', available: true, viaGateway: true },
+  wallet: { label: 'Wallet', available: true, viaGateway: false }
+};
+
+const DEFAULT_PAYMENT_METHOD = 'cash';
+
+// Method wallet top-ups are charged with
+const TOPUP_METHOD = 'upi';
+
+/**
+ * Lifecycle: event -> { from, to, timestamp }
+ */
+const PAYMENT_TRANSITIONS = {
+  authorize: { from: ['pending'], to: 'authorized', timestamp: 'authorizedAt' },
+  capture: { from: ['pending', 'authorized'], to: 'captured', timestamp: 'capturedAt' },
+  fail: { from: ['pending', 'authorized'], to: 'failed', timestamp: 'failedAt' },
+  refund: { from: ['captured'], to: 'refunded', timestamp: 'refundedAt' }
+};
+
+const paymentEvents = new EventEmitter();
+
+const MOCK_CONFIG = {
+  outcome: process.env.MOCK_PAYMENT_OUTCOME || 'success',
+  webhookDelayMs: parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS) || 2000,
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET
+};
+
+// Without a configured secret, sign mock webhooks with one that only this
+// process knows
+if (!MOCK_CONFIG.webhookSecret) {
+  MOCK_CONFIG.webhookSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('No payment webhook secret configured; mock webhooks are signed with a per-process secret');
+}
+
+const signWebhook = (rawBody) =>
+  crypto.createHmac('sha256', MOCK_CONFIG.webhookSecret).update(rawBody).digest('hex');
+
+// Mock charges keyed by reference
+const mockCharges = new Map();
+
+const gateways = {
+  mock: {
+    name: 'mock',
+
+    async createCharge({ paymentId, amount, method }) {
+      const reference = `mock_${crypto.randomBytes(8).toString('hex')}`;
+      mockCharges.set(reference, { paymentId, amount, method, status: 'created' });
+
+      // Call back like a real gateway once the payer has responded
+      const timer = setTimeout(() => {
+        simulateWebhook(reference, MOCK_CONFIG.outcome).catch(error => {
+          logger.error(`Mock payment webhook for ${reference} failed:`, error);
+        });
+      }, MOCK_CONFIG.webhookDelayMs);
+      if (timer.unref) timer.unref();
+
+      return { reference };
+    },
+
+    async capture(reference) {
+      const charge = mockCharges.get(reference);
+      if (!charge) {
+        throw new Error(`Unknown mock charge: ${reference}`);
+      }
+      charge.status = 'captured';
+      return { reference };
+    },
+
+    async refund(reference) {
+      const charge = mockCharges.get(reference);
+      if (!charge) {
+        throw new Error(`Unknown mock charge: ${reference}`);
+      }
+      charge.status = 'refunded';
+      return { refundId: `mock_refund_${crypto.randomBytes(8).toString('hex')}` };
+    },
+
+    parseWebhook(headers, rawBody) {
+      const expected = signWebhook(rawBody);
+      const signature = headers['x-mock-signature'] || '';
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new HttpError(401, 'Invalid signature', 'Webhook signature does not match');
+      }
+
+      const { reference, type, reason = null } = JSON.parse(rawBody);
+      return { reference, type, reason };
+    }
+  }
+};
+
+/**
+ * Pick the gateway named by PAYMENT_GATEWAY, or none when it is unknown or
+ * would be the mock in production; cash keeps working either way
+ */
+function configuredGateway() {
+  const gatewayName = process.env.PAYMENT_GATEWAY || 'mock';
+
+  if (!gateways[gatewayName]) {
+    logger.warn(`Unknown PAYMENT_GATEWAY: ${gatewayName}; UPI payments are unavailable`);
+    return null;
+  }
+  if (gatewayName === 'mock' && process.env.NODE_ENV === 'production') {
+    logger.warn('PAYMENT_GATEWAY=mock approves every charge without payment and is ignored in production; UPI payments are unavailable');
+    return null;
+  }
+  return gateways[gatewayName];
+}
+
+let activeGateway = configuredGateway();
+
+/**
+ * Replace the gateway UPI payments are charged through
+ */
+function setGateway(gateway) {
+  activeGateway = gateway;
+}
+
+const getGateway = () => activeGateway;
+
+/**
+ * Whether a method can be used right now: gateway methods need a gateway
+ */
+const isMethodAvailable = (method) =>
+  Boolean(PAYMENT_METHODS[method]?.available && (!PAYMENT_METHODS[method].viaGateway || activeGateway));
+
+/**
+ * Check a payment method chosen at booking
+ * Returns an error message, or null when the method can be used
+ */
+function validatePaymentMethod(method) {
+  const definition = PAYMENT_METHODS[method];
+  if (!definition) {
+    return `Payment method must be one of: ${Object.keys(PAYMENT_METHODS).join(', ')}`;
+  }
+  if (!definition.available) {
+    return `${definition.label} payments are not available yet`;
+  }
+  if (!isMethodAvailable(method)) {
+    return `${definition.label} payments are not available right now`;
+  }
+  return null;
+}
+
+/**
+ * Check at booking that the payer can cover the quoted fare
+ * Only wallet payments are checked; the final fare is debited on completion
+ */
+async function assertCanPay(method, userId, amount) {
+  if (method !== 'wallet') return;
+
+  const { balance } = await wallet.getWallet(userId);
+  if (balance < amount) {
+    throw new HttpError(400, 'Insufficient wallet balance', `Wallet balance is ₹${balance}; top up or choose another payment method`);
+  }
+}
+
+// Whose wallet a payment belongs to
+const payerOf = (payment) => payment.userId || payment.senderId;
+
+/**
+ * Wallet credit that goes with a payment event, if any
+ */
+function walletCreditFor(event, payment) {
+  if (event === 'capture' && payment.purpose === 'wallet_topup') {
+    return { type: 'topup', description: 'Wallet top-up' };
+  }
+  if (event === 'refund' && ['wallet', 'cash'].includes(payment.method)) {
+    return { type: 'refund', description: 'Refund to wallet' };
+  }
+  return null;
+}
+
+/**
+ * The trip whose fare a captured payment settles with the driver, if any:
+ * only fares charged through the gateway, as cash and wallet fares are
+ * settled when the trip completes
+ */
+function tripSettledBy(event, payment) {
+  if (event !== 'capture' || !payment.driverId ||
+      settlement.COLLECTED_ON_COMPLETION.includes(payment.method)) {
+    return null;
+  }
+
+  const tripType = Object.keys(tripStateMachine.TRIP_TYPES)
+    .find(candidate => payment[tripStateMachine.TRIP_TYPES[candidate].idField]);
+  if (!tripType) return null;
+
+  const type = tripStateMachine.TRIP_TYPES[tripType];
+  return { type, tripType, tripId: payment[type.idField] };
+}
+
+/**
+ * Move a payment through a lifecycle event
+ * The status check, the update, any wallet credit and the settlement of a
+ * captured trip fare run in one transaction, so a payment is never captured
+ * or refunded twice; illegal moves fail with a 409.
+ * Returns the payment after the change
+ */
+async function transitionPayment(paymentId, event, updates = {}) {
+  const definition = PAYMENT_TRANSITIONS[event];
+
+  const payment = await repositories.runTransaction(async (tx) => {
+    const before = await payments.findById(paymentId, { tx });
+
+    if (!before) {
+      throw new HttpError(404, 'Payment not found');
+    }
+    if (!definition.from.includes(before.status)) {
+      throw new HttpError(409, 'Invalid payment status', `Payment is ${before.status} and cannot be moved to ${definition.to}`);
+    }
+
+    const trip = tripSettledBy(event, before);
+    const settle = trip && !(await settlement.isSettled(tx, trip.tripType, trip.tripId));
+
+    const credit = walletCreditFor(event, before);
+    let walletFields = {};
+    if (credit) {
+      const { transactionId } = await wallet.postTransaction(payerOf(before), credit.type, before.amount, {
+        tx,
+        reference: paymentId,
+        description: credit.description
+      });
+      walletFields = { walletTransactionId: transactionId };
+    }
+
+    await payments.update(paymentId, {
+      ...updates,
+      ...walletFields,
+      status: definition.to,
+      [definition.timestamp]: FieldValue.serverTimestamp(),
+      history: FieldValue.arrayUnion({ status: definition.to, at: Timestamp.now() }),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    if (settle) {
+      await settlement.writeTripSettlement(tx, {
+        ...trip,
+        trip: {
+          driverId: before.driverId,
+          fare: before.amount,
+          fareBreakdown: before.fareBreakdown,
+          paymentId
+        },
+        paymentMethod: before.method
+      });
+    }
+
+    return { ...before, ...updates, ...walletFields, status: definition.to, from: before.status };
+  });
+
+  logger.info(`Payment ${paymentId}: ${payment.from} -> ${payment.status} (${event})`);
+
+  paymentEvents.emit('transition', { paymentId, event, payment });
+
+  return payment;
+}
+
+/**
+ * Start collecting a payment once its trip is complete
+ * Gateway methods are charged now; cash waits for the driver to confirm
+ */
+async function startPayment(paymentId) {
+  const payment = await payments.findById(paymentId);
+  if (!payment || payment.status !== 'pending' || !PAYMENT_METHODS[payment.method]?.viaGateway) {
+    return;
+  }
+
+  try {
+    if (!activeGateway) {
+      throw new Error('No payment gateway is configured');
+    }
+
+    const { reference } = await activeGateway.createCharge({
+      paymentId,
+      amount: payment.amount,
+      method: payment.method
+    });
+
+    await payments.update(paymentId, {
+      gateway: activeGateway.name,
+      gatewayReference: reference,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error(`Error charging payment ${paymentId}:`, error);
+    await transitionPayment(paymentId, 'fail', { failureReason: error.message });
+  }
+}
+
+/**
+ * Start a wallet top-up, charged through the gateway
+ * The wallet is credited once the gateway reports the charge captured.
+ * Returns the new payment
+ */
+async function createTopup(userId, amount) {
+  if (!isMethodAvailable(TOPUP_METHOD)) {
+    throw new HttpError(503, 'Top-ups unavailable', 'Wallet top-ups are not available right now');
+  }
+
+  const current = await wallet.getWallet(userId);
+  const topupError = wallet.validateCredit(current, amount);
+  if (topupError) {
+    throw new HttpError(400, 'Invalid amount', topupError);
+  }
+
+  const payment = {
+    purpose: 'wallet_topup',
+    userId,
+    amount,
+    method: TOPUP_METHOD,
+    status: 'pending',
+    gateway: null,
+    gatewayReference: null,
+    history: [{ status: 'pending', at: Timestamp.now() }],
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+  const paymentId = await payments.create(payment);
+
+  await startPayment(paymentId);
+
+  return payments.findById(paymentId);
+}
+
+/**
+ * Driver confirms they were paid in cash
+ */
+async function confirmCashPayment(paymentId, driverId) {
+  const payment = await payments.findById(paymentId);
+
+  if (!payment) {
+    throw new HttpError(404, 'Payment not found');
+  }
+  if (!payment.driverId || payment.driverId !== driverId) {
+    throw new HttpError(403, 'Access denied', 'Only the driver on this trip can confirm the payment');
+  }
+  if (payment.method !== 'cash') {
+    throw new HttpError(400, 'Not a cash payment', `This payment is collected by ${PAYMENT_METHODS[payment.method]?.label || payment.method}`);
+  }
+
+  return transitionPayment(paymentId, 'capture', { confirmedBy: driverId });
+}
+
+/**
+ * Refund a captured payment, through the gateway when it was charged there
+ */
+async function refundPayment(paymentId, { refundedBy, reason = null }) {
+  const payment = await payments.findById(paymentId);
+
+  if (!payment) {
+    throw new HttpError(404, 'Payment not found');
+  }
+  if (payment.status !== 'captured') {
+    throw new HttpError(409, 'Invalid payment status', `Payment is ${payment.status} and cannot be refunded`);
+  }
+  if (payment.purpose === 'wallet_topup') {
+    throw new HttpError(400, 'Not refundable', 'Wallet top-ups cannot be refunded');
+  }
+
+  let refundId = null;
+  if (payment.gatewayReference) {
+    if (!activeGateway) {
+      throw new HttpError(503, 'Payments unavailable', 'No payment gateway is configured to refund this payment');
+    }
+    ({ refundId } = await activeGateway.refund(payment.gatewayReference, payment.amount));
+  }
+
+  return transitionPayment(paymentId, 'refund', { refundId, refundedBy, refundReason: reason });
+}
+
+/**
+ * Apply a gateway webhook to the payment it refers to
+ * Authorized payments are captured straight away
+ */
+async function handleWebhook(name, headers, rawBody) {
+  const gateway = activeGateway?.name === name ? activeGateway : null;
+  if (!gateway) {
+    throw new HttpError(404, 'Unknown gateway', `No payment gateway named ${name} is active`);
+  }
+
+  const { reference, type, reason } = gateway.parseWebhook(headers, rawBody);
+
+  const payment = await payments.findOne({
+    where: [['gatewayReference', '==', reference]]
+  });
+  if (!payment) {
+    throw new HttpError(404, 'Payment not found', `No payment for gateway reference ${reference}`);
+  }
+
+  // Gateways retry webhooks; ignore ones already applied
+  if (type === 'failed') {
+    if (payment.status === 'failed') return payment;
+    return transitionPayment(payment.id, 'fail', { failureReason: reason || 'Declined by gateway' });
+  }
+
+  if (type === 'authorized' && payment.status === 'pending') {
+    await transitionPayment(payment.id, 'authorize');
+  }
+
+  if (['authorized', 'captured'].includes(type) && payment.status !== 'captured') {
+    if (type === 'authorized') {
+      await gateway.capture(reference, payment.amount);
+    }
+    return transitionPayment(payment.id, 'capture');
+  }
+
+  return payment;
+}
+
+/**
+ * Mock gateway only: deliver a signed webhook for a charge
+ * outcome: 'success' authorizes the charge, 'failure' declines it
+ */
+async function simulateWebhook(reference, outcome) {
+  const body = JSON.stringify(outcome === 'failure'
+    ? { reference, type: 'failed', reason: 'Payment declined by payer (simulated)' }
+    : { reference, type: 'authorized' });
+
+  return handleWebhook('mock', { 'x-mock-signature': signWebhook(body) }, body);
+}
+
+// Start collecting payment as soon as a trip completes
+tripStateMachine.tripEvents.on('transition', ({ tripType, tripId, event, trip }) => {
+  if (event !== 'complete' || !trip.paymentId) return;
+
+  startPayment(trip.paymentId).catch(error => {
+    logger.error(`Error starting payment for ${tripType} ${tripId}:`, error);
+  });
+});
+
+module.exports = {
+  PAYMENT_METHODS,
+  DEFAULT_PAYMENT_METHOD,
+  TOPUP_METHOD,
+  PAYMENT_TRANSITIONS,
+  paymentEvents,
+  gateways,
+  setGateway,
+  getGateway,
+  isMethodAvailable,
+  validatePaymentMethod,
+  assertCanPay,
+  transitionPayment,
+  startPayment,
+  createTopup,
+  confirmCashPayment,
+  refundPayment,
+  handleWebhook,
+  simulateWebhook
+};
@@ -0,0 +1,227 @@
+/**
+ * Pricing
+ * Server-side fare calculation shared by estimates, quotes, bookings and
+ * the final fare charged when a ride completes
+ */
+
+const { calculateDistance } = require('../utils/geo');
+const { SERVICE_CLASSES } = require('./vehicleCatalog');
+
+// Fare rates by ride class, from the vehicle catalog (in INR)
+const RIDE_PRICING = Object.fromEntries(
+  Object.entries(SERVICE_CLASSES).map(([serviceClass, { pricing }]) => [serviceClass, pricing])
+);
+
+const SERVICE_FEE_RATE = 0.15;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Final fare: how far it may exceed the quote and how long a driver waits free
+const FINAL_FARE_CONFIG = {
+  tolerance: envNumber('FINAL_FARE_TOLERANCE', 0.2),
+  freeWaitingMinutes: envNumber('FREE_WAITING_MINUTES', 5)
+};
+
+// Delivery pricing (in INR)
+const DELIVERY_PRICING = { base: 40, perKm: 10, perMinute: 1 };
+
+// Extra handling charge per package type
+const PACKAGE_TYPE_SURCHARGES = {
+  document: 0,
+  package: 10,
+  food: 15,
+  electronics: 30,
+  other: 10
+};
+
+// Weight/size bands the sender picks from
+const PACKAGE_SIZE_BANDS = {
+  small: { maxWeightKg: 2, surcharge: 0 },
+  medium: { maxWeightKg: 10, surcharge: 30 },
+  large: { maxWeightKg: 25, surcharge: 80 }
+};
+
+// Declared value limits and charges
+const MAX_DECLARED_VALUE = 50000;
+const HIGH_VALUE_THRESHOLD = 5000;
+const HIGH_VALUE_HANDLING_FEE = 25;
+const INSURANCE_RATE = 0.02;
+const MIN_INSURANCE_FEE = 10;
+
+// Simplified duration estimate: average city speed
+const AVERAGE_SPEED_KMH = 30;
+
+/**
+ * Estimate trip distance (km) and duration (minutes) between two points
+ */
+function estimateTrip(pickup, destination) {
+  const distance = calculateDistance(
+    pickup.latitude, pickup.longitude,
+    destination.latitude, destination.longitude
+  );
+
+  return {
+    distance,
+    duration: Math.round((distance / AVERAGE_SPEED_KMH) * 60)
+  };
+}
+
+/**
+ * Calculate the fare for one vehicle type over a given distance and duration
+ */
+function calculateRideFare(vehicleType, distance, duration) {
+  const pricing = RIDE_PRICING[vehicleType];
+  if (!pricing) {
+    return null;
+  }
+
+  const distanceFare = distance * pricing.perKm;
+  const timeFare = duration * pricing.perMinute;
+  const totalFare = pricing.base + distanceFare + timeFare;
+  const serviceFee = totalFare * SERVICE_FEE_RATE;
+
+  return {
+    fare: Math.round(totalFare + serviceFee),
+    breakdown: {
+      base: pricing.base,
+      distance: Math.round(distanceFare),
+      time: Math.round(timeFare),
+      serviceFee: Math.round(serviceFee)
+    }
+  };
+}
+
+/**
+ * Estimate fares for every vehicle type between two points
+ */
+function estimateRideFares(pickup, destination) {
+  const { distance, duration } = estimateTrip(pickup, destination);
+
+  const estimates = {};
+  Object.keys(RIDE_PRICING).forEach(vehicleType => {
+    const { fare, breakdown } = calculateRideFare(vehicleType, distance, duration);
+    estimates[vehicleType] = {
+      fare,
+      distance: Math.round(distance * 100) / 100,
+      duration,
+      breakdown
+    };
+  });
+
+  return {
+    distance: Math.round(distance * 100) / 100,
+    duration,
+    estimates
+  };
+}
+
+const minutesBetween = (from, to) => (from && to ? Math.max(0, (to.getTime() - from.getTime()) / 60000) : 0);
+
+/**
+ * Final fare for a completed ride from what actually happened
+ * Prices the travelled distance and startedAt -> completedAt time with the
+ * same rates as the estimate, charges waiting at pickup (arrivingAt ->
+ * startedAt) beyond the free minutes, and caps the result at the configured
+ * tolerance over the quoted fare.
+ * ride: the ride document; actual: { distance, startedAt, completedAt, arrivingAt }
+ */
+function calculateFinalRideFare(ride, { distance, startedAt, completedAt, arrivingAt = null }) {
+  const pricing = RIDE_PRICING[ride.vehicleType];
+  if (!pricing) {
+    return null;
+  }
+
+  const duration = Math.round(minutesBetween(startedAt, completedAt));
+  const waitingMinutes = Math.max(0, Math.round(minutesBetween(arrivingAt, startedAt) - FINAL_FARE_CONFIG.freeWaitingMinutes));
+
+  const distanceFare = distance * pricing.perKm;
+  const timeFare = duration * pricing.perMinute;
+  const waitingFare = waitingMinutes * (pricing.waitingPerMinute || 0);
+  const totalFare = pricing.base + distanceFare + timeFare + waitingFare;
+  const serviceFee = totalFare * SERVICE_FEE_RATE;
+  const uncappedFare = Math.round(totalFare + serviceFee);
+
+  const maxFare = ride.fare ? Math.round(ride.fare * (1 + FINAL_FARE_CONFIG.tolerance)) : Infinity;
+  const fare = Math.min(uncappedFare, maxFare);
+
+  return {
+    fare,
+    distance: Math.round(distance * 100) / 100,
+    duration,
+    waitingMinutes,
+    breakdown: {
+      base: pricing.base,
+      distance: Math.round(distanceFare),
+      time: Math.round(timeFare),
+      waiting: Math.round(waitingFare),
+      serviceFee: Math.round(serviceFee),
+      toleranceCap: fare - uncappedFare
+    }
+  };
+}
+
+/**
+ * Calculate a delivery fare from distance, duration and package details
+ * Insurance is charged on the declared value and requires one
+ */
+function calculateDeliveryFare({ distance, duration, packageType, sizeBand = 'small', declaredValue = 0, insurance = false }) {
+  const distanceFare = distance * DELIVERY_PRICING.perKm;
+  const timeFare = duration * DELIVERY_PRICING.perMinute;
+  const packageFee = PACKAGE_TYPE_SURCHARGES[packageType];
+  const sizeFee = PACKAGE_SIZE_BANDS[sizeBand].surcharge;
+  const valueFee = declaredValue > HIGH_VALUE_THRESHOLD ? HIGH_VALUE_HANDLING_FEE : 0;
+  const insuranceFee = insurance && declaredValue > 0
+    ? Math.max(MIN_INSURANCE_FEE, declaredValue * INSURANCE_RATE)
+    : 0;
+
+  const totalFare = DELIVERY_PRICING.base + distanceFare + timeFare + packageFee + sizeFee + valueFee;
+  const serviceFee = totalFare * SERVICE_FEE_RATE;
+
+  return {
+    fare: Math.round(totalFare + serviceFee + insuranceFee),
+    breakdown: {
+      base: DELIVERY_PRICING.base,
+      distance: Math.round(distanceFare),
+      time: Math.round(timeFare),
+      packageType: packageFee,
+      size: sizeFee,
+      highValueHandling: valueFee,
+      insurance: Math.round(insuranceFee),
+      serviceFee: Math.round(serviceFee)
+    }
+  };
+}
+
+/**
+ * Estimate a delivery fare between two points
+ */
+function estimateDeliveryFare(pickup, destination, packageDetails) {
+  const { distance, duration } = estimateTrip(pickup, destination);
+  const { fare, breakdown } = calculateDeliveryFare({ distance, duration, ...packageDetails });
+
+  return {
+    fare,
+    distance: Math.round(distance * 100) / 100,
+    duration,
+    breakdown
+  };
+}
+
+module.exports = {
+  RIDE_PRICING,
+  DELIVERY_PRICING,
+  PACKAGE_TYPE_SURCHARGES,
+  PACKAGE_SIZE_BANDS,
+  MAX_DECLARED_VALUE,
+  SERVICE_FEE_RATE,
+  FINAL_FARE_CONFIG,
+  estimateTrip,
+  calculateRideFare,
+  estimateRideFares,
+  calculateFinalRideFare,
+  calculateDeliveryFare,
+  estimateDeliveryFare
+};
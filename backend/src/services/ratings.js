@@ -0,0 +1,135 @@
+/**
+ * Ratings Service
+ * Two-way ratings after a trip completes: the rider or sender rates the
+ * driver and the driver rates the rider or sender. Each side can rate a
+ * trip once, within RATING_WINDOW_HOURS of completion. The rating is stored
+ * in the ratings collection and folded into the running average on the
+ * rated driver's or user's document in the same transaction.
+ */
+
+const repositories = require('../repositories');
+const { ratings, drivers, users, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+const { TRIP_TYPES } = require('./tripStateMachine');
+
+const RATING_CONFIG = {
+  windowHours: parseInt(process.env.RATING_WINDOW_HOURS) || 72,
+  maxCommentLength: 500
+};
+
+// Tags each side can attach, by who is being rated
+const RATING_TAGS = {
+  driver: ['polite', 'safe_driving', 'clean_vehicle', 'on_time', 'good_navigation', 'careful_handling', 'rude', 'unsafe_driving', 'late', 'dirty_vehicle'],
+  customer: ['polite', 'on_time', 'respectful', 'clear_instructions', 'rude', 'late', 'wrong_address']
+};
+
+// Trip field recording the rating each side received
+const RATING_FIELDS = {
+  driver: 'driverRating',
+  customer: 'customerRating'
+};
+
+const roundRating = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a rating submission; returns an error message, or null when valid
+ */
+function validateRating(ratee, { rating, tags = [], comment = null }) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return 'Rating must be a whole number from 1 to 5';
+  }
+  if (!Array.isArray(tags) || !tags.every(tag => RATING_TAGS[ratee].includes(tag))) {
+    return `Tags must be some of: ${RATING_TAGS[ratee].join(', ')}`;
+  }
+  if (comment !== null && (typeof comment !== 'string' || comment.length > RATING_CONFIG.maxCommentLength)) {
+    return `Comment must be text of at most ${RATING_CONFIG.maxCommentLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Rate the other side of a completed trip
+ * The rider or sender rates the driver; the driver rates the rider or sender.
+ * Returns the stored rating with the ratee's new average
+ */
+async function submitRating(tripType, tripId, user, submission) {
+  const type = TRIP_TYPES[tripType];
+  const trips = repositories.forCollection(type.collection);
+
+  return repositories.runTransaction(async (tx) => {
+    const trip = await trips.findById(tripId, { tx });
+
+    if (!trip) {
+      throw new HttpError(404, `${type.label} not found`);
+    }
+
+    let ratee;
+    if (trip[type.ownerField] === user.uid) {
+      ratee = 'driver';
+    } else if (trip.driverId === user.uid) {
+      ratee = 'customer';
+    } else {
+      throw new HttpError(403, 'Access denied', `You were not on this ${type.label.toLowerCase()}`);
+    }
+
+    if (trip.status !== 'completed') {
+      throw new HttpError(409, 'Not completed', `Only completed ${type.collection} can be rated`);
+    }
+
+    const completedAt = trip.completedAt?.toDate();
+    if (completedAt && Date.now() - completedAt.getTime() > RATING_CONFIG.windowHours * 60 * 60 * 1000) {
+      throw new HttpError(409, 'Rating window closed', `${type.label}s can be rated up to ${RATING_CONFIG.windowHours} hours after completion`);
+    }
+
+    const validationError = validateRating(ratee, submission);
+    if (validationError) {
+      throw new HttpError(400, 'Invalid rating', validationError);
+    }
+
+    const ratingId = `${tripType}_${tripId}_${ratee}`;
+    if (await ratings.findById(ratingId, { tx })) {
+      throw new HttpError(409, 'Already rated', `You have already rated this ${type.label.toLowerCase()}`);
+    }
+
+    const rateeId = ratee === 'driver' ? trip.driverId : trip[type.ownerField];
+    const rateeRepository = ratee === 'driver' ? drivers : users;
+    const rateeData = await rateeRepository.findById(rateeId, { tx });
+    if (!rateeData) {
+      throw new HttpError(404, ratee === 'driver' ? 'Driver not found' : 'User not found');
+    }
+
+    const ratingCount = rateeData.ratingCount || 0;
+    const average = roundRating(((rateeData.rating || 0) * ratingCount + submission.rating) / (ratingCount + 1));
+
+    const record = {
+      tripType,
+      [type.idField]: tripId,
+      raterId: user.uid,
+      rateeId,
+      ratee,
+      rating: submission.rating,
+      tags: submission.tags || [],
+      comment: submission.comment ? submission.comment.trim() : null
+    };
+
+    await ratings.create({ ...record, createdAt: FieldValue.serverTimestamp() }, { tx, id: ratingId });
+    await rateeRepository.update(rateeId, {
+      rating: average,
+      ratingCount: ratingCount + 1,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+    await trips.update(tripId, {
+      [RATING_FIELDS[ratee]]: submission.rating,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    return { id: ratingId, ...record, rateeAverage: average };
+  });
+}
+
+module.exports = {
+  RATING_CONFIG,
+  RATING_TAGS,
+  validateRating,
+  submitRating
+};
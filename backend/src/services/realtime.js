@@ -0,0 +1,305 @@
+/**
+ * Real-time Trip Channel
+ * WebSocket endpoint where the people on a trip follow it live. Clients
+ * connect to /ws with their Firebase ID token (Authorization header or
+ * ?token=) and exchange JSON messages:
+ *
+ *   -> { type: 'subscribe', tripType: 'ride' | 'delivery', tripId }
+ *   -> { type: 'unsubscribe', tripType, tripId }
+ *   -> { type: 'location', latitude, longitude, heading, speed, accuracy }  (drivers)
+ *   <- { type: 'subscribed', tripType, tripId, trip, driverLocation }
+ *   <- { type: 'status', tripType, tripId, event, status, trip }
+ *   <- { type: 'location', tripType, tripId, driverId, latitude, longitude, heading, speed, timestamp }
+ *   <- { type: 'error', error, message }
+ *
+ * The passenger or sender, the assigned driver and admins may join a trip's
+ * room. Driver positions are relayed to the rooms of the trips they are
+ * assigned to while those trips are under way, as soon as they arrive, added
+ * to the active trip's route and saved to the driver document at most once
+ * per LOCATION_PERSIST_INTERVAL_MS. Once a trip ends its room only receives
+ * status updates, so a past customer cannot follow the driver on later trips.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const repositories = require('../repositories');
+const { drivers, FieldValue } = repositories;
+const { verifyToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { encodeGeohash } = require('../utils/geo');
+const tripStateMachine = require('./tripStateMachine');
+const tripRoutes = require('./tripRoutes');
+
+const REALTIME_CONFIG = {
+  path: '/ws',
+  heartbeatIntervalMs: 30000,
+  locationPersistIntervalMs: parseInt(process.env.LOCATION_PERSIST_INTERVAL_MS) || 10000
+};
+
+// Trip rooms keyed by `${tripType}:${tripId}`: { tripType, tripId, driverId, clients }
+const rooms = new Map();
+
+// Driver ID -> time their location was last written to the database
+const lastPersistedAt = new Map();
+
+const roomKey = (tripType, tripId) => `${tripType}:${tripId}`;
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message) {
+  room.clients.forEach(ws => send(ws, message));
+}
+
+const sendError = (ws, error, message) => send(ws, { type: 'error', error, message });
+
+const isValidCoordinate = (lat, lng) =>
+  typeof lat === 'number' && typeof lng === 'number' &&
+  lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// The driver whose position a trip's room may follow: none once the trip has ended
+const liveDriverId = (tripType, trip) =>
+  (tripStateMachine.ACTIVE_STATUSES[tripType].includes(trip.status) ? trip.driverId || null : null);
+
+function leaveRoom(ws, key) {
+  const room = rooms.get(key);
+  ws.rooms.delete(key);
+  if (!room) return;
+
+  room.clients.delete(ws);
+  if (room.clients.size === 0) {
+    rooms.delete(key);
+  }
+}
+
+async function handleSubscribe(ws, { tripType, tripId }) {
+  const type = tripStateMachine.TRIP_TYPES[tripType];
+  if (!type || !tripId) {
+    return sendError(ws, 'Invalid subscription', 'tripType must be ride or delivery and tripId is required');
+  }
+
+  const trip = await repositories.forCollection(type.collection).findById(tripId);
+  if (!trip) {
+    return sendError(ws, `${type.label} not found`);
+  }
+
+  const { user } = ws;
+  const hasAccess = trip[type.ownerField] === user.uid ||
+                   trip.driverId === user.uid ||
+                   user.role === 'admin';
+
+  if (!hasAccess) {
+    return sendError(ws, 'Access denied', `You do not have permission to follow this ${type.label.toLowerCase()}`);
+  }
+
+  const key = roomKey(tripType, tripId);
+  if (!rooms.has(key)) {
+    rooms.set(key, { tripType, tripId, driverId: null, clients: new Set() });
+  }
+  const room = rooms.get(key);
+  room.driverId = liveDriverId(tripType, trip);
+  room.clients.add(ws);
+  ws.rooms.add(key);
+
+  const driver = room.driverId ? await drivers.findById(room.driverId) : null;
+
+  send(ws, {
+    type: 'subscribed',
+    tripType,
+    tripId,
+    trip,
+    driverLocation: driver?.currentLocation || null
+  });
+}
+
+/**
+ * Relay a driver's position to the rooms of the trips they are assigned to
+ */
+function broadcastDriverLocation(driverId, { latitude, longitude, heading = null, speed = null }) {
+  const timestamp = new Date().toISOString();
+
+  rooms.forEach(room => {
+    if (room.driverId !== driverId) return;
+
+    broadcast(room, {
+      type: 'location',
+      tripType: room.tripType,
+      tripId: room.tripId,
+      driverId,
+      latitude,
+      longitude,
+      heading,
+      speed,
+      timestamp
+    });
+  });
+}
+
+const optionalNumber = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+async function handleLocation(ws, { latitude, longitude, heading, speed, accuracy }) {
+  const { user } = ws;
+
+  if (user.role !== 'driver') {
+    return sendError(ws, 'Access denied', 'Only drivers can share their location');
+  }
+  if (!isValidCoordinate(latitude, longitude)) {
+    return sendError(ws, 'Invalid coordinates');
+  }
+
+  const fix = {
+    latitude,
+    longitude,
+    heading: optionalNumber(heading),
+    speed: optionalNumber(speed),
+    accuracy: optionalNumber(accuracy)
+  };
+
+  broadcastDriverLocation(user.uid, fix);
+  await tripRoutes.recordLocation(user.uid, fix);
+
+  // Keep the stored position fresh for dispatch without writing every update
+  const now = Date.now();
+  if (now - (lastPersistedAt.get(user.uid) || 0) >= REALTIME_CONFIG.locationPersistIntervalMs) {
+    lastPersistedAt.set(user.uid, now);
+    await drivers.update(user.uid, {
+      currentLocation: {
+        latitude,
+        longitude,
+        geohash: encodeGeohash(latitude, longitude),
+        timestamp: FieldValue.serverTimestamp()
+      },
+      locationUpdatedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  }
+}
+
+const handlers = {
+  subscribe: handleSubscribe,
+  unsubscribe: async (ws, { tripType, tripId }) => leaveRoom(ws, roomKey(tripType, tripId)),
+  location: handleLocation
+};
+
+async function handleMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return sendError(ws, 'Invalid message', 'Messages must be JSON');
+  }
+
+  const handler = handlers[message?.type];
+  if (!handler) {
+    return sendError(ws, 'Invalid message', `Unknown message type: ${message?.type}`);
+  }
+
+  await handler(ws, message);
+}
+
+const tokenFromRequest = (request, url) => {
+  const authHeader = request.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split('Bearer ')[1];
+  }
+  return url.searchParams.get('token');
+};
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Serve the trip channel on an HTTP server
+ */
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== REALTIME_CONFIG.path) {
+      return rejectUpgrade(socket, '404 Not Found');
+    }
+
+    const token = tokenFromRequest(request, url);
+    let user = null;
+    try {
+      user = token ? await verifyToken(token) : null;
+    } catch (error) {
+      logger.warn(`Real-time connection rejected: ${error.message}`);
+    }
+
+    if (!user) {
+      return rejectUpgrade(socket, '401 Unauthorized');
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => {
+      ws.user = user;
+      ws.rooms = new Set();
+      ws.isAlive = true;
+      wss.emit('connection', ws, request);
+    });
+  });
+
+  wss.on('connection', ws => {
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', raw => {
+      handleMessage(ws, raw.toString()).catch(error => {
+        logger.error(`Real-time message from ${ws.user.uid} failed:`, error);
+        sendError(ws, 'Internal Server Error', 'Could not process message');
+      });
+    });
+
+    ws.on('close', () => {
+      [...ws.rooms].forEach(key => leaveRoom(ws, key));
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, REALTIME_CONFIG.heartbeatIntervalMs);
+  if (heartbeat.unref) heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info(`Real-time trip channel listening on ${REALTIME_CONFIG.path}`);
+
+  return wss;
+}
+
+// Push every status change to the trip's room
+tripStateMachine.tripEvents.on('transition', ({ tripType, tripId, event, trip, to }) => {
+  const room = rooms.get(roomKey(tripType, tripId));
+  if (!room) return;
+
+  room.driverId = liveDriverId(tripType, trip);
+
+  const { collection } = tripStateMachine.TRIP_TYPES[tripType];
+  repositories.forCollection(collection).findById(tripId)
+    .then(latest => {
+      broadcast(room, { type: 'status', tripType, tripId, event, status: to, trip: latest });
+    })
+    .catch(error => {
+      logger.error(`Error broadcasting ${tripType} ${tripId} status:`, error);
+    });
+});
+
+module.exports = {
+  REALTIME_CONFIG,
+  attach,
+  broadcastDriverLocation
+};
@@ -0,0 +1,306 @@
+/**
+ * Scheduled Trips
+ * Rides and deliveries booked for a later pickup time. They wait in the
+ * 'scheduled' status, hidden from drivers, until a scheduler job releases
+ * them into dispatch SCHEDULE_RELEASE_LEAD_MINUTES before pickup. Another
+ * job reminds the rider or sender ahead of time. Until the trip is released
+ * its owner can move the pickup time or cancel it.
+ */
+
+const repositories = require('../repositories');
+const { FieldValue, Timestamp } = repositories;
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const scheduler = require('./scheduler');
+const dispatch = require('./dispatch');
+const { notifyUser } = require('./notifications');
+const tripStateMachine = require('./tripStateMachine');
+
+const { TRIP_TYPES, SCHEDULED_STATUS } = tripStateMachine;
+
+const SCHEDULE_CONFIG = {
+  horizonDays: parseInt(process.env.SCHEDULE_HORIZON_DAYS) || 7,
+  minLeadMinutes: parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30,
+  releaseLeadMinutes: parseInt(process.env.SCHEDULE_RELEASE_LEAD_MINUTES) || 15,
+  reminderLeadMinutes: parseInt(process.env.SCHEDULE_REMINDER_LEAD_MINUTES) || 60,
+  maxPerUser: parseInt(process.env.SCHEDULE_MAX_PER_USER) || 5,
+  timeZone: process.env.SCHEDULE_TIME_ZONE || 'Asia/Kolkata'
+};
+
+const JOB_TYPES = {
+  release: 'trip_release',
+  reminder: 'trip_reminder'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const jobId = (kind, tripType, tripId) => `${kind}_${tripType}_${tripId}`;
+
+const tripRepository = (tripType) => repositories.forCollection(TRIP_TYPES[tripType].collection);
+
+/**
+ * Parse a requested pickup time
+ * Returns null when the trip is for now, the pickup Date when it is within
+ * the booking window, and throws 400 otherwise
+ */
+function parseScheduledFor(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const scheduledFor = new Date(value);
+  if (isNaN(scheduledFor.getTime())) {
+    throw new HttpError(400, 'Invalid pickup time', 'scheduledFor must be an ISO 8601 date and time');
+  }
+
+  const lead = scheduledFor.getTime() - Date.now();
+  if (lead < SCHEDULE_CONFIG.minLeadMinutes * MINUTE_MS) {
+    throw new HttpError(400, 'Invalid pickup time',
+      `Scheduled pickups must be at least ${SCHEDULE_CONFIG.minLeadMinutes} minutes from now`);
+  }
+  if (lead > SCHEDULE_CONFIG.horizonDays * 24 * 60 * MINUTE_MS) {
+    throw new HttpError(400, 'Invalid pickup time',
+      `Pickups can be scheduled up to ${SCHEDULE_CONFIG.horizonDays} days ahead`);
+  }
+
+  return scheduledFor;
+}
+
+/**
+ * Refuse a new booking when the user already has too many scheduled trips
+ * of this type
+ */
+async function assertCanSchedule(tripType, userId) {
+  const type = TRIP_TYPES[tripType];
+  const upcoming = await tripRepository(tripType).find({
+    where: [
+      [type.ownerField, '==', userId],
+      ['status', '==', SCHEDULED_STATUS]
+    ]
+  });
+
+  if (upcoming.length >= SCHEDULE_CONFIG.maxPerUser) {
+    throw new HttpError(400, 'Too many scheduled trips',
+      `You can have up to ${SCHEDULE_CONFIG.maxPerUser} scheduled ${type.label.toLowerCase()}s at a time`);
+  }
+}
+
+/**
+ * Create or move the release and reminder jobs for a scheduled trip,
+ * inside the transaction that books or edits it
+ * The reminder is skipped when its time has already passed.
+ */
+async function scheduleTripJobs(tx, tripType, tripId, scheduledFor) {
+  const payload = { tripType, tripId };
+  const now = Date.now();
+
+  await scheduler.scheduleJob(jobId('release', tripType, tripId), {
+    type: JOB_TYPES.release,
+    runAt: new Date(Math.max(now, scheduledFor.getTime() - SCHEDULE_CONFIG.releaseLeadMinutes * MINUTE_MS)),
+    payload
+  }, { tx });
+
+  const reminderAt = scheduledFor.getTime() - SCHEDULE_CONFIG.reminderLeadMinutes * MINUTE_MS;
+  if (reminderAt > now) {
+    await scheduler.scheduleJob(jobId('reminder', tripType, tripId), {
+      type: JOB_TYPES.reminder,
+      runAt: new Date(reminderAt),
+      payload
+    }, { tx });
+  } else {
+    await scheduler.cancelJob(jobId('reminder', tripType, tripId), { tx });
+  }
+}
+
+/**
+ * The user's upcoming scheduled rides and deliveries, soonest first
+ */
+async function listScheduled(userId) {
+  const trips = [];
+
+  for (const [tripType, type] of Object.entries(TRIP_TYPES)) {
+    const upcoming = await tripRepository(tripType).find({
+      where: [
+        [type.ownerField, '==', userId],
+        ['status', '==', SCHEDULED_STATUS]
+      ],
+      orderBy: ['scheduledFor', 'asc']
+    });
+
+    upcoming.forEach(trip => trips.push({
+      ...trip,
+      tripType,
+      scheduledFor: trip.scheduledFor.toDate(),
+      createdAt: trip.createdAt?.toDate()
+    }));
+  }
+
+  return trips.sort((a, b) => a.scheduledFor - b.scheduledFor);
+}
+
+/**
+ * Move a scheduled trip's pickup time or change its notes (owner only,
+ * before it is released)
+ */
+async function updateScheduledTrip(tripType, tripId, user, { scheduledFor, notes }) {
+  const type = TRIP_TYPES[tripType];
+  const newTime = scheduledFor !== undefined ? parseScheduledFor(scheduledFor) : undefined;
+
+  if (newTime === null) {
+    throw new HttpError(400, 'Invalid pickup time', 'scheduledFor is required when changing the pickup time');
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    throw new HttpError(400, 'Invalid notes', 'notes must be text');
+  }
+  if (newTime === undefined && notes === undefined) {
+    throw new HttpError(400, 'Nothing to update', 'Provide scheduledFor or notes');
+  }
+
+  const trips = tripRepository(tripType);
+
+  await repositories.runTransaction(async (tx) => {
+    const trip = await trips.findById(tripId, { tx });
+    if (!trip) {
+      throw new HttpError(404, `${type.label} not found`);
+    }
+    if (trip[type.ownerField] !== user.uid) {
+      throw new HttpError(403, 'Access denied', `You can only change your own ${type.label.toLowerCase()}s`);
+    }
+    if (trip.status !== SCHEDULED_STATUS) {
+      throw new HttpError(409, 'Not scheduled',
+        `${type.label} is ${trip.status} and can no longer be changed`);
+    }
+
+    await trips.update(tripId, {
+      ...(newTime && { scheduledFor: Timestamp.fromDate(newTime) }),
+      ...(notes !== undefined && { notes }),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    if (newTime) {
+      await scheduleTripJobs(tx, tripType, tripId, newTime);
+    }
+  });
+
+  logger.info(`${type.label} ${tripId} schedule updated by ${user.uid}`);
+
+  return trips.findById(tripId);
+}
+
+/**
+ * The owner's ride or delivery that is under way, if any
+ */
+async function findActiveTrip(tripType, userId) {
+  const type = TRIP_TYPES[tripType];
+  return tripRepository(tripType).findOne({
+    where: [
+      [type.ownerField, '==', userId],
+      ['status', 'in', tripStateMachine.ACTIVE_STATUSES[tripType]]
+    ]
+  });
+}
+
+/**
+ * Release a scheduled trip into dispatch
+ * Safe to run twice: a trip already released but not yet dispatching (the
+ * server stopped in between) is dispatched, anything else is left alone.
+ * While the owner still has another trip of the same type under way the
+ * job fails so the scheduler retries it; on its last attempt the scheduled
+ * trip is cancelled instead, which notifies the owner.
+ */
+async function releaseTrip({ tripType, tripId }, job = {}) {
+  const type = TRIP_TYPES[tripType];
+  const trip = await tripRepository(tripType).findById(tripId);
+  if (!trip) return;
+
+  if (trip.status === SCHEDULED_STATUS) {
+    const activeTrip = await findActiveTrip(tripType, trip[type.ownerField]);
+
+    if (activeTrip && job.attempts < scheduler.SCHEDULER_CONFIG.maxAttempts) {
+      throw new Error(`Owner of ${tripType} ${tripId} still has ${tripType} ${activeTrip.id} under way`);
+    }
+    if (activeTrip) {
+      await cancelUnreleasable(tripType, tripId);
+      return;
+    }
+
+    try {
+      await tripStateMachine.transition(tripType, tripId, 'release', { actor: 'system' });
+    } catch (error) {
+      // Cancelled while being released
+      if (error.statusCode === 409) return;
+      throw error;
+    }
+  } else if (trip.status !== 'requested' || trip.dispatch) {
+    return;
+  }
+
+  await dispatch.startDispatch(tripType, tripId);
+}
+
+/**
+ * Cancel a scheduled trip that could not be released because its owner
+ * never finished the trip they were on
+ */
+async function cancelUnreleasable(tripType, tripId) {
+  const { label } = TRIP_TYPES[tripType];
+
+  try {
+    await tripStateMachine.transition(tripType, tripId, 'cancel', {
+      actor: 'system',
+      updates: {
+        cancelledBy: 'system',
+        cancellationReason: `Another ${label.toLowerCase()} was still under way at the scheduled pickup time`
+      }
+    });
+  } catch (error) {
+    // Cancelled or released elsewhere in the meantime
+    if (error.statusCode === 409) return;
+    throw error;
+  }
+
+  logger.warn(`${label} ${tripId} cancelled: its owner still had another ${label.toLowerCase()} under way`);
+}
+
+/**
+ * Remind the rider or sender that their scheduled trip is coming up
+ */
+async function sendReminder({ tripType, tripId }) {
+  const trip = await tripRepository(tripType).findById(tripId);
+  if (!trip || trip.status !== SCHEDULED_STATUS) return;
+
+  const { ownerField, idField } = TRIP_TYPES[tripType];
+  const time = trip.scheduledFor.toDate().toLocaleTimeString('en-IN', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: SCHEDULE_CONFIG.timeZone
+  });
+
+  await notifyUser(trip[ownerField], `${tripType}_scheduled_reminder`, { time }, {
+    tripType,
+    [idField]: tripId,
+    status: trip.status
+  });
+}
+
+scheduler.registerHandler(JOB_TYPES.release, releaseTrip);
+scheduler.registerHandler(JOB_TYPES.reminder, sendReminder);
+
+// Drop the jobs of scheduled trips that are cancelled before release
+tripStateMachine.tripEvents.on('transition', ({ tripType, tripId, event, from }) => {
+  if (event !== 'cancel' || from !== SCHEDULED_STATUS) return;
+
+  Promise.all(['release', 'reminder'].map(kind => scheduler.cancelJob(jobId(kind, tripType, tripId))))
+    .catch(error => {
+      logger.error(`Error cancelling scheduled jobs for ${tripType} ${tripId}:`, error);
+    });
+});
+
+module.exports = {
+  SCHEDULE_CONFIG,
+  parseScheduledFor,
+  assertCanSchedule,
+  scheduleTripJobs,
+  listScheduled,
+  updateScheduledTrip
+};
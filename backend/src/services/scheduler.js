@@ -0,0 +1,197 @@
+/**
+ * Job Scheduler
+ * Runs work at a set time, such as releasing a scheduled ride into
+ * dispatch. Jobs are documents in scheduled_jobs rather than in-memory
+ * timers, so they survive restarts: every SCHEDULER_POLL_INTERVAL_MS the
+ * scheduler looks for due jobs and claims each one in a transaction before
+ * running it, so only one server runs it. A claim pushes the job's runAt
+ * forward, which means a job whose server died mid-run is picked up again
+ * once the claim lapses; handlers must be safe to run twice.
+ */
+
+const repositories = require('../repositories');
+const { scheduledJobs, FieldValue, Timestamp } = repositories;
+const logger = require('../utils/logger');
+
+const SCHEDULER_CONFIG = {
+  pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 30000,
+  claimTimeoutMs: 5 * 60 * 1000,
+  retryDelayMs: 60 * 1000,
+  maxAttempts: 5,
+  batchSize: 20
+};
+
+// Job handlers by job type: async (payload, job) => void
+const handlers = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Create or replace a job, optionally inside a transaction
+ * Replacing a job resets it, so rescheduling is just scheduling again.
+ */
+async function scheduleJob(id, { type, runAt, payload = {} }, { tx } = {}) {
+  await scheduledJobs.set(id, {
+    type,
+    payload,
+    runAt: Timestamp.fromDate(runAt),
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  }, { tx });
+}
+
+/**
+ * Stop a job from running; jobs that never existed are left alone
+ */
+async function cancelJob(id, { tx } = {}) {
+  await scheduledJobs.set(id, {
+    status: 'cancelled',
+    updatedAt: FieldValue.serverTimestamp()
+  }, { tx, merge: true });
+}
+
+/**
+ * Claim a due job for this server, returning it or null if it is no longer
+ * due (cancelled, rescheduled or claimed elsewhere)
+ */
+async function claimJob(id) {
+  return repositories.runTransaction(async (tx) => {
+    const job = await scheduledJobs.findById(id, { tx });
+    if (!job || job.status !== 'pending' || job.runAt.toMillis() > Date.now()) {
+      return null;
+    }
+
+    await scheduledJobs.update(id, {
+      runAt: Timestamp.fromMillis(Date.now() + SCHEDULER_CONFIG.claimTimeoutMs),
+      attempts: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    return { ...job, attempts: job.attempts + 1 };
+  });
+}
+
+/**
+ * Record how a claimed job went: done, or retried with a growing delay
+ * until it runs out of attempts
+ */
+async function finishJob(job, error) {
+  if (!error) {
+    await scheduledJobs.update(job.id, {
+      status: 'done',
+      completedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return;
+  }
+
+  const exhausted = job.attempts >= SCHEDULER_CONFIG.maxAttempts;
+
+  await scheduledJobs.update(job.id, {
+    ...(exhausted
+      ? { status: 'failed' }
+      : { runAt: Timestamp.fromMillis(Date.now() + SCHEDULER_CONFIG.retryDelayMs * job.attempts) }),
+    lastError: error.message,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+}
+
+async function runJob(id) {
+  const job = await claimJob(id);
+  if (!job) return;
+
+  const handler = handlers.get(job.type);
+  let failure = null;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    await handler(job.payload, job);
+  } catch (error) {
+    logger.error(`Scheduled job ${id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+    failure = error;
+  }
+
+  await finishJob(job, failure);
+}
+
+/**
+ * Run every job that is due, oldest first
+ * Returns the number of due jobs found
+ */
+async function runDueJobs() {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    const due = await scheduledJobs.find({
+      where: [
+        ['status', '==', 'pending'],
+        ['runAt', '<=', Timestamp.now()]
+      ],
+      orderBy: ['runAt', 'asc'],
+      limit: SCHEDULER_CONFIG.batchSize
+    });
+
+    for (const job of due) {
+      await runJob(job.id).catch(error => {
+        logger.error(`Error running scheduled job ${job.id}:`, error);
+      });
+    }
+
+    return due.length;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling for due jobs, including any that fell due while the server
+ * was down
+ */
+function start() {
+  if (pollTimer) return;
+
+  const poll = () => {
+    runDueJobs().catch(error => {
+      logger.error('Error polling scheduled jobs:', error);
+    });
+  };
+
+  pollTimer = setInterval(poll, SCHEDULER_CONFIG.pollIntervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  if (pollTimer.unref) pollTimer.unref();
+
+  poll();
+  logger.info(`Job scheduler started, polling every ${SCHEDULER_CONFIG.pollIntervalMs} ms`);
+}
+
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULER_CONFIG,
+  registerHandler,
+  scheduleJob,
+  cancelJob,
+  runDueJobs,
+  start,
+  stop
+};
@@ -0,0 +1,418 @@
+/**
+ * Settlement Service
+ * Splits every completed trip into the driver's share, the platform
+ * commission and taxes, and pays drivers out in weekly batches.
+ *
+ * Each completed trip gets one settlement. Its net is what the platform owes
+ * the driver for it: the driver share, less the fare when the driver already
+ * collected it in cash. Cancelled trips get one when the cancellation policy
+ * compensated or penalized the driver, and another taking the compensation
+ * back if the fee that paid for it is waived. Nets accumulate in the driver's
+ * payoutBalance, which goes negative when a driver holds more cash than they
+ * earned or owes penalties. Cash and wallet fares and cancellations are
+ * settled in the transaction that ends the trip; fares charged through the
+ * gateway in the one that captures the charge, so a declined charge never
+ * reaches the driver's balance.
+ *
+ * A weekly batch gathers the open settlements from before the week's cutoff
+ * into one payout per driver with a positive total; drivers at or below
+ * zero are carried forward. Admins approve the batch and then mark it paid,
+ * which settles its payouts and takes them off driver balances.
+ *
+ *   settlement: open -> batched -> paid
+ *   batch and payout: pending_approval -> approved -> paid
+ */
+
+const repositories = require('../repositories');
+const { settlements, payouts, payoutBatches, drivers, FieldValue, Timestamp } = repositories;
+const logger = require('../utils/logger');
+const { HttpError } = require('../utils/errors');
+const { SERVICE_FEE_RATE } = require('./pricing');
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Commission is the service fee added on top of the trip price at booking;
+// taxes are GST on the fare, withheld and remitted by the platform
+const SETTLEMENT_CONFIG = {
+  commissionRate: envNumber('PLATFORM_COMMISSION_RATE', SERVICE_FEE_RATE),
+  taxRate: envNumber('SETTLEMENT_TAX_RATE', 0.05)
+};
+
+// Methods whose fare is collected by the time the trip completes: cash by
+// the driver, wallet by the debit written with the completion
+const COLLECTED_ON_COMPLETION = ['cash', 'wallet'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a completed trip's fare
+ * Insurance is collected for the insurer and never shared with the driver.
+ * Returns { fare, driverShare, commission, taxes, insurance }
+ */
+function splitFare(trip) {
+  const fare = trip.fare || 0;
+  const insurance = trip.fareBreakdown?.insurance || 0;
+  const shared = fare - insurance;
+
+  const commission = roundAmount(shared * SETTLEMENT_CONFIG.commissionRate / (1 + SERVICE_FEE_RATE));
+  const taxes = roundAmount(shared * SETTLEMENT_CONFIG.taxRate);
+
+  return {
+    fare,
+    driverShare: roundAmount(shared - commission - taxes),
+    commission,
+    taxes,
+    insurance
+  };
+}
+
+const settlementId = (tripType, tripId) => `${tripType}_${tripId}`;
+
+/**
+ * Whether a trip already has its settlement
+ * Call it before the transaction's first write.
+ */
+async function isSettled(tx, tripType, tripId) {
+  return Boolean(await settlements.findById(settlementId(tripType, tripId), { tx }));
+}
+
+/**
+ * Write the settlement for a completed trip in the caller's transaction and
+ * add its net to the driver's balance; check isSettled first so each trip is
+ * settled once.
+ * type: the trip type's definition from the trip state machine
+ * trip: { driverId, fare, fareBreakdown, paymentId }
+ * paymentMethod: how the fare was actually collected
+ */
+async function writeTripSettlement(tx, { type, tripType, tripId, trip, paymentMethod }) {
+  const split = splitFare(trip);
+  const cashCollected = paymentMethod === 'cash' ? split.fare : 0;
+
+  return writeSettlement(tx, settlementId(tripType, tripId), {
+    kind: 'trip',
+    tripType,
+    [type.idField]: tripId,
+    driverId: trip.driverId,
+    paymentId: trip.paymentId || null,
+    paymentMethod,
+    ...split,
+    cashCollected,
+    penalty: 0,
+    net: roundAmount(split.driverShare - cashCollected)
+  });
+}
+
+/**
+ * Write what a cancellation paid a driver in compensation or cost them in
+ * penalties, in the cancelling transaction; check isSettled first
+ */
+async function writeCancellationSettlement(tx, { type, tripType, tripId, trip }) {
+  const compensation = trip.driverCompensation || 0;
+  const penalty = trip.driverPenalty || 0;
+
+  return writeSettlement(tx, settlementId(tripType, tripId), {
+    kind: 'cancellation',
+    tripType,
+    [type.idField]: tripId,
+    driverId: trip.driverId,
+    paymentId: null,
+    paymentMethod: null,
+    fare: 0,
+    driverShare: compensation,
+    commission: 0,
+    taxes: 0,
+    insurance: 0,
+    cashCollected: 0,
+    penalty,
+    net: roundAmount(compensation - penalty)
+  });
+}
+
+/**
+ * Take back the compensation a driver was paid out of a cancellation fee,
+ * in the transaction that waives the fee. A fee is waived once, so this
+ * runs at most once per cancellation.
+ * type: the trip type's definition from the trip state machine
+ */
+async function reverseCancellationCompensation(tx, cancellation, type) {
+  const { tripType } = cancellation;
+  const tripId = cancellation[type.idField];
+  // Cancellations recorded before the fee-funded part was stored
+  const fromFee = cancellation.driverCompensationFromFee ??
+    Math.min(cancellation.driverCompensation || 0, cancellation.cancellationFee || 0);
+
+  if (!cancellation.driverId || !(fromFee > 0)) {
+    return null;
+  }
+
+  return writeSettlement(tx, `${settlementId(tripType, tripId)}_waiver`, {
+    kind: 'cancellation_waiver',
+    tripType,
+    [type.idField]: tripId,
+    driverId: cancellation.driverId,
+    paymentId: null,
+    paymentMethod: null,
+    fare: 0,
+    driverShare: -fromFee,
+    commission: 0,
+    taxes: 0,
+    insurance: 0,
+    cashCollected: 0,
+    penalty: 0,
+    net: -fromFee
+  });
+}
+
+async function writeSettlement(tx, id, data) {
+  await settlements.create({
+    ...data,
+    status: 'open',
+    payoutId: null,
+    createdAt: FieldValue.serverTimestamp()
+  }, { tx, id });
+
+  await drivers.update(data.driverId, {
+    payoutBalance: FieldValue.increment(data.net),
+    totalEarnings: FieldValue.increment(data.driverShare - data.penalty),
+    updatedAt: FieldValue.serverTimestamp()
+  }, { tx });
+
+  return id;
+}
+
+/**
+ * Monday 00:00 UTC of the week containing a date
+ */
+function startOfWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - daysSinceMonday * DAY_MS);
+}
+
+/**
+ * Create the payout batch for the week before the one containing weekOf
+ * Open settlements from before that week's end are included, so anything
+ * carried forward from earlier weeks is picked up too.
+ * Returns the batch with its payouts
+ */
+async function generatePayoutBatch({ weekOf = new Date(), createdBy }) {
+  const periodEnd = startOfWeek(weekOf);
+  const periodStart = new Date(periodEnd.getTime() - 7 * DAY_MS);
+  const batchId = `week_${periodStart.toISOString().split('T')[0]}`;
+
+  const batch = await repositories.runTransaction(async (tx) => {
+    if (await payoutBatches.findById(batchId, { tx })) {
+      throw new HttpError(409, 'Batch exists', `A payout batch for the week of ${periodStart.toISOString().split('T')[0]} already exists`);
+    }
+
+    const openSettlements = await settlements.find({
+      where: [
+        ['status', '==', 'open'],
+        ['createdAt', '<', periodEnd]
+      ]
+    }, { tx });
+
+    const byDriver = new Map();
+    openSettlements.forEach(settlement => {
+      const list = byDriver.get(settlement.driverId) || [];
+      list.push(settlement);
+      byDriver.set(settlement.driverId, list);
+    });
+
+    const driverPayouts = [];
+    byDriver.forEach((list, driverId) => {
+      const sum = (field) => roundAmount(list.reduce((total, settlement) => total + (settlement[field] || 0), 0));
+      const amount = sum('net');
+      if (amount <= 0) return;
+
+      driverPayouts.push({
+        id: payouts.newId(),
+        batchId,
+        driverId,
+        amount,
+        tripCount: list.length,
+        grossFares: sum('fare'),
+        driverShare: sum('driverShare'),
+        penalties: sum('penalty'),
+        commission: sum('commission'),
+        taxes: sum('taxes'),
+        cashCollected: sum('cashCollected'),
+        settlementIds: list.map(settlement => settlement.id),
+        status: 'pending_approval'
+      });
+    });
+
+    const batchData = {
+      periodStart: Timestamp.fromDate(periodStart),
+      periodEnd: Timestamp.fromDate(periodEnd),
+      status: 'pending_approval',
+      payoutCount: driverPayouts.length,
+      totalAmount: roundAmount(driverPayouts.reduce((total, payout) => total + payout.amount, 0)),
+      createdBy,
+      createdAt: FieldValue.serverTimestamp()
+    };
+    await payoutBatches.create(batchData, { tx, id: batchId });
+
+    for (const { id, ...payout } of driverPayouts) {
+      await payouts.create({ ...payout, createdAt: FieldValue.serverTimestamp() }, { tx, id });
+      for (const includedId of payout.settlementIds) {
+        await settlements.update(includedId, { status: 'batched', payoutId: id }, { tx });
+      }
+    }
+
+    return { id: batchId, ...batchData, payouts: driverPayouts };
+  });
+
+  logger.info(`Payout batch ${batchId} created: ${batch.payoutCount} payouts, ₹${batch.totalAmount}`);
+
+  return batch;
+}
+
+/**
+ * Move a batch and its payouts from one status to the next
+ * onPayout(tx, payout) writes anything else that goes with each payout
+ */
+async function advanceBatch(batchId, from, to, fields, onPayout) {
+  return repositories.runTransaction(async (tx) => {
+    const batch = await payoutBatches.findById(batchId, { tx });
+    if (!batch) {
+      throw new HttpError(404, 'Payout batch not found');
+    }
+    if (batch.status !== from) {
+      throw new HttpError(409, 'Invalid batch status', `Payout batch is ${batch.status}`);
+    }
+
+    const batchPayouts = await payouts.find({ where: [['batchId', '==', batchId]] }, { tx });
+
+    await payoutBatches.update(batchId, { ...fields, status: to }, { tx });
+    for (const payout of batchPayouts) {
+      await payouts.update(payout.id, { ...fields, status: to }, { tx });
+      if (onPayout) {
+        await onPayout(tx, payout);
+      }
+    }
+
+    return { ...batch, ...fields, status: to, payouts: batchPayouts.map(payout => ({ ...payout, status: to })) };
+  });
+}
+
+/**
+ * Approve a batch for payment
+ */
+async function approveBatch(batchId, adminId) {
+  const batch = await advanceBatch(batchId, 'pending_approval', 'approved', {
+    approvedBy: adminId,
+    approvedAt: FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Payout batch ${batchId} approved by ${adminId}`);
+
+  return batch;
+}
+
+/**
+ * Record that an approved batch was paid out, settling its trips and
+ * taking each payout off the driver's balance
+ */
+async function markBatchPaid(batchId, adminId, reference = null) {
+  const batch = await advanceBatch(batchId, 'approved', 'paid', {
+    paidBy: adminId,
+    paymentReference: reference,
+    paidAt: FieldValue.serverTimestamp()
+  }, async (tx, payout) => {
+    for (const id of payout.settlementIds) {
+      await settlements.update(id, { status: 'paid' }, { tx });
+    }
+    await drivers.update(payout.driverId, {
+      payoutBalance: FieldValue.increment(-payout.amount),
+      lastPayoutAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+  });
+
+  logger.info(`Payout batch ${batchId} marked paid by ${adminId}`);
+
+  return batch;
+}
+
+/**
+ * Statement dates from query strings; the last 30 days by default
+ */
+function parseStatementRange({ from, to }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new HttpError(400, 'Invalid date', 'from and to must be dates, e.g. 2024-01-31');
+  }
+  if (start >= end) {
+    throw new HttpError(400, 'Invalid date range', 'from must be before to');
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * A driver's settlements and payouts between two dates, with totals and
+ * the balance still owed to them (negative when they owe the platform)
+ */
+async function getStatement(driverId, { from, to }) {
+  const inRange = [
+    ['driverId', '==', driverId],
+    ['createdAt', '>=', from],
+    ['createdAt', '<', to]
+  ];
+
+  const [driverData, driverSettlements, driverPayouts] = await Promise.all([
+    drivers.findById(driverId),
+    settlements.find({ where: inRange, orderBy: ['createdAt', 'desc'] }),
+    payouts.find({ where: inRange, orderBy: ['createdAt', 'desc'] })
+  ]);
+
+  const sum = (field) => roundAmount(driverSettlements.reduce((total, settlement) => total + (settlement[field] || 0), 0));
+
+  return {
+    driverId,
+    from,
+    to,
+    balance: roundAmount(driverData?.payoutBalance || 0),
+    totals: {
+      trips: driverSettlements.length,
+      grossFares: sum('fare'),
+      commission: sum('commission'),
+      taxes: sum('taxes'),
+      insurance: sum('insurance'),
+      driverShare: sum('driverShare'),
+      penalties: sum('penalty'),
+      cashCollected: sum('cashCollected'),
+      net: sum('net'),
+      paidOut: roundAmount(driverPayouts
+        .filter(payout => payout.status === 'paid')
+        .reduce((total, payout) => total + payout.amount, 0))
+    },
+    settlements: driverSettlements,
+    payouts: driverPayouts
+  };
+}
+
+module.exports = {
+  SETTLEMENT_CONFIG,
+  COLLECTED_ON_COMPLETION,
+  splitFare,
+  settlementId,
+  isSettled,
+  writeTripSettlement,
+  writeCancellationSettlement,
+  reverseCancellationCompensation,
+  startOfWeek,
+  generatePayoutBatch,
+  approveBatch,
+  markBatchPaid,
+  parseStatementRange,
+  getStatement
+};
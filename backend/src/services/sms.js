@@ -0,0 +1,94 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable channel. SMS_CHANNEL picks the
+ * channel at startup: 'twilio' sends through the Twilio REST API, 'log'
+ * (the default) only writes the message to the server log. In production
+ * the log channel refuses every message instead, so a missing SMS setup
+ * shows up as failed sends rather than dropped messages and codes in the
+ * logs. Other channels can be installed with setChannel as long as they
+ * implement send(to, body); channels that do not really deliver messages
+ * set delivers: false.
+ */
+
+const logger = require('../utils/logger');
+
+const channels = {
+  log: {
+    name: 'log',
+    delivers: false,
+    async send(to, body) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SMS is not configured: set SMS_CHANNEL to a channel that delivers messages');
+      }
+      logger.info(`SMS to ${to}: ${body}`);
+      return { id: null };
+    }
+  },
+
+  twilio: {
+    name: 'twilio',
+    delivers: true,
+    async send(to, body) {
+      const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+      const credentials = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ To: to, From: TWILIO_PHONE_NUMBER, Body: body })
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Twilio rejected message: ${result.message || response.status}`);
+      }
+      return { id: result.sid };
+    }
+  }
+};
+
+let channelName = process.env.SMS_CHANNEL || 'log';
+
+if (!channels[channelName]) {
+  logger.warn(`Unknown SMS_CHANNEL "${channelName}"; using the log channel`);
+  channelName = 'log';
+}
+if (channelName === 'log' && process.env.NODE_ENV === 'production') {
+  logger.warn('SMS_CHANNEL is not set to a channel that delivers messages; texts will fail until it is');
+}
+
+let activeChannel = channels[channelName];
+
+/**
+ * Replace the channel messages are sent through
+ */
+function setChannel(channel) {
+  activeChannel = channel;
+}
+
+/**
+ * Whether messages sent now actually reach the recipient
+ */
+const isDelivering = () => activeChannel.delivers !== false;
+
+/**
+ * Send a message, resolving to { channel, id, delivered } or rejecting on
+ * failure; delivered is false when the channel only recorded it
+ */
+async function sendSms(to, body) {
+  const { id } = await activeChannel.send(to, body);
+  return { channel: activeChannel.name, id, delivered: isDelivering() };
+}
+
+module.exports = {
+  channels,
+  setChannel,
+  isDelivering,
+  sendSms
+};
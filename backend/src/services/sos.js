@@ -0,0 +1,87 @@
+/**
+ * SOS Service
+ * Tells a user's emergency contacts that they raised an SOS alert and
+ * records the outcome of each message on the alert.
+ */
+
+const { sosAlerts, FieldValue } = require('../repositories');
+const logger = require('../utils/logger');
+const sms = require('./sms');
+
+/**
+ * Emergency contacts saved on a user profile
+ * Older profiles store a single contact object, newer ones a list
+ */
+function emergencyContactsOf(user) {
+  const saved = user.emergencyContact;
+  if (!saved) return [];
+
+  return (Array.isArray(saved) ? saved : [saved])
+    .filter(contact => contact && contact.phone);
+}
+
+function buildMessage(alert, reporterName) {
+  const { latitude, longitude } = alert.location;
+  const trip = alert.tripType === 'ride' ? 'a ride' : 'a delivery';
+  const vehicle = alert.driver?.licensePlate ? ` Vehicle: ${alert.driver.licensePlate}.` : '';
+
+  return `SOS: ${reporterName} raised an emergency alert during ${trip} with Quick Pickup.` +
+    ` Last known location: https://maps.google.com/?q=${latitude},${longitude}.${vehicle}`;
+}
+
+/**
+ * Message every emergency contact of the reporting user
+ * Individual failures are recorded on the alert rather than thrown. Messages
+ * the SMS channel only logged are recorded as not_delivered, never as sent.
+ */
+async function notifyEmergencyContacts(alertId, alert, reporter) {
+  const contacts = emergencyContactsOf(reporter);
+  const message = buildMessage(alert, reporter.name || reporter.phoneNumber);
+
+  const results = await Promise.allSettled(contacts.map(contact => sms.sendSms(contact.phone, message)));
+
+  const notifications = contacts.map((contact, index) => {
+    const result = results[index];
+    let status = 'failed';
+    if (result.status === 'fulfilled') {
+      status = result.value.delivered ? 'sent' : 'not_delivered';
+    }
+
+    return {
+      name: contact.name || null,
+      phone: contact.phone,
+      status,
+      channel: result.status === 'fulfilled' ? result.value.channel : null,
+      messageId: result.status === 'fulfilled' ? result.value.id : null,
+      error: result.status === 'rejected' ? result.reason.message : null
+    };
+  });
+
+  const sent = notifications.filter(notification => notification.status === 'sent').length;
+  let notificationStatus = 'sent';
+  if (contacts.length === 0) {
+    notificationStatus = 'no_contacts';
+  } else if (sent === 0) {
+    notificationStatus = notifications.some(notification => notification.status === 'failed')
+      ? 'failed'
+      : 'not_delivered';
+  } else if (sent < contacts.length) {
+    notificationStatus = 'partial';
+  }
+
+  await sosAlerts.update(alertId, {
+    notifications,
+    notificationStatus,
+    notifiedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  });
+
+  logger.info(`SOS ${alertId}: notified ${sent} of ${contacts.length} emergency contacts`);
+
+  return notifications;
+}
+
+module.exports = {
+  emergencyContactsOf,
+  notifyEmergencyContacts
+};
@@ -0,0 +1,174 @@
+/**
+ * Recipient Tracking Links
+ * Recipients of a delivery have no account, so once a driver accepts the
+ * delivery they are texted a link with a random token that opens a public
+ * tracking view: status, the driver's first name and vehicle, a live ETA
+ * and, once delivered, the proof of delivery. Nothing about the sender is
+ * shown. Only a hash of the token is stored (tracking_links, keyed by the
+ * hash) and the link stops working TRACKING_LINK_TTL_HOURS after the
+ * delivery ends. In production TRACKING_BASE_URL must be set, since the
+ * localhost default would text recipients a link they cannot open; without
+ * it no links are issued and deliveries go ahead without them.
+ */
+
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { deliveries, drivers, trackingLinks, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { sendSms } = require('./sms');
+const { estimateTrip } = require('./pricing');
+const deliveryProof = require('./deliveryProof');
+
+const TRACKING_CONFIG = {
+  baseUrl: process.env.TRACKING_BASE_URL ||
+    (process.env.NODE_ENV === 'production' ? null : 'http://localhost:3000/api/track'),
+  ttlHours: parseInt(process.env.TRACKING_LINK_TTL_HOURS) || 24
+};
+
+if (!TRACKING_CONFIG.baseUrl) {
+  logger.warn('TRACKING_BASE_URL is not set; recipient tracking links are disabled');
+}
+
+// What the recipient is told for each delivery status
+const STATUS_LABELS = {
+  requested: 'Booked',
+  confirmed: 'Driver on the way to pickup',
+  arriving: 'Driver at pickup',
+  picked_up: 'Picked up',
+  in_transit: 'On the way to you',
+  completed: 'Delivered',
+  cancelled: 'Cancelled',
+  expired: 'Cancelled'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a tracking link for a delivery, returning its URL
+ */
+async function createLink(deliveryId) {
+  if (!TRACKING_CONFIG.baseUrl) {
+    throw new HttpError(503, 'Tracking links unavailable',
+      'Recipient tracking links are not configured on this server');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  await trackingLinks.create({
+    deliveryId,
+    createdAt: FieldValue.serverTimestamp()
+  }, { id: hashToken(token) });
+
+  return `${TRACKING_CONFIG.baseUrl}/${token}`;
+}
+
+/**
+ * Create a tracking link and text it to the recipient, returning its URL
+ */
+async function shareTrackingLink(deliveryId, delivery) {
+  const url = await createLink(deliveryId);
+
+  await sendSms(
+    delivery.destination.contactPhone,
+    `Quick Pickup: a package is being sent to you. Track it here: ${url}`
+  );
+
+  return url;
+}
+
+/**
+ * Text the recipient a tracking link when a driver accepts the delivery
+ * Failures are logged, not thrown, so they never block the delivery, and
+ * nothing is sent while links are disabled
+ */
+async function sendTrackingLink(deliveryId, delivery) {
+  if (!TRACKING_CONFIG.baseUrl) return;
+
+  try {
+    await shareTrackingLink(deliveryId, delivery);
+  } catch (error) {
+    logger.error(`Error sending tracking link for delivery ${deliveryId}:`, error);
+  }
+}
+
+/**
+ * Minutes until the package reaches the recipient, going through pickup
+ * first if the driver has not collected it yet
+ */
+function estimateArrival(delivery, location) {
+  if (!location) return null;
+
+  let minutes;
+  if (['confirmed', 'arriving'].includes(delivery.status)) {
+    minutes = estimateTrip(location, delivery.pickup).duration +
+      estimateTrip(delivery.pickup, delivery.destination).duration;
+  } else if (['picked_up', 'in_transit'].includes(delivery.status)) {
+    minutes = estimateTrip(location, delivery.destination).duration;
+  } else {
+    return null;
+  }
+
+  return {
+    minutes,
+    arrivalAt: new Date(Date.now() + minutes * 60 * 1000)
+  };
+}
+
+/**
+ * The public tracking view for a link token
+ */
+async function getTracking(token) {
+  const link = await trackingLinks.findById(hashToken(token));
+  if (!link) {
+    throw new HttpError(404, 'Tracking link not found');
+  }
+
+  const delivery = await deliveries.findById(link.deliveryId);
+  if (!delivery) {
+    throw new HttpError(404, 'Tracking link not found');
+  }
+
+  const endedAt = (delivery.completedAt || delivery.cancelledAt || delivery.expiredAt)?.toDate();
+  if (endedAt && Date.now() > endedAt.getTime() + TRACKING_CONFIG.ttlHours * 60 * 60 * 1000) {
+    throw new HttpError(410, 'Tracking link expired', 'This delivery ended and its tracking link has expired');
+  }
+
+  const driverData = delivery.driverId ? await drivers.findById(delivery.driverId) : null;
+  const vehicle = driverData?.vehicleInfo;
+
+  let proof = null;
+  if (delivery.status === 'completed' && delivery.proof) {
+    proof = await deliveryProof.signProof(delivery.proof);
+  }
+
+  return {
+    status: delivery.status,
+    statusLabel: STATUS_LABELS[delivery.status] || delivery.status,
+    recipientName: delivery.destination.contactName,
+    destination: delivery.destination.address,
+    packageType: delivery.packageType,
+    driver: driverData ? {
+      firstName: (driverData.name || 'Driver').split(' ')[0],
+      vehicle: vehicle ? {
+        type: vehicle.type,
+        make: vehicle.make,
+        model: vehicle.model,
+        color: vehicle.color,
+        licensePlate: vehicle.licensePlate
+      } : null
+    } : null,
+    eta: estimateArrival(delivery, driverData?.currentLocation),
+    pickedUpAt: delivery.pickedUpAt?.toDate() || null,
+    completedAt: delivery.completedAt?.toDate() || null,
+    proof
+  };
+}
+
+module.exports = {
+  TRACKING_CONFIG,
+  createLink,
+  shareTrackingLink,
+  sendTrackingLink,
+  getTracking
+};
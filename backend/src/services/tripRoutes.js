@@ -0,0 +1,144 @@
+/**
+ * Trip Routes
+ * Appends each location update from a driver on an active ride or delivery
+ * to that trip's breadcrumb trail (trip_locations), and turns the trail into
+ * the route actually taken: an encoded polyline, the distance travelled and
+ * the time taken from pickup to completion.
+ */
+
+const repositories = require('../repositories');
+const { drivers, tripLocations, FieldValue } = repositories;
+const { TRIP_TYPES } = require('./tripStateMachine');
+const { encodePolyline, pathDistance } = require('../utils/geo');
+
+// When the trip proper begins: the passenger boards or the package is collected
+const TRIP_START_FIELDS = {
+  ride: 'startedAt',
+  delivery: 'pickedUpAt'
+};
+
+const toMillis = (timestamp) => (timestamp ? timestamp.toDate().getTime() : null);
+
+/**
+ * Record a driver's position on the trip they are currently assigned to
+ * Returns { tripType, tripId } when a point was recorded, null otherwise
+ */
+async function recordLocation(driverId, { latitude, longitude, speed = null, accuracy = null, heading = null }) {
+  const driverData = await drivers.findById(driverId);
+  if (!driverData) {
+    return null;
+  }
+
+  let tripType = null;
+  let tripId = null;
+  if (driverData.currentRideId) {
+    tripType = 'ride';
+    tripId = driverData.currentRideId;
+  } else if (driverData.currentDeliveryId) {
+    tripType = 'delivery';
+    tripId = driverData.currentDeliveryId;
+  } else {
+    return null;
+  }
+
+  await tripLocations.create({
+    tripType,
+    tripId,
+    driverId,
+    latitude,
+    longitude,
+    speed,
+    accuracy,
+    heading,
+    recordedAt: FieldValue.serverTimestamp()
+  });
+
+  return { tripType, tripId };
+}
+
+/**
+ * Breadcrumb trail for a trip, oldest first
+ */
+async function getTrail(tripType, tripId) {
+  return tripLocations.find({
+    where: [
+      ['tripType', '==', tripType],
+      ['tripId', '==', tripId]
+    ],
+    orderBy: ['recordedAt', 'asc']
+  });
+}
+
+/**
+ * Summarize the route taken from the start of the trip until endedAt
+ * Distances are in km and durations in minutes, like the trip estimates
+ */
+function summarizeRoute(tripType, tripData, trail, endedAt = new Date()) {
+  const startedAt = toMillis(tripData[TRIP_START_FIELDS[tripType]]);
+  const points = startedAt
+    ? trail.filter(point => toMillis(point.recordedAt) >= startedAt)
+    : [];
+
+  return {
+    polyline: encodePolyline(points),
+    pointCount: points.length,
+    actualDistance: Math.round(pathDistance(points) * 100) / 100,
+    actualDuration: startedAt ? Math.max(0, Math.round((endedAt.getTime() - startedAt) / 60000)) : null
+  };
+}
+
+/**
+ * Trip fields recording the route taken, written when the trip completes
+ */
+async function buildCompletionUpdates(tripType, tripId) {
+  const tripData = await repositories.forCollection(TRIP_TYPES[tripType].collection).findById(tripId);
+  if (!tripData) {
+    return {};
+  }
+
+  const trail = await getTrail(tripType, tripId);
+  const { polyline, pointCount, actualDistance, actualDuration } = summarizeRoute(tripType, tripData, trail);
+
+  return {
+    route: { polyline, pointCount },
+    actualDistance,
+    actualDuration
+  };
+}
+
+/**
+ * Route for display: the stored summary once the trip is complete, or the
+ * route so far while it is under way, plus every breadcrumb
+ */
+async function getRoute(tripType, tripId, tripData) {
+  const trail = await getTrail(tripType, tripId);
+
+  const summary = tripData.route
+    ? {
+      polyline: tripData.route.polyline,
+      pointCount: tripData.route.pointCount,
+      actualDistance: tripData.actualDistance,
+      actualDuration: tripData.actualDuration
+    }
+    : summarizeRoute(tripType, tripData, trail, tripData.completedAt ? tripData.completedAt.toDate() : new Date());
+
+  return {
+    ...summary,
+    points: trail.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speed: point.speed,
+      accuracy: point.accuracy,
+      recordedAt: point.recordedAt.toDate().toISOString()
+    }))
+  };
+}
+
+module.exports = {
+  TRIP_START_FIELDS,
+  recordLocation,
+  getTrail,
+  summarizeRoute,
+  buildCompletionUpdates,
+  getRoute
+};
@@ -0,0 +1,497 @@
+/**
+ * Trip State Machine
+ * Declares the legal status transitions for rides and deliveries, who may
+ * trigger each one, the timestamp it records and its side effects. Every
+ * status change goes through transition() so illegal moves fail the same
+ * way everywhere. Listeners can follow changes through tripEvents.
+ */
+
+const EventEmitter = require('events');
+const repositories = require('../repositories');
+const { FieldValue, Timestamp } = repositories;
+const logger = require('../utils/logger');
+const { HttpError } = require('../utils/errors');
+const wallet = require('./wallet');
+const settlement = require('./settlement');
+const cancellationFees = require('./cancellationFees');
+const handoffCodes = require('./handoffCodes');
+
+const TRIP_TYPES = {
+  ride: {
+    collection: 'rides',
+    label: 'Ride',
+    ownerField: 'userId',
+    ownerActor: 'passenger',
+    idField: 'rideId',
+    driverField: 'currentRideId',
+    counterField: 'totalRides'
+  },
+  delivery: {
+    collection: 'deliveries',
+    label: 'Delivery',
+    ownerField: 'senderId',
+    ownerActor: 'sender',
+    idField: 'deliveryId',
+    driverField: 'currentDeliveryId',
+    counterField: 'totalDeliveries'
+  }
+};
+
+/**
+ * Side effects written in the same transaction as the status change.
+ * Each receives the transaction, the trip after the change, the assigned
+ * driver (read inside the transaction) when there is one and the options
+ * transition() was called with. An effect that
+ * needs more reads does them in its prepare(context), which runs before the
+ * first write and can leave what it read on the context.
+ */
+const effects = {
+  // Mark the accepting driver as busy, refusing drivers already on a trip
+  async claimDriver({ tx, type, tripId, driver }) {
+    if (!driver) {
+      throw new HttpError(404, 'Driver not found');
+    }
+    if (driver.currentRideId || driver.currentDeliveryId) {
+      throw new HttpError(409, 'Driver busy', 'You already have an active ride or delivery. Complete it before accepting another.');
+    }
+
+    await repositories.drivers.update(driver.id, {
+      [type.driverField]: tripId,
+      isAvailable: false,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+  },
+
+  // Free the assigned driver, if any
+  async releaseDriver({ tx, type, driver }) {
+    if (!driver) return;
+
+    await repositories.drivers.update(driver.id, {
+      [type.driverField]: null,
+      isAvailable: true,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+  },
+
+  // Count the completed trip for the driver and the rider or sender
+  async countTrip({ tx, type, trip, driver }) {
+    if (driver) {
+      await repositories.drivers.update(driver.id, {
+        [type.counterField]: FieldValue.increment(1)
+      }, { tx });
+    }
+
+    await repositories.users.update(trip[type.ownerField], {
+      [type.counterField]: FieldValue.increment(1)
+    }, { tx });
+  },
+
+  // Charge the final fare, keeping the quote it was booked at for reference.
+  // Wallet payments are debited here; when the balance no longer covers the
+  // fare the driver collects cash instead. The payment service picks up the
+  // rest from the trip's paymentId.
+  async createPayment(context) {
+    const { tx, type, tripId, trip, ownerWallet } = context;
+    const paymentId = repositories.payments.newId();
+    const history = [{ status: 'pending', at: Timestamp.now() }];
+    let method = trip.paymentMethod || 'cash';
+    let walletFields = {};
+
+    if (method === 'wallet') {
+      if (ownerWallet.balance >= trip.fare) {
+        const { transactionId } = await wallet.post(ownerWallet, 'trip_payment', trip.fare, {
+          tx,
+          reference: paymentId,
+          description: `${type.label} payment`
+        });
+        history.push({ status: 'captured', at: Timestamp.now() });
+        walletFields = {
+          status: 'captured',
+          walletTransactionId: transactionId,
+          capturedAt: FieldValue.serverTimestamp()
+        };
+      } else {
+        method = 'cash';
+        walletFields = { fallbackReason: 'Insufficient wallet balance' };
+      }
+    }
+
+    await repositories.payments.create({
+      [type.idField]: tripId,
+      [type.ownerField]: trip[type.ownerField],
+      driverId: trip.driverId,
+      amount: trip.fare,
+      fareBreakdown: trip.fareBreakdown || null,
+      quotedFare: trip.quotedFare ?? trip.fare,
+      quotedFareBreakdown: trip.quotedFareBreakdown || trip.fareBreakdown || null,
+      method,
+      status: 'pending',
+      gateway: null,
+      gatewayReference: null,
+      history,
+      ...walletFields,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx, id: paymentId });
+
+    await repositories.forCollection(type.collection).update(tripId, { paymentId }, { tx });
+    trip.paymentId = paymentId;
+    context.paymentMethod = method;
+  },
+
+  // Settle the driver's share of a fare already collected; fares charged
+  // through the gateway are settled by the payment service on capture
+  async settleTrip({ tx, type, tripType, tripId, trip, paymentMethod, alreadySettled }) {
+    if (!trip.driverId || alreadySettled || !settlement.COLLECTED_ON_COMPLETION.includes(paymentMethod)) {
+      return;
+    }
+
+    await settlement.writeTripSettlement(tx, { type, tripType, tripId, trip, paymentMethod });
+  },
+
+  // Record the cancellation and charge its fee, if any, to the owner
+  async recordCancellation({ tx, type, tripType, tripId, trip, ownerWallet }) {
+    const id = cancellationFees.cancellationId(tripType, tripId);
+    const payerId = trip[type.ownerField];
+    const fee = trip.cancellationFee > 0
+      ? await cancellationFees.chargeFee(tx, { id, payerId, amount: trip.cancellationFee, payerWallet: ownerWallet })
+      : { cancellationFee: 0, feeStatus: null };
+
+    await repositories.cancellations.create({
+      tripType,
+      [type.idField]: tripId,
+      [type.ownerField]: payerId,
+      payerId,
+      driverId: trip.driverId || null,
+      cancelledBy: trip.cancelledBy,
+      reason: trip.cancellationReason,
+      ...fee,
+      driverPenalty: trip.driverPenalty || 0,
+      driverCompensation: trip.driverCompensation || 0,
+      driverCompensationFromFee: trip.driverCompensationFromFee || 0,
+      policy: trip.cancellationPolicy || null,
+      createdAt: FieldValue.serverTimestamp()
+    }, { tx, id });
+
+    trip.cancellationId = id;
+    trip.cancellationFee = fee.cancellationFee;
+    trip.cancellationFeeChargedVia = fee.chargedVia || null;
+  },
+
+  // Settle the compensation or penalty the cancellation policy set for the driver
+  async settleCancellation({ tx, type, tripType, tripId, trip, alreadySettled }) {
+    if (!trip.driverId || alreadySettled || !(trip.driverCompensation > 0 || trip.driverPenalty > 0)) {
+      return;
+    }
+
+    await settlement.writeCancellationSettlement(tx, { type, tripType, tripId, trip });
+  }
+};
+
+// Effects that charge the owner's wallet read it before the first write
+const readOwnerWallet = async (context) => {
+  const { tx, type, trip } = context;
+  context.ownerWallet = await wallet.getWallet(trip[type.ownerField], { tx });
+};
+
+effects.createPayment.prepare = async (context) => {
+  if (context.trip.paymentMethod === 'wallet') {
+    await readOwnerWallet(context);
+  }
+};
+
+effects.recordCancellation.prepare = async (context) => {
+  if (context.trip.cancellationFee > 0) {
+    await readOwnerWallet(context);
+  }
+};
+
+// Effects that settle with the driver check the trip was not settled already
+const readSettled = async (context) => {
+  const { tx, tripType, tripId, trip } = context;
+  if (trip.driverId) {
+    context.alreadySettled = await settlement.isSettled(tx, tripType, tripId);
+  }
+};
+
+effects.settleTrip.prepare = readSettled;
+effects.settleCancellation.prepare = readSettled;
+
+/**
+ * Transition table: event -> { to, from: { status: [actors] }, timestamp, effects }
+ * Actors: passenger (ride owner), sender (delivery owner), driver (the
+ * assigned driver, or any driver for openToAnyDriver events), admin, system
+ */
+const TRANSITIONS = {
+  ride: {
+    release: {
+      to: 'requested',
+      from: { scheduled: ['system'] },
+      timestamp: 'releasedAt',
+      verb: 'released for dispatch'
+    },
+    accept: {
+      to: 'confirmed',
+      from: { requested: ['driver'] },
+      timestamp: 'acceptedAt',
+      verb: 'accepted',
+      openToAnyDriver: true,
+      conflictError: 'Ride not available',
+      effects: [effects.claimDriver]
+    },
+    arrive: {
+      to: 'arriving',
+      from: { confirmed: ['driver'] },
+      timestamp: 'arrivingAt',
+      verb: 'marked as arriving'
+    },
+    start: {
+      to: 'in_progress',
+      from: { confirmed: ['driver'], arriving: ['driver'] },
+      timestamp: 'startedAt',
+      verb: 'started'
+    },
+    complete: {
+      to: 'completed',
+      from: { in_progress: ['driver'] },
+      timestamp: 'completedAt',
+      verb: 'completed',
+      effects: [effects.releaseDriver, effects.countTrip, effects.createPayment, effects.settleTrip]
+    },
+    cancel: {
+      to: 'cancelled',
+      from: {
+        scheduled: ['passenger', 'admin', 'system'],
+        requested: ['passenger', 'admin'],
+        confirmed: ['passenger', 'driver', 'admin'],
+        arriving: ['passenger', 'driver', 'admin'],
+        in_progress: ['admin']
+      },
+      timestamp: 'cancelledAt',
+      verb: 'cancelled',
+      effects: [effects.releaseDriver, effects.recordCancellation, effects.settleCancellation]
+    },
+    expire: {
+      to: 'expired',
+      from: { requested: ['system'] },
+      timestamp: 'expiredAt',
+      verb: 'expired'
+    }
+  },
+  delivery: {
+    release: {
+      to: 'requested',
+      from: { scheduled: ['system'] },
+      timestamp: 'releasedAt',
+      verb: 'released for dispatch'
+    },
+    accept: {
+      to: 'confirmed',
+      from: { requested: ['driver'] },
+      timestamp: 'acceptedAt',
+      verb: 'accepted',
+      openToAnyDriver: true,
+      conflictError: 'Delivery not available',
+      effects: [effects.claimDriver]
+    },
+    arrive: {
+      to: 'arriving',
+      from: { confirmed: ['driver'] },
+      timestamp: 'arrivingAt',
+      verb: 'marked as arriving'
+    },
+    pickup: {
+      to: 'picked_up',
+      from: { confirmed: ['driver'], arriving: ['driver'] },
+      timestamp: 'pickedUpAt',
+      verb: 'picked up',
+      effects: [handoffCodes.handoffEffect('pickup')]
+    },
+    transit: {
+      to: 'in_transit',
+      from: { picked_up: ['driver'] },
+      timestamp: 'inTransitAt',
+      verb: 'marked in transit'
+    },
+    complete: {
+      to: 'completed',
+      from: { picked_up: ['driver'], in_transit: ['driver'] },
+      timestamp: 'completedAt',
+      verb: 'completed',
+      effects: [handoffCodes.handoffEffect('dropoff'), effects.releaseDriver, effects.countTrip, effects.createPayment, effects.settleTrip]
+    },
+    cancel: {
+      to: 'cancelled',
+      from: {
+        scheduled: ['sender', 'admin', 'system'],
+        requested: ['sender', 'admin'],
+        confirmed: ['sender', 'driver', 'admin'],
+        arriving: ['sender', 'driver', 'admin'],
+        picked_up: ['admin'],
+        in_transit: ['admin']
+      },
+      timestamp: 'cancelledAt',
+      verb: 'cancelled',
+      effects: [effects.releaseDriver, effects.recordCancellation, effects.settleCancellation]
+    },
+    expire: {
+      to: 'expired',
+      from: { requested: ['system'] },
+      timestamp: 'expiredAt',
+      verb: 'expired'
+    }
+  }
+};
+
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'expired'];
+
+// Booked for later and not yet released into dispatch
+const SCHEDULED_STATUS = 'scheduled';
+
+// Statuses a trip can be in while it still occupies its passenger or sender
+const ACTIVE_STATUSES = Object.fromEntries(
+  Object.entries(TRANSITIONS).map(([tripType, events]) => {
+    const statuses = new Set();
+    Object.values(events).forEach(({ from }) => Object.keys(from).forEach(status => statuses.add(status)));
+    return [tripType, [...statuses].filter(status => !TERMINAL_STATUSES.includes(status) && status !== SCHEDULED_STATUS)];
+  })
+);
+
+// Every status a trip of each type can have
+const STATUSES = Object.fromEntries(
+  Object.entries(ACTIVE_STATUSES).map(([tripType, statuses]) => [tripType, [SCHEDULED_STATUS, ...statuses, ...TERMINAL_STATUSES]])
+);
+
+const tripEvents = new EventEmitter();
+
+/**
+ * Work out which actors a user can act as on a trip
+ */
+function resolveActors(tripType, trip, user, definition) {
+  const type = TRIP_TYPES[tripType];
+  const actors = [];
+
+  if (trip[type.ownerField] === user.uid) {
+    actors.push(type.ownerActor);
+  }
+  if (user.role === 'driver' && (trip.driverId === user.uid || definition.openToAnyDriver)) {
+    actors.push('driver');
+  }
+  if (user.role === 'admin') {
+    actors.push('admin');
+  }
+
+  return actors;
+}
+
+/**
+ * Check whether an event is legal for a trip and return the acting role
+ * Throws 403 when the user may never trigger the event on this trip and
+ * 409 when the trip's current status does not allow it
+ */
+function authorize(tripType, event, trip, { user, actor } = {}) {
+  const type = TRIP_TYPES[tripType];
+  const definition = TRANSITIONS[tripType][event];
+  const candidates = actor ? [actor] : resolveActors(tripType, trip, user, definition);
+  const everAllowed = new Set(Object.values(definition.from).flat());
+
+  if (!candidates.some(candidate => everAllowed.has(candidate))) {
+    throw new HttpError(403, 'Access denied', `This ${type.label.toLowerCase()} cannot be ${definition.verb} by you`);
+  }
+
+  const allowedNow = definition.from[trip.status];
+  if (!allowedNow) {
+    throw new HttpError(
+      409,
+      definition.conflictError || 'Invalid status transition',
+      `${type.label} is ${trip.status} and cannot be ${definition.verb}`
+    );
+  }
+
+  const acting = candidates.find(candidate => allowedNow.includes(candidate));
+  if (!acting) {
+    throw new HttpError(403, 'Access denied', `${type.label} is ${trip.status} and cannot be ${definition.verb} by you`);
+  }
+
+  return acting;
+}
+
+/**
+ * Move a trip through an event
+ * The status check, the trip update and every side effect run in one
+ * transaction with the assigned driver's document, so concurrent requests
+ * cannot both win; the loser gets a 409.
+ * options.user: the authenticated user triggering it, or options.actor: 'system'
+ * options.updates: extra fields to write, or a (possibly async) function
+ *   (trip, actor) => fields
+ * options.handoffCode: the code a driver entered for a delivery pickup or
+ *   completion
+ * Returns { trip, actor, from, to } where trip is the trip after the change
+ */
+async function transition(tripType, tripId, event, options = {}) {
+  const type = TRIP_TYPES[tripType];
+  const definition = TRANSITIONS[tripType][event];
+  if (!definition) {
+    throw new Error(`Unknown ${tripType} event: ${event}`);
+  }
+
+  const trips = repositories.forCollection(type.collection);
+
+  const result = await repositories.runTransaction(async (tx) => {
+    const before = await trips.findById(tripId, { tx });
+
+    if (!before) {
+      throw new HttpError(404, `${type.label} not found`);
+    }
+
+    const actor = authorize(tripType, event, before, options);
+    const extra = typeof options.updates === 'function'
+      ? await options.updates(before, actor)
+      : options.updates || {};
+    const { id, ...tripData } = before;
+    const trip = { ...tripData, ...extra, status: definition.to };
+
+    // All reads must happen before the first write
+    const driver = trip.driverId
+      ? await repositories.drivers.findById(trip.driverId, { tx })
+      : null;
+
+    const context = { tx, type, tripType, tripId, trip, actor, driver, options };
+    for (const effect of definition.effects || []) {
+      if (effect.prepare) {
+        await effect.prepare(context);
+      }
+    }
+
+    await trips.update(tripId, {
+      ...extra,
+      status: definition.to,
+      [definition.timestamp]: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { tx });
+
+    for (const effect of definition.effects || []) {
+      await effect(context);
+    }
+
+    return { trip, actor, from: before.status, to: definition.to };
+  });
+
+  logger.info(`${type.label} ${tripId}: ${result.from} -> ${result.to} (${event} by ${result.actor})`);
+
+  tripEvents.emit('transition', { tripType, tripId, event, ...result });
+
+  return result;
+}
+
+module.exports = {
+  TRIP_TYPES,
+  TRANSITIONS,
+  TERMINAL_STATUSES,
+  SCHEDULED_STATUS,
+  ACTIVE_STATUSES,
+  STATUSES,
+  tripEvents,
+  authorize,
+  transition
+};
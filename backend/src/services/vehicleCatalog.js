@@ -0,0 +1,94 @@
+/**
+ * Vehicle Catalog
+ * The service classes riders book, the vehicle types drivers register and
+ * which types can serve each class, with capacity and per-class pricing.
+ * Estimates, bookings, driver search, registration and dispatch all check
+ * against it, and GET /api/vehicles serves it to the apps.
+ */
+
+// Vehicle types a driver can register
+const VEHICLE_TYPES = {
+  bike: { label: 'Bike', icon: 'motorbike', seats: 1 },
+  auto: { label: 'Auto Rickshaw', icon: 'rickshaw', seats: 3 },
+  car: { label: 'Car', icon: 'car', seats: 4 },
+  suv: { label: 'SUV / Van', icon: 'car-estate', seats: 6 }
+};
+
+// Ride classes a rider can book (pricing in INR)
+const SERVICE_CLASSES = {
+  economy: {
+    name: 'Economy',
+    description: 'Affordable rides',
+    icon: 'car',
+    vehicleTypes: ['auto', 'car', 'suv'],
+    seats: 3,
+    luggage: 1,
+    pricing: { base: 50, perKm: 12, perMinute: 2, waitingPerMinute: 1 }
+  },
+  comfort: {
+    name: 'Comfort',
+    description: 'Comfortable cars',
+    icon: 'car-sports',
+    vehicleTypes: ['car', 'suv'],
+    seats: 4,
+    luggage: 2,
+    pricing: { base: 75, perKm: 15, perMinute: 3, waitingPerMinute: 2 }
+  },
+  xl: {
+    name: 'XL',
+    description: 'For larger groups',
+    icon: 'car-estate',
+    vehicleTypes: ['suv'],
+    seats: 6,
+    luggage: 4,
+    pricing: { base: 100, perKm: 18, perMinute: 4, waitingPerMinute: 2 }
+  }
+};
+
+// Every vehicle type carries deliveries
+const DELIVERY_VEHICLE_TYPES = Object.keys(VEHICLE_TYPES);
+
+const isVehicleType = (vehicleType) => Object.prototype.hasOwnProperty.call(VEHICLE_TYPES, vehicleType);
+
+const isServiceClass = (serviceClass) => Object.prototype.hasOwnProperty.call(SERVICE_CLASSES, serviceClass);
+
+/**
+ * Check whether a driver vehicle type can serve a ride class
+ */
+function canServeClass(serviceClass, vehicleType) {
+  return isServiceClass(serviceClass) && SERVICE_CLASSES[serviceClass].vehicleTypes.includes(vehicleType);
+}
+
+/**
+ * Check whether a driver's vehicle can serve a ride or delivery
+ */
+function canServeTrip(tripType, tripData, driverData) {
+  const vehicleType = driverData.vehicleInfo?.type;
+
+  if (tripType === 'delivery') {
+    return DELIVERY_VEHICLE_TYPES.includes(vehicleType);
+  }
+
+  return canServeClass(tripData.vehicleType, vehicleType);
+}
+
+/**
+ * The catalog as served to the apps
+ */
+function getCatalog() {
+  return {
+    serviceClasses: Object.entries(SERVICE_CLASSES).map(([id, serviceClass]) => ({ id, ...serviceClass })),
+    vehicleTypes: Object.entries(VEHICLE_TYPES).map(([id, vehicleType]) => ({ id, ...vehicleType }))
+  };
+}
+
+module.exports = {
+  VEHICLE_TYPES,
+  SERVICE_CLASSES,
+  DELIVERY_VEHICLE_TYPES,
+  isVehicleType,
+  isServiceClass,
+  canServeClass,
+  canServeTrip,
+  getCatalog
+};
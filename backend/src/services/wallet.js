@@ -0,0 +1,179 @@
+/**
+ * Wallet Service
+ * Prepaid rider balances backed by a double-entry ledger. Every movement is
+ * one ledger transaction with two entries of the same amount: one on the
+ * rider's wallet account and one on the account the money came from or went
+ * to, so the ledger always balances. The wallet document keeps the running
+ * balance so it can be checked and changed inside other transactions, like
+ * the debit written when a trip paid by wallet completes.
+ */
+
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { wallets, ledgerEntries, FieldValue } = repositories;
+const { HttpError } = require('../utils/errors');
+
+const CURRENCY = 'INR';
+
+// Limits on top-ups and the balance a wallet may hold (INR)
+const WALLET_CONFIG = {
+  minTopup: parseInt(process.env.WALLET_MIN_TOPUP) || 10,
+  maxTopup: parseInt(process.env.WALLET_MAX_TOPUP) || 10000,
+  maxBalance: parseInt(process.env.WALLET_MAX_BALANCE) || 20000
+};
+
+/**
+ * Ledger transaction types: whether they credit (add to) or debit (take
+ * from) the wallet, and the account on the other side of the entry
+ */
+const ENTRY_TYPES = {
+  topup: { label: 'Wallet top-up', direction: 'credit', counterAccount: 'gateway:topups' },
+  trip_payment: { label: 'Trip payment', direction: 'debit', counterAccount: 'platform:trips' },
+  refund: { label: 'Refund', direction: 'credit', counterAccount: 'platform:refunds' },
+  cancellation_fee: { label: 'Cancellation fee', direction: 'debit', counterAccount: 'platform:cancellations' },
+  cancellation_waiver: { label: 'Cancellation fee waived', direction: 'credit', counterAccount: 'platform:cancellations' },
+  promotion: { label: 'Promotion', direction: 'credit', counterAccount: 'platform:promotions' }
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Read a user's wallet; users who never topped up have an empty one
+ */
+async function getWallet(userId, { tx } = {}) {
+  const wallet = await wallets.findById(userId, { tx });
+  return wallet || { id: userId, userId, balance: 0, currency: CURRENCY, isNew: true };
+}
+
+/**
+ * Write a ledger transaction against a wallet read earlier in the same
+ * transaction. Debits beyond the balance fail with a 409.
+ * Returns { transactionId, balance } with the balance after the change
+ */
+async function post(wallet, type, amount, { tx, reference = null, description = null } = {}) {
+  const definition = ENTRY_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown wallet entry type: ${type}`);
+  }
+
+  const value = roundAmount(amount);
+  if (!(value > 0)) {
+    throw new HttpError(400, 'Invalid amount', 'Amount must be greater than zero');
+  }
+
+  const isCredit = definition.direction === 'credit';
+  const balance = roundAmount(wallet.balance + (isCredit ? value : -value));
+  if (balance < 0) {
+    throw new HttpError(409, 'Insufficient wallet balance', `Wallet balance is ₹${wallet.balance}, ₹${value} is needed`);
+  }
+
+  await wallets.set(wallet.userId, {
+    userId: wallet.userId,
+    balance,
+    currency: CURRENCY,
+    ...(wallet.isNew && { createdAt: FieldValue.serverTimestamp() }),
+    updatedAt: FieldValue.serverTimestamp()
+  }, { tx, merge: true });
+
+  const transactionId = crypto.randomUUID();
+  const entry = {
+    transactionId,
+    type,
+    amount: value,
+    reference,
+    description: description || definition.label,
+    createdAt: FieldValue.serverTimestamp()
+  };
+
+  // Wallet balances are owed to riders, so a credit to the wallet is
+  // matched by a debit on the counter account and vice versa
+  await ledgerEntries.create({
+    ...entry,
+    account: walletAccount(wallet.userId),
+    userId: wallet.userId,
+    direction: definition.direction,
+    balanceAfter: balance
+  }, { tx });
+  await ledgerEntries.create({
+    ...entry,
+    account: definition.counterAccount,
+    userId: null,
+    direction: isCredit ? 'debit' : 'credit'
+  }, { tx });
+
+  wallet.balance = balance;
+  wallet.isNew = false;
+
+  return { transactionId, balance };
+}
+
+/**
+ * Credit or debit a user's wallet
+ * With options.tx the wallet is read in that transaction, so call it before
+ * the transaction's first write; otherwise it runs in its own.
+ */
+async function postTransaction(userId, type, amount, options = {}) {
+  const run = async (tx) => {
+    const wallet = await getWallet(userId, { tx });
+    return post(wallet, type, amount, { ...options, tx });
+  };
+
+  return options.tx ? run(options.tx) : repositories.runTransaction(run);
+}
+
+/**
+ * Wallet transactions of a user, newest first
+ */
+async function getTransactions(userId, { limit, offset }) {
+  const where = [['account', '==', walletAccount(userId)]];
+
+  const [entries, total] = await Promise.all([
+    ledgerEntries.find({ where, orderBy: ['createdAt', 'desc'], limit, offset }),
+    ledgerEntries.count({ where })
+  ]);
+
+  return {
+    total,
+    transactions: entries.map(entry => ({
+      id: entry.transactionId,
+      type: entry.type,
+      direction: entry.direction,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      description: entry.description,
+      reference: entry.reference,
+      createdAt: entry.createdAt
+    }))
+  };
+}
+
+/**
+ * Check the amount of a top-up or a credit granted by an admin; returns an
+ * error message, or null when it is allowed
+ */
+function validateCredit(wallet, amount) {
+  if (typeof amount !== 'number' || !isFinite(amount)) {
+    return 'Amount must be a number';
+  }
+  if (amount < WALLET_CONFIG.minTopup || amount > WALLET_CONFIG.maxTopup) {
+    return `Amount must be between ₹${WALLET_CONFIG.minTopup} and ₹${WALLET_CONFIG.maxTopup}`;
+  }
+  if (wallet.balance + amount > WALLET_CONFIG.maxBalance) {
+    return `Wallet balance cannot exceed ₹${WALLET_CONFIG.maxBalance}`;
+  }
+  return null;
+}
+
+module.exports = {
+  CURRENCY,
+  WALLET_CONFIG,
+  ENTRY_TYPES,
+  walletAccount,
+  getWallet,
+  post,
+  postTransaction,
+  getTransactions,
+  validateCredit
+};
@@ -0,0 +1,20 @@
+/**
+ * Error types that map to a specific HTTP response
+ */
+
+/**
+ * Error carrying the status code, error title and message to send back.
+ * The global error handler renders it as { success, error, message }.
+ */
+class HttpError extends Error {
+  constructor(statusCode, error, message) {
+    super(message || error);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.error = error;
+  }
+}
+
+module.exports = {
+  HttpError
+};
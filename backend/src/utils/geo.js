@@ -0,0 +1,204 @@
+/**
+ * Geo helpers shared by routes and services
+ * Stored positions carry a geohash so nearby lookups can query only the
+ * cells around a point instead of scanning every document. With Firestore,
+ * each nearby query needs a composite index on its equality fields plus the
+ * geohash field.
+ */
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision of stored geohashes (~1 m cells)
+const GEOHASH_PRECISION = 10;
+
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+/**
+ * Calculate distance between two coordinates using the Haversine formula
+ * Returns the distance in kilometers
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+/**
+ * Encode a coordinate as a geohash string
+ */
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate longitude, latitude, starting with longitude
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Size of a geohash cell in degrees at a given precision
+ */
+function geohashCellSize(precision) {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+
+  return {
+    latDegrees: 180 / Math.pow(2, latBits),
+    lngDegrees: 360 / Math.pow(2, lngBits)
+  };
+}
+
+/**
+ * Geohash ranges [start, end] covering a circle around a point
+ * Picks the finest precision whose cells are at least as large as the
+ * radius, so the circle's bounding box touches at most 3x3 cells; each of
+ * those cells is found from one of nine sample points on the box.
+ */
+function geohashQueryBounds(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const maxLatitude = Math.min(89.9, Math.abs(latitude) + latDelta);
+  const lngDelta = latDelta / Math.cos(maxLatitude * Math.PI / 180);
+
+  let precision = 1;
+  while (precision < GEOHASH_PRECISION) {
+    const { latDegrees, lngDegrees } = geohashCellSize(precision + 1);
+    if (latDegrees < latDelta || lngDegrees < lngDelta) break;
+    precision++;
+  }
+
+  const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+  const hashes = new Set();
+  [-latDelta, 0, latDelta].forEach(dLat => {
+    [-lngDelta, 0, lngDelta].forEach(dLng => {
+      // Wrap longitude across the antimeridian
+      const lng = ((longitude + dLng + 540) % 360) - 180;
+      hashes.add(encodeGeohash(clamp(latitude + dLat, 90), lng, precision));
+    });
+  });
+
+  return [...hashes].map(hash => [hash, `${hash}~`]);
+}
+
+/**
+ * Find documents within radiusKm of a point using their stored geohash
+ * options.geohashField: dotted path of the geohash, e.g. 'currentLocation.geohash'
+ * options.where: extra equality filters applied to every cell query
+ * options.locate(record): the record's { latitude, longitude }
+ * Returns [{ record, distance }] sorted by true distance in km
+ */
+async function findNearby(repository, { geohashField, where = [], latitude, longitude, radiusKm, locate }) {
+  const cellResults = await Promise.all(
+    geohashQueryBounds(latitude, longitude, radiusKm).map(([start, end]) => repository.find({
+      where: [
+        ...where,
+        [geohashField, '>=', start],
+        [geohashField, '<=', end]
+      ]
+    }))
+  );
+
+  const seen = new Set();
+  const nearby = [];
+  cellResults.flat().forEach(record => {
+    if (seen.has(record.id)) return;
+    seen.add(record.id);
+
+    const position = locate(record);
+    if (!position) return;
+
+    const distance = calculateDistance(latitude, longitude, position.latitude, position.longitude);
+    if (distance <= radiusKm) {
+      nearby.push({ record, distance });
+    }
+  });
+
+  nearby.sort((a, b) => a.distance - b.distance);
+  return nearby;
+}
+
+/**
+ * Encode a list of { latitude, longitude } points with the Google encoded
+ * polyline algorithm (5 decimal places), as used by map SDKs
+ */
+function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach(({ latitude, longitude }) => {
+    const lat = Math.round(latitude * 1e5);
+    const lng = Math.round(longitude * 1e5);
+    encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+  });
+
+  return encoded;
+}
+
+/**
+ * Total length in km of a path through a list of points
+ */
+function pathDistance(points) {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += calculateDistance(
+      points[i - 1].latitude, points[i - 1].longitude,
+      points[i].latitude, points[i].longitude
+    );
+  }
+  return distance;
+}
+
+module.exports = {
+  GEOHASH_PRECISION,
+  calculateDistance,
+  encodeGeohash,
+  geohashQueryBounds,
+  findNearby,
+  encodePolyline,
+  pathDistance
+};
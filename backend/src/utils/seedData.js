@@ -3,8 +3,10 @@
  * Creates mock users and drivers for testing
  */
 
-const { db, auth, FieldValue } = require('../config/firebase');
+const { auth } = require('../config/firebase');
+const { users, drivers, FieldValue } = require('../repositories');
 const logger = require('./logger');
+const { encodeGeohash } = require('./geo');
 
 // GPS Coordinates for three towns in Tripura
 const TOWN_COORDINATES = {
@@ -117,8 +119,8 @@ async function createMockUsers() {
         }
       }
 
-      // Create Firestore user document
-      await db.collection('users').doc(userRecord.uid).set({
+      // Create user document
+      await users.set(userRecord.uid, {
         uid: userRecord.uid,
         phoneNumber: mockUser.phoneNumber,
         name: mockUser.name,
@@ -151,7 +153,7 @@ async function createMockUsers() {
 async function createMockDrivers() {
   logger.info('Creating mock drivers...');
 
-  const vehicleTypes = ['bike', 'bike', 'bike', 'bike', 'bike', 'auto', 'auto', 'auto', 'auto', 'auto', 'car', 'car', 'car', 'car', 'car'];
+  const vehicleTypes = ['bike', 'bike', 'bike', 'bike', 'bike', 'auto', 'auto', 'auto', 'auto', 'auto', 'car', 'car', 'car', 'suv', 'suv'];
   const towns = ['kailashahar', 'dharmanagar', 'kumarghat'];
 
   const mockDrivers = [
@@ -170,8 +172,8 @@ async function createMockDrivers() {
     { name: 'Ajay Singh', phone: '+919876544011', vehicle: { make: 'Maruti', model: 'Swift', number: 'TR-07-K-3001', color: 'White', year: 2021 } },
     { name: 'Vijay Sharma', phone: '+919876544012', vehicle: { make: 'Hyundai', model: 'i10', number: 'TR-07-L-3002', color: 'Silver', year: 2020 } },
     { name: 'Prakash Roy', phone: '+919876544013', vehicle: { make: 'Tata', model: 'Tiago', number: 'TR-07-M-3003', color: 'Blue', year: 2022 } },
-    { name: 'Anil Deb', phone: '+919876544014', vehicle: { make: 'Maruti', model: 'WagonR', number: 'TR-07-N-3004', color: 'Grey', year: 2019 } },
-    { name: 'Sunil Das', phone: '+919876544015', vehicle: { make: 'Hyundai', model: 'Santro', number: 'TR-07-O-3005', color: 'Red', year: 2021 } }
+    { name: 'Anil Deb', phone: '+919876544014', vehicle: { make: 'Maruti', model: 'Ertiga', number: 'TR-07-N-3004', color: 'Grey', year: 2019 } },
+    { name: 'Sunil Das', phone: '+919876544015', vehicle: { make: 'Mahindra', model: 'Bolero', number: 'TR-07-O-3005', color: 'Red', year: 2021 } }
   ];
 
   for (let i = 0; i < mockDrivers.length; i++) {
@@ -179,7 +181,11 @@ async function createMockDrivers() {
     const vehicleType = vehicleTypes[i];
     const town = towns[i % 3];
     const townCoord = TOWN_COORDINATES[town];
-    const currentLocation = generateNearbyCoordinate(townCoord);
+    const coordinate = generateNearbyCoordinate(townCoord);
+    const currentLocation = {
+      ...coordinate,
+      geohash: encodeGeohash(coordinate.latitude, coordinate.longitude)
+    };
 
     try {
       // Create Firebase Auth user
@@ -197,8 +203,8 @@ async function createMockDrivers() {
         }
       }
 
-      // Create Firestore user document
-      await db.collection('users').doc(userRecord.uid).set({
+      // Create user document
+      await users.set(userRecord.uid, {
         uid: userRecord.uid,
         phoneNumber: mockDriver.phone,
         name: mockDriver.name,
@@ -210,12 +216,12 @@ async function createMockDrivers() {
       });
 
       // Create driver document
-      await db.collection('drivers').doc(userRecord.uid).set({
+      await drivers.set(userRecord.uid, {
         userId: userRecord.uid,
         verified: true, // Auto-verified for testing
         verificationStatus: 'approved',
         availabilityStatus: 'available',
-        currentLocation: new db._firestore.GeoPoint(currentLocation.latitude, currentLocation.longitude),
+        currentLocation,
         lastLocationUpdate: FieldValue.serverTimestamp(),
         vehicleType: vehicleType,
         vehicleDetails: mockDriver.vehicle,
@@ -272,7 +278,7 @@ async function createAdminUser() {
       }
     }
 
-    await db.collection('users').doc(userRecord.uid).set({
+    await users.set(userRecord.uid, {
       uid: userRecord.uid,
       phoneNumber: adminPhone,
       email: 'admin@quickpickup.com',
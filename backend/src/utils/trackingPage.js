@@ -0,0 +1,103 @@
+/**
+ * Recipient tracking page
+ * Renders the public tracking view as a small self-contained HTML page for
+ * recipients who open their texted link in a browser. The page reloads
+ * itself while the delivery is under way so the status and ETA stay fresh.
+ */
+
+// Seconds between reloads while the delivery is still moving
+const REFRESH_SECONDS = 30;
+
+const ENDED_STATUSES = ['completed', 'cancelled', 'expired'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+const STYLES = `
+  body { margin: 0; font-family: -apple-system, Roboto, Arial, sans-serif; background: #F8F9FA; color: #333333; }
+  main { max-width: 480px; margin: 0 auto; padding: 24px 16px; }
+  h1 { font-size: 20px; color: #FF6B35; margin: 0 0 16px; }
+  .card { background: #FFFFFF; border-radius: 8px; padding: 16px; margin-bottom: 12px; }
+  .status { font-size: 22px; font-weight: 600; }
+  .muted { color: #666666; font-size: 14px; margin: 4px 0 0; }
+  .proof img { max-width: 100%; border-radius: 8px; margin-top: 8px; }
+`;
+
+function layout(title, body, { refresh = false } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<meta name="referrer" content="no-referrer">
+${refresh ? `<meta http-equiv="refresh" content="${REFRESH_SECONDS}">\n` : ''}<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Quick Pickup</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function describeVehicle(vehicle) {
+  if (!vehicle) return '';
+  const name = [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return [name, vehicle.licensePlate].filter(Boolean).join(' · ');
+}
+
+/**
+ * HTML page for a tracking view returned by trackingLinks.getTracking
+ */
+function renderTracking(tracking) {
+  const sections = [];
+
+  sections.push(`<div class="card">
+<div class="status">${escapeHtml(tracking.statusLabel)}</div>
+${tracking.eta ? `<p class="muted">Arriving in about ${escapeHtml(tracking.eta.minutes)} min</p>\n` : ''}<p class="muted">Package for ${escapeHtml(tracking.recipientName)} to ${escapeHtml(tracking.destination)}</p>
+</div>`);
+
+  if (tracking.driver) {
+    const vehicle = describeVehicle(tracking.driver.vehicle);
+    sections.push(`<div class="card">
+<div>Your driver is ${escapeHtml(tracking.driver.firstName)}</div>
+${vehicle ? `<p class="muted">${escapeHtml(vehicle)}</p>\n` : ''}</div>`);
+  }
+
+  if (tracking.proof) {
+    const images = [...tracking.proof.photos, tracking.proof.signature]
+      .filter(Boolean)
+      .map(({ url }) => `<img src="${escapeHtml(url)}" alt="Proof of delivery">`);
+    sections.push(`<div class="card proof">
+<div>Proof of delivery</div>
+${images.join('\n')}
+</div>`);
+  }
+
+  return layout(`Delivery: ${tracking.statusLabel}`, sections.join('\n'), {
+    refresh: !ENDED_STATUSES.includes(tracking.status)
+  });
+}
+
+/**
+ * HTML page for a tracking link that cannot be shown
+ */
+function renderError(title, message) {
+  return layout(title, `<div class="card">
+<div class="status">${escapeHtml(title)}</div>
+${message ? `<p class="muted">${escapeHtml(message)}</p>\n` : ''}</div>`);
+}
+
+module.exports = {
+  renderTracking,
+  renderError
+};
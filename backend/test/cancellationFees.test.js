@@ -0,0 +1,87 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const cancellationFees = require('../src/services/cancellationFees');
+const wallet = require('../src/services/wallet');
+const { transition } = require('../src/services/tripStateMachine');
+
+const { rides, users, cancellations, logs } = repositories;
+
+const passenger = { uid: 'passenger1', role: 'user' };
+
+// Passenger cancels ride1 with a fee
+const cancelWithFee = (cancellationFee) => transition('ride', 'ride1', 'cancel', {
+  user: passenger,
+  updates: (ride, cancelledBy) => ({ cancelledBy, cancellationReason: 'Changed plans', cancellationFee })
+});
+
+describe('cancellation fees', () => {
+  beforeEach(async () => {
+    resetStore();
+    await users.set(passenger.uid, { role: 'user' });
+    await rides.set('ride1', { userId: passenger.uid, status: 'requested', fare: 150 });
+  });
+
+  it('debits the fee from a wallet that covers it', async () => {
+    await wallet.postTransaction(passenger.uid, 'topup', 50);
+    await cancelWithFee(20);
+
+    const cancellation = await cancellations.findById('ride_ride1');
+    assert.equal(cancellation.feeStatus, 'charged');
+    assert.equal(cancellation.chargedVia, 'wallet');
+    assert.equal((await wallet.getWallet(passenger.uid)).balance, 30);
+  });
+
+  it('adds the fee to the payable balance when the wallet falls short', async () => {
+    await wallet.postTransaction(passenger.uid, 'topup', 10);
+    await cancelWithFee(20);
+
+    assert.equal((await cancellations.findById('ride_ride1')).chargedVia, 'payable');
+    assert.equal((await users.findById(passenger.uid)).payableBalance, 20);
+    assert.equal((await wallet.getWallet(passenger.uid)).balance, 10);
+  });
+
+  it('charges nothing for free cancellations', async () => {
+    await cancelWithFee(0);
+
+    const cancellation = await cancellations.findById('ride_ride1');
+    assert.equal(cancellation.cancellationFee, 0);
+    assert.equal(cancellation.feeStatus, null);
+  });
+
+  it('lets the payer dispute a fee once', async () => {
+    await cancelWithFee(20);
+
+    await assert.rejects(cancellationFees.disputeFee('ride_ride1', 'someone_else', 'Not me'), { statusCode: 403 });
+    const disputed = await cancellationFees.disputeFee('ride_ride1', passenger.uid, 'Driver never came');
+    await assert.rejects(cancellationFees.disputeFee('ride_ride1', passenger.uid, 'Again'), { statusCode: 409 });
+
+    assert.equal(disputed.disputeStatus, 'open');
+    assert.equal(disputed.dispute.reason, 'Driver never came');
+  });
+
+  it('refunds a waived fee and keeps an upheld one', async () => {
+    await wallet.postTransaction(passenger.uid, 'topup', 50);
+    await cancelWithFee(20);
+
+    await assert.rejects(cancellationFees.resolveFee('ride_ride1', 'uphold', { adminId: 'admin1' }), { statusCode: 409 });
+    await cancellationFees.disputeFee('ride_ride1', passenger.uid, 'Driver never came');
+    const waived = await cancellationFees.resolveFee('ride_ride1', 'waive', { adminId: 'admin1', note: 'Driver was late' });
+
+    assert.equal(waived.feeStatus, 'waived');
+    assert.equal(waived.disputeStatus, 'waived');
+    assert.equal((await wallet.getWallet(passenger.uid)).balance, 50);
+    await assert.rejects(cancellationFees.resolveFee('ride_ride1', 'waive', { adminId: 'admin1' }), { statusCode: 409 });
+
+    const actions = (await logs.find()).map(log => log.action).sort();
+    assert.deepEqual(actions, ['cancellation_fee_charged', 'cancellation_fee_disputed', 'cancellation_fee_waived']);
+  });
+
+  it('clears the payable balance when a fee charged to it is waived', async () => {
+    await cancelWithFee(20);
+    await cancellationFees.resolveFee('ride_ride1', 'waive', { adminId: 'admin1' });
+
+    assert.equal((await users.findById(passenger.uid)).payableBalance, 0);
+  });
+});
@@ -0,0 +1,125 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const cancellationPolicy = require('../src/services/cancellationPolicy');
+
+const { drivers, Timestamp } = repositories;
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date();
+const minutesAgo = (minutes) => Timestamp.fromMillis(now.getTime() - minutes * MINUTE_MS);
+
+// A ride driver1 accepted some minutes ago, expected at pickup 10 minutes
+// after accepting
+const acceptedRide = (minutes, extra = {}) => ({
+  status: 'confirmed',
+  fare: 200,
+  driverId: 'driver1',
+  acceptedAt: minutesAgo(minutes),
+  pickupEtaAt: minutesAgo(minutes - 10),
+  driverStartLocation: { latitude: 22.6, longitude: 88.36 },
+  pickup: { latitude: 22.57, longitude: 88.36 },
+  ...extra
+});
+
+const evaluate = (trip, cancelledBy) => cancellationPolicy.evaluate('ride', trip, cancelledBy, now);
+
+describe('cancellation policy', () => {
+  beforeEach(async () => {
+    resetStore();
+    // Still where they accepted from, so no distance toward pickup
+    await drivers.set('driver1', { currentLocation: { latitude: 22.6, longitude: 88.36 } });
+  });
+
+  describe('default ride rules', () => {
+    it('lets riders cancel free within the window', async () => {
+      const charges = await evaluate(acceptedRide(1), 'passenger');
+
+      assert.equal(charges.cancellationPolicy.ruleId, 'passenger-free-window');
+      assert.equal(charges.cancellationFee, 0);
+      assert.equal(charges.driverCompensation, 0);
+    });
+
+    it('charges riders who cancel after the driver arrived and pays most of it to the driver', async () => {
+      const charges = await evaluate(acceptedRide(8, { status: 'arriving', arrivingAt: minutesAgo(1) }), 'passenger');
+
+      assert.equal(charges.cancellationPolicy.ruleId, 'passenger-late-cancel');
+      assert.equal(charges.cancellationPolicy.driverLate, false);
+      assert.equal(charges.cancellationFee, 20);
+      assert.equal(charges.driverCompensationFromFee, 16);
+      assert.equal(charges.driverCompensation, 16);
+    });
+
+    it('charges nothing when the driver is running late', async () => {
+      const charges = await evaluate(acceptedRide(20), 'passenger');
+
+      assert.equal(charges.cancellationPolicy.ruleId, 'passenger-driver-late');
+      assert.equal(charges.cancellationPolicy.driverLate, true);
+      assert.equal(charges.cancellationFee, 0);
+    });
+
+    it('penalizes drivers who cancel late without charging the rider', async () => {
+      const early = await evaluate(acceptedRide(1), 'driver');
+      const late = await evaluate(acceptedRide(5), 'driver');
+
+      assert.equal(early.driverPenalty, 0);
+      assert.equal(late.cancellationPolicy.ruleId, 'driver-late-cancel');
+      assert.equal(late.driverPenalty, 25);
+      assert.equal(late.cancellationFee, 0);
+      assert.equal(late.driverCompensation, 0);
+    });
+  });
+
+  describe('driver compensation', () => {
+    // Accepted ~37 km from pickup and now ~3 km from it
+    const farRide = acceptedRide(8, { fare: 100, driverStartLocation: { latitude: 22.9, longitude: 88.36 } });
+
+    it('caps compensation paid out of the fee at the fee', async () => {
+      const charges = await evaluate(farRide, 'passenger');
+
+      // 80% of the ₹10 fee plus ₹2 for each of ~33 km driven is more than the fee
+      assert.equal(charges.cancellationFee, 10);
+      assert.equal(charges.driverCompensationFromFee, 10);
+      assert.equal(charges.driverCompensation, 10);
+    });
+
+    it('pays a rule\'s fixed compensation on top of the fee', async () => {
+      const policy = await cancellationPolicy.getPolicy('ride');
+      const rules = policy.rules.map(rule => (rule.id === 'passenger-late-cancel'
+        ? { ...rule, driverCompensation: { feeShare: 0.5, fixed: 20 } }
+        : rule));
+      await cancellationPolicy.savePolicy('ride', { lateGraceMinutes: policy.lateGraceMinutes, rules }, 'admin1');
+
+      const charges = await evaluate(farRide, 'passenger');
+
+      assert.equal(charges.driverCompensationFromFee, 5);
+      assert.equal(charges.driverCompensation, 25);
+    });
+  });
+
+  describe('validatePolicy', () => {
+    const rule = { id: 'r1', cancelledBy: ['passenger'], fee: { rate: 0.1 } };
+    const withRule = (changes) => ({ lateGraceMinutes: 5, rules: [{ ...rule, ...changes }] });
+
+    it('accepts the default policies', () => {
+      assert.equal(cancellationPolicy.validatePolicy('ride', cancellationPolicy.DEFAULT_POLICIES.ride), null);
+      assert.equal(cancellationPolicy.validatePolicy('delivery', cancellationPolicy.DEFAULT_POLICIES.delivery), null);
+    });
+
+    it('rejects malformed rules', () => {
+      const malformed = [
+        { lateGraceMinutes: -1, rules: [] },
+        { lateGraceMinutes: 5, rules: [rule, rule] },
+        withRule({ cancelledBy: ['sender'] }),
+        withRule({ when: { raining: true } }),
+        withRule({ when: { driverLate: 'yes' } }),
+        withRule({ when: { maxElapsedMinutes: -2 } }),
+        withRule({ fee: { rate: 1.5 } }),
+        withRule({ driverCompensation: { fixed: -5 } })
+      ];
+
+      malformed.forEach(policy => assert.ok(cancellationPolicy.validatePolicy('ride', policy), JSON.stringify(policy)));
+    });
+  });
+});
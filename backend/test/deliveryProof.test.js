@@ -0,0 +1,116 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const deliveryProof = require('../src/services/deliveryProof');
+const deliveryRoutes = require('../src/routes/deliveries');
+
+const { deliveries, users } = repositories;
+
+// A JPEG segment: marker, big-endian length including itself, payload
+const jpegSegment = (marker, payload) => {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(payload.length + 2);
+  return Buffer.concat([Buffer.from([0xFF, marker]), length, payload]);
+};
+
+// A PNG chunk: length, type, data and a CRC the stripper does not check
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+
+const JFIF = jpegSegment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1'));
+const EXIF = jpegSegment(0xE1, Buffer.from('Exif\0\0GPS 22.5726N 88.3639E', 'latin1'));
+const COMMENT = jpegSegment(0xFE, Buffer.from('Shot on a phone', 'latin1'));
+const SCAN = Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0x12, 0x34, 0xFF, 0xD9]);
+const JPEG = Buffer.concat([Buffer.from([0xFF, 0xD8]), JFIF, EXIF, COMMENT, SCAN]);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const IHDR = pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0]));
+const TEXT = pngChunk('tEXt', Buffer.from('Location\0Kolkata', 'latin1'));
+const IDAT = pngChunk('IDAT', Buffer.from([0x78, 0x9C, 0x63, 0x60]));
+const IEND = pngChunk('IEND', Buffer.alloc(0));
+const PNG = Buffer.concat([PNG_SIGNATURE, IHDR, TEXT, IDAT, IEND]);
+
+describe('delivery proof', () => {
+  describe('sanitizeImage', () => {
+    it('drops EXIF and comments from JPEGs and keeps the image', () => {
+      const image = deliveryProof.sanitizeImage({ buffer: JPEG });
+
+      assert.equal(image.contentType, 'image/jpeg');
+      assert.deepEqual(image.buffer, Buffer.concat([Buffer.from([0xFF, 0xD8]), JFIF, SCAN]));
+    });
+
+    it('drops text chunks from PNGs and keeps the image', () => {
+      const image = deliveryProof.sanitizeImage({ buffer: PNG });
+
+      assert.equal(image.contentType, 'image/png');
+      assert.deepEqual(image.buffer, Buffer.concat([PNG_SIGNATURE, IHDR, IDAT, IEND]));
+    });
+
+    it('goes by the contents, not the declared type', () => {
+      const file = { buffer: Buffer.from('<svg></svg>'), mimetype: 'image/png' };
+
+      assert.throws(() => deliveryProof.sanitizeImage(file), { statusCode: 400 });
+    });
+
+    it('rejects truncated images', () => {
+      assert.throws(() => deliveryProof.sanitizeImage({ buffer: JPEG.subarray(0, 30) }), { statusCode: 400 });
+      assert.throws(() => deliveryProof.sanitizeImage({ buffer: PNG.subarray(0, 40) }), { statusCode: 400 });
+    });
+  });
+
+  describe('uploads', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ '/api/deliveries': deliveryRoutes });
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      resetStore();
+      await users.set('sender1', { role: 'user' });
+      await users.set('driver1', { role: 'driver' });
+      await users.set('driver2', { role: 'driver' });
+    });
+
+    // Upload a JPEG to delivery1 as a user, with the delivery in a status
+    const upload = async (as, status = 'in_transit') => {
+      await deliveries.set('delivery1', {
+        senderId: 'sender1',
+        driverId: 'driver1',
+        status,
+        destination: { latitude: 22.57, longitude: 88.36 }
+      });
+
+      const form = new FormData();
+      form.append('proofPhoto', new Blob([JPEG], { type: 'image/jpeg' }), 'proof.jpg');
+      return server.request('POST', '/api/deliveries/delivery1/proof', { as, body: form });
+    };
+
+    it('only accepts proof from the assigned driver', async () => {
+      assert.equal((await upload('driver2')).status, 403);
+    });
+
+    it('refuses proof before pickup and after completion', async () => {
+      for (const status of ['confirmed', 'completed']) {
+        const response = await upload('driver1', status);
+
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error, 'Proof not accepted');
+      }
+    });
+
+    it('fails with 503 when file storage is not configured', async () => {
+      const response = await upload('driver1', 'picked_up');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error, 'File storage unavailable');
+      assert.equal((await deliveries.findById('delivery1')).proof, undefined);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { resetStore, waitFor } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const dispatch = require('../src/services/dispatch');
+const { encodeGeohash } = require('../src/utils/geo');
+const { transition } = require('../src/services/tripStateMachine');
+
+const { rides, drivers } = repositories;
+const { DISPATCH_CONFIG } = dispatch;
+
+const pickup = { latitude: 22.5726, longitude: 88.3639 };
+
+// A driver location about km kilometers north of the pickup
+function north(km) {
+  const latitude = pickup.latitude + km / 111.2;
+  return { latitude, longitude: pickup.longitude, geohash: encodeGeohash(latitude, pickup.longitude) };
+}
+
+const addDriver = (id, km, fields = {}) => drivers.set(id, {
+  isOnline: true,
+  isAvailable: true,
+  verificationStatus: 'verified',
+  currentRideId: null,
+  currentDeliveryId: null,
+  vehicleInfo: { type: 'car' },
+  currentLocation: north(km),
+  ...fields
+});
+
+const offersFor = async (tripId) => (await dispatch.getOfferHistory('ride', tripId))
+  .sort((a, b) => a.wave - b.wave || a.distanceKm - b.distanceKm);
+
+describe('dispatch', () => {
+  const original = { ...DISPATCH_CONFIG };
+
+  before(() => {
+    Object.assign(DISPATCH_CONFIG, { offerTimeoutMs: 30, driversPerWave: 2, searchRadiiKm: [2, 5], maxWaves: 3 });
+  });
+
+  after(() => Object.assign(DISPATCH_CONFIG, original));
+
+  beforeEach(async () => {
+    resetStore();
+    await rides.set('ride1', { userId: 'passenger1', status: 'requested', vehicleType: 'economy', pickup });
+  });
+
+  it('offers the trip to the nearest eligible drivers first', async () => {
+    await addDriver('near', 0.5);
+    await addDriver('nearer', 0.2);
+    await addDriver('further', 1.5);
+    await addDriver('offline', 0.1, { isOnline: false });
+    await addDriver('unverified', 0.1, { verificationStatus: 'pending' });
+    await addDriver('bike', 0.1, { vehicleInfo: { type: 'bike' } });
+
+    await dispatch.startDispatch('ride', 'ride1');
+
+    const offers = await offersFor('ride1');
+    assert.deepEqual(offers.map(offer => offer.driverId), ['nearer', 'near']);
+    assert.ok(offers.every(offer => offer.wave === 1 && offer.radiusKm === 2 && offer.status === 'pending'));
+    assert.equal((await dispatch.getPendingOffers('near')).length, 1);
+
+    const { dispatch: state } = await rides.findById('ride1');
+    assert.equal(state.status, 'searching');
+    assert.deepEqual(state.offeredDriverIds.sort(), ['near', 'nearer']);
+  });
+
+  it('expires unanswered offers and moves on to the next drivers', async () => {
+    await addDriver('first', 0.2);
+    await addDriver('second', 0.4);
+    await addDriver('third', 1);
+
+    await dispatch.startDispatch('ride', 'ride1');
+    await waitFor(async () => (await rides.findById('ride1')).dispatch.wave === 2);
+
+    const offers = await offersFor('ride1');
+    assert.deepEqual(offers.map(offer => [offer.driverId, offer.wave, offer.status]), [
+      ['first', 1, 'expired'],
+      ['second', 1, 'expired'],
+      ['third', 2, 'pending']
+    ]);
+  });
+
+  it('widens the search radius when nobody nearby is left', async () => {
+    await addDriver('close', 1);
+    await addDriver('distant', 4);
+
+    await dispatch.startDispatch('ride', 'ride1');
+    await dispatch.declineOffer((await offersFor('ride1'))[0].id, 'close');
+    await waitFor(async () => (await rides.findById('ride1')).dispatch.wave === 2);
+
+    const [, widened] = await offersFor('ride1');
+    assert.equal(widened.driverId, 'distant');
+    assert.equal(widened.radiusKm, 5);
+    assert.equal((await rides.findById('ride1')).dispatch.radiusIndex, 1);
+  });
+
+  it('expires the trip when no driver is in range', async () => {
+    await addDriver('distant', 8);
+
+    await dispatch.startDispatch('ride', 'ride1');
+
+    const ride = await rides.findById('ride1');
+    assert.equal(ride.status, 'expired');
+    assert.equal(ride.dispatch.status, 'unmatched');
+    assert.equal(ride.dispatch.reason, 'no_drivers_in_range');
+  });
+
+  it('expires the trip when nobody accepts', async () => {
+    await addDriver('only', 1);
+
+    await dispatch.startDispatch('ride', 'ride1');
+    await dispatch.declineOffer((await offersFor('ride1'))[0].id, 'only');
+    await waitFor(async () => (await rides.findById('ride1')).status === 'expired');
+
+    assert.equal((await rides.findById('ride1')).dispatch.reason, 'no_acceptance');
+  });
+
+  it('closes the other offers when a driver accepts', async () => {
+    await addDriver('first', 0.2);
+    await addDriver('second', 0.4);
+    await addDriver('third', 1);
+
+    await dispatch.startDispatch('ride', 'ride1');
+    await transition('ride', 'ride1', 'accept', { user: { uid: 'second', role: 'driver' }, updates: { driverId: 'second' } });
+    await waitFor(async () => (await rides.findById('ride1')).dispatch.status === 'matched');
+
+    // Long enough for another wave, had one been scheduled
+    await new Promise(resolve => setTimeout(resolve, DISPATCH_CONFIG.offerTimeoutMs * 2));
+
+    const offers = await offersFor('ride1');
+    assert.deepEqual(offers.map(offer => [offer.driverId, offer.status]), [['first', 'taken'], ['second', 'accepted']]);
+    assert.equal((await rides.findById('ride1')).dispatch.matchedDriverId, 'second');
+  });
+
+  it('does not offer a trip accepted while drivers were being searched', async () => {
+    await addDriver('first', 0.2);
+
+    // Another driver takes the ride while the wave looks for candidates
+    const { find } = drivers;
+    drivers.find = async (...args) => {
+      drivers.find = find;
+      const found = await find(...args);
+      await rides.update('ride1', { status: 'confirmed', driverId: 'driver9' });
+      return found;
+    };
+
+    await dispatch.startDispatch('ride', 'ride1');
+
+    assert.deepEqual(await offersFor('ride1'), []);
+    const ride = await rides.findById('ride1');
+    assert.equal(ride.status, 'confirmed');
+    assert.equal(ride.dispatch.wave, 0);
+  });
+});
@@ -0,0 +1,118 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const fareQuotes = require('../src/services/fareQuotes');
+
+const { users, deliveries } = repositories;
+
+const pickup = { latitude: 22.5726, longitude: 88.3639 };
+const destination = { latitude: 22.6, longitude: 88.4 };
+
+const rideQuote = () => fareQuotes.issueQuote({ kind: 'ride', vehicleType: 'economy', fare: 180, pickup, destination });
+
+// Swap the quote's payload while keeping its signature
+function tamper(quoteId, changes) {
+  const [encodedPayload, signature] = quoteId.split('.');
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  return `${Buffer.from(JSON.stringify({ ...payload, ...changes })).toString('base64url')}.${signature}`;
+}
+
+describe('fare quotes', () => {
+  beforeEach(() => resetStore());
+
+  it('verifies quotes it issued', () => {
+    const quote = fareQuotes.verifyQuote(rideQuote().quoteId, 'ride');
+
+    assert.equal(quote.fare, 180);
+    assert.equal(quote.vehicleType, 'economy');
+    assert.equal(quote.exp - quote.iat, fareQuotes.QUOTE_TTL_MS);
+  });
+
+  it('rejects a quote whose fare was changed', () => {
+    const tampered = tamper(rideQuote().quoteId, { fare: 1 });
+
+    assert.throws(() => fareQuotes.verifyQuote(tampered, 'ride'), { reason: 'invalid', statusCode: 400 });
+    assert.throws(() => fareQuotes.verifyQuote('not-a-quote', 'ride'), { reason: 'invalid' });
+  });
+
+  it('rejects an expired quote', (t) => {
+    const { quoteId } = rideQuote();
+    const { exp } = fareQuotes.verifyQuote(quoteId, 'ride');
+    t.mock.method(Date, 'now', () => exp + 1);
+
+    assert.throws(() => fareQuotes.verifyQuote(quoteId, 'ride'), { reason: 'expired', statusCode: 400 });
+  });
+
+  it('rejects a quote for the other trip type', () => {
+    assert.throws(() => fareQuotes.verifyQuote(rideQuote().quoteId, 'delivery'), { reason: 'invalid', statusCode: 400 });
+  });
+
+  it('rejects a quote for a different trip', () => {
+    const quote = fareQuotes.verifyQuote(rideQuote().quoteId, 'ride');
+
+    fareQuotes.assertQuoteMatchesTrip(quote, { latitude: pickup.latitude + 0.001, longitude: pickup.longitude }, destination);
+    assert.throws(
+      () => fareQuotes.assertQuoteMatchesTrip(quote, { latitude: 22.7, longitude: 88.3639 }, destination),
+      { reason: 'mismatch' }
+    );
+  });
+
+  it('redeems a quote once', async () => {
+    const quote = fareQuotes.verifyQuote(rideQuote().quoteId, 'ride');
+    const redeem = (rideId) => repositories.runTransaction(tx => fareQuotes.redeemQuote(tx, quote, { userId: 'u1', rideId }));
+
+    await redeem('ride1');
+    await assert.rejects(redeem('ride2'), { reason: 'reused', statusCode: 409 });
+    assert.equal((await repositories.fareQuotes.findById(quote.id)).rideId, 'ride1');
+  });
+
+  describe('delivery bookings', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ '/api/deliveries': require('../src/routes/deliveries') });
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      await users.set('sender1', { role: 'user', phoneNumber: '+919800000001' });
+      await users.set('sender2', { role: 'user', phoneNumber: '+919800000002' });
+    });
+
+    const estimate = async (packageDetails) => (await server.request('POST', '/api/deliveries/estimate', {
+      body: { pickup, destination, ...packageDetails }
+    })).body.estimate;
+
+    const book = (as, quoteId, packageType = 'electronics') => server.request('POST', '/api/deliveries/create', {
+      as,
+      body: { pickup, destination, packageType, quoteId, recipientName: 'Ravi', recipientPhone: '+919800000003' }
+    });
+
+    it('books at the quoted package price, once', async () => {
+      const quoted = await estimate({ packageType: 'electronics', sizeBand: 'large', declaredValue: 8000, insurance: true });
+
+      const booked = await book('sender1', quoted.quoteId);
+      assert.equal(booked.status, 201);
+
+      const delivery = await deliveries.findById(booked.body.delivery.id);
+      assert.equal(delivery.fare, quoted.fare);
+      assert.deepEqual(delivery.fareBreakdown, quoted.breakdown);
+      assert.equal(delivery.sizeBand, 'large');
+      assert.equal(delivery.declaredValue, 8000);
+      assert.equal(delivery.insurance, true);
+
+      const reused = await book('sender2', quoted.quoteId);
+      assert.equal(reused.status, 409);
+    });
+
+    it('refuses ride quotes and changed package types', async () => {
+      const quoted = await estimate({ packageType: 'document' });
+
+      assert.equal((await book('sender1', rideQuote().quoteId)).status, 400);
+      assert.equal((await book('sender1', quoted.quoteId, 'electronics')).status, 400);
+      assert.equal(await deliveries.count(), 0);
+    });
+  });
+});
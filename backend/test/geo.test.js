@@ -0,0 +1,128 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { drivers } = require('../src/repositories');
+const {
+  calculateDistance,
+  encodeGeohash,
+  geohashQueryBounds,
+  findNearby,
+  encodePolyline,
+  pathDistance
+} = require('../src/utils/geo');
+
+const inBounds = (hash, bounds) => bounds.some(([start, end]) => hash >= start && hash <= end);
+
+// A point distanceKm from an origin along a bearing, on a sphere
+function offset({ latitude, longitude }, distanceKm, bearingDegrees) {
+  const R = 6371;
+  const angle = distanceKm / R;
+  const bearing = bearingDegrees * Math.PI / 180;
+  const lat1 = latitude * Math.PI / 180;
+  const lng1 = longitude * Math.PI / 180;
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: lat2 * 180 / Math.PI,
+    longitude: ((lng2 * 180 / Math.PI) + 540) % 360 - 180
+  };
+}
+
+describe('geo', () => {
+  it('measures distances in kilometers', () => {
+    // Kolkata to Delhi is about 1,300 km
+    const distance = calculateDistance(22.5726, 88.3639, 28.6139, 77.209);
+    assert.ok(Math.abs(distance - 1305) < 10, `got ${distance}`);
+    assert.equal(calculateDistance(22.5, 88.3, 22.5, 88.3), 0);
+  });
+
+  it('encodes geohashes', () => {
+    assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.equal(encodeGeohash(22.5726, 88.3639).length, 10);
+    assert.ok(encodeGeohash(22.5726, 88.3639).startsWith(encodeGeohash(22.5726, 88.3639, 5)));
+  });
+
+  describe('geohashQueryBounds', () => {
+    const cases = [
+      { name: 'a city', center: { latitude: 22.5726, longitude: 88.3639 }, radiusKm: 5 },
+      { name: 'a short radius', center: { latitude: 22.5726, longitude: 88.3639 }, radiusKm: 0.2 },
+      { name: 'a wide radius', center: { latitude: 22.5726, longitude: 88.3639 }, radiusKm: 80 },
+      { name: 'the equator', center: { latitude: 0.001, longitude: 36.8 }, radiusKm: 3 },
+      { name: 'the antimeridian', center: { latitude: -17.7, longitude: 179.99 }, radiusKm: 10 },
+      { name: 'high latitudes', center: { latitude: 69.65, longitude: 18.96 }, radiusKm: 10 }
+    ];
+
+    for (const { name, center, radiusKm } of cases) {
+      it(`covers every point within the radius near ${name}`, () => {
+        const bounds = geohashQueryBounds(center.latitude, center.longitude, radiusKm);
+
+        assert.ok(bounds.length <= 9, `${bounds.length} ranges`);
+        for (let bearing = 0; bearing < 360; bearing += 15) {
+          for (const fraction of [0, 0.5, 0.99]) {
+            const point = offset(center, radiusKm * fraction, bearing);
+            const hash = encodeGeohash(point.latitude, point.longitude);
+            assert.ok(inBounds(hash, bounds), `${radiusKm * fraction} km at ${bearing}° is outside the bounds`);
+          }
+        }
+      });
+    }
+
+    it('uses cells no smaller than the radius', () => {
+      const bounds = geohashQueryBounds(22.5726, 88.3639, 5);
+      // Precision 5 cells are about 4.9 x 4.9 km, so 5 km needs precision 4
+      bounds.forEach(([start]) => assert.equal(start.length, 4));
+    });
+  });
+
+  describe('findNearby', () => {
+    beforeEach(() => resetStore());
+
+    const center = { latitude: 22.5726, longitude: 88.3639 };
+
+    const addDriver = async (id, point, data = {}) => {
+      await drivers.set(id, {
+        ...data,
+        currentLocation: {
+          ...point,
+          geohash: encodeGeohash(point.latitude, point.longitude)
+        }
+      });
+    };
+
+    it('returns documents within the radius, nearest first', async () => {
+      await addDriver('far', offset(center, 4, 90), { isOnline: true });
+      await addDriver('near', offset(center, 1, 200), { isOnline: true });
+      await addDriver('outside', offset(center, 6, 0), { isOnline: true });
+      await addDriver('offline', offset(center, 1, 0), { isOnline: false });
+
+      const results = await findNearby(drivers, {
+        geohashField: 'currentLocation.geohash',
+        where: [['isOnline', '==', true]],
+        latitude: center.latitude,
+        longitude: center.longitude,
+        radiusKm: 5,
+        locate: driver => driver.currentLocation
+      });
+
+      assert.deepEqual(results.map(({ record }) => record.id), ['near', 'far']);
+      assert.ok(Math.abs(results[0].distance - 1) < 0.01);
+    });
+  });
+
+  it('encodes polylines and measures paths', () => {
+    const points = [
+      { latitude: 38.5, longitude: -120.2 },
+      { latitude: 40.7, longitude: -120.95 },
+      { latitude: 43.252, longitude: -126.453 }
+    ];
+
+    assert.equal(encodePolyline(points), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    assert.ok(Math.abs(pathDistance(points) -
+      (calculateDistance(38.5, -120.2, 40.7, -120.95) + calculateDistance(40.7, -120.95, 43.252, -126.453))) < 0.01);
+  });
+});
@@ -0,0 +1,117 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const handoffCodes = require('../src/services/handoffCodes');
+const { transition } = require('../src/services/tripStateMachine');
+
+const { deliveries, drivers, users, logs } = repositories;
+
+const sender = { uid: 'sender1', role: 'user' };
+const driver = { uid: 'driver1', role: 'driver' };
+const otherDriver = { uid: 'driver2', role: 'driver' };
+
+describe('delivery handoff codes', () => {
+  let pickupCode;
+  let wrongCode;
+
+  beforeEach(async () => {
+    resetStore();
+    await users.set(sender.uid, { role: 'user', totalDeliveries: 0 });
+    await drivers.set(driver.uid, { isAvailable: true, currentRideId: null, currentDeliveryId: null, totalDeliveries: 0 });
+    await deliveries.set('delivery1', {
+      senderId: sender.uid,
+      status: 'requested',
+      fare: 90,
+      paymentMethod: 'cash',
+      destination: { contactPhone: '+919800000000' }
+    });
+    pickupCode = await repositories.runTransaction(tx => handoffCodes.createCodes(tx, 'delivery1', sender.uid));
+    wrongCode = pickupCode === '0000' ? '1111' : '0000';
+    await transition('delivery', 'delivery1', 'accept', { user: driver, updates: { driverId: driver.uid } });
+  });
+
+  const dropoffCode = async () => (await repositories.handoffCodes.findById('delivery1')).dropoff.code;
+
+  it('needs both codes to pick up and deliver', async () => {
+    await assert.rejects(transition('delivery', 'delivery1', 'pickup', { user: driver }), { statusCode: 400 });
+
+    await transition('delivery', 'delivery1', 'pickup', { user: driver, handoffCode: pickupCode });
+    await transition('delivery', 'delivery1', 'complete', { user: driver, handoffCode: await dropoffCode() });
+
+    const delivery = await deliveries.findById('delivery1');
+    assert.equal(delivery.status, 'completed');
+    assert.equal(delivery.pickupVerifiedVia, 'code');
+    assert.equal(delivery.dropoffVerifiedVia, 'code');
+
+    const codes = await repositories.handoffCodes.findById('delivery1');
+    assert.ok(codes.pickup.verifiedAt);
+    assert.ok(codes.dropoff.verifiedAt);
+  });
+
+  it('counts wrong codes only while the stage can be checked', async () => {
+    await assert.rejects(handoffCodes.checkCode('delivery1', 'dropoff', driver, wrongCode), { statusCode: 409 });
+    await assert.rejects(handoffCodes.checkCode('delivery1', 'pickup', otherDriver, wrongCode), { statusCode: 403 });
+    await assert.rejects(handoffCodes.checkCode('delivery1', 'pickup', driver, wrongCode), { statusCode: 400 });
+
+    const codes = await repositories.handoffCodes.findById('delivery1');
+    assert.equal(codes.pickup.attempts, 1);
+    assert.equal(codes.dropoff.attempts, 0);
+  });
+
+  it('locks a stage after too many wrong codes, even for the right one', async () => {
+    for (let attempt = 0; attempt < handoffCodes.HANDOFF_CONFIG.maxAttempts; attempt++) {
+      await assert.rejects(handoffCodes.checkCode('delivery1', 'pickup', driver, wrongCode), { statusCode: 400 });
+    }
+
+    await assert.rejects(handoffCodes.checkCode('delivery1', 'pickup', driver, pickupCode), { statusCode: 423 });
+    await assert.rejects(
+      transition('delivery', 'delivery1', 'pickup', { user: driver, handoffCode: pickupCode }),
+      { statusCode: 423 }
+    );
+    assert.equal((await deliveries.findById('delivery1')).status, 'confirmed');
+  });
+
+  it('lets an admin override a locked stage and audits it', async () => {
+    for (let attempt = 0; attempt < handoffCodes.HANDOFF_CONFIG.maxAttempts; attempt++) {
+      await assert.rejects(handoffCodes.checkCode('delivery1', 'pickup', driver, wrongCode), { statusCode: 400 });
+    }
+
+    await handoffCodes.overrideHandoff('delivery1', 'pickup', { adminId: 'admin1', reason: 'Sender lost the code' });
+    await assert.rejects(
+      handoffCodes.overrideHandoff('delivery1', 'pickup', { adminId: 'admin1', reason: 'Again' }),
+      { statusCode: 409 }
+    );
+    await transition('delivery', 'delivery1', 'pickup', { user: driver });
+
+    assert.equal((await deliveries.findById('delivery1')).pickupVerifiedVia, 'admin_override');
+
+    const [audit] = await logs.find({ where: [['action', '==', 'delivery_handoff_override']] });
+    assert.equal(audit.deliveryId, 'delivery1');
+    assert.equal(audit.stage, 'pickup');
+    assert.equal(audit.attempts, handoffCodes.HANDOFF_CONFIG.maxAttempts);
+    assert.equal(audit.adminId, 'admin1');
+    assert.equal(audit.reason, 'Sender lost the code');
+  });
+
+  it('checks the code again inside the transition', async () => {
+    await assert.rejects(
+      transition('delivery', 'delivery1', 'pickup', { user: driver, handoffCode: wrongCode }),
+      { statusCode: 400 }
+    );
+
+    assert.equal((await deliveries.findById('delivery1')).status, 'confirmed');
+    assert.equal((await repositories.handoffCodes.findById('delivery1')).pickup.verifiedAt, null);
+  });
+
+  it('leaves the stage unverified when the transition fails', async () => {
+    // Right code, but the delivery has not been picked up
+    await assert.rejects(
+      transition('delivery', 'delivery1', 'complete', { user: driver, handoffCode: await dropoffCode() }),
+      { statusCode: 409 }
+    );
+
+    const codes = await repositories.handoffCodes.findById('delivery1');
+    assert.equal(codes.dropoff.verifiedAt, null);
+  });
+});
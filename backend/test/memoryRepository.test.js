@@ -0,0 +1,137 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+
+const { rides, drivers, FieldValue, Timestamp } = repositories;
+
+describe('memory repository', () => {
+  beforeEach(() => resetStore());
+
+  it('is the backend used without Firebase', () => {
+    assert.equal(repositories.backend, 'memory');
+  });
+
+  it('filters, orders and pages queries', async () => {
+    await rides.set('a', { userId: 'u1', status: 'requested', fare: 120, pickup: { city: 'Kolkata' } });
+    await rides.set('b', { userId: 'u1', status: 'completed', fare: 80, pickup: { city: 'Kolkata' } });
+    await rides.set('c', { userId: 'u1', status: 'confirmed', fare: 200, pickup: { city: 'Howrah' } });
+    await rides.set('d', { userId: 'u2', status: 'requested', fare: 50, pickup: { city: 'Kolkata' } });
+
+    const active = await rides.find({
+      where: [['userId', '==', 'u1'], ['status', 'in', ['requested', 'confirmed']]],
+      orderBy: ['fare', 'desc']
+    });
+    assert.deepEqual(active.map(ride => ride.id), ['c', 'a']);
+
+    const kolkata = await rides.find({ where: [['pickup.city', '==', 'Kolkata']], orderBy: ['fare', 'asc'] });
+    assert.deepEqual(kolkata.map(ride => ride.id), ['d', 'b', 'a']);
+
+    // Like Firestore, ordering on a field leaves out documents without it
+    await rides.set('e', { userId: 'u1', status: 'requested' });
+    assert.equal((await rides.find({ orderBy: ['fare', 'asc'] })).length, 4);
+
+    const page = await rides.find({ orderBy: ['fare', 'asc'], limit: 2, offset: 1 });
+    assert.deepEqual(page.map(ride => ride.id), ['b', 'a']);
+
+    assert.equal(await rides.count({ where: [['fare', '>=', 100]] }), 2);
+    assert.equal(await rides.count({ where: [['userId', '==', 'u1']] }), 4);
+    assert.equal((await rides.findOne({ where: [['userId', '==', 'u2']] })).id, 'd');
+    assert.equal(await rides.findOne({ where: [['userId', '==', 'nobody']] }), null);
+  });
+
+  it('compares timestamps in queries', async () => {
+    const now = Date.now();
+    await rides.set('old', { createdAt: Timestamp.fromMillis(now - 60000) });
+    await rides.set('new', { createdAt: Timestamp.fromMillis(now + 60000) });
+
+    const due = await rides.find({ where: [['createdAt', '<=', Timestamp.fromMillis(now)]] });
+    assert.deepEqual(due.map(ride => ride.id), ['old']);
+  });
+
+  it('applies field value sentinels', async () => {
+    await drivers.set('d1', { totalRides: 2, tags: ['new'] });
+    await drivers.update('d1', {
+      totalRides: FieldValue.increment(3),
+      tags: FieldValue.arrayUnion('new', 'verified'),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    const driver = await drivers.findById('d1');
+    assert.equal(driver.totalRides, 5);
+    assert.deepEqual(driver.tags, ['new', 'verified']);
+    assert.ok(driver.updatedAt instanceof Timestamp);
+  });
+
+  it('merges sets and rejects updates of missing documents', async () => {
+    await drivers.set('d1', { name: 'Asha', vehicleInfo: { type: 'bike' } });
+    await drivers.set('d1', { vehicleInfo: { color: 'red' } }, { merge: true });
+
+    assert.deepEqual((await drivers.findById('d1')).vehicleInfo, { type: 'bike', color: 'red' });
+    await assert.rejects(drivers.update('missing', { name: 'x' }));
+  });
+
+  it('returns copies, not the stored documents', async () => {
+    await drivers.set('d1', { vehicleInfo: { type: 'bike' } });
+
+    const driver = await drivers.findById('d1');
+    driver.vehicleInfo.type = 'car';
+
+    assert.equal((await drivers.findById('d1')).vehicleInfo.type, 'bike');
+  });
+
+  it('commits every write of a transaction together', async () => {
+    await drivers.set('d1', { balance: 10 });
+
+    const result = await repositories.runTransaction(async (tx) => {
+      const driver = await drivers.findById('d1', { tx });
+      await drivers.update('d1', { balance: driver.balance + 5 }, { tx });
+      await rides.create({ driverId: 'd1' }, { tx, id: 'r1' });
+
+      // Buffered until the transaction commits
+      assert.equal(await rides.findById('r1'), null);
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal((await drivers.findById('d1')).balance, 15);
+    assert.ok(await rides.findById('r1'));
+  });
+
+  it('writes nothing when a transaction throws', async () => {
+    await drivers.set('d1', { balance: 10 });
+
+    await assert.rejects(repositories.runTransaction(async (tx) => {
+      await drivers.update('d1', { balance: 0 }, { tx });
+      await rides.create({ driverId: 'd1' }, { tx, id: 'r1' });
+      throw new Error('abort');
+    }), /abort/);
+
+    assert.equal((await drivers.findById('d1')).balance, 10);
+    assert.equal(await rides.findById('r1'), null);
+  });
+
+  it('writes nothing when one update in a transaction targets a missing document', async () => {
+    await drivers.set('d1', { balance: 10 });
+
+    await assert.rejects(repositories.runTransaction(async (tx) => {
+      await drivers.update('d1', { balance: 0 }, { tx });
+      await drivers.update('missing', { balance: 0 }, { tx });
+    }));
+
+    assert.equal((await drivers.findById('d1')).balance, 10);
+  });
+
+  it('runs transactions one at a time', async () => {
+    await drivers.set('d1', { balance: 0 });
+
+    const increment = () => repositories.runTransaction(async (tx) => {
+      const driver = await drivers.findById('d1', { tx });
+      await new Promise(resolve => setImmediate(resolve));
+      await drivers.update('d1', { balance: driver.balance + 1 }, { tx });
+    });
+
+    await Promise.all([increment(), increment(), increment()]);
+    assert.equal((await drivers.findById('d1')).balance, 3);
+  });
+});
@@ -0,0 +1,89 @@
+const { resetStore, waitFor } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const notifications = require('../src/services/notifications');
+const { transition } = require('../src/services/tripStateMachine');
+
+const { users, drivers, rides, devices } = repositories;
+const { transports } = notifications;
+
+describe('notifications', () => {
+  beforeEach(async () => {
+    resetStore();
+    transports.fake.reset();
+    notifications.setTransport(transports.fake);
+
+    await users.set('passenger1', { language: 'bn' });
+    await users.set('passenger2', {});
+    await drivers.set('driver1', { currentRideId: null, currentDeliveryId: null });
+    await notifications.registerDevice('passenger1', 'token-a', 'android');
+    await notifications.registerDevice('passenger1', 'token-b', 'ios');
+    await notifications.registerDevice('driver1', 'token-driver', 'android');
+  });
+
+  it('sends through the fake transport selected for tests', async () => {
+    await notifications.notifyUser('passenger2', 'ride_accepted');
+    assert.equal(transports.fake.sent.length, 0);
+
+    await notifications.registerDevice('passenger2', 'token-c', 'android');
+    await notifications.notifyUser('passenger2', 'ride_completed', { fare: 120 }, { rideId: 'ride1' });
+
+    const [message] = transports.fake.sent;
+    assert.deepEqual(message.tokens, ['token-c']);
+    assert.equal(message.notification.body, 'You have reached your destination. Fare: ₹120');
+    assert.deepEqual(message.data, { type: 'ride_completed', rideId: 'ride1' });
+  });
+
+  it('renders in the user\'s language, falling back to English', () => {
+    assert.equal(notifications.render('ride_cancelled', 'bn').title, 'রাইড বাতিল');
+    assert.equal(notifications.render('ride_cancelled', 'xx').title, 'Ride cancelled');
+    assert.throws(() => notifications.render('no_such_type', 'en'), /Unknown notification type/);
+  });
+
+  it('forgets tokens the transport reports as gone', async () => {
+    notifications.setTransport({
+      name: 'stale',
+      async send(tokens) {
+        return tokens.map(token => ({
+          token,
+          success: token !== 'token-b',
+          errorCode: token === 'token-b' ? 'messaging/registration-token-not-registered' : null
+        }));
+      }
+    });
+
+    await notifications.notifyUser('passenger1', 'ride_accepted');
+
+    const remaining = await devices.find({ where: [['userId', '==', 'passenger1']] });
+    assert.deepEqual(remaining.map(device => device.token), ['token-a']);
+  });
+
+  it('only lets the owner unregister a device', async () => {
+    assert.equal(await notifications.unregisterDevice('driver1', 'token-a'), false);
+    assert.equal(await notifications.unregisterDevice('passenger1', 'token-a'), true);
+    assert.equal(await notifications.unregisterDevice('passenger1', 'token-a'), true);
+  });
+
+  it('tells everyone on a trip except whoever changed it', async () => {
+    await rides.set('ride1', { userId: 'passenger1', status: 'requested' });
+
+    await transition('ride', 'ride1', 'accept', {
+      user: { uid: 'driver1', role: 'driver' },
+      updates: { driverId: 'driver1' }
+    });
+    await waitFor(() => transports.fake.sent.length === 1);
+
+    await transition('ride', 'ride1', 'cancel', {
+      user: { uid: 'passenger1', role: 'user' },
+      updates: (ride, cancelledBy) => ({ cancelledBy, cancellationFee: 0 })
+    });
+    await waitFor(() => transports.fake.sent.length === 2);
+
+    const [accepted, cancelled] = transports.fake.sent;
+    assert.deepEqual(accepted.tokens, ['token-a', 'token-b']);
+    assert.equal(accepted.data.type, 'ride_accepted');
+    assert.deepEqual(cancelled.tokens, ['token-driver']);
+    assert.equal(cancelled.data.type, 'ride_cancelled');
+  });
+});
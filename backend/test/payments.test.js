@@ -0,0 +1,238 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const paymentService = require('../src/services/payments');
+const tripStateMachine = require('../src/services/tripStateMachine');
+const wallet = require('../src/services/wallet');
+
+const { payments, drivers, settlements } = repositories;
+
+// Gateway that records calls and lets tests decide the outcome
+function createTestGateway() {
+  return {
+    name: 'test',
+    charges: [],
+    captures: [],
+    refunds: [],
+    declineCharges: false,
+    async createCharge(charge) {
+      if (this.declineCharges) {
+        throw new Error('Gateway unavailable');
+      }
+      this.charges.push(charge);
+      return { reference: `ref_${charge.paymentId}` };
+    },
+    async capture(reference, amount) {
+      this.captures.push({ reference, amount });
+      return { reference };
+    },
+    async refund(reference, amount) {
+      this.refunds.push({ reference, amount });
+      return { refundId: `refund_${reference}` };
+    },
+    parseWebhook(headers, rawBody) {
+      if (headers['x-test-signature'] !== 'valid') {
+        throw new Error('Bad signature');
+      }
+      return JSON.parse(rawBody);
+    }
+  };
+}
+
+const webhook = (body) => paymentService.handleWebhook('test', { 'x-test-signature': 'valid' }, JSON.stringify(body));
+
+// A completed ride's payment, waiting to be collected
+const pendingPayment = (id, method) =>
+  payments.set(id, { rideId: 'ride1', userId: 'u1', driverId: 'driver1', amount: 150, method, status: 'pending' });
+
+describe('payments', () => {
+  const original = paymentService.getGateway();
+  let gateway;
+
+  beforeEach(async () => {
+    resetStore();
+    gateway = createTestGateway();
+    paymentService.setGateway(gateway);
+    await drivers.set('driver1', { payoutBalance: 0, totalEarnings: 0 });
+  });
+
+  after(() => paymentService.setGateway(original));
+
+  it('charges UPI payments and captures them once the gateway authorizes', async () => {
+    await pendingPayment('pay1', 'upi');
+    await paymentService.startPayment('pay1');
+
+    assert.deepEqual(gateway.charges, [{ paymentId: 'pay1', amount: 150, method: 'upi' }]);
+    assert.equal((await payments.findById('pay1')).gatewayReference, 'ref_pay1');
+
+    await webhook({ reference: 'ref_pay1', type: 'authorized' });
+
+    assert.equal((await payments.findById('pay1')).status, 'captured');
+    assert.deepEqual(gateway.captures, [{ reference: 'ref_pay1', amount: 150 }]);
+  });
+
+  it('settles UPI fares with the driver once captured, and only then', async () => {
+    await pendingPayment('pay1', 'upi');
+    await pendingPayment('pay2', 'upi');
+    await payments.update('pay2', { rideId: 'ride2' });
+    await paymentService.startPayment('pay1');
+    await paymentService.startPayment('pay2');
+
+    await webhook({ reference: 'ref_pay2', type: 'failed', reason: 'Declined' });
+    assert.equal(await settlements.count(), 0);
+
+    await webhook({ reference: 'ref_pay1', type: 'authorized' });
+
+    const record = await settlements.findById('ride_ride1');
+    assert.equal(record.paymentId, 'pay1');
+    assert.equal(record.cashCollected, 0);
+    assert.equal((await drivers.findById('driver1')).payoutBalance, record.net);
+  });
+
+  it('leaves cash payments for the driver to confirm', async () => {
+    await pendingPayment('pay1', 'cash');
+    await paymentService.startPayment('pay1');
+
+    assert.equal(gateway.charges.length, 0);
+    assert.equal((await payments.findById('pay1')).status, 'pending');
+  });
+
+  it('ignores webhooks the gateway retries', async () => {
+    await pendingPayment('pay1', 'upi');
+    await paymentService.startPayment('pay1');
+
+    await webhook({ reference: 'ref_pay1', type: 'captured' });
+    await webhook({ reference: 'ref_pay1', type: 'captured' });
+
+    const payment = await payments.findById('pay1');
+    assert.equal(payment.status, 'captured');
+    assert.equal(payment.history.length, 1);
+  });
+
+  it('rejects webhooks with a bad signature or for another gateway', async () => {
+    await pendingPayment('pay1', 'upi');
+    await paymentService.startPayment('pay1');
+    const body = JSON.stringify({ reference: 'ref_pay1', type: 'captured' });
+
+    await assert.rejects(paymentService.handleWebhook('test', { 'x-test-signature': 'forged' }, body), /Bad signature/);
+    await assert.rejects(paymentService.handleWebhook('mock', {}, body), { statusCode: 404 });
+    assert.equal((await payments.findById('pay1')).status, 'pending');
+  });
+
+  it('fails payments the gateway declines', async () => {
+    await pendingPayment('pay1', 'upi');
+    await paymentService.startPayment('pay1');
+    await webhook({ reference: 'ref_pay1', type: 'failed', reason: 'Declined' });
+
+    const failed = await payments.findById('pay1');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failureReason, 'Declined');
+  });
+
+  it('fails payments the gateway cannot charge', async () => {
+    gateway.declineCharges = true;
+
+    await pendingPayment('pay1', 'upi');
+    await paymentService.startPayment('pay1');
+
+    const failed = await payments.findById('pay1');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failureReason, 'Gateway unavailable');
+  });
+
+  it('lets only the trip\'s driver confirm cash', async () => {
+    await pendingPayment('pay1', 'cash');
+
+    await assert.rejects(paymentService.confirmCashPayment('pay1', 'driver2'), { statusCode: 403 });
+    const payment = await paymentService.confirmCashPayment('pay1', 'driver1');
+
+    assert.equal(payment.status, 'captured');
+    await assert.rejects(paymentService.confirmCashPayment('pay1', 'driver1'), { statusCode: 409 });
+  });
+
+  it('refunds cash payments to the wallet and gateway payments through the gateway', async () => {
+    await payments.set('cash1', { userId: 'u1', amount: 150, method: 'cash', status: 'captured' });
+    await payments.set('upi1', { userId: 'u1', amount: 90, method: 'upi', status: 'captured', gatewayReference: 'ref_upi1' });
+
+    await paymentService.refundPayment('cash1', { refundedBy: 'admin1' });
+    const upi = await paymentService.refundPayment('upi1', { refundedBy: 'admin1' });
+
+    assert.equal((await wallet.getWallet('u1')).balance, 150);
+    assert.deepEqual(gateway.refunds, [{ reference: 'ref_upi1', amount: 90 }]);
+    assert.equal(upi.refundId, 'refund_ref_upi1');
+    await assert.rejects(paymentService.refundPayment('cash1', { refundedBy: 'admin1' }), { statusCode: 409 });
+  });
+
+  it('credits a wallet top-up once the gateway captures it', async () => {
+    const topup = await paymentService.createTopup('u1', 500);
+
+    assert.equal(topup.status, 'pending');
+    assert.equal(topup.gateway, 'test');
+    assert.deepEqual(gateway.charges, [{ paymentId: topup.id, amount: 500, method: 'upi' }]);
+
+    await webhook({ reference: topup.gatewayReference, type: 'authorized' });
+    await webhook({ reference: topup.gatewayReference, type: 'captured' });
+
+    assert.equal((await payments.findById(topup.id)).status, 'captured');
+    assert.equal((await wallet.getWallet('u1')).balance, 500);
+  });
+
+  it('refuses top-ups outside the limits', async () => {
+    await assert.rejects(paymentService.createTopup('u1', 1), { statusCode: 400 });
+    assert.equal(gateway.charges.length, 0);
+  });
+
+  it('checks wallet bookings against the balance', async () => {
+    await wallet.postTransaction('u1', 'topup', 100);
+
+    await paymentService.assertCanPay('wallet', 'u1', 100);
+    await paymentService.assertCanPay('cash', 'u1', 1000);
+    await assert.rejects(paymentService.assertCanPay('wallet', 'u1', 101), { statusCode: 400 });
+  });
+
+  describe('without a gateway', () => {
+    beforeEach(() => paymentService.setGateway(null));
+
+    it('refuses UPI at booking but keeps cash and wallet', () => {
+      assert.match(paymentService.validatePaymentMethod('upi'), /not available/);
+      assert.equal(paymentService.validatePaymentMethod('cash'), null);
+      assert.equal(paymentService.validatePaymentMethod('wallet'), null);
+    });
+
+    it('refuses wallet top-ups', async () => {
+      await assert.rejects(paymentService.createTopup('u1', 500), { statusCode: 503 });
+      assert.equal(await payments.count(), 0);
+    });
+
+    it('fails UPI charges instead of leaving them pending', async () => {
+      await pendingPayment('pay1', 'upi');
+      await paymentService.startPayment('pay1');
+
+      const failed = await payments.findById('pay1');
+      assert.equal(failed.status, 'failed');
+      assert.match(failed.failureReason, /No payment gateway/);
+    });
+
+    it('ignores the mock gateway in production instead of refusing to start', (t) => {
+      const modulePath = require.resolve('../src/services/payments');
+      const cached = require.cache[modulePath];
+      const listeners = tripStateMachine.tripEvents.listeners('transition');
+      t.after(() => {
+        process.env.NODE_ENV = 'test';
+        require.cache[modulePath] = cached;
+        tripStateMachine.tripEvents.listeners('transition')
+          .filter(listener => !listeners.includes(listener))
+          .forEach(listener => tripStateMachine.tripEvents.off('transition', listener));
+      });
+
+      delete require.cache[modulePath];
+      process.env.NODE_ENV = 'production';
+      const production = require(modulePath);
+
+      assert.equal(production.getGateway(), null);
+      assert.match(production.validatePaymentMethod('upi'), /not available/);
+      assert.equal(production.validatePaymentMethod('cash'), null);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pricing = require('../src/services/pricing');
+
+const { DELIVERY_PRICING, PACKAGE_TYPE_SURCHARGES, PACKAGE_SIZE_BANDS, SERVICE_FEE_RATE } = pricing;
+
+// 5 km taking 10 minutes, so fares are easy to work out by hand
+const trip = { distance: 5, duration: 10 };
+
+describe('pricing', () => {
+  describe('delivery fares', () => {
+    it('charges distance, time and the service fee for a small document', () => {
+      const { fare, breakdown } = pricing.calculateDeliveryFare({ ...trip, packageType: 'document' });
+
+      const subtotal = DELIVERY_PRICING.base + 5 * DELIVERY_PRICING.perKm + 10 * DELIVERY_PRICING.perMinute;
+      assert.equal(fare, Math.round(subtotal * (1 + SERVICE_FEE_RATE)));
+      assert.equal(breakdown.packageType, 0);
+      assert.equal(breakdown.size, 0);
+      assert.equal(breakdown.insurance, 0);
+    });
+
+    it('adds the package type surcharge', () => {
+      const document = pricing.calculateDeliveryFare({ ...trip, packageType: 'document' });
+      const electronics = pricing.calculateDeliveryFare({ ...trip, packageType: 'electronics' });
+
+      assert.equal(electronics.breakdown.packageType, PACKAGE_TYPE_SURCHARGES.electronics);
+      assert.equal(electronics.fare - document.fare, Math.round(PACKAGE_TYPE_SURCHARGES.electronics * (1 + SERVICE_FEE_RATE)));
+    });
+
+    it('adds the surcharge of heavier size bands', () => {
+      const fares = ['small', 'medium', 'large'].map(sizeBand =>
+        pricing.calculateDeliveryFare({ ...trip, packageType: 'package', sizeBand }));
+
+      assert.deepEqual(fares.map(({ breakdown }) => breakdown.size), [
+        PACKAGE_SIZE_BANDS.small.surcharge,
+        PACKAGE_SIZE_BANDS.medium.surcharge,
+        PACKAGE_SIZE_BANDS.large.surcharge
+      ]);
+      assert.ok(fares[0].fare < fares[1].fare && fares[1].fare < fares[2].fare);
+    });
+
+    it('charges handling on high declared values and insurance only when asked', () => {
+      const cheap = pricing.calculateDeliveryFare({ ...trip, packageType: 'package', declaredValue: 1000 });
+      const valuable = pricing.calculateDeliveryFare({ ...trip, packageType: 'package', declaredValue: 10000 });
+      const insured = pricing.calculateDeliveryFare({ ...trip, packageType: 'package', declaredValue: 10000, insurance: true });
+      const smallInsured = pricing.calculateDeliveryFare({ ...trip, packageType: 'package', declaredValue: 100, insurance: true });
+
+      assert.equal(cheap.breakdown.highValueHandling, 0);
+      assert.equal(valuable.breakdown.highValueHandling, 25);
+      assert.equal(valuable.breakdown.insurance, 0);
+      // 2% of the declared value, with a ₹10 minimum
+      assert.equal(insured.breakdown.insurance, 200);
+      assert.equal(insured.fare - valuable.fare, 200);
+      assert.equal(smallInsured.breakdown.insurance, 10);
+    });
+  });
+
+  it('estimates deliveries between two points', () => {
+    const pickup = { latitude: 22.5726, longitude: 88.3639 };
+    const destination = { latitude: 22.6, longitude: 88.4 };
+
+    const estimate = pricing.estimateDeliveryFare(pickup, destination, { packageType: 'food', sizeBand: 'medium' });
+    const { distance, duration } = pricing.estimateTrip(pickup, destination);
+    const expected = pricing.calculateDeliveryFare({ distance, duration, packageType: 'food', sizeBand: 'medium' });
+
+    assert.equal(estimate.fare, expected.fare);
+    assert.equal(estimate.duration, duration);
+    assert.deepEqual(estimate.breakdown, expected.breakdown);
+  });
+});
@@ -0,0 +1,91 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const ratings = require('../src/services/ratings');
+const rideRoutes = require('../src/routes/rides');
+
+const { rides, drivers, users, Timestamp } = repositories;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('ride ratings', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ '/api/rides': rideRoutes });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    resetStore();
+    await users.set('passenger1', { role: 'user' });
+    await users.set('driver1', { role: 'driver' });
+    await users.set('stranger', { role: 'user' });
+    await drivers.set('driver1', { rating: 4, ratingCount: 3 });
+    await rides.set('ride1', {
+      status: 'completed',
+      userId: 'passenger1',
+      driverId: 'driver1',
+      fare: 150,
+      completedAt: Timestamp.fromMillis(Date.now() - HOUR_MS)
+    });
+  });
+
+  const rate = (as, body, rideId = 'ride1') => server.request('POST', `/api/rides/${rideId}/rating`, { as, body });
+
+  it('folds the passenger\'s rating into the driver average', async () => {
+    const response = await rate('passenger1', { rating: 5, tags: ['polite', 'safe_driving'], comment: ' Great ride ' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.rating.ratee, 'driver');
+    assert.equal(response.body.rating.comment, 'Great ride');
+
+    const driverData = await drivers.findById('driver1');
+    assert.equal(driverData.rating, 4.25);
+    assert.equal(driverData.ratingCount, 4);
+    assert.equal((await rides.findById('ride1')).driverRating, 5);
+  });
+
+  it('lets the driver rate the passenger', async () => {
+    const response = await rate('driver1', { rating: 4, tags: ['on_time'] });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.rating.ratee, 'customer');
+    assert.equal((await users.findById('passenger1')).rating, 4);
+  });
+
+  it('accepts one rating from each side', async () => {
+    assert.equal((await rate('passenger1', { rating: 5 })).status, 201);
+    assert.equal((await rate('passenger1', { rating: 1 })).status, 409);
+
+    assert.equal((await drivers.findById('driver1')).ratingCount, 4);
+  });
+
+  it('refuses ratings from anyone who was not on the trip', async () => {
+    const response = await rate('stranger', { rating: 1 });
+
+    assert.equal(response.status, 403);
+    assert.equal((await drivers.findById('driver1')).ratingCount, 3);
+  });
+
+  it('only rates completed trips within the window', async () => {
+    await rides.set('ride2', { status: 'in_progress', userId: 'passenger1', driverId: 'driver1' });
+    await rides.update('ride1', {
+      completedAt: Timestamp.fromMillis(Date.now() - (ratings.RATING_CONFIG.windowHours + 1) * HOUR_MS)
+    });
+
+    assert.equal((await rate('passenger1', { rating: 5 }, 'ride2')).status, 409);
+    const late = await rate('passenger1', { rating: 5 });
+
+    assert.equal(late.status, 409);
+    assert.equal(late.body.error, 'Rating window closed');
+  });
+
+  it('checks the rating, tags and comment', async () => {
+    assert.equal((await rate('passenger1', { rating: 6 })).status, 400);
+    assert.equal((await rate('passenger1', { rating: 4, tags: ['wrong_address'] })).status, 400);
+    assert.equal((await rate('passenger1', { rating: 4, comment: 'x'.repeat(501) })).status, 400);
+  });
+});
@@ -0,0 +1,129 @@
+const { resetStore } = require('./setup');
+const { describe, it, before, beforeEach, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocket } = require('ws');
+const repositories = require('../src/repositories');
+const realtime = require('../src/services/realtime');
+const { transition } = require('../src/services/tripStateMachine');
+
+const { rides, users, drivers } = repositories;
+
+const driver = { uid: 'driver1', role: 'driver' };
+const position = { latitude: 22.57, longitude: 88.36 };
+
+describe('real-time trip channel', () => {
+  let server;
+  let wss;
+  let url;
+  const sockets = [];
+
+  before(async () => {
+    server = http.createServer();
+    wss = realtime.attach(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}${realtime.REALTIME_CONFIG.path}`;
+  });
+
+  after(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    resetStore();
+    await users.set('passenger1', { role: 'user' });
+    await users.set('passenger2', { role: 'user' });
+    await drivers.set(driver.uid, { currentRideId: 'ride1', currentDeliveryId: null, currentLocation: position });
+    await rides.set('ride1', { userId: 'passenger1', driverId: driver.uid, status: 'in_progress' });
+  });
+
+  afterEach(() => sockets.splice(0).forEach(ws => ws.close()));
+
+  // Connect as a user, queueing what the server sends
+  async function connect(uid) {
+    const ws = new WebSocket(`${url}?token=dev:${uid}`);
+    sockets.push(ws);
+    ws.received = [];
+    ws.waiting = [];
+    ws.on('message', raw => {
+      const message = JSON.parse(raw.toString());
+      const waiter = ws.waiting.shift();
+      if (waiter) waiter(message);
+      else ws.received.push(message);
+    });
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    return ws;
+  }
+
+  const next = (ws) => (ws.received.length > 0
+    ? Promise.resolve(ws.received.shift())
+    : new Promise(resolve => ws.waiting.push(resolve)));
+
+  async function subscribe(ws, tripId) {
+    ws.send(JSON.stringify({ type: 'subscribe', tripType: 'ride', tripId }));
+    return next(ws);
+  }
+
+  // Messages are delivered in order, so whatever arrives before the reply
+  // to a bad message was sent before it
+  async function drain(ws) {
+    ws.send('not json');
+    const seen = [];
+    for (let message = await next(ws); message.type !== 'error'; message = await next(ws)) {
+      seen.push(message);
+    }
+    return seen;
+  }
+
+  it('relays the driver\'s position while the trip is under way', async () => {
+    const ws = await connect('passenger1');
+
+    const subscribed = await subscribe(ws, 'ride1');
+    assert.deepEqual(subscribed.driverLocation, position);
+
+    realtime.broadcastDriverLocation(driver.uid, { latitude: 22.58, longitude: 88.37 });
+    const [location] = await drain(ws);
+    assert.equal(location.type, 'location');
+    assert.equal(location.latitude, 22.58);
+  });
+
+  it('stops relaying the driver\'s position once the trip ends', async () => {
+    const ws = await connect('passenger1');
+    await subscribe(ws, 'ride1');
+
+    await transition('ride', 'ride1', 'complete', { user: driver });
+    const status = await next(ws);
+    assert.equal(status.status, 'completed');
+
+    // The driver moves on to someone else's ride
+    await rides.set('ride2', { userId: 'passenger2', driverId: driver.uid, status: 'in_progress' });
+    realtime.broadcastDriverLocation(driver.uid, position);
+
+    assert.deepEqual(await drain(ws), []);
+  });
+
+  it('gives no live location for a trip that has ended', async () => {
+    await rides.update('ride1', { status: 'completed' });
+    await rides.set('ride2', { userId: 'passenger2', driverId: driver.uid, status: 'in_progress' });
+    const ws = await connect('passenger1');
+
+    const subscribed = await subscribe(ws, 'ride1');
+    assert.equal(subscribed.trip.status, 'completed');
+    assert.equal(subscribed.driverLocation, null);
+
+    realtime.broadcastDriverLocation(driver.uid, position);
+    assert.deepEqual(await drain(ws), []);
+  });
+
+  it('refuses users who are not on the trip', async () => {
+    const ws = await connect('passenger2');
+
+    const reply = await subscribe(ws, 'ride1');
+    assert.equal(reply.type, 'error');
+    assert.equal(reply.error, 'Access denied');
+  });
+});
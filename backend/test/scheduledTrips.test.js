@@ -0,0 +1,146 @@
+const { resetStore, waitFor } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const scheduler = require('../src/services/scheduler');
+const scheduledTrips = require('../src/services/scheduledTrips');
+const notifications = require('../src/services/notifications');
+
+const { rides, users, scheduledJobs, Timestamp } = repositories;
+const { transports } = notifications;
+
+const MINUTE_MS = 60 * 1000;
+
+// Book a ride for later the way the create endpoint does
+async function bookRide(id, minutesAhead) {
+  const scheduledFor = new Date(Date.now() + minutesAhead * MINUTE_MS);
+
+  await repositories.runTransaction(async (tx) => {
+    await rides.create({
+      userId: 'passenger1',
+      status: 'scheduled',
+      scheduledFor: Timestamp.fromDate(scheduledFor),
+      pickup: { latitude: 22.57, longitude: 88.36 },
+      fare: 150
+    }, { tx, id });
+    await scheduledTrips.scheduleTripJobs(tx, 'ride', id, scheduledFor);
+  });
+}
+
+// Make a job due now, as if its time had come
+const makeDue = (id, fields = {}) => scheduledJobs.update(id, { runAt: Timestamp.fromMillis(Date.now() - 1000), ...fields });
+
+describe('scheduled trips', () => {
+  beforeEach(async () => {
+    resetStore();
+    transports.fake.reset();
+    await users.set('passenger1', { language: 'en' });
+    await notifications.registerDevice('passenger1', 'token-a', 'android');
+  });
+
+  it('accepts pickup times inside the booking window only', () => {
+    const { minLeadMinutes, horizonDays } = scheduledTrips.SCHEDULE_CONFIG;
+
+    assert.equal(scheduledTrips.parseScheduledFor(undefined), null);
+    assert.ok(scheduledTrips.parseScheduledFor(new Date(Date.now() + (minLeadMinutes + 5) * MINUTE_MS).toISOString()) instanceof Date);
+    assert.throws(() => scheduledTrips.parseScheduledFor('tomorrow'), { statusCode: 400 });
+    assert.throws(() => scheduledTrips.parseScheduledFor(new Date(Date.now() + MINUTE_MS).toISOString()), { statusCode: 400 });
+    assert.throws(() => scheduledTrips.parseScheduledFor(new Date(Date.now() + (horizonDays + 1) * 24 * 60 * MINUTE_MS).toISOString()), { statusCode: 400 });
+  });
+
+  it('schedules the release and the reminder ahead of pickup', async () => {
+    const { releaseLeadMinutes, reminderLeadMinutes } = scheduledTrips.SCHEDULE_CONFIG;
+    await bookRide('ride1', 120);
+
+    const ride = await rides.findById('ride1');
+    const release = await scheduledJobs.findById('release_ride_ride1');
+    const reminder = await scheduledJobs.findById('reminder_ride_ride1');
+
+    assert.equal(release.runAt.toMillis(), ride.scheduledFor.toMillis() - releaseLeadMinutes * MINUTE_MS);
+    assert.equal(reminder.runAt.toMillis(), ride.scheduledFor.toMillis() - reminderLeadMinutes * MINUTE_MS);
+  });
+
+  it('releases a scheduled ride into dispatch when its job is due', async () => {
+    await bookRide('ride1', 120);
+    await makeDue('release_ride_ride1');
+
+    await scheduler.runDueJobs();
+
+    // With no drivers around, dispatch gives up on it straight away
+    const ride = await rides.findById('ride1');
+    assert.ok(ride.releasedAt);
+    assert.ok(ride.dispatch);
+    assert.notEqual(ride.status, 'scheduled');
+    assert.equal((await scheduledJobs.findById('release_ride_ride1')).status, 'done');
+  });
+
+  it('reminds the rider before pickup', async () => {
+    await bookRide('ride1', 120);
+    await makeDue('reminder_ride_ride1');
+
+    await scheduler.runDueJobs();
+
+    assert.equal(transports.fake.sent.length, 1);
+    assert.equal(transports.fake.sent[0].data.type, 'ride_scheduled_reminder');
+  });
+
+  it('lets the owner move the pickup time until release', async () => {
+    await bookRide('ride1', 120);
+    const newTime = new Date(Date.now() + 240 * MINUTE_MS);
+
+    await scheduledTrips.updateScheduledTrip('ride', 'ride1', { uid: 'passenger1' }, { scheduledFor: newTime.toISOString() });
+    assert.equal((await rides.findById('ride1')).scheduledFor.toMillis(), newTime.getTime());
+
+    await assert.rejects(
+      scheduledTrips.updateScheduledTrip('ride', 'ride1', { uid: 'someone-else' }, { notes: 'Gate 2' }),
+      { statusCode: 403 }
+    );
+
+    await rides.update('ride1', { status: 'requested' });
+    await assert.rejects(
+      scheduledTrips.updateScheduledTrip('ride', 'ride1', { uid: 'passenger1' }, { notes: 'Gate 2' }),
+      { statusCode: 409 }
+    );
+  });
+
+  describe('while the owner is on another ride', () => {
+    beforeEach(async () => {
+      await rides.set('current', { userId: 'passenger1', status: 'in_progress' });
+      await bookRide('ride1', 20);
+      await makeDue('release_ride_ride1');
+    });
+
+    it('retries the release instead of dispatching a second ride', async () => {
+      await scheduler.runDueJobs();
+
+      const job = await scheduledJobs.findById('release_ride_ride1');
+      assert.equal(job.status, 'pending');
+      assert.equal(job.attempts, 1);
+      assert.match(job.lastError, /under way/);
+      assert.equal((await rides.findById('ride1')).status, 'scheduled');
+    });
+
+    it('releases the ride once the other one ends', async () => {
+      await scheduler.runDueJobs();
+      await rides.update('current', { status: 'completed' });
+      await makeDue('release_ride_ride1');
+
+      await scheduler.runDueJobs();
+
+      assert.ok((await rides.findById('ride1')).releasedAt);
+    });
+
+    it('cancels the ride and tells the owner on the last attempt', async () => {
+      await makeDue('release_ride_ride1', { attempts: scheduler.SCHEDULER_CONFIG.maxAttempts - 1 });
+
+      await scheduler.runDueJobs();
+
+      const ride = await rides.findById('ride1');
+      assert.equal(ride.status, 'cancelled');
+      assert.equal(ride.cancelledBy, 'system');
+
+      await waitFor(() => transports.fake.sent.length > 0);
+      assert.equal(transports.fake.sent[0].data.type, 'ride_scheduled_cancelled');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const settlement = require('../src/services/settlement');
+const tripStateMachine = require('../src/services/tripStateMachine');
+const wallet = require('../src/services/wallet');
+const adminRoutes = require('../src/routes/admin');
+const { SERVICE_FEE_RATE } = require('../src/services/pricing');
+
+const { settlements, payouts, drivers, rides, users, cancellations } = repositories;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const driverBalance = async (driverId) => (await drivers.findById(driverId)).payoutBalance;
+
+// Settle a trip directly, the way completion and capture do
+const settle = (tripId, trip, paymentMethod) =>
+  repositories.runTransaction(tx => settlement.writeTripSettlement(tx, {
+    type: tripStateMachine.TRIP_TYPES.ride,
+    tripType: 'ride',
+    tripId,
+    trip,
+    paymentMethod
+  }));
+
+// Complete a ride in progress with driver1
+async function completeRide(tripId, paymentMethod) {
+  await rides.set(tripId, { status: 'in_progress', userId: 'passenger1', driverId: 'driver1', fare: 200, paymentMethod });
+  await drivers.update('driver1', { currentRideId: tripId });
+
+  return tripStateMachine.transition('ride', tripId, 'complete', { user: { uid: 'driver1', role: 'driver' } });
+}
+
+describe('settlement', () => {
+  beforeEach(async () => {
+    resetStore();
+    await drivers.set('driver1', { payoutBalance: 0, totalEarnings: 0 });
+    await drivers.set('driver2', { payoutBalance: 0, totalEarnings: 0 });
+    await users.set('passenger1', { role: 'user' });
+  });
+
+  describe('splitFare', () => {
+    it('splits the fare into driver share, commission and taxes', () => {
+      const split = settlement.splitFare({ fare: 220 });
+      const { commissionRate, taxRate } = settlement.SETTLEMENT_CONFIG;
+
+      assert.equal(split.commission, Math.round(220 * commissionRate / (1 + SERVICE_FEE_RATE) * 100) / 100);
+      assert.equal(split.taxes, Math.round(220 * taxRate * 100) / 100);
+      assert.equal(Math.round((split.driverShare + split.commission + split.taxes) * 100) / 100, 220);
+    });
+
+    it('keeps insurance out of the driver share', () => {
+      const split = settlement.splitFare({ fare: 230, fareBreakdown: { insurance: 10 } });
+
+      assert.equal(split.insurance, 10);
+      assert.equal(Math.round((split.driverShare + split.commission + split.taxes + split.insurance) * 100) / 100, 230);
+    });
+  });
+
+  describe('trip settlements', () => {
+    it('settles a cash ride with its completion, taking the cash off the balance', async () => {
+      const { trip } = await completeRide('ride1', 'cash');
+
+      const record = await settlements.findById('ride_ride1');
+      assert.equal(record.paymentId, trip.paymentId);
+      assert.equal(record.cashCollected, 200);
+      assert.ok(record.net < 0);
+      assert.equal(await driverBalance('driver1'), record.net);
+    });
+
+    it('owes the driver their share of a ride paid from the wallet', async () => {
+      await wallet.postTransaction('passenger1', 'topup', 500);
+      await completeRide('ride1', 'wallet');
+
+      const record = await settlements.findById('ride_ride1');
+      assert.equal(record.paymentMethod, 'wallet');
+      assert.equal(record.net, record.driverShare);
+      assert.equal(await driverBalance('driver1'), record.driverShare);
+    });
+
+    it('goes by the payment when a wallet payment fell back to cash', async () => {
+      await completeRide('ride1', 'wallet');
+
+      assert.equal((await settlements.findById('ride_ride1')).paymentMethod, 'cash');
+    });
+
+    it('leaves UPI rides to be settled when the charge is captured', async () => {
+      await completeRide('ride1', 'upi');
+
+      assert.equal(await settlements.count(), 0);
+      assert.equal(await driverBalance('driver1'), 0);
+    });
+
+    it('settles each trip once', async () => {
+      await settle('ride1', { driverId: 'driver1', fare: 200 }, 'cash');
+      const balance = await driverBalance('driver1');
+
+      await completeRide('ride1', 'cash');
+
+      assert.equal(await settlements.count(), 1);
+      assert.equal(await driverBalance('driver1'), balance);
+    });
+  });
+
+  describe('cancellations', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ '/api/admin': adminRoutes });
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      await users.set('admin1', { role: 'admin' });
+      await rides.set('ride1', { status: 'confirmed', userId: 'passenger1', driverId: 'driver1', fare: 100 });
+      await drivers.update('driver1', { currentRideId: 'ride1' });
+    });
+
+    // Cancel ride1 with the charges the cancellation policy worked out
+    const cancelRide = (cancelledBy, charges) => tripStateMachine.transition('ride', 'ride1', 'cancel', {
+      user: cancelledBy === 'driver' ? { uid: 'driver1', role: 'driver' } : { uid: 'passenger1', role: 'user' },
+      updates: { cancelledBy, cancellationReason: 'Changed plans', ...charges }
+    });
+
+    it('settles compensation with the cancellation', async () => {
+      await cancelRide('passenger', { cancellationFee: 10, driverCompensation: 10, driverCompensationFromFee: 10 });
+
+      const record = await settlements.findById('ride_ride1');
+      assert.equal(record.kind, 'cancellation');
+      assert.equal(record.net, 10);
+      assert.equal(await driverBalance('driver1'), 10);
+    });
+
+    it('settles penalties against the driver', async () => {
+      await cancelRide('driver', { driverPenalty: 25 });
+
+      assert.equal((await settlements.findById('ride_ride1')).penalty, 25);
+      assert.equal(await driverBalance('driver1'), -25);
+    });
+
+    it('settles nothing for free cancellations', async () => {
+      await cancelRide('passenger', { cancellationFee: 0 });
+
+      assert.equal(await settlements.count(), 0);
+    });
+
+    it('takes back compensation paid out of a waived fee, once', async () => {
+      await cancelRide('passenger', { cancellationFee: 10, driverCompensation: 30, driverCompensationFromFee: 10 });
+
+      const waive = () => server.request('PUT', '/api/admin/cancellations/ride_ride1/waive', { as: 'admin1', body: {} });
+      assert.equal((await waive()).status, 200);
+      assert.equal((await waive()).status, 409);
+
+      const reversal = await settlements.findById('ride_ride1_waiver');
+      assert.equal(reversal.kind, 'cancellation_waiver');
+      assert.equal(reversal.net, -10);
+      // The platform-funded part stays with the driver
+      assert.equal(await driverBalance('driver1'), 20);
+      assert.equal((await users.findById('passenger1')).payableBalance, 0);
+      assert.equal((await cancellations.findById('ride_ride1')).feeStatus, 'waived');
+    });
+  });
+
+  describe('payout batches', () => {
+    const nextWeek = () => new Date(Date.now() + 7 * DAY_MS);
+
+    beforeEach(async () => {
+      await settle('ride1', { driverId: 'driver1', fare: 300, paymentId: 'pay1' }, 'upi');
+      await settle('ride2', { driverId: 'driver1', fare: 100 }, 'cash');
+      // Holds more cash than earned, so is carried forward
+      await settle('ride3', { driverId: 'driver2', fare: 100 }, 'cash');
+    });
+
+    it('pays drivers with a positive total and carries the rest forward', async () => {
+      const batch = await settlement.generatePayoutBatch({ weekOf: nextWeek(), createdBy: 'admin1' });
+
+      assert.equal(batch.payoutCount, 1);
+      const [payout] = batch.payouts;
+      assert.equal(payout.driverId, 'driver1');
+      assert.equal(payout.amount, await driverBalance('driver1'));
+      assert.deepEqual(payout.settlementIds.sort(), ['ride_ride1', 'ride_ride2']);
+
+      assert.equal((await settlements.findById('ride_ride1')).status, 'batched');
+      assert.equal((await settlements.findById('ride_ride3')).status, 'open');
+
+      await assert.rejects(settlement.generatePayoutBatch({ weekOf: nextWeek(), createdBy: 'admin1' }), { statusCode: 409 });
+    });
+
+    it('takes paid batches off driver balances', async () => {
+      const batch = await settlement.generatePayoutBatch({ weekOf: nextWeek(), createdBy: 'admin1' });
+
+      await assert.rejects(settlement.markBatchPaid(batch.id, 'admin1'), { statusCode: 409 });
+      await settlement.approveBatch(batch.id, 'admin1');
+      await settlement.markBatchPaid(batch.id, 'admin1', 'NEFT-1');
+
+      assert.equal(await driverBalance('driver1'), 0);
+      assert.equal((await settlements.findById('ride_ride2')).status, 'paid');
+      assert.equal((await payouts.findById(batch.payouts[0].id)).status, 'paid');
+    });
+  });
+});
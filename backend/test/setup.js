@@ -0,0 +1,81 @@
+/**
+ * Test setup
+ * Required first by every test file: runs the services on the in-memory
+ * backend with the log-only SMS channel, the fake push transport and the
+ * mock payment gateway, and keeps the logger quiet. Each test file runs in
+ * its own process, so its store starts empty.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.PERSISTENCE = 'memory';
+process.env.SMS_CHANNEL = 'log';
+process.env.NOTIFICATION_TRANSPORT = 'fake';
+process.env.PAYMENT_GATEWAY = 'mock';
+delete process.env.FIREBASE_SERVICE_ACCOUNT_PATH;
+delete process.env.FIREBASE_PROJECT_ID;
+
+const express = require('express');
+const logger = require('../src/utils/logger');
+logger.silent = true;
+
+const memory = require('../src/repositories/memory');
+const errorHandler = require('../src/middleware/errorHandler');
+
+/**
+ * Wait for work started by an event listener, which the code under test
+ * does not await, to show its result
+ */
+async function waitFor(check, { timeoutMs = 1000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for a condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Serve routers on a free port, the way server.js mounts them
+ * Requests authenticate as a user id with the local "dev:<uid>" tokens;
+ * a FormData body is sent as multipart/form-data, anything else as JSON
+ */
+async function startServer(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, path, { as, body, headers = {} } = {}) {
+      const isForm = body instanceof FormData;
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }),
+          ...(as && { Authorization: `Bearer dev:${as}` }),
+          ...headers
+        },
+        body: body !== undefined && !isForm ? JSON.stringify(body) : body
+      });
+      const type = response.headers.get('content-type') || '';
+      return {
+        status: response.status,
+        body: type.includes('json') ? await response.json() : await response.text()
+      };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  // Empty the in-memory store between tests
+  resetStore: memory.reset,
+  waitFor,
+  startServer
+};
@@ -0,0 +1,99 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const sms = require('../src/services/sms');
+const sos = require('../src/services/sos');
+
+const { sosAlerts } = repositories;
+
+// Channel that records messages and fails for chosen numbers
+function createTestChannel({ delivers = true, failFor = [] } = {}) {
+  return {
+    name: 'test',
+    delivers,
+    messages: [],
+    async send(to, body) {
+      if (failFor.includes(to)) {
+        throw new Error('Carrier rejected message');
+      }
+      this.messages.push({ to, body });
+      return { id: `msg_${this.messages.length}` };
+    }
+  };
+}
+
+describe('sms', () => {
+  beforeEach(() => {
+    resetStore();
+    sms.setChannel(sms.channels.log);
+  });
+
+  after(() => sms.setChannel(sms.channels.log));
+
+  it('reports messages the log channel only recorded as not delivered', async () => {
+    assert.equal(sms.isDelivering(), false);
+    assert.deepEqual(await sms.sendSms('+919800000000', 'Hello'), { channel: 'log', id: null, delivered: false });
+
+    sms.setChannel(createTestChannel());
+    assert.equal(sms.isDelivering(), true);
+    assert.deepEqual(await sms.sendSms('+919800000000', 'Hello'), { channel: 'test', id: 'msg_1', delivered: true });
+  });
+
+  it('fails sends through the log channel in production', async (t) => {
+    t.after(() => { process.env.NODE_ENV = 'test'; });
+    process.env.NODE_ENV = 'production';
+
+    await assert.rejects(sms.sendSms('+919800000000', 'Hello'), /SMS is not configured/);
+  });
+
+  describe('SOS contacts', () => {
+    const alert = { tripType: 'ride', location: { latitude: 22.57, longitude: 88.36 }, driver: { licensePlate: 'WB 01 1234' } };
+    const reporter = {
+      name: 'Asha',
+      emergencyContact: [
+        { name: 'Ravi', phone: '+919800000001' },
+        { name: 'Mita', phone: '+919800000002' }
+      ]
+    };
+
+    beforeEach(async () => {
+      await sosAlerts.set('sos1', { status: 'active' });
+    });
+
+    it('texts every contact with the location', async () => {
+      const channel = createTestChannel();
+      sms.setChannel(channel);
+
+      await sos.notifyEmergencyContacts('sos1', alert, reporter);
+
+      assert.deepEqual(channel.messages.map(message => message.to), ['+919800000001', '+919800000002']);
+      assert.match(channel.messages[0].body, /maps\.google\.com\/\?q=22\.57,88\.36/);
+      assert.match(channel.messages[0].body, /WB 01 1234/);
+      assert.equal((await sosAlerts.findById('sos1')).notificationStatus, 'sent');
+    });
+
+    it('records partial and failed sends', async () => {
+      sms.setChannel(createTestChannel({ failFor: ['+919800000002'] }));
+      const notifications = await sos.notifyEmergencyContacts('sos1', alert, reporter);
+
+      assert.deepEqual(notifications.map(notification => notification.status), ['sent', 'failed']);
+      assert.equal(notifications[1].error, 'Carrier rejected message');
+      assert.equal((await sosAlerts.findById('sos1')).notificationStatus, 'partial');
+    });
+
+    it('never records logged messages as sent', async () => {
+      const notifications = await sos.notifyEmergencyContacts('sos1', alert, reporter);
+
+      assert.deepEqual(notifications.map(notification => notification.status), ['not_delivered', 'not_delivered']);
+      assert.equal((await sosAlerts.findById('sos1')).notificationStatus, 'not_delivered');
+    });
+
+    it('handles users with no contacts and the older single contact', async () => {
+      await sos.notifyEmergencyContacts('sos1', alert, { name: 'Asha' });
+      assert.equal((await sosAlerts.findById('sos1')).notificationStatus, 'no_contacts');
+
+      assert.deepEqual(sos.emergencyContactsOf({ emergencyContact: { phone: '+919800000003' } }), [{ phone: '+919800000003' }]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const sms = require('../src/services/sms');
+const trackingLinks = require('../src/services/trackingLinks');
+const { renderTracking } = require('../src/utils/trackingPage');
+const deliveryRoutes = require('../src/routes/deliveries');
+
+const { deliveries, drivers, users, Timestamp } = repositories;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Channel that records messages and fails for chosen numbers
+function createTestChannel({ failFor = [] } = {}) {
+  return {
+    name: 'test',
+    delivers: true,
+    messages: [],
+    async send(to, body) {
+      if (failFor.includes(to)) {
+        throw new Error('Carrier rejected message');
+      }
+      this.messages.push({ to, body });
+      return { id: `msg_${this.messages.length}` };
+    }
+  };
+}
+
+const tokenOf = (url) => url.split('/').pop();
+
+describe('recipient tracking links', () => {
+  let server;
+  let channel;
+
+  before(async () => {
+    server = await startServer({ '/api/deliveries': deliveryRoutes });
+  });
+
+  after(async () => {
+    sms.setChannel(sms.channels.log);
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    resetStore();
+    channel = createTestChannel();
+    sms.setChannel(channel);
+
+    await users.set('sender1', { role: 'user' });
+    await users.set('stranger', { role: 'user' });
+    await drivers.set('driver1', {
+      name: 'Asha Roy',
+      phone: '+919800000009',
+      currentLocation: { latitude: 22.56, longitude: 88.35 },
+      vehicleInfo: { type: 'bike', make: 'Honda', model: 'Activa', color: 'Blue', licensePlate: 'WB 02 5678' }
+    });
+    await deliveries.set('delivery1', {
+      senderId: 'sender1',
+      driverId: 'driver1',
+      status: 'in_transit',
+      packageType: 'documents',
+      pickup: { latitude: 22.6, longitude: 88.36, contactName: 'Mita Sen', contactPhone: '+919800000001' },
+      destination: {
+        latitude: 22.55,
+        longitude: 88.35,
+        contactName: 'Ravi <Das>',
+        contactPhone: '+919800000004',
+        address: '12 Park Street'
+      }
+    });
+  });
+
+  const share = (as) => server.request('POST', '/api/deliveries/delivery1/tracking-link', { as });
+
+  it('texts the recipient a link that opens the tracking view', async () => {
+    await trackingLinks.sendTrackingLink('delivery1', await deliveries.findById('delivery1'));
+
+    assert.equal(channel.messages.length, 1);
+    assert.equal(channel.messages[0].to, '+919800000004');
+    const url = channel.messages[0].body.match(/https?:\S+/)[0];
+    assert.ok(url.startsWith(`${trackingLinks.TRACKING_CONFIG.baseUrl}/`));
+
+    const tracking = await trackingLinks.getTracking(tokenOf(url));
+    assert.equal(tracking.statusLabel, 'On the way to you');
+    assert.equal(tracking.recipientName, 'Ravi <Das>');
+    assert.ok(tracking.eta.minutes > 0);
+
+    const page = renderTracking(tracking);
+    assert.match(page, /Ravi &lt;Das&gt;/);
+    assert.match(page, /http-equiv="refresh"/);
+  });
+
+  it('shows the driver\'s first name and vehicle but nothing about the sender', async () => {
+    const tracking = await trackingLinks.getTracking(tokenOf(await trackingLinks.createLink('delivery1')));
+
+    assert.deepEqual(tracking.driver, {
+      firstName: 'Asha',
+      vehicle: { type: 'bike', make: 'Honda', model: 'Activa', color: 'Blue', licensePlate: 'WB 02 5678' }
+    });
+
+    const payload = JSON.stringify(tracking);
+    for (const hidden of ['sender1', 'Mita Sen', '+919800000001', 'Asha Roy', '+919800000009', '+919800000004']) {
+      assert.ok(!payload.includes(hidden), `${hidden} is exposed`);
+    }
+  });
+
+  it('refuses unknown tokens and stores only a hash of the token', async () => {
+    const token = tokenOf(await trackingLinks.createLink('delivery1'));
+
+    assert.equal(await repositories.trackingLinks.findById(token), null);
+    await assert.rejects(trackingLinks.getTracking('not-a-token'), { statusCode: 404 });
+  });
+
+  it('keeps working for a while after the delivery and then expires', async () => {
+    const token = tokenOf(await trackingLinks.createLink('delivery1'));
+    const { ttlHours } = trackingLinks.TRACKING_CONFIG;
+
+    await deliveries.update('delivery1', { status: 'completed', completedAt: Timestamp.fromMillis(Date.now() - HOUR_MS) });
+    const tracking = await trackingLinks.getTracking(token);
+    assert.equal(tracking.statusLabel, 'Delivered');
+    assert.equal(tracking.eta, null);
+
+    await deliveries.update('delivery1', { completedAt: Timestamp.fromMillis(Date.now() - (ttlHours + 1) * HOUR_MS) });
+    await assert.rejects(trackingLinks.getTracking(token), { statusCode: 410 });
+  });
+
+  it('expires after a cancellation too', async () => {
+    const token = tokenOf(await trackingLinks.createLink('delivery1'));
+
+    await deliveries.update('delivery1', {
+      status: 'cancelled',
+      cancelledAt: Timestamp.fromMillis(Date.now() - (trackingLinks.TRACKING_CONFIG.ttlHours + 1) * HOUR_MS)
+    });
+
+    await assert.rejects(trackingLinks.getTracking(token), { statusCode: 410 });
+  });
+
+  it('lets the sender share a new link while the delivery is under way', async () => {
+    assert.equal((await share('stranger')).status, 403);
+
+    const response = await share('sender1');
+    assert.equal(response.status, 200);
+    assert.equal((await trackingLinks.getTracking(tokenOf(response.body.url))).status, 'in_transit');
+    assert.equal(channel.messages.length, 1);
+
+    await deliveries.update('delivery1', { status: 'completed', completedAt: Timestamp.now() });
+    assert.equal((await share('sender1')).status, 409);
+  });
+
+  it('does not block the delivery when the text fails', async () => {
+    sms.setChannel(createTestChannel({ failFor: ['+919800000004'] }));
+
+    await trackingLinks.sendTrackingLink('delivery1', await deliveries.findById('delivery1'));
+  });
+
+  describe('without a tracking address', () => {
+    let baseUrl;
+
+    before(() => {
+      baseUrl = trackingLinks.TRACKING_CONFIG.baseUrl;
+      trackingLinks.TRACKING_CONFIG.baseUrl = null;
+    });
+
+    after(() => {
+      trackingLinks.TRACKING_CONFIG.baseUrl = baseUrl;
+    });
+
+    it('issues no links when a driver accepts', async () => {
+      await trackingLinks.sendTrackingLink('delivery1', await deliveries.findById('delivery1'));
+
+      assert.equal(channel.messages.length, 0);
+      assert.equal(await repositories.trackingLinks.count(), 0);
+    });
+
+    it('fails share requests with 503', async () => {
+      const response = await share('sender1');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error, 'Tracking links unavailable');
+      assert.equal(channel.messages.length, 0);
+    });
+  });
+});
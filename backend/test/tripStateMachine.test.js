@@ -0,0 +1,186 @@
+const { resetStore } = require('./setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const tripStateMachine = require('../src/services/tripStateMachine');
+const wallet = require('../src/services/wallet');
+
+const { rides, deliveries, drivers, users, payments, cancellations, Timestamp } = repositories;
+const { transition, tripEvents } = tripStateMachine;
+
+const passenger = { uid: 'passenger1', role: 'user' };
+const sender = { uid: 'sender1', role: 'user' };
+const driver = { uid: 'driver1', role: 'driver' };
+const otherDriver = { uid: 'driver2', role: 'driver' };
+const admin = { uid: 'admin1', role: 'admin' };
+
+async function seedPeople() {
+  await users.set(passenger.uid, { role: 'user', totalRides: 0, totalDeliveries: 0 });
+  await users.set(sender.uid, { role: 'user', totalRides: 0, totalDeliveries: 0 });
+  await drivers.set(driver.uid, { isAvailable: true, currentRideId: null, currentDeliveryId: null, totalRides: 0, totalDeliveries: 0 });
+  await drivers.set(otherDriver.uid, { isAvailable: true, currentRideId: null, currentDeliveryId: null });
+}
+
+const accept = (tripType, id, user = driver) => transition(tripType, id, 'accept', {
+  user,
+  updates: { driverId: user.uid }
+});
+
+describe('trip state machine', () => {
+  beforeEach(async () => {
+    resetStore();
+    await seedPeople();
+  });
+
+  describe('rides', () => {
+    beforeEach(async () => {
+      await rides.set('ride1', { userId: passenger.uid, status: 'requested', fare: 150 });
+    });
+
+    it('runs a ride from request to completion', async () => {
+      await accept('ride', 'ride1');
+      let ride = await rides.findById('ride1');
+      assert.equal(ride.status, 'confirmed');
+      assert.equal(ride.driverId, driver.uid);
+      assert.ok(ride.acceptedAt instanceof Timestamp);
+      assert.equal((await drivers.findById(driver.uid)).currentRideId, 'ride1');
+
+      await transition('ride', 'ride1', 'arrive', { user: driver });
+      await transition('ride', 'ride1', 'start', { user: driver });
+      const { actor, from, to } = await transition('ride', 'ride1', 'complete', { user: driver });
+
+      assert.deepEqual({ actor, from, to }, { actor: 'driver', from: 'in_progress', to: 'completed' });
+      ride = await rides.findById('ride1');
+      assert.equal(ride.status, 'completed');
+      assert.ok(ride.completedAt instanceof Timestamp);
+
+      const driverData = await drivers.findById(driver.uid);
+      assert.equal(driverData.currentRideId, null);
+      assert.equal(driverData.isAvailable, true);
+      assert.equal(driverData.totalRides, 1);
+      assert.equal((await users.findById(passenger.uid)).totalRides, 1);
+
+      const [payment] = await payments.find({ where: [['rideId', '==', 'ride1']] });
+      assert.equal(payment.amount, 150);
+      assert.equal(payment.status, 'pending');
+    });
+
+    it('refuses events from the wrong status with 409', async () => {
+      await accept('ride', 'ride1');
+      await assert.rejects(transition('ride', 'ride1', 'complete', { user: driver }), { statusCode: 409 });
+      assert.equal((await rides.findById('ride1')).status, 'confirmed');
+    });
+
+    it('refuses actors the event is not open to with 403', async () => {
+      await assert.rejects(accept('ride', 'ride1', passenger), { statusCode: 403 });
+      // Only the assigned driver can move the ride on
+      await assert.rejects(transition('ride', 'ride1', 'start', { user: driver }), { statusCode: 403 });
+
+      await accept('ride', 'ride1');
+      await assert.rejects(transition('ride', 'ride1', 'arrive', { user: otherDriver }), { statusCode: 403 });
+      await assert.rejects(transition('ride', 'ride1', 'arrive', { user: passenger }), { statusCode: 403 });
+      await assert.rejects(transition('ride', 'ride1', 'expire', { user: admin }), { statusCode: 403 });
+      await assert.rejects(transition('ride', 'ride1', 'release', { user: admin }), { statusCode: 403 });
+    });
+
+    it('returns 404 for unknown trips', async () => {
+      await assert.rejects(accept('ride', 'missing'), { statusCode: 404 });
+    });
+
+    it('lets only one driver accept a ride', async () => {
+      const results = await Promise.allSettled([accept('ride', 'ride1'), accept('ride', 'ride1', otherDriver)]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+      assert.equal((await rides.findById('ride1')).driverId, driver.uid);
+      assert.equal((await drivers.findById(otherDriver.uid)).currentRideId, null);
+    });
+
+    it('refuses drivers already on a trip without changing the ride', async () => {
+      await drivers.update(driver.uid, { currentDeliveryId: 'delivery9' });
+
+      await assert.rejects(accept('ride', 'ride1'), { statusCode: 409 });
+      assert.equal((await rides.findById('ride1')).status, 'requested');
+    });
+
+    it('records cancellations and frees the driver', async () => {
+      await accept('ride', 'ride1');
+      await transition('ride', 'ride1', 'cancel', {
+        user: passenger,
+        updates: (ride, cancelledBy) => ({ cancelledBy, cancellationReason: 'Changed plans', cancellationFee: 0 })
+      });
+
+      const cancellation = await cancellations.findById('ride_ride1');
+      assert.equal(cancellation.cancelledBy, 'passenger');
+      assert.equal(cancellation.driverId, driver.uid);
+      assert.equal((await drivers.findById(driver.uid)).currentRideId, null);
+    });
+
+    it('charges wallet payments on completion and falls back to cash', async () => {
+      await wallet.postTransaction(passenger.uid, 'topup', 200);
+      await rides.set('ride2', { userId: passenger.uid, status: 'in_progress', driverId: driver.uid, fare: 150, paymentMethod: 'wallet' });
+      await rides.set('ride3', { userId: passenger.uid, status: 'in_progress', driverId: driver.uid, fare: 150, paymentMethod: 'wallet' });
+
+      const paid = await transition('ride', 'ride2', 'complete', { user: driver });
+      const fallback = await transition('ride', 'ride3', 'complete', { user: driver });
+
+      assert.equal((await payments.findById(paid.trip.paymentId)).status, 'captured');
+      const cash = await payments.findById(fallback.trip.paymentId);
+      assert.equal(cash.method, 'cash');
+      assert.equal(cash.fallbackReason, 'Insufficient wallet balance');
+      assert.equal((await wallet.getWallet(passenger.uid)).balance, 50);
+    });
+
+    it('emits every transition to listeners', async () => {
+      const seen = [];
+      const listener = (event) => seen.push(event);
+      tripEvents.on('transition', listener);
+
+      try {
+        await accept('ride', 'ride1');
+      } finally {
+        tripEvents.off('transition', listener);
+      }
+
+      assert.equal(seen.length, 1);
+      assert.equal(seen[0].tripId, 'ride1');
+      assert.equal(seen[0].event, 'accept');
+      assert.equal(seen[0].from, 'requested');
+      assert.equal(seen[0].trip.driverId, driver.uid);
+    });
+
+    it('keeps scheduled trips out of the active statuses', async () => {
+      assert.ok(!tripStateMachine.ACTIVE_STATUSES.ride.includes('scheduled'));
+      assert.ok(tripStateMachine.ACTIVE_STATUSES.ride.includes('in_progress'));
+      assert.ok(tripStateMachine.STATUSES.ride.includes('scheduled'));
+
+      await rides.set('ride4', { userId: passenger.uid, status: 'scheduled' });
+      await transition('ride', 'ride4', 'release', { actor: 'system' });
+      assert.equal((await rides.findById('ride4')).status, 'requested');
+    });
+  });
+
+  describe('deliveries', () => {
+    beforeEach(async () => {
+      await deliveries.set('delivery1', { senderId: sender.uid, status: 'requested', fare: 90 });
+      await accept('delivery', 'delivery1');
+    });
+
+    it('runs a delivery from pickup to completion', async () => {
+      await transition('delivery', 'delivery1', 'pickup', { user: driver });
+      await transition('delivery', 'delivery1', 'transit', { user: driver });
+      await transition('delivery', 'delivery1', 'complete', { user: driver });
+
+      assert.equal((await deliveries.findById('delivery1')).status, 'completed');
+      assert.equal((await drivers.findById(driver.uid)).currentDeliveryId, null);
+    });
+
+    it('lets only admins cancel once the package is picked up', async () => {
+      await transition('delivery', 'delivery1', 'pickup', { user: driver });
+
+      await assert.rejects(transition('delivery', 'delivery1', 'cancel', { user: sender }), { statusCode: 403 });
+      await transition('delivery', 'delivery1', 'cancel', { user: admin, updates: { cancelledBy: 'admin' } });
+      assert.equal((await deliveries.findById('delivery1')).status, 'cancelled');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { resetStore, startServer } = require('./setup');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../src/repositories');
+const wallet = require('../src/services/wallet');
+const walletRoutes = require('../src/routes/wallet');
+
+const { users, wallets, ledgerEntries, logs } = repositories;
+
+// Sum of an account's entries, credits positive
+async function accountBalance(account) {
+  const entries = await ledgerEntries.find({ where: [['account', '==', account]] });
+  return entries.reduce((total, entry) => total + (entry.direction === 'credit' ? entry.amount : -entry.amount), 0);
+}
+
+describe('wallet ledger', () => {
+  beforeEach(() => resetStore());
+
+  it('starts users with an empty wallet', async () => {
+    const empty = await wallet.getWallet('u1');
+
+    assert.equal(empty.balance, 0);
+    assert.equal(empty.isNew, true);
+    assert.equal(await wallets.findById('u1'), null);
+  });
+
+  it('credits and debits the balance', async () => {
+    const topup = await wallet.postTransaction('u1', 'topup', 500);
+    const payment = await wallet.postTransaction('u1', 'trip_payment', 120.456);
+
+    assert.equal(topup.balance, 500);
+    assert.equal(payment.balance, 379.54);
+    assert.equal((await wallets.findById('u1')).balance, 379.54);
+  });
+
+  it('writes two matching entries for every transaction', async () => {
+    const { transactionId } = await wallet.postTransaction('u1', 'topup', 200, { reference: 'pay_1' });
+
+    const entries = await ledgerEntries.find({ where: [['transactionId', '==', transactionId]] });
+    assert.equal(entries.length, 2);
+
+    const walletEntry = entries.find(entry => entry.account === wallet.walletAccount('u1'));
+    const counterEntry = entries.find(entry => entry.account === wallet.ENTRY_TYPES.topup.counterAccount);
+
+    assert.equal(walletEntry.direction, 'credit');
+    assert.equal(walletEntry.balanceAfter, 200);
+    assert.equal(counterEntry.direction, 'debit');
+    assert.equal(counterEntry.amount, walletEntry.amount);
+    assert.equal(counterEntry.reference, 'pay_1');
+  });
+
+  it('keeps the ledger balanced and in step with the wallet', async () => {
+    await wallet.postTransaction('u1', 'topup', 1000);
+    await wallet.postTransaction('u1', 'trip_payment', 250);
+    await wallet.postTransaction('u1', 'refund', 50);
+    await wallet.postTransaction('u1', 'cancellation_fee', 25);
+    await wallet.postTransaction('u1', 'cancellation_waiver', 25);
+    await wallet.postTransaction('u1', 'promotion', 100);
+
+    const entries = await ledgerEntries.find();
+    const credits = entries.filter(entry => entry.direction === 'credit').reduce((total, entry) => total + entry.amount, 0);
+    const debits = entries.filter(entry => entry.direction === 'debit').reduce((total, entry) => total + entry.amount, 0);
+
+    assert.equal(credits, debits);
+    assert.equal(await accountBalance(wallet.walletAccount('u1')), 900);
+    assert.equal((await wallet.getWallet('u1')).balance, 900);
+  });
+
+  it('refuses debits beyond the balance without writing anything', async () => {
+    await wallet.postTransaction('u1', 'topup', 100);
+
+    await assert.rejects(wallet.postTransaction('u1', 'trip_payment', 150), { statusCode: 409 });
+
+    assert.equal((await wallets.findById('u1')).balance, 100);
+    assert.equal(await ledgerEntries.count(), 2);
+  });
+
+  it('refuses amounts that are not positive and unknown types', async () => {
+    await assert.rejects(wallet.postTransaction('u1', 'topup', 0), { statusCode: 400 });
+    await assert.rejects(wallet.postTransaction('u1', 'topup', -5), { statusCode: 400 });
+    await assert.rejects(wallet.postTransaction('u1', 'gift', 5), /Unknown wallet entry type/);
+  });
+
+  it('posts inside a caller\'s transaction and rolls back with it', async () => {
+    await wallet.postTransaction('u1', 'topup', 100);
+
+    await assert.rejects(repositories.runTransaction(async (tx) => {
+      await wallet.postTransaction('u1', 'trip_payment', 60, { tx });
+      throw new Error('trip update failed');
+    }), /trip update failed/);
+
+    assert.equal((await wallets.findById('u1')).balance, 100);
+    assert.equal(await ledgerEntries.count(), 2);
+  });
+
+  it('lists a user\'s transactions newest first', async () => {
+    await wallet.postTransaction('u1', 'topup', 100);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await wallet.postTransaction('u1', 'trip_payment', 40);
+    await wallet.postTransaction('u2', 'topup', 10);
+
+    const { transactions } = await wallet.getTransactions('u1', { limit: 10, offset: 0 });
+    assert.deepEqual(transactions.map(transaction => transaction.type), ['trip_payment', 'topup']);
+  });
+
+  it('checks credits against the top-up limits', () => {
+    const { minTopup, maxTopup, maxBalance } = wallet.WALLET_CONFIG;
+
+    assert.equal(wallet.validateCredit({ balance: 0 }, minTopup), null);
+    assert.ok(wallet.validateCredit({ balance: 0 }, minTopup - 1));
+    assert.ok(wallet.validateCredit({ balance: 0 }, maxTopup + 1));
+    assert.ok(wallet.validateCredit({ balance: maxBalance - 5 }, minTopup));
+  });
+});
+
+describe('admin wallet credits', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ '/api/wallet': walletRoutes });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    resetStore();
+    await users.set('admin1', { role: 'admin' });
+    await users.set('u1', { role: 'passenger' });
+  });
+
+  const credit = (amount, userId = 'u1') =>
+    server.request('POST', `/api/wallet/${userId}/credit`, { as: 'admin1', body: { type: 'promotion', amount } });
+
+  it('credits the wallet and audits it', async () => {
+    const response = await credit(100);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.wallet.balance, 100);
+
+    const [audit] = await logs.find({ where: [['action', '==', 'wallet_credit']] });
+    assert.equal(audit.transactionId, response.body.transactionId);
+    assert.equal(audit.adminId, 'admin1');
+  });
+
+  it('holds credits to the top-up limits and the maximum balance', async () => {
+    const { maxTopup, maxBalance } = wallet.WALLET_CONFIG;
+    await wallet.postTransaction('u1', 'topup', maxBalance - 50);
+
+    assert.equal((await credit(maxTopup + 1)).status, 400);
+    assert.equal((await credit(100)).status, 400);
+    assert.equal((await credit('lots')).status, 400);
+
+    assert.equal((await wallet.getWallet('u1')).balance, maxBalance - 50);
+    assert.equal(await logs.count(), 0);
+  });
+
+  it('is refused to anyone but admins', async () => {
+    const response = await server.request('POST', '/api/wallet/u1/credit', { as: 'u1', body: { amount: 100 } });
+
+    assert.equal(response.status, 403);
+    assert.equal(await wallets.findById('u1'), null);
+  });
+});
@@ -0,0 +1,95 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+// Must match PAYMENT_METHODS in the backend payment service
+const PAYMENT_METHODS = [
+  { id: 'cash', name: 'Cash', description: 'Pay the driver directly', icon: 'cash', available: true },
+  { id: 'upi', name: 'UPI', description: 'Pay from your UPI app after the trip', icon: 'cellphone-check', available: true },
+  { id: 'wallet', name: 'Wallet', description: 'Pay from your wallet balance', icon: 'wallet', available: true },
+];
+
+const PaymentMethodSelector = ({ selected, onSelect }) => {
+  return (
+    <View>
+      {PAYMENT_METHODS.map((method) => {
+        const isSelected = selected === method.id;
+
+        return (
+          <TouchableOpacity
+            key={method.id}
+            style={[
+              styles.option,
+              isSelected && styles.selectedOption,
+              !method.available && styles.disabledOption,
+            ]}
+            onPress={() => onSelect(method.id)}
+            disabled={!method.available}
+            activeOpacity={0.8}
+          >
+            <Icon
+              name={method.icon}
+              size={24}
+              color={isSelected ? '#FF6B35' : '#4CAF50'}
+            />
+            <View style={styles.text}>
+              <Text style={[styles.title, isSelected && styles.selectedText]}>
+                {method.name}
+              </Text>
+              <Text style={styles.subtitle}>{method.description}</Text>
+            </View>
+            <Icon
+              name={isSelected ? 'radiobox-marked' : 'radiobox-blank'}
+              size={20}
+              color={isSelected ? '#FF6B35' : '#CCCCCC'}
+            />
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    backgroundColor: '#F8F9FA',
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  selectedOption: {
+    backgroundColor: '#FFF5F0',
+    borderColor: '#FF6B35',
+  },
+  disabledOption: {
+    opacity: 0.5,
+  },
+  text: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    color: '#333333',
+    fontWeight: '600',
+  },
+  selectedText: {
+    color: '#FF6B35',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 2,
+  },
+});
+
+export default PaymentMethodSelector;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import api from '../config/api';
+
+// Must match RATING_TAGS in the backend ratings service
+const RATING_TAGS = {
+  driver: [
+    { id: 'polite', label: 'Polite' },
+    { id: 'safe_driving', label: 'Safe driving' },
+    { id: 'clean_vehicle', label: 'Clean vehicle' },
+    { id: 'on_time', label: 'On time' },
+    { id: 'good_navigation', label: 'Good navigation' },
+    { id: 'careful_handling', label: 'Careful handling' },
+    { id: 'rude', label: 'Rude' },
+    { id: 'unsafe_driving', label: 'Unsafe driving' },
+    { id: 'late', label: 'Late' },
+    { id: 'dirty_vehicle', label: 'Dirty vehicle' },
+  ],
+  customer: [
+    { id: 'polite', label: 'Polite' },
+    { id: 'on_time', label: 'On time' },
+    { id: 'respectful', label: 'Respectful' },
+    { id: 'clear_instructions', label: 'Clear instructions' },
+    { id: 'rude', label: 'Rude' },
+    { id: 'late', label: 'Late' },
+    { id: 'wrong_address', label: 'Wrong address' },
+  ],
+};
+
+/**
+ * Rating prompt shown after a trip completes
+ * tripType is 'ride' or 'delivery'; ratee is 'driver' when the rider or
+ * sender rates, 'customer' when the driver rates
+ */
+const RatingModal = ({ visible, tripType, tripId, ratee, name, onClose, onRated }) => {
+  const [rating, setRating] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggleTag = (tag) => {
+    setTags(current => (
+      current.includes(tag) ? current.filter(t => t !== tag) : [...current, tag]
+    ));
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      const endpoint = tripType === 'ride' ? 'rides' : 'deliveries';
+      await api.post(`/${endpoint}/${tripId}/rating`, {
+        rating,
+        tags,
+        comment: comment.trim() || null,
+      });
+      onRated?.(rating);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to submit rating. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>
+            How was {name || (ratee === 'driver' ? 'your driver' : 'your customer')}?
+          </Text>
+
+          <View style={styles.stars}>
+            {[1, 2, 3, 4, 5].map(star => (
+              <TouchableOpacity key={star} onPress={() => setRating(star)}>
+                <Icon
+                  name={star <= rating ? 'star' : 'star-outline'}
+                  size={40}
+                  color={star <= rating ? '#FF6B35' : '#CCCCCC'}
+                />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.tags}>
+            {RATING_TAGS[ratee].map(tag => {
+              const isSelected = tags.includes(tag.id);
+
+              return (
+                <TouchableOpacity
+                  key={tag.id}
+                  style={[styles.tag, isSelected && styles.selectedTag]}
+                  onPress={() => toggleTag(tag.id)}
+                >
+                  <Text style={[styles.tagText, isSelected && styles.selectedTagText]}>
+                    {tag.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <TextInput
+            style={styles.comment}
+            placeholder="Add a comment (optional)"
+            value={comment}
+            onChangeText={setComment}
+            maxLength={500}
+            multiline
+          />
+
+          <TouchableOpacity
+            style={[styles.submitButton, (!rating || submitting) && styles.disabledButton]}
+            onPress={handleSubmit}
+            disabled={!rating || submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.submitButtonText}>Submit Rating</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.skipButton} onPress={onClose} disabled={submitting}>
+            <Text style={styles.skipButtonText}>Not now</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333333',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  stars: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  tags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 16,
+  },
+  tag: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F8F9FA',
+  },
+  selectedTag: {
+    backgroundColor: '#FFF5F0',
+    borderColor: '#FF6B35',
+  },
+  tagText: {
+    fontSize: 13,
+    color: '#666666',
+  },
+  selectedTagText: {
+    color: '#FF6B35',
+    fontWeight: '600',
+  },
+  comment: {
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    color: '#333333',
+    textAlignVertical: 'top',
+    marginBottom: 16,
+  },
+  submitButton: {
+    backgroundColor: '#FF6B35',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  skipButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  skipButtonText: {
+    color: '#666666',
+    fontSize: 14,
+  },
+});
+
+export default RatingModal;
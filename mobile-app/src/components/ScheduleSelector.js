@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+// Must match SCHEDULE_CONFIG in the backend scheduled trips service
+const HORIZON_DAYS = 7;
+const MIN_LEAD_MINUTES = 30;
+
+const SLOT_MINUTES = 15;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Pickup times that can be booked on a day, in SLOT_MINUTES steps
+ */
+const slotsForDay = (day) => {
+  const earliest = Date.now() + MIN_LEAD_MINUTES * MINUTE_MS;
+  const latest = Date.now() + HORIZON_DAYS * 24 * 60 * MINUTE_MS;
+  const slots = [];
+
+  for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_MINUTES) {
+    const slot = new Date(day);
+    slot.setHours(0, minutes, 0, 0);
+    if (slot.getTime() >= earliest && slot.getTime() <= latest) {
+      slots.push(slot);
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Days with at least one bookable pickup time, starting today
+ */
+const bookableDays = () => {
+  const days = [];
+  for (let offset = 0; offset <= HORIZON_DAYS; offset++) {
+    const day = new Date();
+    day.setDate(day.getDate() + offset);
+    day.setHours(0, 0, 0, 0);
+    if (slotsForDay(day).length > 0) {
+      days.push(day);
+    }
+  }
+  return days;
+};
+
+const dayLabel = (day) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const offset = Math.round((day - today) / (24 * 60 * MINUTE_MS));
+
+  if (offset === 0) return 'Today';
+  if (offset === 1) return 'Tomorrow';
+  return day.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+export const formatPickupTime = (date) => (
+  `${dayLabel(new Date(new Date(date).setHours(0, 0, 0, 0)))}, ` +
+  new Date(date).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })
+);
+
+/**
+ * Choose between booking now and a pickup time within the booking window
+ * value is null for now, or the chosen Date
+ */
+const ScheduleSelector = ({ value, onChange, allowNow = true }) => {
+  const [days] = useState(bookableDays);
+  const [dayIndex, setDayIndex] = useState(() => {
+    if (!value) return 0;
+    const index = days.findIndex(day => day.toDateString() === new Date(value).toDateString());
+    return Math.max(index, 0);
+  });
+  const [scheduling, setScheduling] = useState(!allowNow || Boolean(value));
+
+  const slots = days.length > 0 ? slotsForDay(days[dayIndex]) : [];
+
+  const selectNow = () => {
+    setScheduling(false);
+    onChange(null);
+  };
+
+  const selectLater = () => {
+    setScheduling(true);
+    if (!value && slots.length > 0) {
+      onChange(slots[0]);
+    }
+  };
+
+  const selectDay = (index) => {
+    setDayIndex(index);
+    const daySlots = slotsForDay(days[index]);
+    if (daySlots.length > 0) {
+      onChange(daySlots[0]);
+    }
+  };
+
+  const renderOption = (id, title, subtitle, icon, isSelected, onPress) => (
+    <TouchableOpacity
+      key={id}
+      style={[styles.option, isSelected && styles.selectedOption]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      <Icon name={icon} size={24} color={isSelected ? '#FF6B35' : '#4CAF50'} />
+      <View style={styles.text}>
+        <Text style={[styles.title, isSelected && styles.selectedText]}>{title}</Text>
+        <Text style={styles.subtitle}>{subtitle}</Text>
+      </View>
+      <Icon
+        name={isSelected ? 'radiobox-marked' : 'radiobox-blank'}
+        size={20}
+        color={isSelected ? '#FF6B35' : '#CCCCCC'}
+      />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      {allowNow && renderOption('now', 'Now', 'Find a driver right away', 'flash', !scheduling, selectNow)}
+      {allowNow && renderOption(
+        'later',
+        'Schedule',
+        value ? formatPickupTime(value) : `Book up to ${HORIZON_DAYS} days ahead`,
+        'calendar-clock',
+        scheduling,
+        selectLater
+      )}
+
+      {scheduling && (
+        <View style={styles.picker}>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {days.map((day, index) => (
+              <TouchableOpacity
+                key={day.toISOString()}
+                style={[styles.chip, index === dayIndex && styles.selectedChip]}
+                onPress={() => selectDay(index)}
+              >
+                <Text style={[styles.chipText, index === dayIndex && styles.selectedChipText]}>
+                  {dayLabel(day)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.slots}>
+            {slots.map(slot => {
+              const isSelected = value && new Date(value).getTime() === slot.getTime();
+
+              return (
+                <TouchableOpacity
+                  key={slot.toISOString()}
+                  style={[styles.chip, isSelected && styles.selectedChip]}
+                  onPress={() => onChange(slot)}
+                >
+                  <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>
+                    {slot.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <Text style={styles.hint}>
+            We start looking for a driver shortly before your pickup time and remind you beforehand.
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    backgroundColor: '#F8F9FA',
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  selectedOption: {
+    backgroundColor: '#FFF5F0',
+    borderColor: '#FF6B35',
+  },
+  text: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    color: '#333333',
+    fontWeight: '600',
+  },
+  selectedText: {
+    color: '#FF6B35',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666666',
+    marginTop: 2,
+  },
+  picker: {
+    marginTop: 4,
+  },
+  slots: {
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F8F9FA',
+  },
+  selectedChip: {
+    backgroundColor: '#FFF5F0',
+    borderColor: '#FF6B35',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  selectedChipText: {
+    color: '#FF6B35',
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999999',
+    marginTop: 8,
+  },
+});
+
+export default ScheduleSelector;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const secondsLeft = (expiresAt) =>
+  Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+
+const TripOfferCard = ({ request, onAccept, onDecline, onExpire, loading }) => {
+  const expiresAt = request.offer?.expiresAt;
+  const [remaining, setRemaining] = useState(expiresAt ? secondsLeft(expiresAt) : null);
+
+  // Count down the offer until it runs out
+  useEffect(() => {
+    if (!expiresAt) {
+      setRemaining(null);
+      return;
+    }
+
+    setRemaining(secondsLeft(expiresAt));
+    const timer = setInterval(() => {
+      const left = secondsLeft(expiresAt);
+      setRemaining(left);
+      if (left === 0) {
+        clearInterval(timer);
+        onExpire && onExpire(request);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  const isDelivery = request.tripType === 'delivery';
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.tripType}>
+          <Icon
+            name={isDelivery ? 'package-variant-closed' : 'car'}
+            size={20}
+            color="#FF6B35"
+          />
+          <Text style={styles.tripTypeText}>
+            {isDelivery ? 'Delivery Request' : 'Ride Request'}
+          </Text>
+        </View>
+        {remaining !== null && (
+          <View style={[styles.countdown, remaining <= 5 && styles.countdownUrgent]}>
+            <Icon name="timer-outline" size={14} color="white" />
+            <Text style={styles.countdownText}>{remaining}s</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.route}>
+        <View style={styles.routeRow}>
+          <Icon name="circle-slice-8" size={16} color="#4CAF50" />
+          <Text style={styles.address} numberOfLines={1}>{request.pickup.address}</Text>
+        </View>
+        <View style={styles.routeRow}>
+          <Icon name="map-marker" size={16} color="#F44336" />
+          <Text style={styles.address} numberOfLines={1}>{request.destination.address}</Text>
+        </View>
+      </View>
+
+      <View style={styles.stats}>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{request.distance} km</Text>
+          <Text style={styles.statLabel}>To pickup</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{request.estimatedDistance} km</Text>
+          <Text style={styles.statLabel}>Trip</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={[styles.statValue, styles.fare]}>₹{request.fare}</Text>
+          <Text style={styles.statLabel}>Fare</Text>
+        </View>
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.button, styles.declineButton]}
+          onPress={() => onDecline(request)}
+          disabled={loading}
+        >
+          <Text style={styles.declineText}>Decline</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.acceptButton]}
+          onPress={() => onAccept(request)}
+          disabled={loading || remaining === 0}
+        >
+          {loading ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            <Text style={styles.acceptText}>Accept</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  tripType: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tripTypeText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  countdown: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF9800',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  countdownUrgent: {
+    backgroundColor: '#F44336',
+  },
+  countdownText: {
+    marginLeft: 4,
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  route: {
+    marginBottom: 12,
+  },
+  routeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  address: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  stats: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#EEEEEE',
+    marginBottom: 12,
+  },
+  stat: {
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  fare: {
+    color: '#FF6B35',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  declineButton: {
+    backgroundColor: '#F5F5F5',
+    marginRight: 8,
+  },
+  acceptButton: {
+    backgroundColor: '#4CAF50',
+    marginLeft: 8,
+  },
+  declineText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  acceptText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default TripOfferCard;
@@ -10,37 +10,11 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
 const { width } = Dimensions.get('window');
 
-const VehicleTypeSelector = ({ selected, onSelect, fareEstimates }) => {
-  const vehicleTypes = [
-    {
-      id: 'economy',
-      name: 'Economy',
-      icon: 'car',
-      description: 'Affordable rides',
-      capacity: '4 seats',
-      time: '2 min',
-    },
-    {
-      id: 'comfort',
-      name: 'Comfort',
-      icon: 'car-sports',
-      description: 'Comfortable cars',
-      capacity: '4 seats',
-      time: '3 min',
-    },
-    {
-      id: 'xl',
-      name: 'XL',
-      icon: 'car-estate',
-      description: 'For larger groups',
-      capacity: '6 seats',
-      time: '5 min',
-    },
-  ];
-
+// Ride classes come from the backend vehicle catalog (GET /vehicles)
+const VehicleTypeSelector = ({ serviceClasses, selected, onSelect, fareEstimates }) => {
   return (
     <View style={styles.container}>
-      {vehicleTypes.map((vehicle) => {
+      {serviceClasses.map((vehicle) => {
         const fare = fareEstimates[vehicle.id];
         const isSelected = selected === vehicle.id;
 
@@ -65,18 +39,20 @@ const VehicleTypeSelector = ({ selected, onSelect, fareEstimates }) => {
                     {vehicle.name}
                   </Text>
                   <Text style={[styles.fare, isSelected && styles.selectedFare]}>
-                    ₹{fare.total}
+                    {fare ? `₹${fare.total}` : '--'}
                   </Text>
                 </View>
                 <Text style={styles.description}>{vehicle.description}</Text>
                 <View style={styles.vehicleStats}>
                   <View style={styles.stat}>
                     <Icon name="account-group" size={14} color="#666666" />
-                    <Text style={styles.statText}>{vehicle.capacity}</Text>
+                    <Text style={styles.statText}>{vehicle.seats} seats</Text>
                   </View>
                   <View style={styles.stat}>
-                    <Icon name="clock" size={14} color="#666666" />
-                    <Text style={styles.statText}>{vehicle.time}</Text>
+                    <Icon name="bag-suitcase" size={14} color="#666666" />
+                    <Text style={styles.statText}>
+                      {vehicle.luggage} {vehicle.luggage === 1 ? 'bag' : 'bags'}
+                    </Text>
                   </View>
                 </View>
               </View>
@@ -0,0 +1,84 @@
+/**
+ * Real-time Configuration
+ * WebSocket connection to the backend trip channel for live trip status
+ * and driver location. Reconnects with backoff until closed.
+ */
+
+import Config from 'react-native-config';
+import {auth} from './firebase';
+
+const API_BASE_URL = Config.API_BASE_URL || 'http://localhost:3000/api';
+const SOCKET_URL = `${API_BASE_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '')}/ws`;
+
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+/**
+ * Open the trip channel
+ * onOpen(send) runs after every (re)connect, so subscribe there;
+ * onMessage receives each parsed server message.
+ * Returns {send, close}
+ */
+export const createRealtimeConnection = ({onOpen, onMessage}) => {
+  let socket = null;
+  let closed = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+
+  const send = message => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    const delay = RECONNECT_DELAYS_MS[Math.min(attempts, RECONNECT_DELAYS_MS.length - 1)];
+    attempts += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    try {
+      const token = await auth().currentUser?.getIdToken();
+      if (closed) return;
+
+      socket = new WebSocket(SOCKET_URL, null, {
+        headers: {Authorization: `Bearer ${token}`},
+      });
+    } catch (error) {
+      console.error('Realtime connection error:', error);
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      attempts = 0;
+      if (onOpen) onOpen(send);
+    };
+
+    socket.onmessage = event => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Realtime message error:', error);
+      }
+    };
+
+    socket.onerror = error => {
+      console.error('Realtime socket error:', error.message);
+    };
+
+    socket.onclose = scheduleReconnect;
+  };
+
+  connect();
+
+  return {
+    send,
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    },
+  };
+};
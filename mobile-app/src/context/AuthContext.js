@@ -4,12 +4,24 @@
  */
 
 import React, {createContext, useState, useEffect, useContext} from 'react';
-import {auth, firestore} from '../config/firebase';
+import {Platform} from 'react-native';
+import {auth, firestore, messaging} from '../config/firebase';
 import api from '../config/api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const AuthContext = createContext({});
 
+/**
+ * Register this device's push token with the backend
+ */
+const registerDevice = async (token) => {
+  try {
+    await api.post('/auth/devices', {token, platform: Platform.OS});
+  } catch (error) {
+    console.error('Error registering device:', error);
+  }
+};
+
 export const AuthProvider = ({children}) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -33,6 +45,7 @@ export const AuthProvider = ({children}) => {
             };
             setUser(userData);
             await AsyncStorage.setItem('user', JSON.stringify(userData));
+            await registerForPushNotifications();
           }
         } catch (error) {
           console.error('Error fetching user data:', error);
@@ -47,6 +60,30 @@ export const AuthProvider = ({children}) => {
     return unsubscribe;
   }, []);
 
+  // Keep the backend's copy of the push token current
+  useEffect(() => {
+    if (!user?.uid) return;
+    return messaging().onTokenRefresh(registerDevice);
+  }, [user?.uid]);
+
+  /**
+   * Ask for notification permission and register the push token
+   */
+  const registerForPushNotifications = async () => {
+    try {
+      const status = await messaging().requestPermission();
+      const enabled =
+        status === messaging.AuthorizationStatus.AUTHORIZED ||
+        status === messaging.AuthorizationStatus.PROVISIONAL;
+
+      if (enabled) {
+        await registerDevice(await messaging().getToken());
+      }
+    } catch (error) {
+      console.error('Error enabling push notifications:', error);
+    }
+  };
+
   /**
    * Send OTP to phone number
    */
@@ -80,6 +117,14 @@ export const AuthProvider = ({children}) => {
    */
   const signOut = async () => {
     try {
+      // Stop pushes to this device for the signed-out account
+      try {
+        const token = await messaging().getToken();
+        await api.delete('/auth/devices', {data: {token}});
+      } catch (error) {
+        console.error('Error unregistering device:', error);
+      }
+
       await auth().signOut();
       setUser(null);
       await AsyncStorage.removeItem('user');
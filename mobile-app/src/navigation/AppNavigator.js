@@ -11,6 +11,7 @@ import HomeScreen from '../screens/app/HomeScreen';
 import ProfileScreen from '../screens/app/ProfileScreen';
 import TripHistoryScreen from '../screens/app/TripHistoryScreen';
 import RideTrackingScreen from '../screens/app/RideTrackingScreen';
+import DeliveryTrackingScreen from '../screens/app/DeliveryTrackingScreen';
 import DeliveryWizardScreen from '../screens/app/DeliveryWizardScreen';
 import DriverRegistrationScreen from '../screens/app/DriverRegistrationScreen';
 
@@ -32,6 +33,11 @@ const HomeStack = () => {
         component={DeliveryWizardScreen}
         options={{ headerShown: false }}
       />
+      <Stack.Screen
+        name="DeliveryTracking"
+        component={DeliveryTrackingScreen}
+        options={{ headerShown: false }}
+      />
       <Stack.Screen
         name="DriverRegistration"
         component={DriverRegistrationScreen}
@@ -0,0 +1,868 @@
+/**
+ * Delivery Tracking Screen
+ * Real-time delivery tracking for the sender after booking
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Image,
+  Linking,
+  ScrollView,
+} from 'react-native';
+import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import api from '../../config/api';
+import { messaging } from '../../config/firebase';
+import { createRealtimeConnection } from '../../config/realtime';
+import RatingModal from '../../components/RatingModal';
+import { formatPickupTime } from '../../components/ScheduleSelector';
+
+// Timeline steps and the delivery timestamp that marks each one done
+const TIMELINE = [
+  { key: 'requested', label: 'Requested', timestamp: 'createdAt', statuses: ['scheduled', 'requested', 'confirmed', 'arriving', 'picked_up', 'in_transit', 'completed'] },
+  { key: 'accepted', label: 'Driver Accepted', timestamp: 'acceptedAt', statuses: ['confirmed', 'arriving', 'picked_up', 'in_transit', 'completed'] },
+  { key: 'picked_up', label: 'Picked Up', timestamp: 'pickedUpAt', statuses: ['picked_up', 'in_transit', 'completed'] },
+  { key: 'in_transit', label: 'In Transit', timestamp: 'inTransitAt', statuses: ['in_transit', 'completed'] },
+  { key: 'completed', label: 'Delivered', timestamp: 'completedAt', statuses: ['completed'] },
+];
+
+const STATUS_TEXT = {
+  scheduled: 'Scheduled',
+  requested: 'Finding a Driver...',
+  confirmed: 'Driver on the way to pickup',
+  arriving: 'Driver at pickup',
+  picked_up: 'Package picked up',
+  in_transit: 'Package on the way',
+  completed: 'Package Delivered',
+  cancelled: 'Delivery Cancelled',
+  expired: 'No Drivers Available',
+};
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'expired'];
+
+const DeliveryTrackingScreen = ({ route, navigation }) => {
+  const { deliveryId } = route.params;
+
+  const [delivery, setDelivery] = useState(null);
+  const [pickupCode, setPickupCode] = useState(null);
+  const [driverLocation, setDriverLocation] = useState(null);
+  const [proof, setProof] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showRating, setShowRating] = useState(false);
+
+  const mapRef = useRef(null);
+  const connectionRef = useRef(null);
+  const finishedRef = useRef(false);
+
+  // Fetch signed links to the proof of delivery
+  const fetchProof = async () => {
+    try {
+      const response = await api.get(`/deliveries/${deliveryId}/proof`);
+      setProof(response.proof);
+    } catch (error) {
+      console.error('Error fetching delivery proof:', error);
+    }
+  };
+
+  // Tell the sender once when the delivery ends
+  const handleFinished = (deliveryData) => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+
+    if (connectionRef.current) {
+      connectionRef.current.close();
+    }
+
+    if (deliveryData.status === 'completed') {
+      if (deliveryData.proof) {
+        fetchProof();
+      }
+      setTimeout(() => {
+        Alert.alert(
+          'Package Delivered!',
+          `Your package was delivered to ${deliveryData.destination.contactName}. Fare: ₹${deliveryData.fare}`,
+          [
+            ...(deliveryData.driverRating ? [] : [{ text: 'Rate Driver', onPress: () => setShowRating(true) }]),
+            { text: 'OK' }
+          ]
+        );
+      }, 1000);
+    } else if (deliveryData.status === 'expired') {
+      setTimeout(() => {
+        Alert.alert(
+          'No Drivers Available',
+          'We could not find a driver for this delivery. Please try booking again.',
+          [
+            { text: 'OK', onPress: () => navigation.navigate('Home') }
+          ]
+        );
+      }, 1000);
+    } else if (deliveryData.cancelledBy && deliveryData.cancelledBy !== 'sender') {
+      setTimeout(() => {
+        Alert.alert(
+          'Delivery Cancelled',
+          deliveryData.cancellationReason || 'Your delivery has been cancelled.',
+          [
+            { text: 'OK', onPress: () => navigation.navigate('Home') }
+          ]
+        );
+      }, 1000);
+    }
+  };
+
+  // Fetch delivery status from backend
+  const fetchDeliveryStatus = async () => {
+    try {
+      const response = await api.get(`/deliveries/${deliveryId}`);
+      const deliveryData = response.delivery;
+
+      setDelivery(deliveryData);
+      setPickupCode(response.pickupCode);
+
+      if (deliveryData.driver?.currentLocation) {
+        setDriverLocation({
+          latitude: deliveryData.driver.currentLocation.latitude,
+          longitude: deliveryData.driver.currentLocation.longitude
+        });
+      }
+
+      if (FINISHED_STATUSES.includes(deliveryData.status)) {
+        handleFinished(deliveryData);
+      }
+
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching delivery status:', error);
+      setError('Failed to fetch delivery status');
+    }
+  };
+
+  // Follow the delivery live over the trip channel
+  useEffect(() => {
+    fetchDeliveryStatus(); // Initial fetch
+
+    const connection = createRealtimeConnection({
+      onOpen: send => {
+        send({ type: 'subscribe', tripType: 'delivery', tripId: deliveryId });
+        // Catch up on anything missed while disconnected
+        fetchDeliveryStatus();
+      },
+      onMessage: message => {
+        if (message.tripId !== deliveryId) return;
+
+        if (message.type === 'subscribed' && message.driverLocation) {
+          setDriverLocation({
+            latitude: message.driverLocation.latitude,
+            longitude: message.driverLocation.longitude
+          });
+        } else if (message.type === 'status') {
+          fetchDeliveryStatus();
+        } else if (message.type === 'location') {
+          setDriverLocation({
+            latitude: message.latitude,
+            longitude: message.longitude
+          });
+        }
+      },
+    });
+    connectionRef.current = connection;
+
+    return () => {
+      connection.close();
+      connectionRef.current = null;
+    };
+  }, [deliveryId]);
+
+  // Refresh straight away when a push arrives for this delivery
+  useEffect(() => {
+    const unsubscribe = messaging().onMessage(async remoteMessage => {
+      if (remoteMessage.data?.deliveryId === deliveryId) {
+        fetchDeliveryStatus();
+      }
+    });
+
+    return unsubscribe;
+  }, [deliveryId]);
+
+  // Fit map to show all markers
+  useEffect(() => {
+    if (mapRef.current && delivery) {
+      const markers = [
+        { latitude: delivery.pickup.latitude, longitude: delivery.pickup.longitude },
+        { latitude: delivery.destination.latitude, longitude: delivery.destination.longitude },
+      ];
+
+      if (driverLocation) {
+        markers.push(driverLocation);
+      }
+
+      mapRef.current.fitToCoordinates(markers, {
+        edgePadding: { top: 100, right: 50, bottom: 300, left: 50 },
+        animated: true,
+      });
+    }
+  }, [driverLocation, delivery?.id]);
+
+  // Handle call or message driver
+  const handleContactDriver = () => {
+    const driver = delivery?.driver;
+    if (driver?.phoneNumber) {
+      Alert.alert(
+        'Contact Driver',
+        `How would you like to contact ${driver.name}?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Message',
+            onPress: () => Linking.openURL(`sms:${driver.phoneNumber}`)
+          },
+          {
+            text: 'Call',
+            onPress: () => Linking.openURL(`tel:${driver.phoneNumber}`)
+          }
+        ]
+      );
+    }
+  };
+
+  // Handle cancel delivery, showing any fee before the sender confirms
+  const handleCancelDelivery = async () => {
+    let feeMessage = '';
+    try {
+      setLoading(true);
+      const preview = await api.get(`/deliveries/${deliveryId}/cancellation-preview`);
+      feeMessage = preview.cancellationFee > 0
+        ? `\n\nA cancellation fee of ₹${preview.cancellationFee} will be charged.${preview.reason ? ` ${preview.reason}.` : ''}`
+        : '\n\nYou can cancel for free.';
+    } catch (error) {
+      Alert.alert('Cannot Cancel', error.message || 'This delivery can no longer be cancelled.');
+      return;
+    } finally {
+      setLoading(false);
+    }
+
+    Alert.alert(
+      'Cancel Delivery',
+      `Are you sure you want to cancel this delivery?${feeMessage}`,
+      [
+        { text: 'No', style: 'cancel' },
+        {
+          text: 'Yes, Cancel',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setLoading(true);
+              const response = await api.put(`/deliveries/${deliveryId}/cancel`, {
+                reason: 'Sender cancelled'
+              });
+
+              const chargedMessage = response.cancellationFee > 0
+                ? ` A cancellation fee of ₹${response.cancellationFee} was ${response.cancellationFeeChargedVia === 'wallet' ? 'charged to your wallet' : 'added to the amount you owe'}.`
+                : '';
+              Alert.alert('Delivery Cancelled', `Your delivery has been cancelled.${chargedMessage}`);
+              navigation.navigate('Home');
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to cancel delivery. Please try again.');
+            } finally {
+              setLoading(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Format time
+  const formatTime = (date) => {
+    if (!date) return '';
+    const d = date._seconds ? new Date(date._seconds * 1000) : new Date(date);
+    return d.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  if (!delivery) {
+    return (
+      <View style={styles.loadingContainer}>
+        {error ? (
+          <>
+            <Text style={styles.loadingText}>{error}</Text>
+            <TouchableOpacity onPress={fetchDeliveryStatus}>
+              <Text style={styles.retryLink}>Retry</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <ActivityIndicator size="large" color="#FF6B35" />
+        )}
+      </View>
+    );
+  }
+
+  const { pickup, destination, driver, status } = delivery;
+  const isFinished = FINISHED_STATUSES.includes(status);
+  const isBeforePickup = ['scheduled', 'requested', 'confirmed', 'arriving'].includes(status);
+  const scheduledFor = delivery.scheduledFor?._seconds
+    ? new Date(delivery.scheduledFor._seconds * 1000)
+    : delivery.scheduledFor;
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-left" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Delivery Tracking</Text>
+          <Text style={styles.deliveryId}>Delivery #{deliveryId.slice(-6)}</Text>
+        </View>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {/* Map */}
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        provider={PROVIDER_GOOGLE}
+        initialRegion={{
+          latitude: (pickup.latitude + destination.latitude) / 2,
+          longitude: (pickup.longitude + destination.longitude) / 2,
+          latitudeDelta: Math.abs(pickup.latitude - destination.latitude) * 1.5 || 0.05,
+          longitudeDelta: Math.abs(pickup.longitude - destination.longitude) * 1.5 || 0.05,
+        }}
+      >
+        <Marker
+          coordinate={{ latitude: pickup.latitude, longitude: pickup.longitude }}
+          title="Pickup"
+          description={pickup.address}
+          pinColor="#4CAF50"
+        />
+        <Marker
+          coordinate={{ latitude: destination.latitude, longitude: destination.longitude }}
+          title="Drop-off"
+          description={destination.address}
+          pinColor="#FF6B35"
+        />
+
+        {driverLocation && !isFinished && (
+          <Marker
+            coordinate={driverLocation}
+            title="Driver Location"
+            description={driver?.name || 'Your driver'}
+            pinColor="#2196F3"
+          />
+        )}
+
+        {driverLocation && !isFinished && (
+          <Polyline
+            coordinates={[
+              driverLocation,
+              ...(isBeforePickup ? [{ latitude: pickup.latitude, longitude: pickup.longitude }] : []),
+              { latitude: destination.latitude, longitude: destination.longitude },
+            ]}
+            strokeColor="#FF6B35"
+            strokeWidth={3}
+            lineDashPattern={[10, 5]}
+          />
+        )}
+      </MapView>
+
+      {/* Bottom Panel */}
+      <View style={styles.bottomPanel}>
+        <ScrollView>
+          {/* Status Display */}
+          <View style={styles.statusContainer}>
+            <View style={styles.statusIcon}>
+              {status === 'scheduled' && <Icon name="calendar-clock" size={24} color="#FF6B35" />}
+              {status === 'requested' && <ActivityIndicator size="small" color="#FF6B35" />}
+              {['confirmed', 'arriving'].includes(status) && <Icon name="moped" size={24} color="#4CAF50" />}
+              {['picked_up', 'in_transit'].includes(status) && <Icon name="package-variant" size={24} color="#9C27B0" />}
+              {status === 'completed' && <Icon name="check-circle" size={24} color="#4CAF50" />}
+              {['cancelled', 'expired'].includes(status) && <Icon name="close-circle" size={24} color="#F44336" />}
+            </View>
+            <View style={styles.statusTextContainer}>
+              <Text style={styles.statusText}>{STATUS_TEXT[status] || 'Processing...'}</Text>
+              <Text style={styles.statusSubtext}>
+                To {destination.contactName} • ₹{delivery.fare}
+              </Text>
+              {status === 'scheduled' && scheduledFor && (
+                <Text style={styles.statusSubtext}>
+                  Pickup {formatPickupTime(scheduledFor)}
+                </Text>
+              )}
+            </View>
+          </View>
+
+          {/* Pickup code for the driver */}
+          {pickupCode && isBeforePickup && (
+            <View style={styles.codeContainer}>
+              <Text style={styles.codeLabel}>Pickup code for your driver</Text>
+              <Text style={styles.codeValue}>{pickupCode}</Text>
+            </View>
+          )}
+
+          {/* Timeline */}
+          {!['cancelled', 'expired'].includes(status) && (
+            <View style={styles.timelineContainer}>
+              {TIMELINE.map((step, index) => {
+                const done = step.statuses.includes(status);
+
+                return (
+                  <View key={step.key} style={styles.timelineRow}>
+                    <View style={styles.timelineMarker}>
+                      <Icon
+                        name={done ? 'check-circle' : 'circle-outline'}
+                        size={20}
+                        color={done ? '#4CAF50' : '#CCCCCC'}
+                      />
+                      {index < TIMELINE.length - 1 && (
+                        <View style={[styles.timelineLine, done && styles.timelineLineDone]} />
+                      )}
+                    </View>
+                    <Text style={[styles.timelineLabel, done && styles.timelineLabelDone]}>
+                      {step.label}
+                    </Text>
+                    <Text style={styles.timelineTime}>
+                      {done ? formatTime(delivery[step.timestamp]) : ''}
+                    </Text>
+                  </View>
+                );
+              })}
+            </View>
+          )}
+
+          {/* Driver Info */}
+          {driver && (
+            <View style={styles.driverInfoContainer}>
+              <View style={styles.driverDetails}>
+                <View style={styles.driverAvatar}>
+                  <Icon name="account" size={32} color="#FFFFFF" />
+                </View>
+                <View style={styles.driverInfo}>
+                  <Text style={styles.driverName}>{driver.name}</Text>
+                  <Text style={styles.vehicleInfo}>
+                    {driver.vehicleInfo?.make} {driver.vehicleInfo?.model} • {driver.vehicleInfo?.licensePlate}
+                  </Text>
+                  <Text style={styles.rating}>
+                    ⭐ {driver.rating || 'New'} • {driver.totalDeliveries || 0} deliveries
+                  </Text>
+                </View>
+              </View>
+              {!isFinished && (
+                <TouchableOpacity
+                  style={styles.contactButton}
+                  onPress={handleContactDriver}
+                >
+                  <Icon name="phone" size={20} color="#FFFFFF" />
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {/* Proof of delivery */}
+          {proof && (
+            <View style={styles.proofContainer}>
+              <Text style={styles.sectionTitle}>Proof of Delivery</Text>
+              <View style={styles.proofImages}>
+                {proof.photos.map(photo => (
+                  <Image key={photo.url} source={{ uri: photo.url }} style={styles.proofImage} />
+                ))}
+                {proof.signature && (
+                  <Image
+                    source={{ uri: proof.signature.url }}
+                    style={[styles.proofImage, styles.signatureImage]}
+                    resizeMode="contain"
+                  />
+                )}
+              </View>
+            </View>
+          )}
+
+          {/* Trip Details */}
+          <View style={styles.tripDetailsContainer}>
+            <View style={styles.tripDetailRow}>
+              <Icon name="map-marker" size={16} color="#4CAF50" />
+              <Text style={styles.tripDetailText} numberOfLines={1}>
+                {pickup.address}
+              </Text>
+            </View>
+            <Icon name="arrow-down" size={16} color="#666" style={styles.arrowIcon} />
+            <View style={styles.tripDetailRow}>
+              <Icon name="map-marker" size={16} color="#FF6B35" />
+              <Text style={styles.tripDetailText} numberOfLines={1}>
+                {destination.address}
+              </Text>
+            </View>
+          </View>
+
+          {/* Action Buttons */}
+          <View style={styles.actionButtons}>
+            {isBeforePickup && (
+              <TouchableOpacity
+                style={[styles.cancelButton, loading && styles.disabledButton]}
+                onPress={handleCancelDelivery}
+                disabled={loading}
+              >
+                {loading ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.cancelButtonText}>Cancel Delivery</Text>
+                )}
+              </TouchableOpacity>
+            )}
+            {isFinished && (
+              <TouchableOpacity
+                style={styles.homeButton}
+                onPress={() => navigation.navigate('Home')}
+              >
+                <Text style={styles.homeButtonText}>Back to Home</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </ScrollView>
+      </View>
+
+      {/* Rate the driver once the package is delivered */}
+      <RatingModal
+        visible={showRating}
+        tripType="delivery"
+        tripId={deliveryId}
+        ratee="driver"
+        name={driver?.name}
+        onClose={() => setShowRating(false)}
+        onRated={() => {
+          setShowRating(false);
+          Alert.alert('Thank you!', 'Your rating helps keep Quick Pickup safe and reliable.');
+        }}
+      />
+
+      {/* Error Display */}
+      {error && (
+        <View style={styles.errorContainer}>
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity onPress={fetchDeliveryStatus}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F5F5F5',
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 8,
+  },
+  retryLink: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#FF6B35',
+  },
+  header: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    backgroundColor: '#FF6B35',
+    paddingTop: 50,
+    paddingBottom: 16,
+    paddingHorizontal: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    zIndex: 1,
+    elevation: 3,
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerContent: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  deliveryId: {
+    fontSize: 12,
+    color: '#FFFFFF',
+    opacity: 0.8,
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  map: {
+    flex: 1,
+  },
+  bottomPanel: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    maxHeight: '60%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  statusContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  statusIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#F8F9FA',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 16,
+  },
+  statusTextContainer: {
+    flex: 1,
+  },
+  statusText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333333',
+    marginBottom: 4,
+  },
+  statusSubtext: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  codeContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 16,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#FFF5F0',
+  },
+  codeLabel: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  codeValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    letterSpacing: 4,
+    color: '#FF6B35',
+  },
+  timelineContainer: {
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  timelineMarker: {
+    alignItems: 'center',
+    width: 24,
+    marginRight: 12,
+  },
+  timelineLine: {
+    width: 2,
+    height: 16,
+    backgroundColor: '#E0E0E0',
+  },
+  timelineLineDone: {
+    backgroundColor: '#4CAF50',
+  },
+  timelineLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#999999',
+    lineHeight: 20,
+  },
+  timelineLabelDone: {
+    color: '#333333',
+    fontWeight: '600',
+  },
+  timelineTime: {
+    fontSize: 12,
+    color: '#666666',
+    lineHeight: 20,
+  },
+  driverInfoContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  driverDetails: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  driverAvatar: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#FF6B35',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  driverInfo: {
+    flex: 1,
+  },
+  driverName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333333',
+    marginBottom: 4,
+  },
+  vehicleInfo: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 2,
+  },
+  rating: {
+    fontSize: 12,
+    color: '#FF6B35',
+  },
+  contactButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#4CAF50',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  proofContainer: {
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333333',
+    marginBottom: 12,
+  },
+  proofImages: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  proofImage: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: '#F0F0F0',
+  },
+  signatureImage: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  tripDetailsContainer: {
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  tripDetailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  tripDetailText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666666',
+    marginLeft: 8,
+  },
+  arrowIcon: {
+    alignSelf: 'center',
+    marginVertical: 4,
+  },
+  actionButtons: {
+    padding: 20,
+  },
+  cancelButton: {
+    backgroundColor: '#F44336',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  cancelButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  homeButton: {
+    backgroundColor: '#FF6B35',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  homeButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  errorContainer: {
+    position: 'absolute',
+    top: 100,
+    left: 20,
+    right: 20,
+    backgroundColor: '#F44336',
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  errorText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  retryText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default DeliveryTrackingScreen;
@@ -3,7 +3,7 @@
  * 3-step wizard for delivery booking: Location, Package Details, Confirmation
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -12,31 +12,35 @@ import {
   Alert,
   ScrollView,
   TextInput,
+  Switch,
   Dimensions,
   ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
-import { useAuth } from '../../context/AuthContext';
 import api from '../../config/api';
+import PaymentMethodSelector from '../../components/PaymentMethodSelector';
+import ScheduleSelector, { formatPickupTime } from '../../components/ScheduleSelector';
 
 const { width, height } = Dimensions.get('window');
 
 const DeliveryWizardScreen = ({ route, navigation }) => {
   const { pickup, destination } = route.params;
-  const { user } = useAuth();
 
   const [currentStep, setCurrentStep] = useState(1);
   const [loading, setLoading] = useState(false);
-  const [deliveryFee, setDeliveryFee] = useState(0);
-  const [estimatedTime, setEstimatedTime] = useState(0);
+  const [estimate, setEstimate] = useState(null);
 
   // Package details state
-  const [packageType, setPackageType] = useState('Document');
+  const [packageType, setPackageType] = useState('document');
+  const [sizeBand, setSizeBand] = useState('small');
+  const [insurance, setInsurance] = useState(false);
   const [recipientName, setRecipientName] = useState('');
   const [recipientPhone, setRecipientPhone] = useState('');
   const [specialInstructions, setSpecialInstructions] = useState('');
   const [packageValue, setPackageValue] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [scheduledFor, setScheduledFor] = useState(null);
 
   // Map region for step 1
   const [mapRegion, setMapRegion] = useState({
@@ -46,51 +50,72 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
     longitudeDelta: Math.abs(pickup.longitude - destination.longitude) * 1.5,
   });
 
-  // Package types
-  const packageTypes = ['Document', 'Food', 'Parcel', 'Clothing', 'Electronics', 'Other'];
-
-  // Calculate delivery fee on mount
-  useEffect(() => {
-    calculateDeliveryFee();
-  }, [pickup, destination]);
+  // Package types accepted by the server
+  const packageTypes = [
+    { value: 'document', label: 'Document' },
+    { value: 'package', label: 'Parcel' },
+    { value: 'food', label: 'Food' },
+    { value: 'electronics', label: 'Electronics' },
+    { value: 'other', label: 'Other' },
+  ];
+
+  const sizeBands = [
+    { value: 'small', label: 'Small', description: 'Up to 2 kg' },
+    { value: 'medium', label: 'Medium', description: '2 - 10 kg' },
+    { value: 'large', label: 'Large', description: '10 - 25 kg' },
+  ];
+
+  const breakdownLabels = {
+    base: 'Base Fare',
+    distance: 'Distance',
+    time: 'Time',
+    packageType: 'Package Handling',
+    size: 'Size Surcharge',
+    highValueHandling: 'High Value Handling',
+    insurance: 'Insurance',
+    serviceFee: 'Service Fee',
+  };
 
-  const calculateDeliveryFee = async () => {
+  const fetchEstimate = async () => {
     try {
-      // Simple distance calculation using Haversine formula
-      const R = 3959; // Earth's radius in miles
-      const dLat = (destination.latitude - pickup.latitude) * Math.PI / 180;
-      const dLon = (destination.longitude - pickup.longitude) * Math.PI / 180;
-      const a =
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(pickup.latitude * Math.PI / 180) * Math.cos(destination.latitude * Math.PI / 180) *
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      const distance = R * c;
-      const distanceKm = distance * 1.60934; // Convert to km
-
-      // Simple fare calculation (in production, this would be server-side)
-      const baseFare = 50;
-      const distanceFare = Math.round(distanceKm * 15);
-      const timeFare = Math.round(distanceKm * 5); // Assuming 30 km/h average
-      const totalFare = baseFare + distanceFare + timeFare;
-
-      setDeliveryFee(totalFare);
-      setEstimatedTime(Math.round(distanceKm * 2)); // Rough time estimate in minutes
+      setLoading(true);
+
+      const response = await api.post('/deliveries/estimate', {
+        pickup: {
+          latitude: pickup.latitude,
+          longitude: pickup.longitude,
+        },
+        destination: {
+          latitude: destination.latitude,
+          longitude: destination.longitude,
+        },
+        packageType,
+        sizeBand,
+        declaredValue: packageValue ? parseFloat(packageValue) : 0,
+        insurance,
+      });
+
+      setEstimate(response.estimate);
+      return true;
     } catch (error) {
-      console.error('Error calculating fee:', error);
-      setDeliveryFee(100); // Default fare
-      setEstimatedTime(30); // Default time
+      console.error('Error fetching delivery estimate:', error);
+      Alert.alert('Error', error.message || 'Failed to get delivery fare. Please try again.');
+      return false;
+    } finally {
+      setLoading(false);
     }
   };
 
-  const handleNext = () => {
+  const handleNext = async () => {
     if (currentStep === 1) {
       setCurrentStep(2);
     } else if (currentStep === 2) {
       if (!validateStep2()) {
         return;
       }
-      setCurrentStep(3);
+      if (await fetchEstimate()) {
+        setCurrentStep(3);
+      }
     }
   };
 
@@ -109,8 +134,16 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
       Alert.alert('Missing Information', 'Please enter recipient phone number');
       return false;
     }
-    if (recipientPhone.length < 10) {
-      Alert.alert('Invalid Phone', 'Please enter a valid phone number');
+    if (!/^[6-9]\d{9}$/.test(recipientPhone.replace(/^\+91/, ''))) {
+      Alert.alert('Invalid Phone', 'Please enter a valid 10-digit mobile number');
+      return false;
+    }
+    if (packageValue && isNaN(parseFloat(packageValue))) {
+      Alert.alert('Invalid Value', 'Please enter a valid package value');
+      return false;
+    }
+    if (insurance && !parseFloat(packageValue)) {
+      Alert.alert('Missing Information', 'Please enter the package value to add insurance');
       return false;
     }
     return true;
@@ -125,46 +158,40 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
       setLoading(true);
 
       const deliveryData = {
-        senderId: user.uid,
         pickup: {
           address: pickup.address,
-          coordinates: {
-            latitude: pickup.latitude,
-            longitude: pickup.longitude,
-          },
+          latitude: pickup.latitude,
+          longitude: pickup.longitude,
         },
         destination: {
           address: destination.address,
-          coordinates: {
-            latitude: destination.latitude,
-            longitude: destination.longitude,
-          },
-          contactName: recipientName,
-          contactPhone: recipientPhone,
-        },
-        packageDetails: {
-          type: packageType,
-          recipientName: recipientName,
-          recipientPhone: recipientPhone,
-          specialInstructions: specialInstructions,
-          value: packageValue ? parseFloat(packageValue) : 0,
+          latitude: destination.latitude,
+          longitude: destination.longitude,
         },
-        fare: deliveryFee,
-        distance: estimatedTime / 2, // Rough distance estimate
-        estimatedTime: estimatedTime,
+        packageType,
+        quoteId: estimate.quoteId,
+        recipientName: recipientName.trim(),
+        recipientPhone: `+91${recipientPhone.replace(/^\+91/, '')}`,
+        notes: specialInstructions,
+        paymentMethod,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
       };
 
       // Create delivery via API
       const response = await api.post('/deliveries/create', deliveryData);
 
+      const bookingMessage = scheduledFor
+        ? `Your package pickup is scheduled for ${formatPickupTime(scheduledFor)}. We will remind you before pickup.`
+        : 'Your package has been registered for delivery. A driver will be assigned shortly.';
+
       Alert.alert(
-        'Delivery Confirmed!',
-        'Your package has been registered for delivery. A driver will be assigned shortly.',
+        scheduledFor ? 'Delivery Scheduled!' : 'Delivery Confirmed!',
+        `${bookingMessage}\n\nGive the driver pickup code ${response.pickupCode} when they collect the package. The recipient gets their own code by SMS to confirm drop-off.`,
         [
           {
             text: 'Track Delivery',
             onPress: () => navigation.navigate('DeliveryTracking', {
-              deliveryId: response.id || 'mock_delivery_id'
+              deliveryId: response.delivery.id
             })
           },
           {
@@ -175,7 +202,14 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
       );
     } catch (error) {
       console.error('Error creating delivery:', error);
-      Alert.alert('Error', 'Failed to create delivery. Please try again.');
+
+      // Quotes are short-lived; fetch a fresh fare and let the user confirm it
+      if (error.message && error.message.toLowerCase().includes('quote')) {
+        await fetchEstimate();
+        Alert.alert('Fare Updated', 'Your delivery fare was refreshed. Please review and confirm again.');
+      } else {
+        Alert.alert('Error', error.message || 'Failed to create delivery. Please try again.');
+      }
     } finally {
       setLoading(false);
     }
@@ -323,20 +357,53 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
           <View style={styles.packageTypesContainer}>
             {packageTypes.map((type) => (
               <TouchableOpacity
-                key={type}
+                key={type.value}
                 style={[
                   styles.packageTypeButton,
-                  packageType === type && styles.selectedPackageType,
+                  packageType === type.value && styles.selectedPackageType,
+                ]}
+                onPress={() => setPackageType(type.value)}
+              >
+                <Text
+                  style={[
+                    styles.packageTypeText,
+                    packageType === type.value && styles.selectedPackageTypeText,
+                  ]}
+                >
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Package Size *</Text>
+          <View style={styles.sizeBandsContainer}>
+            {sizeBands.map((band) => (
+              <TouchableOpacity
+                key={band.value}
+                style={[
+                  styles.sizeBandButton,
+                  sizeBand === band.value && styles.selectedPackageType,
                 ]}
-                onPress={() => setPackageType(type)}
+                onPress={() => setSizeBand(band.value)}
               >
                 <Text
                   style={[
                     styles.packageTypeText,
-                    packageType === type && styles.selectedPackageTypeText,
+                    sizeBand === band.value && styles.selectedPackageTypeText,
+                  ]}
+                >
+                  {band.label}
+                </Text>
+                <Text
+                  style={[
+                    styles.sizeBandDescription,
+                    sizeBand === band.value && styles.selectedPackageTypeText,
                   ]}
                 >
-                  {type}
+                  {band.description}
                 </Text>
               </TouchableOpacity>
             ))}
@@ -376,6 +443,19 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
           />
         </View>
 
+        <View style={[styles.formGroup, styles.insuranceRow]}>
+          <View style={styles.insuranceText}>
+            <Text style={styles.label}>Insure Package</Text>
+            <Text style={styles.insuranceHint}>Covers the declared value against loss or damage</Text>
+          </View>
+          <Switch
+            value={insurance}
+            onValueChange={setInsurance}
+            trackColor={{ false: '#E0E0E0', true: '#81C784' }}
+            thumbColor={insurance ? '#4CAF50' : '#FFFFFF'}
+          />
+        </View>
+
         <View style={styles.formGroup}>
           <Text style={styles.label}>Special Instructions (Optional)</Text>
           <TextInput
@@ -422,7 +502,15 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
           <View style={styles.confirmationDetails}>
             <View style={styles.confirmationRow}>
               <Text style={styles.confirmationLabel}>Type:</Text>
-              <Text style={styles.confirmationValue}>{packageType}</Text>
+              <Text style={styles.confirmationValue}>
+                {packageTypes.find(type => type.value === packageType)?.label}
+              </Text>
+            </View>
+            <View style={styles.confirmationRow}>
+              <Text style={styles.confirmationLabel}>Size:</Text>
+              <Text style={styles.confirmationValue}>
+                {sizeBands.find(band => band.value === sizeBand)?.description}
+              </Text>
             </View>
             <View style={styles.confirmationRow}>
               <Text style={styles.confirmationLabel}>Recipient:</Text>
@@ -432,13 +520,13 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
               <Text style={styles.confirmationLabel}>Phone:</Text>
               <Text style={styles.confirmationValue}>{recipientPhone}</Text>
             </View>
-            {specialInstructions && (
+            {!!specialInstructions && (
               <View style={styles.confirmationRow}>
                 <Text style={styles.confirmationLabel}>Instructions:</Text>
                 <Text style={styles.confirmationValue}>{specialInstructions}</Text>
               </View>
             )}
-            {packageValue && (
+            {!!packageValue && (
               <View style={styles.confirmationRow}>
                 <Text style={styles.confirmationLabel}>Value:</Text>
                 <Text style={styles.confirmationValue}>₹{packageValue}</Text>
@@ -448,17 +536,47 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
         </View>
 
         <View style={styles.confirmationSection}>
+          <Text style={styles.confirmationTitle}>Pickup Time</Text>
+          <ScheduleSelector
+            value={scheduledFor}
+            onChange={setScheduledFor}
+          />
+        </View>
+
+        <View style={styles.confirmationSection}>
+          <Text style={styles.confirmationTitle}>Payment Method</Text>
+          <PaymentMethodSelector
+            selected={paymentMethod}
+            onSelect={setPaymentMethod}
+          />
+        </View>
+
+        <View style={[styles.confirmationSection, styles.lastConfirmationSection]}>
           <Text style={styles.confirmationTitle}>Delivery Details</Text>
-          <View style={styles.confirmationDetails}>
-            <View style={styles.confirmationRow}>
-              <Text style={styles.confirmationLabel}>Est. Time:</Text>
-              <Text style={styles.confirmationValue}>{estimatedTime} minutes</Text>
-            </View>
-            <View style={styles.confirmationRow}>
-              <Text style={styles.confirmationLabel}>Delivery Fee:</Text>
-              <Text style={styles.confirmationValue}>₹{deliveryFee}</Text>
+          {estimate && (
+            <View style={styles.confirmationDetails}>
+              <View style={styles.confirmationRow}>
+                <Text style={styles.confirmationLabel}>Distance:</Text>
+                <Text style={styles.confirmationValue}>{estimate.distance} km</Text>
+              </View>
+              <View style={styles.confirmationRow}>
+                <Text style={styles.confirmationLabel}>Est. Time:</Text>
+                <Text style={styles.confirmationValue}>{estimate.duration} minutes</Text>
+              </View>
+              {Object.keys(breakdownLabels)
+                .filter(key => estimate.breakdown[key] > 0)
+                .map(key => (
+                  <View key={key} style={styles.breakdownRow}>
+                    <Text style={styles.breakdownLabel}>{breakdownLabels[key]}</Text>
+                    <Text style={styles.breakdownValue}>₹{estimate.breakdown[key]}</Text>
+                  </View>
+                ))}
+              <View style={styles.confirmationRow}>
+                <Text style={styles.confirmationLabel}>Delivery Fee:</Text>
+                <Text style={styles.totalFareValue}>₹{estimate.fare}</Text>
+              </View>
             </View>
-          </View>
+          )}
         </View>
       </View>
     </View>
@@ -523,7 +641,7 @@ const DeliveryWizardScreen = ({ route, navigation }) => {
             <ActivityIndicator size="small" color="#FFFFFF" />
           ) : (
             <Text style={styles.nextButtonText}>
-              {currentStep === 3 ? 'Confirm Delivery' : 'Next'}
+              {currentStep === 3 ? (scheduledFor ? 'Schedule Delivery' : 'Confirm Delivery') : 'Next'}
             </Text>
           )}
         </TouchableOpacity>
@@ -721,6 +839,37 @@ const styles = StyleSheet.create({
   selectedPackageTypeText: {
     color: '#FFFFFF',
   },
+  sizeBandsContainer: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  sizeBandButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#F8F9FA',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    alignItems: 'center',
+  },
+  sizeBandDescription: {
+    fontSize: 12,
+    color: '#999999',
+    marginTop: 2,
+  },
+  insuranceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  insuranceText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  insuranceHint: {
+    fontSize: 13,
+    color: '#666666',
+  },
   input: {
     borderWidth: 1,
     borderColor: '#E0E0E0',
@@ -745,7 +894,7 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#F0F0F0',
   },
-  confirmationSection:lastChild {
+  lastConfirmationSection: {
     borderBottomWidth: 0,
     marginBottom: 0,
     paddingBottom: 0,
@@ -791,6 +940,27 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginLeft: 16,
   },
+  breakdownRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  breakdownLabel: {
+    fontSize: 14,
+    color: '#999999',
+  },
+  breakdownValue: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  totalFareValue: {
+    fontSize: 18,
+    color: '#FF6B35',
+    fontWeight: 'bold',
+    flex: 1,
+    textAlign: 'right',
+    marginLeft: 16,
+  },
   footer: {
     flexDirection: 'row',
     padding: 20,
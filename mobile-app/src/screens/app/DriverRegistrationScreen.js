@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -20,7 +20,8 @@ const DriverRegistrationScreen = ({ navigation }) => {
   const { user } = useAuth();
 
   // Form state
-  const [vehicleType, setVehicleType] = useState('economy');
+  const [vehicleType, setVehicleType] = useState('car');
+  const [vehicleTypes, setVehicleTypes] = useState([]);
   const [vehicleMake, setVehicleMake] = useState('');
   const [vehicleModel, setVehicleModel] = useState('');
   const [vehicleYear, setVehicleYear] = useState('');
@@ -36,6 +37,20 @@ const DriverRegistrationScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [termsAccepted, setTermsAccepted] = useState(false);
 
+  // Load the vehicle types drivers can register from the backend catalog
+  useEffect(() => {
+    const fetchVehicleTypes = async () => {
+      try {
+        const response = await api.get('/vehicles');
+        setVehicleTypes(response.vehicleTypes);
+      } catch (error) {
+        console.error('Error fetching vehicle catalog:', error);
+      }
+    };
+
+    fetchVehicleTypes();
+  }, []);
+
   // Request storage permission
   const requestStoragePermission = async () => {
     if (Platform.OS === 'android') {
@@ -246,11 +261,6 @@ const DriverRegistrationScreen = ({ navigation }) => {
     }
   };
 
-  const vehicleTypes = [
-    { value: 'economy', label: 'Economy', icon: 'car' },
-    { value: 'comfort', label: 'Comfort', icon: 'car-sports' },
-    { value: 'xl', label: 'XL', icon: 'car-estate' },
-  ];
 
   return (
     <View style={styles.container}>
@@ -281,22 +291,22 @@ const DriverRegistrationScreen = ({ navigation }) => {
           <View style={styles.vehicleTypeContainer}>
             {vehicleTypes.map((type) => (
               <TouchableOpacity
-                key={type.value}
+                key={type.id}
                 style={[
                   styles.vehicleTypeButton,
-                  vehicleType === type.value && styles.selectedVehicleType,
+                  vehicleType === type.id && styles.selectedVehicleType,
                 ]}
-                onPress={() => setVehicleType(type.value)}
+                onPress={() => setVehicleType(type.id)}
               >
                 <Icon
                   name={type.icon}
                   size={32}
-                  color={vehicleType === type.value ? '#FF6B35' : '#666666'}
+                  color={vehicleType === type.id ? '#FF6B35' : '#666666'}
                 />
                 <Text
                   style={[
                     styles.vehicleTypeText,
-                    vehicleType === type.value && styles.selectedVehicleTypeText,
+                    vehicleType === type.id && styles.selectedVehicleTypeText,
                   ]}
                 >
                   {type.label}
@@ -1,9 +1,9 @@
 /**
  * Profile Screen
- * User profile management and settings
+ * User profile management, wallet and settings
  */
 
-import React from 'react';
+import React, {useState, useEffect} from 'react';
 import {
   View,
   Text,
@@ -11,12 +11,81 @@ import {
   StyleSheet,
   ScrollView,
   Alert,
+  ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import {useAuth} from '../../context/AuthContext';
+import api from '../../config/api';
+
+const TRANSACTIONS_PAGE_SIZE = 10;
+const TOPUP_AMOUNTS = [100, 500, 1000];
 
 const ProfileScreen = ({navigation}) => {
   const {user, signOut} = useAuth();
+  const [wallet, setWallet] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [transactionPage, setTransactionPage] = useState(1);
+  const [hasMoreTransactions, setHasMoreTransactions] = useState(false);
+  const [walletLoading, setWalletLoading] = useState(true);
+
+  // Reload the wallet whenever the screen comes back into view
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchWallet(1);
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const fetchWallet = async (page) => {
+    try {
+      const response = await api.get('/wallet', {
+        params: {page, limit: TRANSACTIONS_PAGE_SIZE},
+      });
+      setWallet(response.wallet);
+      setTransactions(current =>
+        page === 1 ? response.transactions : [...current, ...response.transactions],
+      );
+      setTransactionPage(page);
+      setHasMoreTransactions(page < response.pagination.pages);
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+    } finally {
+      setWalletLoading(false);
+    }
+  };
+
+  const topUp = async (amount) => {
+    try {
+      await api.post('/wallet/topup', {amount});
+      Alert.alert(
+        'Top-up Started',
+        `Complete the payment of ₹${amount} in your UPI app. Your balance updates once it is confirmed.`,
+        [{text: 'OK', onPress: () => fetchWallet(1)}],
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to start top-up');
+    }
+  };
+
+  const handleTopUp = () => {
+    Alert.alert('Top Up Wallet', 'Choose an amount', [
+      ...TOPUP_AMOUNTS.map(amount => ({
+        text: `₹${amount}`,
+        onPress: () => topUp(amount),
+      })),
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  const formatDate = (date) => {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
 
   const handleSignOut = () => {
     Alert.alert(
@@ -59,6 +128,57 @@ const ProfileScreen = ({navigation}) => {
           </Text>
         </View>
 
+        {/* Wallet */}
+        <View style={styles.walletCard}>
+          <View style={styles.walletHeader}>
+            <View>
+              <Text style={styles.walletLabel}>Wallet Balance</Text>
+              {walletLoading ? (
+                <ActivityIndicator color="#FF6B35" />
+              ) : (
+                <Text style={styles.walletBalance}>₹{wallet?.balance ?? 0}</Text>
+              )}
+            </View>
+            <TouchableOpacity style={styles.topUpButton} onPress={handleTopUp}>
+              <Icon name="plus" size={18} color="#FFFFFF" />
+              <Text style={styles.topUpText}>Top Up</Text>
+            </TouchableOpacity>
+          </View>
+
+          {transactions.length === 0 && !walletLoading ? (
+            <Text style={styles.emptyTransactions}>No wallet transactions yet</Text>
+          ) : (
+            transactions.map(transaction => {
+              const isCredit = transaction.direction === 'credit';
+              return (
+                <View key={transaction.id} style={styles.transactionRow}>
+                  <Icon
+                    name={isCredit ? 'arrow-down-circle' : 'arrow-up-circle'}
+                    size={24}
+                    color={isCredit ? '#4CAF50' : '#E53935'}
+                  />
+                  <View style={styles.transactionText}>
+                    <Text style={styles.transactionTitle}>{transaction.description}</Text>
+                    <Text style={styles.transactionDate}>{formatDate(transaction.createdAt)}</Text>
+                  </View>
+                  <Text style={[styles.transactionAmount, isCredit ? styles.credit : styles.debit]}>
+                    {isCredit ? '+' : '-'}₹{transaction.amount}
+                  </Text>
+                </View>
+              );
+            })
+          )}
+
+          {hasMoreTransactions && (
+            <TouchableOpacity
+              style={styles.loadMoreButton}
+              onPress={() => fetchWallet(transactionPage + 1)}
+            >
+              <Text style={styles.loadMoreText}>Show more</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* Menu Items */}
         <View style={styles.menuSection}>
           <TouchableOpacity
@@ -188,6 +308,88 @@ const styles = StyleSheet.create({
     color: '#FF6B35',
     fontWeight: '600',
   },
+  walletCard: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginBottom: 12,
+    borderRadius: 12,
+    padding: 16,
+  },
+  walletHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  walletLabel: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 4,
+  },
+  walletBalance: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1A1A1A',
+  },
+  topUpButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF6B35',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  topUpText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginLeft: 4,
+  },
+  emptyTransactions: {
+    fontSize: 14,
+    color: '#999999',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  transactionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F5F5F5',
+  },
+  transactionText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  transactionTitle: {
+    fontSize: 15,
+    color: '#333333',
+  },
+  transactionDate: {
+    fontSize: 12,
+    color: '#999999',
+    marginTop: 2,
+  },
+  transactionAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  credit: {
+    color: '#4CAF50',
+  },
+  debit: {
+    color: '#E53935',
+  },
+  loadMoreButton: {
+    alignItems: 'center',
+    paddingTop: 12,
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FF6B35',
+  },
   menuSection: {
     backgroundColor: '#FFFFFF',
     marginHorizontal: 16,
@@ -12,6 +12,8 @@ import {
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import VehicleTypeSelector from '../../components/VehicleTypeSelector';
+import PaymentMethodSelector from '../../components/PaymentMethodSelector';
+import ScheduleSelector, { formatPickupTime } from '../../components/ScheduleSelector';
 import api from '../../config/api';
 
 const { width, height } = Dimensions.get('window');
@@ -20,6 +22,9 @@ const RideConfirmationScreen = ({ route, navigation }) => {
   const { pickup, destination } = route.params;
   const { user } = useAuth();
   const [selectedVehicle, setSelectedVehicle] = useState('economy');
+  const [serviceClasses, setServiceClasses] = useState([]);
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [scheduledFor, setScheduledFor] = useState(null);
   const [fareEstimates, setFareEstimates] = useState({
     economy: { baseFare: 150, distanceFare: 12, timeFare: 2, total: 164 },
     comfort: { baseFare: 200, distanceFare: 15, timeFare: 3, total: 218 },
@@ -30,10 +35,23 @@ const RideConfirmationScreen = ({ route, navigation }) => {
   const [distance, setDistance] = useState(0);
   const [estimatedTime, setEstimatedTime] = useState(0);
 
+  useEffect(() => {
+    fetchServiceClasses();
+  }, []);
+
   useEffect(() => {
     fetchFareEstimates();
   }, [pickup, destination]);
 
+  const fetchServiceClasses = async () => {
+    try {
+      const response = await api.get('/vehicles');
+      setServiceClasses(response.serviceClasses);
+    } catch (error) {
+      console.error('Error fetching vehicle catalog:', error);
+    }
+  };
+
   const fetchFareEstimates = async () => {
     try {
       setFareLoading(true);
@@ -58,6 +76,7 @@ const RideConfirmationScreen = ({ route, navigation }) => {
             distanceFare: response.estimates[vehicleType].breakdown.distance,
             timeFare: response.estimates[vehicleType].breakdown.time,
             total: response.estimates[vehicleType].fare,
+            quoteId: response.estimates[vehicleType].quoteId,
           };
         });
 
@@ -89,15 +108,22 @@ const RideConfirmationScreen = ({ route, navigation }) => {
           latitude: destination.latitude,
           longitude: destination.longitude,
         },
-        vehicleType: selectedVehicle,
-        fare: fareEstimates[selectedVehicle].total,
+        quoteId: fareEstimates[selectedVehicle].quoteId,
+        paymentMethod,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
         notes: '',
       };
 
       // Make real API call to create ride
       const response = await api.post('/rides/create', rideData);
 
-      if (response.success) {
+      if (response.success && scheduledFor) {
+        Alert.alert(
+          'Ride Scheduled!',
+          `Your ride is booked for ${formatPickupTime(scheduledFor)}. We will remind you before pickup. You can change or cancel it from Trip History.`,
+          [{ text: 'OK', onPress: () => navigation.navigate('Home') }]
+        );
+      } else if (response.success) {
         Alert.alert(
           'Ride Confirmed!',
           'Your ride has been booked successfully. Driver will be assigned shortly.',
@@ -123,6 +149,13 @@ const RideConfirmationScreen = ({ route, navigation }) => {
       console.error('Error booking ride:', error);
       let errorMessage = 'Failed to book ride. Please try again.';
 
+      // Quotes are short-lived and single use; fetch fresh ones for the next attempt
+      if (error.message?.toLowerCase().includes('quote')) {
+        fetchFareEstimates();
+        Alert.alert('Fare Updated', 'Your fare quote has expired. Please review the updated fare and confirm again.');
+        return;
+      }
+
       if (error.response) {
         // Server responded with error status
         errorMessage = error.response.data?.message || 'Server error occurred';
@@ -197,6 +230,7 @@ const RideConfirmationScreen = ({ route, navigation }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Choose Your Vehicle</Text>
           <VehicleTypeSelector
+            serviceClasses={serviceClasses}
             selected={selectedVehicle}
             onSelect={setSelectedVehicle}
             fareEstimates={fareEstimates}
@@ -233,17 +267,22 @@ const RideConfirmationScreen = ({ route, navigation }) => {
           )}
         </View>
 
+        {/* Pickup Time */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Pickup Time</Text>
+          <ScheduleSelector
+            value={scheduledFor}
+            onChange={setScheduledFor}
+          />
+        </View>
+
         {/* Payment Method */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Payment Method</Text>
-          <View style={styles.paymentMethod}>
-            <Icon name="cash" size={24} color="#4CAF50" />
-            <View style={styles.paymentText}>
-              <Text style={styles.paymentTitle}>Cash</Text>
-              <Text style={styles.paymentSubtitle}>Pay the driver directly</Text>
-            </View>
-            <Icon name="chevron-right" size={20} color="#CCCCCC" />
-          </View>
+          <PaymentMethodSelector
+            selected={paymentMethod}
+            onSelect={setPaymentMethod}
+          />
         </View>
 
         {/* Safety Information */}
@@ -260,15 +299,17 @@ const RideConfirmationScreen = ({ route, navigation }) => {
       {/* Confirm Button */}
       <View style={styles.footer}>
         <TouchableOpacity
-          style={[styles.confirmButton, isLoading && styles.disabledButton]}
+          style={[styles.confirmButton, (isLoading || fareLoading) && styles.disabledButton]}
           onPress={handleConfirmRide}
-          disabled={isLoading}
+          disabled={isLoading || fareLoading}
         >
           {isLoading ? (
             <ActivityIndicator color="#FFFFFF" size="small" />
           ) : (
             <>
-              <Text style={styles.confirmButtonText}>Confirm Ride</Text>
+              <Text style={styles.confirmButtonText}>
+                {scheduledFor ? 'Schedule Ride' : 'Confirm Ride'}
+              </Text>
               <Text style={styles.confirmButtonFare}>₹{selectedFare.total}</Text>
             </>
           )}
@@ -417,27 +458,6 @@ const styles = StyleSheet.create({
     color: '#FF6B35',
     fontWeight: 'bold',
   },
-  paymentMethod: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    padding: 12,
-    backgroundColor: '#F8F9FA',
-    borderRadius: 8,
-  },
-  paymentText: {
-    flex: 1,
-    marginLeft: 12,
-  },
-  paymentTitle: {
-    fontSize: 16,
-    color: '#333333',
-    fontWeight: '600',
-  },
-  paymentSubtitle: {
-    fontSize: 14,
-    color: '#666666',
-    marginTop: 2,
-  },
   safetyInfo: {
     flexDirection: 'row',
     alignItems: 'flex-start',
@@ -18,6 +18,9 @@ import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../config/api';
+import { messaging } from '../../config/firebase';
+import { createRealtimeConnection } from '../../config/realtime';
+import RatingModal from '../../components/RatingModal';
 
 const { width, height } = Dimensions.get('window');
 
@@ -28,12 +31,13 @@ const RideTrackingScreen = ({ route, navigation }) => {
   const [rideStatus, setRideStatus] = useState('requested');
   const [statusText, setStatusText] = useState('Waiting for Driver...');
   const [driverInfo, setDriverInfo] = useState(null);
-  const [driverLocation, setDriverLocation] = null;
+  const [driverLocation, setDriverLocation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [showRating, setShowRating] = useState(false);
 
   const mapRef = useRef(null);
-  const intervalRef = useRef(null);
+  const connectionRef = useRef(null);
 
   // Initial map region
   const [region, setRegion] = useState({
@@ -47,7 +51,7 @@ const RideTrackingScreen = ({ route, navigation }) => {
   const fetchRideStatus = async () => {
     try {
       const response = await api.get(`/rides/${rideId}`);
-      const rideData = response.data;
+      const rideData = response.ride;
 
       setRideStatus(rideData.status);
 
@@ -75,15 +79,15 @@ const RideTrackingScreen = ({ route, navigation }) => {
           break;
         case 'completed':
           setStatusText('Ride Completed');
-          if (intervalRef.current) {
-            clearInterval(intervalRef.current);
+          if (connectionRef.current) {
+            connectionRef.current.close();
           }
           setTimeout(() => {
             Alert.alert(
               'Ride Completed!',
-              'Thank you for riding with Quick Pickup!',
+              `Your fare is ₹${rideData.fare}. Thank you for riding with Quick Pickup!`,
               [
-                { text: 'Rate Driver', onPress: () => console.log('Rate driver') },
+                ...(rideData.driverRating ? [] : [{ text: 'Rate Driver', onPress: () => setShowRating(true) }]),
                 { text: 'Home', onPress: () => navigation.navigate('Home') }
               ]
             );
@@ -91,13 +95,28 @@ const RideTrackingScreen = ({ route, navigation }) => {
           break;
         case 'cancelled':
           setStatusText('Ride Cancelled');
-          if (intervalRef.current) {
-            clearInterval(intervalRef.current);
+          if (connectionRef.current) {
+            connectionRef.current.close();
           }
           setTimeout(() => {
             Alert.alert(
               'Ride Cancelled',
-              rideData.cancelReason || 'Your ride has been cancelled.',
+              rideData.cancellationReason || 'Your ride has been cancelled.',
+              [
+                { text: 'OK', onPress: () => navigation.navigate('Home') }
+              ]
+            );
+          }, 1000);
+          break;
+        case 'expired':
+          setStatusText('No Drivers Available');
+          if (connectionRef.current) {
+            connectionRef.current.close();
+          }
+          setTimeout(() => {
+            Alert.alert(
+              'No Drivers Available',
+              'We could not find a driver for this ride. Please try booking again.',
               [
                 { text: 'OK', onPress: () => navigation.navigate('Home') }
               ]
@@ -123,20 +142,53 @@ const RideTrackingScreen = ({ route, navigation }) => {
     }
   };
 
-  // Start polling ride status
+  // Follow the ride live over the trip channel
   useEffect(() => {
     fetchRideStatus(); // Initial fetch
 
-    // Poll every 5 seconds
-    intervalRef.current = setInterval(fetchRideStatus, 5000);
+    const connection = createRealtimeConnection({
+      onOpen: send => {
+        send({ type: 'subscribe', tripType: 'ride', tripId: rideId });
+        // Catch up on anything missed while disconnected
+        fetchRideStatus();
+      },
+      onMessage: message => {
+        if (message.tripId !== rideId) return;
+
+        if (message.type === 'subscribed' && message.driverLocation) {
+          setDriverLocation({
+            latitude: message.driverLocation.latitude,
+            longitude: message.driverLocation.longitude
+          });
+        } else if (message.type === 'status') {
+          fetchRideStatus();
+        } else if (message.type === 'location') {
+          setDriverLocation({
+            latitude: message.latitude,
+            longitude: message.longitude
+          });
+        }
+      },
+    });
+    connectionRef.current = connection;
 
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
+      connection.close();
+      connectionRef.current = null;
     };
   }, [rideId]);
 
+  // Refresh straight away when a push arrives for this ride
+  useEffect(() => {
+    const unsubscribe = messaging().onMessage(async remoteMessage => {
+      if (remoteMessage.data?.rideId === rideId) {
+        fetchRideStatus();
+      }
+    });
+
+    return unsubscribe;
+  }, [rideId]);
+
   // Fit map to show all markers
   useEffect(() => {
     if (mapRef.current) {
@@ -185,12 +237,16 @@ const RideTrackingScreen = ({ route, navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await api.post('/sos/create', {
+              const response = await api.post('/sos/create', {
                 rideId,
                 location: driverLocation || pickup,
                 emergency: true
               });
-              Alert.alert('SOS Sent', 'Emergency services have been notified.');
+              const { contactsToNotify, contactsTexted } = response.alert || {};
+              const contactsMessage = contactsToNotify > 0 && contactsTexted
+                ? ' We are texting your emergency contacts now.'
+                : ' Please call your emergency contacts yourself if you can.';
+              Alert.alert('SOS Sent', `Our safety team has been alerted.${contactsMessage}`);
             } catch (error) {
               Alert.alert('Error', 'Failed to send SOS. Please call emergency services directly.');
             }
@@ -213,12 +269,15 @@ const RideTrackingScreen = ({ route, navigation }) => {
           onPress: async () => {
             try {
               setLoading(true);
-              await api.put(`/rides/${rideId}/cancel`, {
+              const response = await api.put(`/rides/${rideId}/cancel`, {
                 reason: 'User cancelled',
                 cancelledBy: 'user'
               });
 
-              Alert.alert('Ride Cancelled', 'Your ride has been cancelled.');
+              const feeMessage = response.cancellationFee > 0
+                ? ` A cancellation fee of ₹${response.cancellationFee} was ${response.cancellationFeeChargedVia === 'wallet' ? 'charged to your wallet' : 'added to the amount you owe'}.`
+                : '';
+              Alert.alert('Ride Cancelled', `Your ride has been cancelled.${feeMessage}`);
               navigation.navigate('Home');
             } catch (error) {
               Alert.alert('Error', 'Failed to cancel ride. Please try again.');
@@ -329,6 +388,7 @@ const RideTrackingScreen = ({ route, navigation }) => {
             {rideStatus === 'in_progress' && <Icon name="play" size={24} color="#9C27B0" />}
             {rideStatus === 'completed' && <Icon name="check-circle" size={24} color="#4CAF50" />}
             {rideStatus === 'cancelled' && <Icon name="close-circle" size={24} color="#F44336" />}
+            {rideStatus === 'expired' && <Icon name="timer-sand-empty" size={24} color="#F44336" />}
           </View>
           <View style={styles.statusTextContainer}>
             <Text style={styles.statusText}>{statusText}</Text>
@@ -340,6 +400,7 @@ const RideTrackingScreen = ({ route, navigation }) => {
               {rideStatus === 'in_progress' && 'Enjoy your ride!'}
               {rideStatus === 'completed' && 'Thank you for riding with Quick Pickup!'}
               {rideStatus === 'cancelled' && 'This ride has been cancelled'}
+              {rideStatus === 'expired' && 'No driver accepted this ride'}
             </Text>
           </View>
         </View>
@@ -393,7 +454,7 @@ const RideTrackingScreen = ({ route, navigation }) => {
 
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
-          {rideStatus !== 'completed' && rideStatus !== 'cancelled' && (
+          {!['completed', 'cancelled', 'expired'].includes(rideStatus) && (
             <TouchableOpacity
               style={[styles.cancelButton, loading && styles.disabledButton]}
               onPress={handleCancelRide}
@@ -409,6 +470,22 @@ const RideTrackingScreen = ({ route, navigation }) => {
         </View>
       </View>
 
+      {/* Rate the driver once the ride is over */}
+      <RatingModal
+        visible={showRating}
+        tripType="ride"
+        tripId={rideId}
+        ratee="driver"
+        name={driverInfo?.name}
+        onClose={() => setShowRating(false)}
+        onRated={() => {
+          setShowRating(false);
+          Alert.alert('Thank you!', 'Your rating helps keep Quick Pickup safe and reliable.', [
+            { text: 'OK', onPress: () => navigation.navigate('Home') }
+          ]);
+        }}
+      />
+
       {/* Error Display */}
       {error && (
         <View style={styles.errorContainer}>
@@ -1,6 +1,7 @@
 /**
  * Trip History Screen
- * Shows past rides and deliveries with data from backend
+ * Shows past rides and deliveries with data from backend, and upcoming
+ * scheduled trips that can still be rescheduled or cancelled
  */
 
 import React, { useState, useEffect } from 'react';
@@ -12,18 +13,23 @@ import {
   TouchableOpacity,
   RefreshControl,
   ActivityIndicator,
+  Alert,
+  Modal,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../config/api';
+import ScheduleSelector from '../../components/ScheduleSelector';
 
 const TripHistoryScreen = () => {
   const { user } = useAuth();
   const [trips, setTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [activeTab, setActiveTab] = useState('rides'); // 'rides' or 'deliveries'
+  const [activeTab, setActiveTab] = useState('rides'); // 'rides', 'deliveries' or 'scheduled'
   const [error, setError] = useState(null);
+  const [rescheduling, setRescheduling] = useState(null); // { trip, scheduledFor }
+  const [saving, setSaving] = useState(false);
 
   useEffect(() => {
     fetchTripHistory();
@@ -32,6 +38,13 @@ const TripHistoryScreen = () => {
   const fetchTripHistory = async () => {
     try {
       setError(null);
+
+      if (activeTab === 'scheduled') {
+        const response = await api.get('/scheduled');
+        setTrips(response.trips || []);
+        return;
+      }
+
       const endpoint = activeTab === 'rides'
         ? '/rides/my-history'
         : '/deliveries/my-history';
@@ -71,15 +84,61 @@ const TripHistoryScreen = () => {
     });
   };
 
+  const handleSaveReschedule = async () => {
+    const { trip, scheduledFor } = rescheduling;
+
+    try {
+      setSaving(true);
+      await api.put(`/scheduled/${trip.tripType}/${trip.id}`, {
+        scheduledFor: scheduledFor.toISOString(),
+      });
+      setRescheduling(null);
+      await fetchTripHistory();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to change the pickup time. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelScheduled = (trip) => {
+    const label = trip.tripType === 'ride' ? 'ride' : 'delivery';
+
+    Alert.alert(
+      `Cancel ${label}`,
+      `Are you sure you want to cancel this scheduled ${label}?`,
+      [
+        { text: 'No', style: 'cancel' },
+        {
+          text: 'Yes, Cancel',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const endpoint = trip.tripType === 'ride' ? 'rides' : 'deliveries';
+              await api.put(`/${endpoint}/${trip.id}/cancel`, {
+                reason: 'Cancelled before pickup',
+              });
+              await fetchTripHistory();
+            } catch (error) {
+              Alert.alert('Error', error.message || `Failed to cancel ${label}. Please try again.`);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const renderTripItem = ({ item }) => {
-    const isRide = activeTab === 'rides';
+    const isScheduled = activeTab === 'scheduled';
+    const isRide = isScheduled ? item.tripType === 'ride' : activeTab === 'rides';
+    const shownDate = isScheduled ? item.scheduledFor : item.createdAt;
 
     return (
       <View style={styles.tripItem}>
         <View style={styles.tripHeader}>
           <View style={styles.tripDateContainer}>
-            <Text style={styles.tripDate}>{formatDate(item.createdAt)}</Text>
-            <Text style={styles.tripTime}>{formatTime(item.createdAt)}</Text>
+            <Text style={styles.tripDate}>{formatDate(shownDate)}</Text>
+            <Text style={styles.tripTime}>{formatTime(shownDate)}</Text>
           </View>
           <View style={[
             styles.statusBadge,
@@ -137,18 +196,39 @@ const TripHistoryScreen = () => {
             </Text>
           </View>
         )}
+
+        {isScheduled && (
+          <View style={styles.scheduledActions}>
+            <TouchableOpacity
+              style={styles.scheduledAction}
+              onPress={() => setRescheduling({ trip: item, scheduledFor: new Date(item.scheduledFor) })}
+            >
+              <Icon name="calendar-edit" size={18} color="#FF6B35" />
+              <Text style={styles.scheduledActionText}>Reschedule</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.scheduledAction}
+              onPress={() => handleCancelScheduled(item)}
+            >
+              <Icon name="close-circle-outline" size={18} color="#F44336" />
+              <Text style={[styles.scheduledActionText, styles.cancelActionText]}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
     );
   };
 
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
-      <Icon name="history" size={80} color="#E0E0E0" />
+      <Icon name={activeTab === 'scheduled' ? 'calendar-clock' : 'history'} size={80} color="#E0E0E0" />
       <Text style={styles.emptyText}>
-        No {activeTab} yet
+        {activeTab === 'scheduled' ? 'No scheduled trips' : `No ${activeTab} yet`}
       </Text>
       <Text style={styles.emptySubtext}>
-        Your {activeTab} history will appear here
+        {activeTab === 'scheduled'
+          ? 'Rides and deliveries you book for later will appear here'
+          : `Your ${activeTab} history will appear here`}
       </Text>
       {error && (
         <TouchableOpacity style={styles.retryButton} onPress={fetchTripHistory}>
@@ -202,6 +282,15 @@ const TripHistoryScreen = () => {
             Deliveries
           </Text>
         </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'scheduled' && styles.activeTab]}
+          onPress={() => setActiveTab('scheduled')}
+        >
+          <Text style={[styles.tabText, activeTab === 'scheduled' && styles.activeTabText]}>
+            Scheduled
+          </Text>
+        </TouchableOpacity>
       </View>
 
       {/* Content */}
@@ -226,6 +315,45 @@ const TripHistoryScreen = () => {
           ListEmptyComponent={renderEmptyState()}
         />
       )}
+
+      {/* Reschedule */}
+      <Modal
+        visible={Boolean(rescheduling)}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setRescheduling(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalSheet}>
+            <Text style={styles.modalTitle}>Change pickup time</Text>
+            {rescheduling && (
+              <ScheduleSelector
+                value={rescheduling.scheduledFor}
+                onChange={(scheduledFor) => setRescheduling({ ...rescheduling, scheduledFor })}
+                allowNow={false}
+              />
+            )}
+            <TouchableOpacity
+              style={[styles.saveButton, saving && styles.disabledButton]}
+              onPress={handleSaveReschedule}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={() => setRescheduling(null)}
+              disabled={saving}
+            >
+              <Text style={styles.closeButtonText}>Keep current time</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -390,6 +518,65 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#E65100',
   },
+  scheduledActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  scheduledAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 16,
+  },
+  scheduledActionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FF6B35',
+    marginLeft: 4,
+  },
+  cancelActionText: {
+    color: '#F44336',
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalSheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333333',
+    marginBottom: 16,
+  },
+  saveButton: {
+    backgroundColor: '#FF6B35',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#666666',
+    fontSize: 14,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
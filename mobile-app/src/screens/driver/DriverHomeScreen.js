@@ -3,7 +3,7 @@
  * Main driver interface with online/offline toggle and map view
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -19,6 +19,11 @@ import MapView, { Marker, PROVIDER_GOOGLE } from 'react-native-maps';
 import Geolocation from '@react-native-community/geolocation';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../config/api';
+import { createRealtimeConnection } from '../../config/realtime';
+import TripOfferCard from '../../components/TripOfferCard';
+
+// How often the request feed refreshes while online
+const REQUEST_REFRESH_MS = 10000;
 
 const DriverHomeScreen = () => {
   const { user } = useAuth();
@@ -26,6 +31,11 @@ const DriverHomeScreen = () => {
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationLoading, setLocationLoading] = useState(true);
   const [toggleLoading, setToggleLoading] = useState(false);
+  const [requests, setRequests] = useState([]);
+  const [declinedIds, setDeclinedIds] = useState([]);
+  const [respondLoading, setRespondLoading] = useState(false);
+  const connectionRef = useRef(null);
+  const locationRef = useRef(null);
   const [region, setRegion] = useState({
     latitude: 37.78825,
     longitude: -122.4324,
@@ -117,8 +127,9 @@ const DriverHomeScreen = () => {
       if (hasPermission) {
         watchId = Geolocation.watchPosition(
           (position) => {
-            const { latitude, longitude } = position.coords;
-            setCurrentLocation({ latitude, longitude });
+            const { latitude, longitude, speed, accuracy, heading } = position.coords;
+            // Speed and accuracy go into the trip's recorded route
+            setCurrentLocation({ latitude, longitude, speed, accuracy, heading });
             setRegion(prev => ({
               ...prev,
               latitude,
@@ -128,8 +139,8 @@ const DriverHomeScreen = () => {
           (error) => console.error('Watch position error:', error),
           {
             enableHighAccuracy: true,
-            distanceFilter: 100, // Update every 100 meters
-            interval: 5000, // Update every 5 seconds
+            distanceFilter: 10, // Update every 10 meters
+            interval: 2000, // Update every 2 seconds
           }
         );
       }
@@ -144,31 +155,110 @@ const DriverHomeScreen = () => {
     };
   }, [getCurrentLocation]);
 
-  // Continuous location updates when online
+  // Stream location over the trip channel while online
   useEffect(() => {
-    let locationUpdateInterval;
-
-    if (isOnline && currentLocation) {
-      // Send location updates every 10 seconds
-      locationUpdateInterval = setInterval(async () => {
-        try {
-          await api.put('/drivers/location', {
-            latitude: currentLocation.latitude,
-            longitude: currentLocation.longitude
-          });
-        } catch (error) {
-          console.error('Error updating location:', error);
+    if (!isOnline) return;
+
+    const connection = createRealtimeConnection({
+      onOpen: send => {
+        if (locationRef.current) {
+          send({ type: 'location', ...locationRef.current });
         }
-      }, 10000);
-    }
+      },
+      onMessage: message => {
+        if (message.type === 'error') {
+          console.error('Location stream error:', message.message || message.error);
+        }
+      },
+    });
+    connectionRef.current = connection;
 
     return () => {
-      if (locationUpdateInterval) {
-        clearInterval(locationUpdateInterval);
-      }
+      connection.close();
+      connectionRef.current = null;
     };
+  }, [isOnline]);
+
+  // Send each new position as soon as it is known
+  useEffect(() => {
+    locationRef.current = currentLocation;
+
+    if (isOnline && currentLocation && connectionRef.current) {
+      connectionRef.current.send({ type: 'location', ...currentLocation });
+    }
   }, [isOnline, currentLocation]);
 
+  // Fetch open requests near the driver
+  const fetchRequests = useCallback(async () => {
+    if (!locationRef.current) return;
+
+    try {
+      const response = await api.get('/drivers/requests', {
+        params: {
+          latitude: locationRef.current.latitude,
+          longitude: locationRef.current.longitude
+        }
+      });
+      setRequests(response.requests);
+    } catch (error) {
+      console.error('Error fetching requests:', error);
+    }
+  }, []);
+
+  // Keep the request feed fresh while online
+  useEffect(() => {
+    if (!isOnline) {
+      setRequests([]);
+      setDeclinedIds([]);
+      return;
+    }
+
+    fetchRequests();
+    const refreshInterval = setInterval(fetchRequests, REQUEST_REFRESH_MS);
+
+    return () => clearInterval(refreshInterval);
+  }, [isOnline, fetchRequests]);
+
+  const requestKey = request => `${request.tripType}:${request.tripId}`;
+  const currentRequest = requests.find(request => !declinedIds.includes(requestKey(request)));
+
+  const dismissRequest = request => {
+    setDeclinedIds(prev => [...prev, requestKey(request)]);
+  };
+
+  // Accept a ride or delivery
+  const handleAccept = async request => {
+    const path = request.tripType === 'delivery' ? 'deliveries' : 'rides';
+
+    try {
+      setRespondLoading(true);
+      await api.put(`/${path}/${request.tripId}/accept`);
+      setRequests([]);
+      Alert.alert(
+        'Accepted',
+        `Head to the pickup at ${request.pickup.address}.`
+      );
+    } catch (error) {
+      dismissRequest(request);
+      Alert.alert('Could not accept', error.message);
+    } finally {
+      setRespondLoading(false);
+    }
+  };
+
+  // Decline a request; dispatch offers are declined on the server too
+  const handleDecline = async request => {
+    dismissRequest(request);
+
+    if (request.offer) {
+      try {
+        await api.put(`/drivers/offers/${request.offer.id}/decline`);
+      } catch (error) {
+        console.error('Error declining offer:', error);
+      }
+    }
+  };
+
   // Toggle driver availability
   const toggleAvailability = async () => {
     if (!currentLocation) {
@@ -180,8 +270,7 @@ const DriverHomeScreen = () => {
       setToggleLoading(true);
 
       await api.put('/drivers/availability', {
-        available: !isOnline,
-        location: currentLocation
+        isOnline: !isOnline
       });
 
       setIsOnline(!isOnline);
@@ -257,6 +346,20 @@ const DriverHomeScreen = () => {
         )}
       </MapView>
 
+      {/* Offer Card */}
+      {isOnline && currentRequest && (
+        <View style={styles.offerContainer}>
+          <TripOfferCard
+            key={requestKey(currentRequest)}
+            request={currentRequest}
+            onAccept={handleAccept}
+            onDecline={handleDecline}
+            onExpire={dismissRequest}
+            loading={respondLoading}
+          />
+        </View>
+      )}
+
       {/* Footer with Stats */}
       <View style={styles.footer}>
         <View style={styles.statItem}>
@@ -354,6 +457,13 @@ const styles = StyleSheet.create({
   map: {
     flex: 1,
   },
+  offerContainer: {
+    position: 'absolute',
+    bottom: 110,
+    left: 20,
+    right: 20,
+    zIndex: 2,
+  },
   footer: {
     position: 'absolute',
     bottom: 20,